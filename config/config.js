@@ -10,7 +10,7 @@ module.exports = {
     baseUrl: process.env.KARDEX_API_URL || 'https://kardexaplicacion.up.railway.app/api',
     authToken: process.env.KARDEX_AUTH_TOKEN || '',
     chatbotToken: process.env.CHATBOT_API_TOKEN || 'chatbot-secret-token-123',
-    timeout: 10000 // 10 segundos
+    timeout: parseInt(process.env.KARDEX_API_TIMEOUT || '10000') // 10 segundos
   },
   
   // KARDEX Database (MySQL direct connection)
@@ -27,11 +27,55 @@ module.exports = {
     baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
     model: process.env.OLLAMA_MODEL || 'phi3:mini',
     timeout: parseInt(process.env.OLLAMA_TIMEOUT || '10000'),
-    temperature: parseFloat(process.env.OLLAMA_TEMPERATURE || '0.3')
+    temperature: parseFloat(process.env.OLLAMA_TEMPERATURE || '0.3'),
+    // Salida estructurada: schema (Ollama >= 0.5), json (versiones anteriores) u off
+    format: process.env.OLLAMA_FORMAT || 'schema'
   },
-  
-  // Whisper (local para transcripción de voz)
+
+  // Proveedores de LLM (ver core/ai/providers) y modelo por tipo de tarea
+  llm: {
+    providers: {
+      ollama: { type: 'ollama' }, // Usa la configuración de ollama
+      openai: {
+        type: 'openai', // Cualquier servidor compatible con OpenAI: llama.cpp server, vLLM, LM Studio
+        baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+        apiKey: process.env.OPENAI_API_KEY || '',
+        model: process.env.OPENAI_GPT_MODEL || 'gpt-4o-mini',
+        timeout: parseInt(process.env.OPENAI_TIMEOUT || '15000'),
+        maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '500'),
+        // Salida estructurada: json_schema, json_object u off (según lo que soporte el servidor)
+        responseFormat: process.env.OPENAI_RESPONSE_FORMAT || 'json_schema'
+      },
+      stub: { type: 'stub' } // Determinista, para pruebas
+    },
+    // Orden en que se prueban los demás proveedores cuando el de la tarea falla
+    failover: (process.env.LLM_FAILOVER || 'ollama').split(',').map(name => name.trim()).filter(Boolean),
+    downCooldownMs: parseInt(process.env.LLM_DOWN_COOLDOWN_MS || '30000'), // Tiempo que se salta un proveedor caído
+    tasks: {
+      queries: { provider: process.env.LLM_QUERIES_PROVIDER || 'ollama', model: process.env.LLM_QUERIES_MODEL || null },
+      orders: { provider: process.env.LLM_ORDERS_PROVIDER || 'ollama', model: process.env.LLM_ORDERS_MODEL || null },
+      conversation: { provider: process.env.LLM_CONVERSATION_PROVIDER || 'ollama', model: process.env.LLM_CONVERSATION_MODEL || null }
+    }
+  },
+
+  // Plantillas de prompts versionadas (core/ai/promptRegistry)
+  prompts: {
+    dir: process.env.PROMPTS_DIR || './prompts'
+  },
+
+  // Diccionario de sinónimos, marcas, términos regionales y errores comunes (utils/dictionary)
+  dictionary: {
+    path: process.env.DICTIONARY_PATH || './dictionary/terms.json'
+  },
+
+  // Respuestas JSON validadas con esquema (core/ai/structuredOutput)
+  structuredOutput: {
+    maxRepairs: parseInt(process.env.LLM_JSON_MAX_REPAIRS || '1') // Reintentos pidiendo corregir una respuesta inválida
+  },
+
+  // Whisper (local para transcripción de voz, con el modelo cargado en un worker persistente)
   whisper: {
+    backend: process.env.WHISPER_BACKEND || 'openai-whisper', // openai-whisper | faster-whisper | whisper.cpp | transformers
     model: process.env.WHISPER_MODEL || 'large-v3', // Modelo más preciso para español
     language: process.env.WHISPER_LANGUAGE || 'es',
     pythonPath: process.env.WHISPER_PYTHON_PATH || 'python3',
@@ -40,7 +84,57 @@ module.exports = {
     best_of: parseInt(process.env.WHISPER_BEST_OF || '5'), // Número de candidatos a evaluar
     use_api: false, // DESACTIVADO - usar solo Whisper local
     api_key: '', // No usar API
-    api_timeout: parseInt(process.env.WHISPER_API_TIMEOUT || '30000') // Timeout para API (30 segundos)
+    api_timeout: parseInt(process.env.WHISPER_API_TIMEOUT || '30000'), // Timeout para API (30 segundos)
+    // Worker persistente (utils/whisperWorker)
+    worker: {
+      script: process.env.WHISPER_WORKER_SCRIPT || './scripts/whisper_worker.py',
+      concurrency: parseInt(process.env.WHISPER_CONCURRENCY || '1'), // Procesos (o pedidos simultáneos a whisper-server)
+      queueMax: parseInt(process.env.WHISPER_QUEUE_MAX || '20'), // Audios en espera antes de rechazar
+      timeoutMs: parseInt(process.env.WHISPER_TIMEOUT || '120000'), // Por audio; al vencer se reinicia el proceso
+      startupTimeoutMs: parseInt(process.env.WHISPER_STARTUP_TIMEOUT || '600000'), // Carga (y descarga) del modelo
+      device: process.env.WHISPER_DEVICE || 'auto', // auto | cpu | cuda
+      computeType: process.env.WHISPER_COMPUTE_TYPE || 'int8', // faster-whisper: int8 | float16 | float32
+      insecureDownloads: process.env.WHISPER_INSECURE_DOWNLOADS === 'true' // Descargar el modelo sin verificar certificados (solo proxies con certificados propios)
+    },
+    // whisper.cpp (backend whisper.cpp)
+    cpp: {
+      server: process.env.WHISPER_CPP_SERVER || 'whisper-server',
+      model: process.env.WHISPER_CPP_MODEL || './models/ggml-large-v3.bin',
+      url: process.env.WHISPER_CPP_URL || '', // Servidor ya en ejecución (no se lanza uno propio)
+      port: parseInt(process.env.WHISPER_CPP_PORT || '8178'),
+      threads: parseInt(process.env.WHISPER_CPP_THREADS || '4')
+    },
+    // transformers.js en el mismo proceso (backend transformers, sin Python)
+    transformers: {
+      model: process.env.WHISPER_TRANSFORMERS_MODEL || 'Xenova/whisper-small', // Checkpoint ONNX multilingüe
+      modelDir: process.env.WHISPER_MODELS_DIR || './models', // Se busca en <modelDir>/<model>/
+      allowRemote: process.env.WHISPER_ALLOW_REMOTE_MODELS === 'true', // Descargar del Hub si no está local
+      quantized: process.env.WHISPER_TRANSFORMERS_QUANTIZED !== 'false',
+      chunkLength: 30, // Segundos por ventana (audios largos)
+      strideLength: 5
+    },
+    // Pedidos por voz con baja confianza: se confirman con sí/no antes de agregarlos
+    confidence: {
+      enabled: process.env.WHISPER_CONFIRM_LOW_CONFIDENCE !== 'false',
+      wordThreshold: parseFloat(process.env.WHISPER_WORD_CONFIDENCE || '0.5'), // Probabilidad mínima de una palabra de producto o cantidad
+      segmentThreshold: parseFloat(process.env.WHISPER_SEGMENT_CONFIDENCE || '0.55'), // Sin probabilidades por palabra: confianza global mínima
+      confirmTimeoutMs: parseInt(process.env.WHISPER_CONFIRM_TIMEOUT || '600000') // La pregunta caduca a los 10 minutos
+    },
+    // Vocabulario del catálogo: contexto para Whisper y corrección de palabras casi iguales a un producto
+    vocabulary: {
+      enabled: process.env.WHISPER_CATALOG_VOCABULARY !== 'false',
+      refreshMs: parseInt(process.env.WHISPER_VOCABULARY_REFRESH || '300000'), // Volver a pedir el catálogo cada 5 minutos
+      maxTerms: parseInt(process.env.WHISPER_VOCABULARY_MAX_TERMS || '80'),
+      maxPromptChars: 600, // Whisper solo usa los últimos ~224 tokens del prompt
+      correctionThreshold: parseFloat(process.env.WHISPER_VOCABULARY_THRESHOLD || '0.85') // jaroWinkler mínimo (además de igual soundex)
+    }
+  },
+  
+  // Clasificador local de intenciones (modelo n-gramas entrenado con el historial)
+  intentClassifier: {
+    modelPath: process.env.INTENT_MODEL_PATH || './data/models/intent-model.json',
+    // Confianza mínima de reglas y clasificador local para no consultar al LLM
+    confidenceThreshold: parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD || '0.8')
   },
   
   // Pago
@@ -61,12 +155,54 @@ module.exports = {
     timezone: process.env.TIMEZONE || 'America/Lima'
   },
   
+  // Navegación del catálogo por categorías (core/conversation/catalogBrowser)
+  catalog: {
+    pageSize: parseInt(process.env.CATALOG_PAGE_SIZE || '6'), // Máximo 6: una lista de WhatsApp admite 10 filas y hasta 4 son de navegación
+    browseTtlMs: parseInt(process.env.CATALOG_BROWSE_TTL_MS || '1800000') // Tras este tiempo "ver más" o un número ya no siguen la navegación
+  },
+  
+  // Mensajes de WhatsApp con listas y botones. Por defecto el menú va numerado en texto:
+  // las cuentas que no son WhatsApp Business no siempre muestran listas ni botones
+  whatsapp: {
+    interactiveMessages: process.env.WHATSAPP_INTERACTIVE_MESSAGES === 'true'
+  },
+  
+  // Cola de mensajes salientes (reintentos y límite global de envío)
+  outboundQueue: {
+    ratePerMinute: parseInt(process.env.OUTBOUND_RATE_PER_MINUTE || '30'), // Límite global para evitar bloqueos de WhatsApp
+    minIntervalMs: parseInt(process.env.OUTBOUND_MIN_INTERVAL_MS || '500'), // Pausa mínima entre dos envíos
+    maxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS || '10'),
+    retryBaseMs: parseInt(process.env.OUTBOUND_RETRY_BASE_MS || '2000'), // Reintento exponencial: base * 2^intentos
+    retryMaxMs: parseInt(process.env.OUTBOUND_RETRY_MAX_MS || '300000'),
+    pollIntervalMs: parseInt(process.env.OUTBOUND_POLL_INTERVAL_MS || '1000'),
+    retentionDays: parseInt(process.env.OUTBOUND_RETENTION_DAYS || '7')
+  },
+  
+  // Mensajes entrantes (persistencia, orden por usuario y deduplicación)
+  inboundQueue: {
+    replayMaxAgeMs: parseInt(process.env.INBOUND_REPLAY_MAX_AGE_MS || '600000'), // Al reiniciar, no reprocesar mensajes más viejos
+    retentionDays: parseInt(process.env.INBOUND_RETENTION_DAYS || '7') // Ventana de deduplicación
+  },
+  
+  // API de administración (/admin)
+  admin: {
+    apiKeys: process.env.ADMIN_API_KEYS || '', // "clave:rol,clave2:rol" (roles: viewer, operator, admin)
+    jwtSecret: process.env.ADMIN_JWT_SECRET || '', // Firma de tokens HS256 (scripts/adminToken.js)
+    tokenTtlSeconds: parseInt(process.env.ADMIN_TOKEN_TTL_SECONDS || '43200') // 12 horas
+  },
+  
   // Rutas
   paths: {
     temp: './temp',
     qr: './qr',
     data: './data',
-    tokens: './tokens'
+    tokens: './tokens',
+    database: process.env.SQLITE_DB_PATH || null // null = data/chatbot.db (':memory:' para pruebas)
+  },
+  
+  // Logs
+  logging: {
+    silent: process.env.LOG_SILENT === 'true' // Sin salida a consola ni archivos (simulador/pruebas)
   },
   
   // Audio
@@ -80,6 +216,20 @@ module.exports = {
   matching: {
     threshold: parseFloat(process.env.MATCH_THRESHOLD || '0.65'),
     phoneticWeight: parseFloat(process.env.PHONETIC_WEIGHT || '0.2')
+  },
+
+  // Búsqueda semántica de productos (embeddings locales con transformers.js)
+  semanticSearch: {
+    enabled: process.env.SEMANTIC_SEARCH === 'true',
+    model: process.env.SEMANTIC_MODEL || 'Xenova/paraphrase-multilingual-MiniLM-L12-v2', // feature-extraction multilingüe en ONNX
+    modelDir: process.env.SEMANTIC_MODELS_DIR || process.env.WHISPER_MODELS_DIR || './models', // Se busca en <modelDir>/<model>/
+    allowRemote: process.env.SEMANTIC_ALLOW_REMOTE_MODELS === 'true', // Descargar del Hub si no está local
+    quantized: process.env.SEMANTIC_QUANTIZED !== 'false',
+    indexPath: process.env.SEMANTIC_INDEX_PATH || './data/models/product-embeddings.json',
+    batchSize: 16, // Productos por llamada al modelo al recalcular
+    minSimilarity: parseFloat(process.env.SEMANTIC_MIN_SIMILARITY || '0.35'), // Coseno mínimo para considerar un producto
+    searchTimeoutMs: parseInt(process.env.SEMANTIC_SEARCH_TIMEOUT || '1500'), // Espera máxima de una búsqueda; después sigue solo la léxica
+    weight: parseFloat(process.env.SEMANTIC_WEIGHT || '0.5') // Peso de la similitud semántica al combinar con la léxica
   }
 };
 
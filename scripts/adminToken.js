@@ -0,0 +1,27 @@
+/**
+ * Emitir un token JWT para la API de administración
+ * 
+ * Uso:
+ *   npm run admin:token -- <usuario> <rol> [horas]
+ *   curl -H "Authorization: Bearer <token>" http://localhost:3001/admin/sessions
+ * 
+ * Roles: viewer (consultar), operator (reiniciar sesiones, envío manual), admin (todo)
+ * Requiere ADMIN_JWT_SECRET en .env
+ */
+require('dotenv').config();
+const adminAuth = require('../src/core/admin/adminAuth');
+
+const [sub, role, hours] = process.argv.slice(2);
+
+if (!sub || !role) {
+  console.error(`Uso: npm run admin:token -- <usuario> <${adminAuth.ROLES.join('|')}> [horas]`);
+  process.exit(1);
+}
+
+try {
+  const ttlSeconds = hours ? Math.round(parseFloat(hours) * 3600) : undefined;
+  console.log(adminAuth.signToken({ sub, role }, ttlSeconds));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,118 @@
+/**
+ * Entrenar y evaluar el clasificador local de intenciones
+ * 
+ * Uso:
+ *   npm run intent:train                       # Entrenar con el historial etiquetado y guardar el modelo
+ *   npm run intent:eval                        # Evaluar el modelo guardado contra el historial etiquetado
+ * 
+ * Opciones:
+ *   --source manual|llm   Solo etiquetas de esa fuente (por defecto todas; la manual gana si hay ambas)
+ *   --file ruta.json      Ejemplos adicionales [{ "text": "...", "intent": "HACER_PEDIDO" }]
+ *   --test-ratio 0.2      Proporción reservada para evaluar al entrenar
+ *   --model ruta.json     Ruta del modelo (por defecto config.intentClassifier.modelPath)
+ * 
+ * Ambos comandos imprimen precisión y recall por intención.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const db = require('../src/db');
+const sessionManager = require('../src/sessionManager');
+const intentModel = require('../src/core/ai/intentModel');
+const intentClassifier = require('../src/core/ai/intentClassifier');
+
+function parseArgs(argv) {
+  const options = { command: argv[0], source: null, file: null, testRatio: 0.2, model: null };
+  for (let i = 1; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--source': options.source = value; i++; break;
+      case '--file': options.file = value; i++; break;
+      case '--test-ratio': options.testRatio = parseFloat(value); i++; break;
+      case '--model': options.model = path.resolve(value); i++; break;
+      default:
+        throw new Error(`Opción desconocida: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Ejemplos del historial (y archivo opcional), sin repetir el mismo texto normalizado
+ */
+async function loadExamples({ source, file }) {
+  const rows = await sessionManager.getLabeledMessages({ source });
+  const examples = rows.map(row => ({ text: row.text, intent: row.intent, source: row.source }));
+
+  if (file) {
+    const extra = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    examples.push(...extra.map(example => ({ ...example, source: example.source || 'manual' })));
+  }
+
+  const byText = new Map();
+  for (const example of examples) {
+    const key = intentModel.normalizeText(example.text);
+    if (!key) {
+      continue;
+    }
+    const previous = byText.get(key);
+    if (!previous || (example.source === 'manual' && previous.source !== 'manual')) {
+      byText.set(key, example);
+    }
+  }
+
+  return [...byText.values()];
+}
+
+function printCounts(examples) {
+  const counts = {};
+  for (const example of examples) {
+    counts[example.intent] = (counts[example.intent] || 0) + 1;
+  }
+  console.log(`📚 ${examples.length} ejemplos: ${Object.entries(counts).map(([intent, count]) => `${intent}=${count}`).join(', ')}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!['train', 'eval'].includes(options.command)) {
+    console.error('❌ Uso: node scripts/intentModel.js <train|eval> [--source manual|llm] [--file ruta.json] [--test-ratio 0.2] [--model ruta.json]');
+    process.exit(1);
+  }
+
+  const modelPath = options.model || intentClassifier.modelPath;
+  await db.initialize();
+
+  try {
+    const examples = await loadExamples(options);
+    printCounts(examples);
+
+    if (options.command === 'train') {
+      const { train, test } = intentModel.splitExamples(examples, options.testRatio);
+      const holdout = intentModel.train(train);
+
+      console.log(`\n🧪 Evaluación con ${test.length} ejemplos reservados (entrenado con ${train.length}):\n`);
+      const metrics = intentModel.evaluate(holdout, test);
+      console.log(intentModel.formatReport(metrics));
+
+      // El modelo final usa todos los ejemplos; guarda las métricas de la evaluación reservada
+      const model = intentModel.train(examples);
+      model.metrics = { accuracy: metrics.accuracy, macro: metrics.macro, evaluatedOn: test.length };
+      await intentClassifier.saveModel(model, modelPath);
+      console.log(`\n✅ Modelo guardado en ${modelPath} (${model.intents.length} intenciones, ${Object.keys(model.vocabulary).length} rasgos)`);
+    } else {
+      if (!fs.existsSync(modelPath)) {
+        throw new Error(`No existe el modelo ${modelPath} (ejecuta npm run intent:train)`);
+      }
+      const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+      console.log(`\n🧪 Evaluación del modelo ${modelPath} (entrenado ${model.trainedAt}):\n`);
+      console.log(intentModel.formatReport(intentModel.evaluate(model, examples)));
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+/**
+ * Migraciones de la base de datos local
+ * 
+ * Uso:
+ *   npm run migrate            # Aplicar migraciones pendientes
+ *   npm run migrate:status     # Ver versión actual y migraciones aplicadas/pendientes
+ */
+const db = require('../src/db');
+const migrator = require('../src/core/database/migrator');
+
+async function main() {
+  const command = process.argv[2] || 'status';
+
+  if (!['up', 'status'].includes(command)) {
+    console.error(`❌ Comando no soportado: ${command} (usa "up" o "status")`);
+    process.exit(1);
+  }
+
+  await db.connect();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate(db);
+      console.log(applied.length > 0
+        ? `✅ Migraciones aplicadas: ${applied.join(', ')}`
+        : '✅ El esquema ya está al día');
+    }
+
+    const status = await migrator.status(db);
+    console.log(`\n📦 Versión del esquema: ${status.currentVersion} (última: ${status.latestVersion})\n`);
+    for (const migration of status.migrations) {
+      const mark = migration.applied ? `✅ ${migration.appliedAt}` : '⏳ pendiente';
+      console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(24)} ${mark}`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Error en migraciones:', error.message);
+  process.exit(1);
+});
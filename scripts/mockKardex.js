@@ -0,0 +1,47 @@
+/**
+ * Servidor mock de la API KARDEX para desarrollo sin conexión
+ * 
+ * Uso:
+ *   npm run mock:kardex
+ *   KARDEX_API_URL=http://127.0.0.1:4000/api npm start
+ * 
+ * Variables:
+ *   KARDEX_MOCK_PORT      Puerto (por defecto 4000)
+ *   KARDEX_MOCK_FIXTURES  Ruta a un JSON de datos (por defecto src/mock/fixtures/kardex.json)
+ *   KARDEX_MOCK_FAULTS    Lista JSON de fallas a activar al iniciar, ej:
+ *                         '[{"type":"error","method":"POST","path":"/ventas","times":1}]'
+ */
+const KardexMockServer = require('../src/mock/kardexMockServer');
+
+async function main() {
+  let faults = [];
+  if (process.env.KARDEX_MOCK_FAULTS) {
+    try {
+      faults = JSON.parse(process.env.KARDEX_MOCK_FAULTS);
+    } catch (error) {
+      console.error(`❌ KARDEX_MOCK_FAULTS no es JSON válido: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  const server = new KardexMockServer({
+    fixtures: process.env.KARDEX_MOCK_FIXTURES || undefined,
+    faults
+  });
+  const { url } = await server.start(parseInt(process.env.KARDEX_MOCK_PORT || '4000'));
+
+  console.log(`\n✅ Mock KARDEX listo. Apunta el bot con: KARDEX_API_URL=${url}`);
+  console.log(`🧨 Fallas: POST ${url.replace(/\/api$/, '')}/__mock/faults  |  Reiniciar datos: POST ${url.replace(/\/api$/, '')}/__mock/reset\n`);
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('❌ No se pudo iniciar el mock de KARDEX:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+/**
+ * Comparar versiones de un prompt con un dataset etiquetado (sin tocar la sesión de nadie)
+ * 
+ * Uso:
+ *   npm run prompt:eval -- --versions v1,v2
+ *   npm run prompt:eval -- --prompt order --versions v1,v2
+ *   npm run prompt:eval -- --prompt product-extraction --versions v1,v2 --file mi-dataset.json
+ * 
+ * Opciones:
+ *   --prompt nombre       Plantilla a evaluar: intent (por defecto), order o product-extraction
+ *   --versions v1,v2      Versiones a comparar; la primera es la referencia (por defecto la activa)
+ *   --file ruta.json      Dataset [{ "text": "...", "intent": "HACER_PEDIDO", "productos": [{ "nombre": "...", "cantidad": 2 }] }]
+ *                         (por defecto prompts/eval/dataset.json)
+ *   --show-mistakes       Listar los ejemplos fallados de cada versión
+ * 
+ * Usa los proveedores de LLM configurados (config.llm) para la tarea de cada
+ * plantilla (orders para order, queries para las demás).
+ * Imprime exactitud de intención y de extracción de productos por versión.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const promptRegistry = require('../src/core/ai/promptRegistry');
+const promptEvaluation = require('../src/core/ai/promptEvaluation');
+
+function parseArgs(argv) {
+  const options = { prompt: 'intent', versions: null, file: null, showMistakes: false };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--prompt': options.prompt = value; i++; break;
+      case '--versions': options.versions = value.split(',').map(version => version.trim()).filter(Boolean); i++; break;
+      case '--file': options.file = path.resolve(value); i++; break;
+      case '--show-mistakes': options.showMistakes = true; break;
+      default:
+        throw new Error(`Opción desconocida: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const template = promptRegistry.get(options.prompt);
+  const versions = options.versions || [template.active];
+  for (const version of versions) {
+    if (!template.versions[version]) {
+      throw new Error(`La plantilla ${options.prompt} no tiene la versión ${version} (hay: ${Object.keys(template.versions).join(', ')})`);
+    }
+  }
+
+  const file = options.file || path.join(promptRegistry.dir, 'eval', 'dataset.json');
+  const examples = JSON.parse(fs.readFileSync(file, 'utf8'));
+  console.log(`📚 ${examples.length} ejemplos de ${file}\n`);
+
+  const results = await promptEvaluation.compareVersions(options.prompt, versions, examples);
+  console.log(promptEvaluation.formatComparison(options.prompt, results));
+
+  if (options.showMistakes) {
+    for (const result of results) {
+      console.log(`\n❌ Fallos de ${result.version}:`);
+      for (const mistake of result.mistakes) {
+        console.log(`- "${mistake.text}": ${mistake.error || `esperado ${JSON.stringify(mistake.expected)}, obtenido ${JSON.stringify(mistake.got)}`}`);
+      }
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
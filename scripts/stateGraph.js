@@ -0,0 +1,18 @@
+/**
+ * Exportar el grafo de estados de la sesión
+ * 
+ * Uso:
+ *   npm run state-graph              # Mermaid (por defecto)
+ *   npm run state-graph -- dot       # Graphviz DOT
+ *   npm run state-graph -- dot > estados.dot && dot -Tpng estados.dot -o estados.png
+ */
+const sessionStateMachine = require('../src/core/session/sessionStateMachine');
+
+const format = (process.argv[2] || 'mermaid').toLowerCase();
+
+if (!['mermaid', 'dot'].includes(format)) {
+  console.error(`❌ Formato no soportado: ${format} (usa "mermaid" o "dot")`);
+  process.exit(1);
+}
+
+console.log(sessionStateMachine.toGraph(format));
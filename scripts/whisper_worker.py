@@ -0,0 +1,173 @@
+#!/usr/bin/env python3
+"""
+Worker persistente de Whisper: carga el modelo una sola vez y transcribe
+los audios que le llegan por stdin (lo lanza src/utils/whisperWorker.js)
+
+Protocolo: una línea JSON por mensaje
+  entrada:  {"id": 1, "type": "transcribe", "audio": "/ruta.wav", "language": "es",
+             "beam_size": 5, "best_of": 5, "temperature": 0.0, "initial_prompt": "...",
+             "word_timestamps": true, "hotwords": "Inca Kola, Costeño, ..."}
+            {"id": 2, "type": "ping"}
+  salida:   {"type": "ready", "backend": "...", "model": "...", "load_ms": 1234}
+            {"id": 1, "type": "segment", "start": 0.0, "end": 2.1, "text": "...",    (a medida que se decodifica)
+             "avg_logprob": -0.2, "no_speech_prob": 0.01,
+             "words": [{"word": "dos", "start": 0.0, "end": 0.4, "probability": 0.97}]}
+            {"id": 1, "type": "result", "text": "...", "language": "es", "duration": 4.2, "elapsed_ms": 900,
+             "segments": [...]}
+            {"id": 1, "type": "error", "error": "..."}
+            {"id": 2, "type": "pong"}
+  Si el modelo no se puede cargar escribe {"type": "fatal", "error": "..."} y termina.
+
+Backends: faster-whisper (pip install faster-whisper) u openai-whisper (pip install openai-whisper).
+hotwords (vocabulario del catálogo) solo lo usa faster-whisper; openai-whisper lo ignora.
+Los logs de las librerías van a stderr para no mezclarse con el protocolo.
+"""
+import argparse
+import inspect
+import json
+import sys
+import time
+
+PROTOCOL_OUT = sys.stdout
+sys.stdout = sys.stderr
+
+
+def emit(message):
+    PROTOCOL_OUT.write(json.dumps(message, ensure_ascii=False) + "\n")
+    PROTOCOL_OUT.flush()
+
+
+def decode_options(request):
+    return {
+        "language": request.get("language") or None,
+        "beam_size": int(request.get("beam_size") or 5),
+        "best_of": int(request.get("best_of") or 5),
+        "temperature": float(request.get("temperature") or 0.0),
+        "initial_prompt": request.get("initial_prompt") or None,
+        "condition_on_previous_text": True,
+        "compression_ratio_threshold": 2.4,
+        "no_speech_threshold": 0.6,
+        "patience": 1.0,
+        "word_timestamps": bool(request.get("word_timestamps")),
+    }
+
+
+def word_entry(word, start, end, probability):
+    return {"word": word.strip(), "start": round(start, 2), "end": round(end, 2), "probability": round(probability, 3)}
+
+
+class FasterWhisperBackend:
+    def __init__(self, args):
+        from faster_whisper import WhisperModel
+
+        self.model = WhisperModel(args.model, device=args.device, compute_type=args.compute_type)
+        # hotwords existe desde faster-whisper 1.0
+        self.supports_hotwords = "hotwords" in inspect.signature(self.model.transcribe).parameters
+
+    def transcribe(self, request, on_segment):
+        options = decode_options(request)
+        options["log_prob_threshold"] = -1.0
+        if self.supports_hotwords and request.get("hotwords"):
+            options["hotwords"] = request["hotwords"]
+        # Los segmentos son un generador: se emiten mientras se decodifica
+        segments, info = self.model.transcribe(request["audio"], vad_filter=True, **options)
+        results = []
+        for segment in segments:
+            entry = {
+                "start": round(segment.start, 2),
+                "end": round(segment.end, 2),
+                "text": segment.text.strip(),
+                "avg_logprob": segment.avg_logprob,
+                "no_speech_prob": segment.no_speech_prob,
+                "words": [word_entry(w.word, w.start, w.end, w.probability) for w in (segment.words or [])],
+            }
+            on_segment(entry)
+            results.append(entry)
+        text = " ".join(entry["text"] for entry in results if entry["text"])
+        return {"text": text, "language": info.language, "duration": round(info.duration, 2), "segments": results}
+
+
+class OpenAIWhisperBackend:
+    def __init__(self, args):
+        import whisper
+
+        device = None if args.device == "auto" else args.device
+        self.model = whisper.load_model(args.model, device=device)
+
+    def transcribe(self, request, on_segment):
+        options = decode_options(request)
+        options["logprob_threshold"] = -1.0
+        result = self.model.transcribe(request["audio"], verbose=None, fp16=self.model.device.type == "cuda", **options)
+        results = []
+        for segment in result.get("segments") or []:
+            entry = {
+                "start": round(segment["start"], 2),
+                "end": round(segment["end"], 2),
+                "text": segment["text"].strip(),
+                "avg_logprob": segment.get("avg_logprob"),
+                "no_speech_prob": segment.get("no_speech_prob"),
+                "words": [word_entry(w["word"], w["start"], w["end"], w["probability"]) for w in segment.get("words", [])],
+            }
+            on_segment(entry)
+            results.append(entry)
+        return {
+            "text": result.get("text", "").strip(),
+            "language": result.get("language"),
+            "duration": results[-1]["end"] if results else 0,
+            "segments": results,
+        }
+
+
+BACKENDS = {
+    "faster-whisper": FasterWhisperBackend,
+    "openai-whisper": OpenAIWhisperBackend,
+}
+
+
+def parse_args():
+    parser = argparse.ArgumentParser(description="Worker persistente de Whisper")
+    parser.add_argument("--backend", choices=sorted(BACKENDS), default="faster-whisper")
+    parser.add_argument("--model", default="large-v3")
+    parser.add_argument("--device", default="auto")
+    parser.add_argument("--compute-type", default="int8")
+    return parser.parse_args()
+
+
+def main():
+    args = parse_args()
+    started = time.time()
+    try:
+        backend = BACKENDS[args.backend](args)
+    except Exception as error:  # Librería no instalada, modelo no descargable, etc.
+        emit({"type": "fatal", "error": f"{args.backend}: {error}"})
+        return 1
+
+    emit({"type": "ready", "backend": args.backend, "model": args.model, "load_ms": int((time.time() - started) * 1000)})
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        try:
+            request = json.loads(line)
+        except ValueError:
+            emit({"id": None, "type": "error", "error": "JSON inválido"})
+            continue
+
+        request_id = request.get("id")
+        if request.get("type") == "ping":
+            emit({"id": request_id, "type": "pong"})
+            continue
+
+        started = time.time()
+        try:
+            result = backend.transcribe(request, lambda segment: emit({"id": request_id, "type": "segment", **segment}))
+            emit({"id": request_id, "type": "result", **result, "elapsed_ms": int((time.time() - started) * 1000)})
+        except Exception as error:
+            emit({"id": request_id, "type": "error", "error": str(error)})
+
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
@@ -8,105 +8,26 @@ const logger = require('./utils/logger');
 // Usar Baileys en lugar de whatsapp-web.js (más estable)
 const whatsappHandler = require('./whatsapp-baileys');
 const sessionManager = require('./sessionManager');
+const conversationEngine = require('./core/conversation/conversationEngine');
+const webchatTransport = require('./core/conversation/webchatTransport');
+const outboundQueue = require('./core/messaging/outboundQueue');
+const inboundQueue = require('./core/messaging/inboundQueue');
+const whisperWorker = require('./utils/whisperWorker');
+const createAdminRouter = require('./core/admin/adminRouter');
+const createWebchatRouter = require('./core/conversation/webchatRouter');
 
 const app = express();
 
+// Canales del motor de conversación (WhatsApp se registra al cargar whatsapp-baileys)
+conversationEngine.registerChannel('webchat', webchatTransport);
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Webchat REST: procesar mensajes desde el portal del cliente
-app.post('/webchat/message', async (req, res) => {
-  try {
-    const { sessionId, text } = req.body || {};
-    if (!text || typeof text !== 'string') {
-      return res.status(400).json({ success: false, message: 'text es requerido' });
-    }
-
-    const nlu = require('./nlu');
-    const orderHandler = require('./orderHandler');
-    const sessionManager = require('./sessionManager');
-
-    const webSessionId = sessionId || `web_${req.ip}`;
-    const phoneNumber = webSessionId; // usamos sessionId como identificador de canal web
-
-    // Asegurar sesión
-    await sessionManager.getSession(phoneNumber);
-    const session = await sessionManager.getSession(phoneNumber);
-    const conversationHistory = await sessionManager.getConversationHistory(phoneNumber, 15);
-
-    // Procesar NLU
-    const nluResult = await nlu.processMessage(text, { ...session.state, phoneNumber }, conversationHistory, false);
-
-    // Transportador web (captura mensajes en un array)
-    const outbound = [];
-    const webTransport = {
-      sendMessage: async (to, message) => {
-        outbound.push({ type: 'text', message });
-        return true;
-      },
-      sendImage: async (to, bufferOrPath, caption) => {
-        outbound.push({ type: 'image', caption });
-        return true;
-      }
-    };
-
-    // Ejecutar acciones del bot si existen
-    if (nluResult?.response?.action) {
-      const action = nluResult.response.action;
-      const actionData = nluResult.response;
-      switch (action) {
-        case 'init_order':
-          await orderHandler.initOrder(phoneNumber, webTransport);
-          break;
-        case 'add_products_to_order':
-          await orderHandler.addProductsToOrder(phoneNumber, actionData, webTransport);
-          break;
-        case 'view_order':
-          await orderHandler.viewOrder(phoneNumber, webTransport);
-          break;
-        case 'confirm_order':
-          await orderHandler.confirmOrder(phoneNumber, webTransport);
-          break;
-        case 'cancel_order':
-          await orderHandler.cancelOrder(phoneNumber, webTransport);
-          break;
-        case 'show_yape_payment':
-          await orderHandler.showYapePayment(phoneNumber, actionData.orderData, webTransport);
-          break;
-        case 'show_plin_payment':
-          await orderHandler.showPlinPayment(phoneNumber, actionData.orderData, webTransport);
-          break;
-        default:
-          // Si solo hay mensaje
-          if (nluResult.response?.message) {
-            outbound.push({ type: 'text', message: nluResult.response.message });
-          }
-      }
-    } else if (nluResult?.response?.message) {
-      outbound.push({ type: 'text', message: nluResult.response.message });
-    } else {
-      outbound.push({ type: 'text', message: '👋 *¡Hola!* 👋\n\n📋 *¿En qué puedo ayudarte?*\n\n🛍️ *Ver productos:* Escribe *CATALOGO*\n🛒 *Hacer pedido:* Escribe lo que necesitas\n💰 *Consultar precio:* "¿Cuánto cuesta X?"\n📊 *Ver pedido:* Escribe *ESTADO*\n❓ *Ayuda:* Escribe *AYUDA*\n\n💡 También puedes enviarme una nota de voz.' });
-    }
-
-    // Guardar interacción
-    await sessionManager.saveMessage(phoneNumber, 'text', text, false);
-    for (const msg of outbound) {
-      if (msg.type === 'text') {
-        await sessionManager.saveMessage(phoneNumber, 'text', msg.message, true);
-      }
-    }
-
-    res.json({
-      success: true,
-      messages: outbound,
-      state: await sessionManager.getSession(phoneNumber)
-    });
-  } catch (error) {
-    logger.error('Error en /webchat/message', error);
-    res.status(500).json({ success: false, message: 'Error procesando mensaje' });
-  }
-});
+// Usa el mismo motor de conversación que WhatsApp (login, registro, cancelaciones, etc.)
+app.use('/webchat', createWebchatRouter());
 
 // Endpoint de salud
 app.get('/health', (req, res) => {
@@ -121,122 +42,8 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Endpoint para forzar configuración de handlers (útil para debugging)
-app.post('/force-configure-handlers', async (req, res) => {
-  try {
-    const result = await whatsappHandler.forceConfigureHandlers();
-    const status = whatsappHandler.getStatus();
-    res.json({
-      success: result,
-      message: result ? 'Handlers configurados exitosamente' : 'No se pudieron configurar handlers',
-      connected: status.connected,
-      handlersConfigured: status.messageHandlersConfigured || false
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Endpoint para ver logs recientes (debugging)
-app.get('/debug/logs', (req, res) => {
-  // Este endpoint no puede capturar logs históricos, pero puede verificar estado
-  const status = whatsappHandler.getStatus();
-  res.json({
-    status: 'ok',
-    whatsapp: status,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Endpoint para verificar configuración de Ollama
-app.get('/debug/ollama', async (req, res) => {
-  try {
-    const ollamaClient = require('./utils/ollamaClient');
-    const isAvailable = await ollamaClient.isAvailable();
-    const modelAvailable = await ollamaClient.checkModel();
-    res.json({
-      ollamaAvailable: isAvailable,
-      modelAvailable: modelAvailable,
-      model: ollamaClient.model,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({
-      ollamaAvailable: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-// Endpoint para forzar verificación de conexión
-app.post('/force-check-connection', async (req, res) => {
-  try {
-    const result = await whatsappHandler.forceCheckConnection();
-    const status = whatsappHandler.getStatus();
-    res.json({
-      success: result,
-      message: result ? 'Conexión detectada y configurada' : 'No se pudo detectar conexión',
-      connected: status.connected,
-      handlersConfigured: status.messageHandlersConfigured || false
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Endpoint para probar envío de mensaje (útil para debugging)
-app.post('/test-send-message', async (req, res) => {
-  try {
-    const { phoneNumber, message } = req.body;
-    
-    if (!phoneNumber || !message) {
-      return res.status(400).json({
-        success: false,
-        error: 'phoneNumber y message son requeridos'
-      });
-    }
-    
-    if (!whatsappHandler.client) {
-      return res.status(500).json({
-        success: false,
-        error: 'Cliente de WhatsApp no está disponible'
-      });
-    }
-    
-    const result = await whatsappHandler.sendMessage(phoneNumber, message);
-    
-    res.json({
-      success: result,
-      message: result ? 'Mensaje enviado exitosamente' : 'No se pudo enviar el mensaje',
-      phoneNumber,
-      message
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Endpoint para verificar estado detallado
-app.get('/debug-status', async (req, res) => {
-  try {
-    const debugInfo = await whatsappHandler.getDebugInfo();
-    res.json(debugInfo);
-  } catch (error) {
-    res.status(500).json({
-      error: error.message
-    });
-  }
-});
+// API de administración (autenticada): sesiones, historial, envío manual y diagnóstico
+app.use('/admin', createAdminRouter({ whatsappHandler }));
 
 // Endpoint raíz
 app.get('/', (req, res) => {
@@ -246,7 +53,8 @@ app.get('/', (req, res) => {
     description: 'Chatbot de WhatsApp integrado con KARDEX',
     status: 'running',
     endpoints: {
-      health: '/health'
+      health: '/health',
+      admin: '/admin'
     }
   });
 });
@@ -287,10 +95,39 @@ async function initialize() {
     
     // Inicializar base de datos local (SQLite)
     logger.info('📦 Inicializando base de datos local (SQLite)...');
-    await db.initialize();
+    try {
+      await db.initialize();
+    } catch (error) {
+      // Sin esquema consistente no se puede atender mensajes: no continuar
+      logger.error('❌ No se pudo inicializar la base de datos local (¿migración fallida?)', error);
+      process.exit(1);
+    }
     logger.success('✅ Base de datos local inicializada');
     
-    // Warmup de Whisper para descargar/preparar el modelo (evita fallos SSL en primer uso)
+    // Cola persistente de mensajes salientes (reanuda lo pendiente de la ejecución anterior)
+    try {
+      await outboundQueue.start();
+    } catch (error) {
+      // Todas las respuestas salen por la cola: sin ella el bot no puede contestar
+      logger.error('❌ No se pudo iniciar la cola de mensajes salientes', error);
+      process.exit(1);
+    }
+    
+    // Diccionario de términos: archivo base más los agregados desde /admin/dictionary
+    try {
+      await require('./utils/dictionary').initialize();
+    } catch (e) {
+      logger.warn('⚠️ No se pudieron cargar los términos agregados al diccionario', e.message);
+    }
+    
+    // Clasificador local de intenciones (si no hay modelo entrenado se usan reglas)
+    try {
+      await require('./core/ai/intentClassifier').initialize();
+    } catch (e) {
+      logger.warn('⚠️ No se pudo cargar el clasificador de intenciones, se usarán reglas y LLM', e.message);
+    }
+    
+    // Worker persistente de Whisper: carga el modelo una vez (y lo descarga si falta)
     try {
       const whisper = require('./whisper');
       await whisper.ensureReady();
@@ -307,6 +144,17 @@ async function initialize() {
       logger.warn('⚠️ No se pudo conectar a MySQL de Kardex - Se usará solo API REST');
     }
     
+    // Índice semántico de productos: se calcula en segundo plano (solo lo nuevo o modificado)
+    if (config.semanticSearch.enabled) {
+      require('./utils/productEmbeddings').refresh().catch(e => {
+        logger.warn('⚠️ No se pudo preparar la búsqueda semántica', e.message);
+      });
+    }
+    
+    // Cola de mensajes entrantes, con todo lo que usa el motor ya listo. Lo que quedó
+    // sin procesar antes del reinicio se reencola al abrir la conexión de WhatsApp
+    await inboundQueue.start();
+    
     // Limpiar sesiones expiradas cada 10 minutos
     setInterval(async () => {
       await sessionManager.cleanExpiredSessions();
@@ -421,6 +269,9 @@ async function initialize() {
 process.on('SIGINT', async () => {
   logger.info('🛑 Recibida señal SIGINT, cerrando aplicación...');
   try {
+    outboundQueue.stop();
+    inboundQueue.stop();
+    whisperWorker.stop();
     await whatsappHandler.disconnect();
     await db.close();
     await kardexDb.close();
@@ -435,6 +286,9 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   logger.info('🛑 Recibida señal SIGTERM, cerrando aplicación...');
   try {
+    outboundQueue.stop();
+    inboundQueue.stop();
+    whisperWorker.stop();
     await whatsappHandler.disconnect();
     await db.close();
     await kardexDb.close();
@@ -2,9 +2,12 @@ const logger = require('./utils/logger');
 const kardexApi = require('./kardexApi');
 const kardexDb = require('./kardexDb');
 const config = require('../config/config');
-const productCache = require('./utils/productCache');
-const { normalize: normalizePhon, soundexEs } = require('./utils/phonetics');
+const productSearch = require('./utils/productSearch');
 const productSuggestions = require('./utils/productSuggestions');
+const dictionary = require('./utils/dictionary');
+
+// Por debajo de esta relevancia se ofrecen sugerencias en vez de resultados
+const MIN_SEARCH_RELEVANCE = 0.5;
 
 class BasicBot {
   constructor() {
@@ -15,14 +18,6 @@ class BasicBot {
       status: ['estado', 'status', 'mi pedido', 'pedido', 'orden', 'ver pedido', 'ver mi pedido', 'mostrar pedido', 'listar pedido', 'productos del pedido', 'qué tengo en el pedido', 'que tengo', 'qué tengo'],
       cancel: ['cancelar', 'cancel', 'no quiero', 'no gracias', 'salir', 'salirme', 'volver', 'volver atrás', 'volver atras', 'volver al inicio', 'inicio', 'empezar de nuevo', 'comenzar de nuevo', 'reiniciar', 'resetear', 'cerrar', 'terminar', 'acabar', 'parar', 'detener', 'mejor no', 'déjalo', 'dejalo', 'no importa', 'olvídalo', 'olvidalo', 'déjame en paz', 'déjame tranquilo', 'adiós', 'adios', 'chau', 'bye']
     };
-    this.categoryKeywords = [
-      // categorías comunes de tecnología
-      'laptop', 'laptops', 'notebook', 'portátil', 'portatiles',
-      'tecnologico', 'tecnologicos', 'tecnología',
-      'audifono', 'audifonos', 'auricular', 'auriculares',
-      'mouse', 'teclado', 'monitor', 'impresora', 'celular', 'celulares',
-      'sony', 'apple', 'samsung', 'xiaomi', 'lenovo', 'hp', 'dell'
-    ];
   }
 
   /**
@@ -42,7 +37,7 @@ class BasicBot {
         return this._handleGreeting(sessionState);
       
       case 'catalog':
-        return await this._handleCatalog();
+        return this._handleCatalog(text);
       
       case 'category_browse':
         return await this._handleCategoryOrSearch(text);
@@ -151,9 +146,9 @@ class BasicBot {
     if (catRegex.test(text)) {
       return 'category_browse';
     }
-    // Texto corto que coincide con palabras de categoría también dispara browse
+    // Texto corto que menciona un término del diccionario (producto, marca o categoría) también dispara browse
     const tokens = text.split(/\s+/).filter(Boolean);
-    if (tokens.length <= 4 && this.categoryKeywords.some(k => text.includes(k))) {
+    if (tokens.length <= 4 && dictionary.find(text).length > 0) {
       return 'category_browse';
     }
 
@@ -292,7 +287,7 @@ class BasicBot {
     try {
       const term = this._extractCategoryOrSearchTerm(text);
       if (!term) {
-        return await this._handleCatalog();
+        return this._handleCatalog(text);
       }
 
       let productos = await this._searchProductosSmart(term, { limit: 20 });
@@ -355,7 +350,7 @@ class BasicBot {
     if (m && m[1]) return m[1].trim();
     // Si no hay patrón, si el texto es corto y parece categoría, úsalo completo
     const tokens = s.split(/\s+/).filter(Boolean);
-    if (tokens.length <= 4 && this.categoryKeywords.some(k => s.includes(k))) {
+    if (tokens.length <= 4 && dictionary.find(s).length > 0) {
       return s.trim();
     }
     return null;
@@ -402,63 +397,10 @@ class BasicBot {
   }
 
   /**
-   * Manejar solicitud de catálogo
+   * Manejar solicitud de catálogo: se navega por categorías (core/conversation/catalogBrowser)
    */
-  async _handleCatalog() {
-    try {
-      let productos = null;
-      
-      // Intentar BD primero
-      if (kardexDb.isConnected()) {
-        productos = await kardexDb.getProductos({ activo: true, limit: 20 });
-      }
-      
-      // Si no hay resultados, usar API
-      if (!productos || productos.length === 0) {
-        productos = await kardexApi.getProductos({ activo: true, limit: 20 });
-      }
-      
-      if (!productos || productos.length === 0) {
-        return {
-          message: 'No hay productos disponibles.'
-        };
-      }
-      
-      let catalogMessage = '🛍️ *CATÁLOGO DE PRODUCTOS*\n\n';
-      catalogMessage += '*Productos destacados:*\n\n';
-      
-      for (const producto of productos.slice(0, 20)) {
-        const precio = typeof producto.precio_venta === 'number' 
-          ? producto.precio_venta.toFixed(2) 
-          : parseFloat(producto.precio_venta || 0).toFixed(2);
-        
-        catalogMessage += `• *${producto.nombre}*\n`;
-        catalogMessage += `  Precio: S/ ${precio} | Stock: ${producto.stock_actual > 0 ? '✅' : '❌'}\n\n`;
-      }
-      
-      if (productos.length > 20) {
-        catalogMessage += `_... y ${productos.length - 20} producto(s) más_\n\n`;
-      }
-      
-      catalogMessage += '💬 *Para pedir o ver más detalles:*\n';
-      catalogMessage += '• Escribe el nombre del producto\n';
-      catalogMessage += '• O envíalo por voz de forma natural\n';
-      catalogMessage += '• Ejemplo: *"quiero laptop HP"* o *"cuánto cuesta mouse"*\n\n';
-      catalogMessage += '💡 *Tips:*\n';
-      catalogMessage += '• Di *"productos baratos"* para ver opciones económicas\n';
-      catalogMessage += '• Di *"solo disponibles"* para ver productos con stock\n';
-      catalogMessage += '• Di *"menos de 500"* para filtrar por precio';
-      
-      return {
-        message: catalogMessage,
-        productos
-      };
-    } catch (error) {
-      logger.error('Error al obtener catálogo', error);
-      return {
-        message: 'No pude obtener el catálogo en este momento. Por favor, intenta más tarde.'
-      };
-    }
+  _handleCatalog(text = '') {
+    return { action: 'browse_catalog', data: { texto: text } };
   }
 
   /**
@@ -905,47 +847,19 @@ class BasicBot {
   }
 
   /**
-   * Búsqueda inteligente con fallback difuso (tokens + fonética)
+   * Búsqueda con el índice de productos (acentos, plurales, errores de tipeo y fonética)
    */
   async _searchProductosSmart(query, { limit = 20 } = {}) {
     const q = (query || '').toString().trim();
     if (!q) return [];
 
-    // 1) Intentar BD
-    if (kardexDb.isConnected()) {
-      try {
-        const dbRes = await kardexDb.buscarProductos(q, limit);
-        if (Array.isArray(dbRes) && dbRes.length > 0) return dbRes;
-      } catch (_) {}
-    }
-
-    // 2) Intentar API directa
     try {
-      const apiRes = await kardexApi.buscarProductos(q);
-      if (Array.isArray(apiRes) && apiRes.length > 0) return apiRes.slice(0, limit);
-    } catch (_) {}
-
-    // 3) Fallback: descargar listado parcial y aplicar índice local con fonética
-    try {
-      const listado = await kardexApi.getProductos({ activo: true, limit: 500 });
-      if (Array.isArray(listado) && listado.length > 0) {
-        productCache.indexProducts(listado, { normalize: normalizePhon, soundex: soundexEs });
-        const candidates = productCache.findCandidates(q, { normalize: normalizePhon, soundex: soundexEs, limit: limit * 2 });
-        // Reordenar candidatos por heurística de similitud simple
-        const nq = normalizePhon(q);
-        const scored = candidates.map(p => {
-          const name = normalizePhon(p.nombre || '');
-          const includes = name.includes(nq) ? 2 : 0;
-          const commonTokens = new Set(nq.split(' ').filter(Boolean).filter(t => name.includes(t))).size;
-          return { p, score: includes + commonTokens };
-        }).sort((a, b) => b.score - a.score);
-        return scored.map(s => s.p).slice(0, limit);
-      }
+      const hits = await productSearch.find(q, { limit, minRelevance: MIN_SEARCH_RELEVANCE });
+      return hits.map(hit => hit.producto);
     } catch (e) {
-      logger.warn('Fallback difuso falló', e.message);
+      logger.warn('Búsqueda de productos falló', e.message);
+      return [];
     }
-
-    return [];
   }
 }
 
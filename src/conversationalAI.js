@@ -1,45 +1,11 @@
-const ollamaClient = require('./utils/ollamaClient');
+const multiModelAI = require('./core/ai/multiModelAI');
+const promptRegistry = require('./core/ai/promptRegistry');
 const logger = require('./utils/logger');
-const kardexApi = require('./kardexApi');
-const kardexDb = require('./kardexDb');
+const productSearch = require('./utils/productSearch');
 const productExtractorAI = require('./productExtractorAI');
 
 class ConversationalAI {
   constructor() {
-    this.systemPrompt = `Eres un asistente de ventas inteligente de KARDEX. Cada cliente es único y se comunica de forma diferente.
-
-TU MISIÓN:
-Analizar CADA mensaje de forma individual, entendiendo:
-- Qué quiere decir el cliente realmente
-- Cuál es su necesidad específica
-- Cómo se está comunicando (formal, informal, urgente, etc.)
-- Qué información necesita en este momento exacto
-
-PRINCIPIOS FUNDAMENTALES:
-1. NO asumas que todos los clientes son iguales
-2. NO uses respuestas genéricas o memorizadas
-3. ANALIZA el contexto completo de cada mensaje
-4. ADAPTA tu respuesta al estilo y necesidad del cliente
-5. ENTIENDE antes de responder
-
-CONTEXTO DE KARDEX:
-- Vendemos productos tecnológicos y deportivos
-- Los clientes pueden consultar productos, precios, stock y hacer pedidos
-- Los mensajes pueden venir de transcripciones de voz (pueden tener errores)
-
-CÓMO RESPONDER:
-- Si el cliente pregunta por precio → Busca el producto y responde con precio específico
-- Si el cliente saluda → Saluda de forma natural, adaptándote a su tono
-- Si el cliente necesita ayuda → Analiza qué tipo de ayuda necesita y responde específicamente
-- Si no entiendes → Pregunta de forma clara, sin asumir
-
-IMPORTANTE:
-- Cada cliente es diferente, analiza cada mensaje como si fuera la primera vez
-- No memorices respuestas, piensa y analiza
-- Responde de forma útil, natural y personalizada
-
-Responde SIEMPRE en español.`;
-
     this.conversationContext = new Map(); // Para mantener contexto de conversaciones
   }
 
@@ -110,16 +76,10 @@ Responde SIEMPRE en español.`;
                 if (term.length < 2) continue;
                 logger.info(`Buscando con término alternativo: "${term}"`);
                 
-                let productos = null;
-                if (kardexDb.isConnected()) {
-                  productos = await kardexDb.buscarProductos(term, 3);
-                }
-                if (!productos || productos.length === 0) {
-                  productos = await kardexApi.buscarProductos(term);
-                }
+                const hits = await productSearch.find(term, { limit: 3 });
                 
-                if (productos && productos.length > 0) {
-                  const producto = productos[0];
+                if (hits.length > 0) {
+                  const producto = hits[0].producto;
                   const precio = typeof producto.precio_venta === 'number' 
                     ? producto.precio_venta.toFixed(2) 
                     : parseFloat(producto.precio_venta || 0).toFixed(2);
@@ -145,10 +105,10 @@ Responde SIEMPRE en español.`;
         }
       }
       
-      // Si no es consulta de producto, usar Ollama para respuesta conversacional
-      const isAvailable = await ollamaClient.isAvailable();
+      // Si no es consulta de producto, usar IA para respuesta conversacional
+      const isAvailable = await multiModelAI.isAvailable('conversation');
       if (!isAvailable) {
-        logger.warn('Ollama no disponible, usando respuesta básica');
+        logger.warn('IA no disponible, usando respuesta básica');
         return this._generateBasicResponse(userMessage, detectedIntent);
       }
 
@@ -191,8 +151,8 @@ Responde basándote en tu análisis individual de este cliente:`;
         intent: detectedIntent
       });
 
-      // Generar respuesta con Ollama - temperatura más alta para análisis creativo
-      const response = await ollamaClient.generate(prompt, this.systemPrompt, {
+      // Generar respuesta con IA - temperatura más alta para análisis creativo
+      const response = await multiModelAI.generate(prompt, this._systemPrompt(sessionState), 'conversation', {
         temperature: 0.8, // Más alta para análisis creativo, no memorización
         top_p: 0.95, // Mayor diversidad en respuestas
         top_k: 50 // Más opciones para elegir
@@ -366,12 +326,19 @@ Responde basándote en tu análisis individual de este cliente:`;
     return 'Entiendo. ¿En qué puedo ayudarte? Puedo mostrarte productos, ayudarte con pedidos o responder tus consultas. 😊';
   }
 
+  /**
+   * System prompt: plantilla "conversation" (prompts/conversation) en la versión de la sesión
+   */
+  _systemPrompt(sessionState) {
+    return promptRegistry.render('conversation', {}, { sessionKey: sessionState?.phoneNumber }).text;
+  }
+
   /**
    * Generar respuesta contextual para intenciones específicas
    */
   async generateContextualResponse(intent, userMessage, sessionState, conversationHistory) {
     try {
-      const isAvailable = await ollamaClient.isAvailable();
+      const isAvailable = await multiModelAI.isAvailable('conversation');
       if (!isAvailable) {
         return null; // Dejar que el bot básico maneje
       }
@@ -392,7 +359,7 @@ Responde basándote en tu análisis individual de este cliente:`;
           return null; // Dejar que el bot básico maneje
       }
 
-      const response = await ollamaClient.generate(contextPrompt, this.systemPrompt, {
+      const response = await multiModelAI.generate(contextPrompt, this._systemPrompt(sessionState), 'conversation', {
         temperature: 0.7,
         max_tokens: 150
       });
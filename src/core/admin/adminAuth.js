@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const config = require('../../../config/config');
+const logger = require('../../utils/logger');
+
+/**
+ * Autenticación y roles de la API de administración
+ * 
+ * Credenciales aceptadas:
+ * - API key: cabecera X-API-Key o Authorization: Bearer <clave>
+ *   (ADMIN_API_KEYS="clave1:admin,clave2:viewer")
+ * - JWT HS256 firmado con ADMIN_JWT_SECRET: Authorization: Bearer <token>
+ *   con claims { sub, role, exp } (ver scripts/adminToken.js)
+ * 
+ * Roles de menor a mayor permiso: viewer (consultar), operator (atender clientes)
+ * y admin (operar la conexión de WhatsApp). Cada rol incluye a los anteriores.
+ * 
+ * @module core/admin/adminAuth
+ */
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+/**
+ * Comparación en tiempo constante (sin filtrar la longitud por el tiempo)
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+class AdminAuth {
+  constructor() {
+    this.ROLES = ROLES;
+  }
+
+  /**
+   * API keys configuradas: [{ key, role, sub }]
+   * Se leen de config en cada uso para respetar cambios en caliente (pruebas)
+   */
+  getApiKeys() {
+    return (config.admin.apiKeys || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map((entry, index) => {
+        const separator = entry.lastIndexOf(':');
+        const key = separator > 0 ? entry.slice(0, separator) : entry;
+        const role = separator > 0 ? entry.slice(separator + 1) : 'viewer';
+        return { key, role, sub: `api-key#${index + 1}` };
+      })
+      .filter(({ role }) => {
+        if (!ROLES.includes(role)) {
+          logger.warn(`⚠️ [ADMIN] Rol desconocido en ADMIN_API_KEYS: "${role}" (use ${ROLES.join(', ')})`);
+          return false;
+        }
+        return true;
+      });
+  }
+
+  isEnabled() {
+    return this.getApiKeys().length > 0 || !!config.admin.jwtSecret;
+  }
+
+  /**
+   * Firmar un JWT para un operador
+   * 
+   * @param {object} claims - { sub, role }
+   * @param {number} [ttlSeconds] - Vigencia (config.admin.tokenTtlSeconds por defecto)
+   * @returns {string} Token
+   */
+  signToken({ sub, role }, ttlSeconds = config.admin.tokenTtlSeconds) {
+    if (!config.admin.jwtSecret) {
+      throw new Error('ADMIN_JWT_SECRET no está configurado');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Rol desconocido: ${role} (use ${ROLES.join(', ')})`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub, role, iat: now, exp: now + ttlSeconds }));
+    const signature = hmac(config.admin.jwtSecret, `${header}.${payload}`).toString('base64url');
+
+    return `${header}.${payload}.${signature}`;
+  }
+
+  /**
+   * Verificar un JWT
+   * 
+   * @returns {object|null} Claims si la firma es válida y no expiró
+   */
+  verifyToken(token) {
+    if (!config.admin.jwtSecret || typeof token !== 'string') {
+      return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    try {
+      const [header, payload, signature] = parts;
+      const expected = hmac(config.admin.jwtSecret, `${header}.${payload}`);
+      const received = Buffer.from(signature, 'base64url');
+      if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return null;
+      }
+
+      if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+        return null;
+      }
+
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000) || !ROLES.includes(claims.role)) {
+        return null;
+      }
+      return claims;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Identificar al operador de una petición
+   * 
+   * @returns {object|null} { sub, role, method }
+   */
+  identify(req) {
+    const authorization = req.get('authorization') || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    const apiKey = req.get('x-api-key') || bearer;
+
+    if (apiKey) {
+      const match = this.getApiKeys().find(({ key }) => safeEqual(key, apiKey));
+      if (match) {
+        return { sub: match.sub, role: match.role, method: 'apiKey' };
+      }
+    }
+
+    if (bearer) {
+      const claims = this.verifyToken(bearer);
+      if (claims) {
+        return { sub: claims.sub, role: claims.role, method: 'jwt' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Middleware: exige credenciales válidas y deja al operador en req.admin
+   */
+  authenticate() {
+    return (req, res, next) => {
+      if (!this.isEnabled()) {
+        return res.status(503).json({
+          success: false,
+          error: 'API de administración deshabilitada: configure ADMIN_API_KEYS o ADMIN_JWT_SECRET'
+        });
+      }
+
+      const admin = this.identify(req);
+      if (!admin) {
+        logger.warn(`🔒 [ADMIN] Acceso rechazado a ${req.method} ${req.originalUrl} desde ${req.ip}`);
+        return res.status(401).json({ success: false, error: 'Credenciales inválidas o ausentes' });
+      }
+
+      req.admin = admin;
+      next();
+    };
+  }
+
+  /**
+   * Middleware: exige al menos el rol indicado
+   */
+  requireRole(role) {
+    const required = ROLES.indexOf(role);
+    return (req, res, next) => {
+      if (!req.admin || ROLES.indexOf(req.admin.role) < required) {
+        return res.status(403).json({ success: false, error: `Se requiere rol ${role}` });
+      }
+      next();
+    };
+  }
+}
+
+module.exports = new AdminAuth();
@@ -0,0 +1,385 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const sessionManager = require('../../sessionManager');
+const outboundQueue = require('../messaging/outboundQueue');
+const { INTENTS } = require('../ai/intentModel');
+const intentResolver = require('../ai/intentResolver');
+const intentClassifier = require('../ai/intentClassifier');
+const multiModelAI = require('../ai/multiModelAI');
+const structuredOutput = require('../ai/structuredOutput');
+const promptRegistry = require('../ai/promptRegistry');
+const whisperWorker = require('../../utils/whisperWorker');
+const productSearch = require('../../utils/productSearch');
+const productEmbeddings = require('../../utils/productEmbeddings');
+const dictionary = require('../../utils/dictionary');
+const adminAuth = require('./adminAuth');
+
+/**
+ * Router de la API de administración (montado en /admin)
+ * 
+ * Todas las rutas exigen credenciales (ver core/admin/adminAuth):
+ * - viewer:   GET  /status (incluye el worker de Whisper y la búsqueda semántica), /ollama,
+ *                  /sessions y /sessions/:phone (sin token de KARDEX, código SMS ni contraseña del registro),
+ *                  /sessions/:phone/history, /intents/stats (cascada de intenciones por nivel), /llm (proveedores de LLM
+ *                  y fallas de validación de sus respuestas JSON), /prompts (plantillas y reparto A/B),
+ *                  /search (búsqueda de productos con puntaje y explicación de cada coincidencia),
+ *                  /dictionary (sinónimos, variantes regionales y errores comunes; ?text= para probar la corrección)
+ * - operator: POST /sessions/:phone/reset, /messages (envío manual), /dictionary (agregar término),
+ *             PUT /messages/:id/intent (etiquetar para el clasificador),
+ *             DELETE /dictionary/:id (quitar un término agregado desde aquí)
+ * - admin:    POST /whatsapp/configure-handlers, /whatsapp/check-connection,
+ *             /prompts/reload (releer plantillas de prompts), /dictionary/reload (releer dictionary/terms.json)
+ * 
+ * @module core/admin/adminRouter
+ */
+
+function parseLimit(value, fallback, max) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 1) {
+    return fallback;
+  }
+  return Math.min(parsed, max);
+}
+
+// Claves del contexto que nunca salen por la API: token de KARDEX, código SMS pendiente y contraseña del registro
+const SESSION_SECRETS = ['_user_token', '_sms_code', '_reg_password'];
+
+function withoutSecrets(values) {
+  return Object.fromEntries(Object.entries(values || {}).filter(([key]) => !SESSION_SECRETS.includes(key)));
+}
+
+/**
+ * Sesión para la API: el contexto por namespaces y la vista plana current_order sin secretos
+ */
+function serializeSession(session) {
+  const context = Object.fromEntries(
+    Object.entries(session.context || {}).map(([namespace, values]) => [namespace, withoutSecrets(values)])
+  );
+  const flat = withoutSecrets(session.current_order ? JSON.parse(session.current_order) : {});
+
+  return {
+    ...session,
+    context,
+    current_order: Object.keys(flat).length > 0 ? JSON.stringify(flat) : null
+  };
+}
+
+/**
+ * Crear el router
+ * 
+ * @param {object} deps
+ * @param {object} deps.whatsappHandler - Handler de WhatsApp (estado y envío de mensajes)
+ * @returns {express.Router}
+ */
+function createAdminRouter({ whatsappHandler }) {
+  const router = express.Router();
+
+  router.use(adminAuth.authenticate());
+
+  // Estado detallado de WhatsApp y de la cola de salida
+  router.get('/status', adminAuth.requireRole('viewer'), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        whatsapp: await whatsappHandler.getDebugInfo(),
+        outboundQueue: await outboundQueue.getStats(),
+        whisper: whisperWorker.health(),
+        semanticSearch: productEmbeddings.getStats(),
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error en /admin/status', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Verificar configuración de Ollama
+  router.get('/ollama', adminAuth.requireRole('viewer'), async (req, res) => {
+    try {
+      const ollamaClient = require('../../utils/ollamaClient');
+      const isAvailable = await ollamaClient.isAvailable();
+      const modelAvailable = await ollamaClient.checkModel();
+      res.json({
+        success: true,
+        ollamaAvailable: isAvailable,
+        modelAvailable: modelAvailable,
+        model: ollamaClient.model,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, ollamaAvailable: false, error: error.message });
+    }
+  });
+
+  // Salud de los proveedores de LLM, proveedor/modelo de cada tarea y fallas de validación por esquema
+  router.get('/llm', adminAuth.requireRole('viewer'), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        ...(await multiModelAI.health()),
+        structuredOutput: structuredOutput.getStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error en /admin/llm', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Plantillas de prompts: versiones, versión activa, reparto A/B y usos por versión
+  router.get('/prompts', adminAuth.requireRole('viewer'), (req, res) => {
+    try {
+      res.json({ success: true, templates: promptRegistry.list(), usage: promptRegistry.getStats() });
+    } catch (error) {
+      logger.error('Error en /admin/prompts', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Latencia y tasa de acierto por nivel de la cascada de intenciones (para ajustar el umbral)
+  router.get('/intents/stats', adminAuth.requireRole('viewer'), (req, res) => {
+    res.json({
+      success: true,
+      pipeline: intentResolver.getStats(),
+      classifier: intentClassifier.getStats()
+    });
+  });
+
+  // Probar la búsqueda de productos con su explicación (?q=&limit=&category=)
+  router.get('/search', adminAuth.requireRole('viewer'), async (req, res) => {
+    try {
+      const query = String(req.query.q || '').trim();
+      if (!query) {
+        return res.status(400).json({ success: false, error: 'Falta el parámetro q' });
+      }
+      const hits = await productSearch.find(query, {
+        limit: parseLimit(req.query.limit, 10, 50),
+        category: req.query.category || null
+      });
+      res.json({
+        success: true,
+        query,
+        results: hits.map(hit => ({ ...hit, explanation: productSearch.explain(hit) }))
+      });
+    } catch (error) {
+      logger.error('Error en /admin/search', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Términos del diccionario (archivo y agregados desde aquí); ?text= devuelve además el texto corregido
+  router.get('/dictionary', adminAuth.requireRole('viewer'), (req, res) => {
+    try {
+      const text = String(req.query.text || '').trim();
+      res.json({
+        success: true,
+        stats: dictionary.getStats(),
+        entries: dictionary.list(),
+        ...(text ? { text, corrected: dictionary.correct(text), found: dictionary.find(text) } : {})
+      });
+    } catch (error) {
+      logger.error('Error en /admin/dictionary', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Listar sesiones (?state=&limit=&offset=)
+  router.get('/sessions', adminAuth.requireRole('viewer'), async (req, res) => {
+    try {
+      const result = await sessionManager.listSessions({
+        state: req.query.state || null,
+        limit: parseLimit(req.query.limit, 50, 500),
+        offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+      });
+      res.json({ success: true, ...result, sessions: result.sessions.map(serializeSession) });
+    } catch (error) {
+      logger.error('Error en /admin/sessions', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Inspeccionar la sesión de un cliente
+  router.get('/sessions/:phone', adminAuth.requireRole('viewer'), async (req, res) => {
+    try {
+      const session = await sessionManager.findSession(req.params.phone);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Sesión no encontrada' });
+      }
+      res.json({ success: true, session: serializeSession(session) });
+    } catch (error) {
+      logger.error('Error en /admin/sessions/:phone', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Historial de mensajes de un cliente (?limit=)
+  router.get('/sessions/:phone/history', adminAuth.requireRole('viewer'), async (req, res) => {
+    try {
+      const messages = await sessionManager.getConversationHistory(
+        req.params.phone,
+        parseLimit(req.query.limit, 50, 500)
+      );
+      res.json({ success: true, phoneNumber: req.params.phone, messages });
+    } catch (error) {
+      logger.error('Error en /admin/sessions/:phone/history', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Reiniciar la sesión de un cliente (vuelve a idle y descarta el contexto)
+  router.post('/sessions/:phone/reset', adminAuth.requireRole('operator'), async (req, res) => {
+    try {
+      const session = await sessionManager.findSession(req.params.phone);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Sesión no encontrada' });
+      }
+
+      await sessionManager.clearSession(req.params.phone);
+      logger.info(`👤 [ADMIN] ${req.admin.sub} reinició la sesión de ${req.params.phone} (estado anterior: ${session.state})`);
+
+      res.json({ success: true, phoneNumber: req.params.phone, previousState: session.state });
+    } catch (error) {
+      logger.error('Error en /admin/sessions/:phone/reset', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Envío manual de un mensaje a un cliente (queda en su historial)
+  router.post('/messages', adminAuth.requireRole('operator'), async (req, res) => {
+    try {
+      const { phoneNumber, message } = req.body || {};
+
+      if (!phoneNumber || !message || typeof message !== 'string') {
+        return res.status(400).json({ success: false, error: 'phoneNumber y message son requeridos' });
+      }
+
+      const queued = await whatsappHandler.sendMessage(String(phoneNumber), message);
+      if (!queued) {
+        return res.status(502).json({ success: false, error: 'No se pudo encolar el mensaje' });
+      }
+
+      await sessionManager.saveMessage(String(phoneNumber), 'text', message, true);
+      logger.info(`👤 [ADMIN] ${req.admin.sub} envió un mensaje manual a ${phoneNumber}`);
+
+      res.json({ success: true, phoneNumber, message: 'Mensaje encolado para envío' });
+    } catch (error) {
+      logger.error('Error en /admin/messages', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Etiquetar la intención de un mensaje del historial (datos de entrenamiento)
+  router.put('/messages/:id/intent', adminAuth.requireRole('operator'), async (req, res) => {
+    try {
+      const { intent } = req.body || {};
+      if (!INTENTS.includes(intent)) {
+        return res.status(400).json({ success: false, error: `intent debe ser una de: ${INTENTS.join(', ')}` });
+      }
+
+      const labeled = await sessionManager.labelMessage(parseInt(req.params.id, 10), intent, 'manual');
+      if (!labeled) {
+        return res.status(404).json({ success: false, error: 'Mensaje de usuario no encontrado' });
+      }
+
+      logger.info(`👤 [ADMIN] ${req.admin.sub} etiquetó el mensaje #${req.params.id} como ${intent}`);
+      res.json({ success: true, id: parseInt(req.params.id, 10), intent });
+    } catch (error) {
+      logger.error('Error en /admin/messages/:id/intent', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Agregar un término al diccionario (se aplica sin reiniciar)
+  router.post('/dictionary', adminAuth.requireRole('operator'), async (req, res) => {
+    try {
+      const invalid = dictionary.validate(req.body);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+
+      const entry = await dictionary.addEntry(req.body, req.admin.sub);
+      logger.info(`👤 [ADMIN] ${req.admin.sub} agregó "${entry.term}" al diccionario (#${entry.id})`);
+      res.status(201).json({ success: true, entry });
+    } catch (error) {
+      logger.error('Error en /admin/dictionary', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Quitar un término agregado con POST /admin/dictionary (los del archivo se editan en dictionary/terms.json)
+  router.delete('/dictionary/:id', adminAuth.requireRole('operator'), async (req, res) => {
+    try {
+      const removed = await dictionary.removeEntry(parseInt(req.params.id, 10));
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'Término no encontrado' });
+      }
+
+      logger.info(`👤 [ADMIN] ${req.admin.sub} quitó el término #${req.params.id} del diccionario`);
+      res.json({ success: true, id: parseInt(req.params.id, 10) });
+    } catch (error) {
+      logger.error('Error en /admin/dictionary/:id', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Releer las plantillas de prompts (tras editar un archivo o el reparto A/B); si hay un error se conservan las anteriores
+  router.post('/prompts/reload', adminAuth.requireRole('admin'), (req, res) => {
+    try {
+      promptRegistry.reload();
+      logger.info(`👤 [ADMIN] ${req.admin.sub} recargó las plantillas de prompts`);
+      res.json({ success: true, templates: promptRegistry.list() });
+    } catch (error) {
+      logger.error('Error en /admin/prompts/reload', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Releer dictionary/terms.json y los términos agregados (si el archivo tiene un error se conservan los anteriores)
+  router.post('/dictionary/reload', adminAuth.requireRole('admin'), async (req, res) => {
+    try {
+      const stats = await dictionary.reload();
+      logger.info(`👤 [ADMIN] ${req.admin.sub} recargó el diccionario`);
+      res.json({ success: true, stats });
+    } catch (error) {
+      logger.error('Error en /admin/dictionary/reload', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Forzar configuración de handlers de WhatsApp
+  router.post('/whatsapp/configure-handlers', adminAuth.requireRole('admin'), async (req, res) => {
+    try {
+      const result = await whatsappHandler.forceConfigureHandlers();
+      const status = whatsappHandler.getStatus();
+      res.json({
+        success: result,
+        message: result ? 'Handlers configurados exitosamente' : 'No se pudieron configurar handlers',
+        connected: status.connected,
+        handlersConfigured: status.messageHandlersConfigured || false
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Forzar verificación de conexión
+  router.post('/whatsapp/check-connection', adminAuth.requireRole('admin'), async (req, res) => {
+    try {
+      const result = await whatsappHandler.forceCheckConnection();
+      const status = whatsappHandler.getStatus();
+      res.json({
+        success: result,
+        message: result ? 'Conexión detectada y configurada' : 'No se pudo detectar conexión',
+        connected: status.connected,
+        handlersConfigured: status.messageHandlersConfigured || false
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminRouter;
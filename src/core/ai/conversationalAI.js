@@ -1,4 +1,5 @@
-const ollamaClient = require('../../utils/ollamaClient');
+const multiModelAI = require('./multiModelAI');
+const promptRegistry = require('./promptRegistry');
 const logger = require('../../utils/logger');
 
 /**
@@ -10,48 +11,13 @@ const logger = require('../../utils/logger');
  * - Abstraer intención real aunque no esté expresada literalmente
  * - Procesar lenguaje coloquial y variaciones
  * 
+ * System prompt: plantilla "message-analysis" (prompts/message-analysis)
+ * 
  * @module core/ai/conversationalAI
  */
 
 class ConversationalAI {
   constructor() {
-    this.systemPrompt = `Eres un asistente de ventas conversacional, amigable y muy comprensivo de KARDEX.
-Tu función es entender la intención real del cliente, incluso si:
-- Escribe con errores ortográficos
-- Usa lenguaje coloquial o informal
-- Expresa su intención de forma indirecta o confusa
-- Mezcla múltiples intenciones en un solo mensaje
-
-Debes:
-1. Entender el mensaje completo, no solo palabras clave
-2. Identificar la intención principal aunque esté expresada indirectamente
-3. Ser tolerante con errores de escritura y pronunciación
-4. Abstraer la intención real aunque no esté explícita
-
-INTENCIONES POSIBLES:
-- "HACER_PEDIDO": Quiere comprar/agregar productos. Incluye: "quiero", "necesito", "dame", "me llevo", "comprar", "pedir", "agregar", "ponme", "traeme", "me gustaría", "quisiera", "estoy interesado", "vamos a comprar", "necesito comprar", "me interesa", "demen", "consigo", "me llevo"
-- "VER_CATALOGO": Pide la lista de productos. Incluye: "catálogo", "catalogo", "productos", "producto", "lista", "ver productos", "quiero ver", "muestrame", "muéstrame", "mostrar", "ver catálogo", "ver catalogo", "que tienen", "qué tienen", "que venden", "qué venden"
-- "VER_PRODUCTO": Pide info de un producto particular. Incluye: "info de", "detalles de", "qué es", "cuéntame de", "información de", "datos de", "características de"
-- "CONSULTAR_PRECIO": Pregunta el precio. Incluye: "cuánto cuesta", "cuanto cuesta", "precio", "vale", "cuesta", "a cuánto", "cuánto sale"
-- "CONSULTAR_STOCK": Pregunta disponibilidad. Incluye: "tienes", "hay", "disponible", "stock", "tienen", "queda", "tienes disponible", "hay disponible", "tienen stock", "hay stock", "queda stock", "tienes en stock", "hay en stock"
-- "VER_PEDIDO": Quiere ver su pedido actual. Incluye: "mi pedido", "pedido actual", "orden actual", "ver pedido actual", "que tengo", "qué tengo", "que pedi", "qué pedí", "ver mi pedido", "mostrar pedido", "listar pedido", "productos del pedido", "qué tengo en el pedido", "estado", "status", "ver pedido", "ver mi orden"
-- "CANCELAR": Quiere cancelar, salir, volver al inicio, empezar de nuevo, terminar. Incluye: "cancelar", "salir", "no quiero", "déjalo", "dejalo", "olvídalo", "olvidalo", "mejor no", "ya no", "no importa", "volver", "inicio", "empezar de nuevo"
-- "SALIR": Quiere salir, cancelar, volver. Sinónimos de CANCELAR
-- "VOLVER": Quiere volver al inicio, cancelar la operación actual. Sinónimos de CANCELAR
-- "SALUDO": Es un saludo (hola, buenos días, buenas tardes, buenas noches, hi, hello, qué tal, cómo estás)
-- "AYUDA": Pide ayuda o comandos disponibles. Incluye: "ayuda", "help", "qué puedo hacer", "opciones", "comandos", "cómo funciona"
-- "BUSCAR": Búsqueda de productos con filtros. Incluye: "buscar", "filtrar", "productos baratos", "menos de X", "con stock", "disponibles", "productos económicos", "productos caros", "productos entre X y Y", "solo disponibles", "solo con stock"
-- "OTRO": No encaja en lo anterior
-
-Responde SOLO con un JSON válido con este formato:
-{
-  "intencion": "HACER_PEDIDO" | "VER_CATALOGO" | "VER_PRODUCTO" | "CONSULTAR_PRECIO" | "CONSULTAR_STOCK" | "VER_PEDIDO" | "CANCELAR" | "SALIR" | "VOLVER" | "SALUDO" | "AYUDA" | "BUSCAR" | "OTRO",
-  "confianza": 0.0-1.0,
-  "razonamiento": "Breve explicación de por qué clasificaste así",
-  "productos_extraidos": ["lista de productos mencionados si hay"],
-  "preguntas_detectadas": ["preguntas que el cliente hace si hay"]
-}`;
-
     this.cache = new Map();
     this.cacheTTL = 2 * 60 * 1000; // 2 minutos
   }
@@ -106,9 +72,10 @@ Responde SOLO con un JSON válido con este formato:
       let result = null;
       
       try {
-        const response = await ollamaClient.generate(
+        const response = await multiModelAI.generate(
           prompt,
-          this.systemPrompt,
+          promptRegistry.render('message-analysis', {}, { sessionKey: context.phoneNumber }).text,
+          'conversation',
           {
             temperature: 0.3, // Baja temperatura para más consistencia
             timeout: 8000 // 8 segundos timeout
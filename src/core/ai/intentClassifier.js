@@ -1,22 +1,19 @@
-const { pipeline } = require('@xenova/transformers');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../../config/config');
 const logger = require('../../utils/logger');
+const intentModel = require('./intentModel');
 
 /**
- * Clasificador de intenciones usando DistilBERT
+ * Clasificador local de intenciones
  * 
- * Este módulo utiliza un modelo DistilBERT fine-tuned para clasificar rápidamente
- * las intenciones del usuario en mensajes de texto.
+ * Usa el modelo n-gramas de core/ai/intentModel entrenado con el historial de
+ * conversaciones etiquetado (npm run intent:train). Corre en CPU, sin servicios
+ * externos. Si no hay modelo entrenado, clasifica por palabras clave.
  * 
- * Intenciones soportadas:
- * - HACER_PEDIDO: Quiere comprar/agregar productos
- * - VER_CATALOGO: Pide lista de productos
- * - VER_PRODUCTO: Pide info de un producto específico
- * - CONSULTAR_PRECIO: Pregunta el precio
- * - CONSULTAR_STOCK: Pregunta disponibilidad
- * - VER_PEDIDO: Quiere ver su pedido actual
- * - CANCELAR: Quiere cancelar/salir
- * - AYUDA: Pide ayuda
- * - OTRO: No encaja en lo anterior
+ * Intenciones: las de intentResolver (HACER_PEDIDO, VER_CATALOGO, CONSULTAR_PRECIO,
+ * CONSULTAR_STOCK, BUSCAR_PRODUCTOS, VER_PEDIDO, CANCELAR_PEDIDO, CONFIRMAR_PEDIDO,
+ * REGISTRAR, LOGIN, MODIFICAR_PERFIL, AYUDA, SALUDO, OTRO)
  * 
  * @module core/ai/intentClassifier
  */
@@ -24,8 +21,7 @@ const logger = require('../../utils/logger');
 class IntentClassifier {
   constructor() {
     this.model = null;
-    this.tokenizer = null;
-    this.isLoading = false;
+    this.modelPath = path.resolve(__dirname, '..', '..', '..', config.intentClassifier.modelPath);
     this.isReady = false;
     this.fallbackEnabled = true;
     this.cache = new Map();
@@ -33,60 +29,54 @@ class IntentClassifier {
   }
 
   /**
-   * Inicializar el modelo DistilBERT
+   * Cargar el modelo entrenado desde disco
    * 
-   * @returns {Promise<boolean>} true si se inicializó correctamente
+   * @returns {Promise<boolean>} true si hay modelo cargado
    */
   async initialize() {
     if (this.isReady) {
       return true;
     }
 
-    if (this.isLoading) {
-      logger.info('Modelo ya está cargándose, esperando...');
-      return new Promise((resolve) => {
-        const checkInterval = setInterval(() => {
-          if (this.isReady) {
-            clearInterval(checkInterval);
-            resolve(true);
-          }
-        }, 1000);
-      });
-    }
-
     try {
-      this.isLoading = true;
-      logger.info('🔄 Cargando modelo DistilBERT para clasificación de intenciones...');
-
-      // Usar un modelo de clasificación de texto genérico
-      // En producción, se recomienda fine-tunear con datos específicos
-      this.classifier = await pipeline(
-        'text-classification',
-        'Xenova/distilbert-base-uncased-finetuned-sst-2-english',
-        {
-          device: 'cpu', // Usar CPU para compatibilidad
-          quantized: true // Usar versión cuantizada para menor uso de memoria
-        }
-      );
+      if (!fs.existsSync(this.modelPath)) {
+        logger.warn(`⚠️ No hay modelo de intenciones en ${this.modelPath} (npm run intent:train). Se usarán reglas`);
+        return false;
+      }
 
-      // Como el modelo es en inglés y para sentimientos, usamos reglas como fallback
-      // En el futuro se puede fine-tunear con datos en español
-      logger.warn('⚠️ Usando modelo genérico. Para mejor precisión, fine-tune con datos en español.');
-      
-      this.isReady = true;
-      this.isLoading = false;
-      logger.success('✅ Modelo DistilBERT cargado (modo fallback activado)');
-      
+      const model = JSON.parse(await fs.promises.readFile(this.modelPath, 'utf8'));
+      this.setModel(model);
+      logger.success(`✅ Modelo de intenciones cargado (${model.intents.length} intenciones, ${model.examples} ejemplos, ${model.trainedAt})`);
       return true;
     } catch (error) {
-      logger.error('❌ Error al cargar modelo DistilBERT:', error);
+      logger.error('❌ Error al cargar modelo de intenciones:', error);
       logger.warn('⚠️ Se usará clasificación por reglas como fallback');
       this.isReady = false;
-      this.isLoading = false;
       return false;
     }
   }
 
+  /**
+   * Usar un modelo ya cargado (entrenamiento en caliente y pruebas)
+   */
+  setModel(model) {
+    if (!model || model.version !== intentModel.MODEL_VERSION || !Array.isArray(model.intents)) {
+      throw new Error(`Modelo de intenciones incompatible (versión ${model?.version}, se espera ${intentModel.MODEL_VERSION})`);
+    }
+    this.model = model;
+    this.isReady = true;
+    this.cache.clear();
+  }
+
+  /**
+   * Guardar un modelo en disco (config.intentClassifier.modelPath)
+   */
+  async saveModel(model, modelPath = this.modelPath) {
+    await fs.promises.mkdir(path.dirname(modelPath), { recursive: true });
+    await fs.promises.writeFile(modelPath, JSON.stringify(model));
+    return modelPath;
+  }
+
   /**
    * Clasificar intención usando reglas (fallback cuando el modelo no está disponible)
    * 
@@ -102,16 +92,17 @@ class IntentClassifier {
                      'me gustaría', 'quisiera', 'estoy interesado', 'vamos a comprar', 'demen', 'consigo'],
       VER_CATALOGO: ['catálogo', 'catalogo', 'productos', 'producto', 'lista', 'ver productos', 'quiero ver', 
                      'muestrame', 'muéstrame', 'mostrar', 'que tienen', 'qué tienen', 'que venden', 'qué venden'],
-      VER_PRODUCTO: ['info de', 'detalles de', 'qué es', 'cuéntame de', 'información de', 'datos de', 
-                     'características de'],
+      BUSCAR_PRODUCTOS: ['buscar', 'busco', 'filtrar', 'baratos', 'económicos', 'menos de', 'info de',
+                         'detalles de', 'información de', 'características de'],
       CONSULTAR_PRECIO: ['cuánto cuesta', 'cuanto cuesta', 'precio', 'vale', 'cuesta', 'a cuánto', 'cuánto sale'],
       CONSULTAR_STOCK: ['tienes', 'hay', 'disponible', 'stock', 'tienen', 'queda', 'tienes disponible', 
                         'hay disponible', 'tienen stock', 'hay stock', 'queda stock'],
       VER_PEDIDO: ['mi pedido', 'pedido actual', 'orden actual', 'ver pedido actual', 'que tengo', 'qué tengo', 
                    'que pedi', 'qué pedí', 'ver mi pedido', 'mostrar pedido', 'estado', 'status', 'ver pedido'],
-      CANCELAR: ['cancelar', 'salir', 'no quiero', 'déjalo', 'dejalo', 'olvídalo', 'olvidalo', 'mejor no', 
+      CANCELAR_PEDIDO: ['cancelar', 'salir', 'no quiero', 'déjalo', 'dejalo', 'olvídalo', 'olvidalo', 'mejor no', 
                  'ya no', 'no importa', 'volver', 'inicio', 'empezar de nuevo'],
-      AYUDA: ['ayuda', 'help', 'qué puedo hacer', 'opciones', 'comandos', 'cómo funciona']
+      AYUDA: ['ayuda', 'help', 'qué puedo hacer', 'opciones', 'comandos', 'cómo funciona'],
+      SALUDO: ['hola', 'buenos días', 'buenas tardes', 'buenas noches', 'qué tal']
     };
 
     let bestIntent = 'OTRO';
@@ -171,22 +162,23 @@ class IntentClassifier {
         }
       }
 
-      // Intentar usar modelo si está disponible
       let result = null;
-      
-      if (this.isReady && this.classifier) {
+
+      if (this.isReady && this.model) {
         try {
-          // Como el modelo es genérico (sentimientos), usamos reglas como principal
-          // En el futuro se puede usar el modelo si está fine-tuned
-          result = this._classifyWithRules(text);
-          result.method = 'rules';
+          const [best, second] = intentModel.predict(this.model, text);
+          result = {
+            intent: best.intent,
+            confidence: best.probability,
+            alternative: second ? { intent: second.intent, confidence: second.probability } : null
+          };
+          result.method = 'model';
         } catch (modelError) {
           logger.warn('Error al usar modelo, usando reglas:', modelError.message);
           result = this._classifyWithRules(text);
           result.method = 'rules_fallback';
         }
       } else {
-        // Usar reglas directamente
         result = this._classifyWithRules(text);
         result.method = 'rules';
       }
@@ -248,7 +240,10 @@ class IntentClassifier {
   getStats() {
     return {
       isReady: this.isReady,
-      isLoading: this.isLoading,
+      modelPath: this.modelPath,
+      intents: this.model ? this.model.intents : [],
+      trainedAt: this.model ? this.model.trainedAt : null,
+      examples: this.model ? this.model.examples : 0,
       cacheSize: this.cache.size,
       fallbackEnabled: this.fallbackEnabled
     };
@@ -0,0 +1,332 @@
+/**
+ * Modelo de intenciones por n-gramas (JavaScript puro, CPU)
+ * 
+ * Regresión logística multiclase (softmax) sobre rasgos dispersos:
+ * - palabras y bigramas de palabras
+ * - trigramas de caracteres por palabra (tolera errores de tipeo y de transcripción:
+ *   "cuanto questa" comparte trigramas con "cuánto cuesta")
+ * 
+ * El texto se normaliza igual al entrenar y al predecir (minúsculas, sin tildes,
+ * sin signos y sin letras repetidas: "quierooo" → "quiero").
+ * 
+ * El modelo es un JSON serializable: { version, intents, vocabulary, weights, bias, ... }
+ * 
+ * @module core/ai/intentModel
+ */
+
+// Conjunto de intenciones de intentResolver
+const INTENTS = [
+  'VER_CATALOGO',
+  'CONSULTAR_PRECIO',
+  'CONSULTAR_STOCK',
+  'BUSCAR_PRODUCTOS',
+  'HACER_PEDIDO',
+  'VER_PEDIDO',
+  'CANCELAR_PEDIDO',
+  'CONFIRMAR_PEDIDO',
+  'REGISTRAR',
+  'LOGIN',
+  'MODIFICAR_PERFIL',
+  'AYUDA',
+  'SALUDO',
+  'OTRO'
+];
+
+const MODEL_VERSION = 1;
+
+const DEFAULT_TRAINING = {
+  epochs: 40,
+  learningRate: 0.5,
+  l2: 0.0001,
+  minFeatureCount: 1,
+  seed: 42
+};
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/([a-z])\1{2,}/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Rasgos de un texto (sin repetir)
+ */
+function extractFeatures(text) {
+  const tokens = normalizeText(text).split(' ').filter(Boolean);
+  const features = new Set();
+
+  tokens.forEach((token, index) => {
+    features.add(`w:${token}`);
+    if (index > 0) {
+      features.add(`b:${tokens[index - 1]} ${token}`);
+    }
+    if (token.length >= 3) {
+      const padded = `#${token}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        features.add(`c:${padded.slice(i, i + 3)}`);
+      }
+    }
+  });
+
+  return [...features];
+}
+
+/**
+ * Índices de los rasgos conocidos por el modelo
+ */
+function vectorize(vocabulary, text) {
+  const indices = [];
+  for (const feature of extractFeatures(text)) {
+    const index = vocabulary[feature];
+    if (index !== undefined) {
+      indices.push(index);
+    }
+  }
+  return indices;
+}
+
+function softmax(scores) {
+  const max = Math.max(...scores);
+  const exps = scores.map(score => Math.exp(score - max));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  return exps.map(value => value / sum);
+}
+
+function scoresFor(model, indices) {
+  // Rasgos binarios normalizados: textos largos no dominan por cantidad de palabras
+  const value = indices.length > 0 ? 1 / Math.sqrt(indices.length) : 0;
+  return model.intents.map((intent, k) => {
+    let score = model.bias[k];
+    const weights = model.weights[k];
+    for (const index of indices) {
+      score += weights[index] * value;
+    }
+    return score;
+  });
+}
+
+/**
+ * Probabilidad por intención, de mayor a menor
+ * 
+ * @returns {Array<{intent: string, probability: number}>}
+ */
+function predict(model, text) {
+  const probabilities = softmax(scoresFor(model, vectorize(model.vocabulary, text)));
+  return model.intents
+    .map((intent, k) => ({ intent, probability: probabilities[k] }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+// Generador pseudoaleatorio con semilla (entrenamientos reproducibles)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Entrenar un modelo
+ * 
+ * @param {Array<{text: string, intent: string}>} examples - Ejemplos etiquetados
+ * @param {object} [options] - { epochs, learningRate, l2, minFeatureCount, seed }
+ * @returns {object} Modelo serializable
+ */
+function train(examples, options = {}) {
+  const settings = { ...DEFAULT_TRAINING, ...options };
+  const valid = examples.filter(example => INTENTS.includes(example.intent) && normalizeText(example.text));
+
+  const intents = INTENTS.filter(intent => valid.some(example => example.intent === intent));
+  if (intents.length < 2) {
+    throw new Error(`Se necesitan ejemplos de al menos 2 intenciones (hay ${intents.length})`);
+  }
+
+  // Vocabulario: rasgos que aparecen en al menos minFeatureCount ejemplos
+  const counts = new Map();
+  for (const example of valid) {
+    for (const feature of extractFeatures(example.text)) {
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+  }
+  const vocabulary = {};
+  let size = 0;
+  for (const [feature, count] of counts) {
+    if (count >= settings.minFeatureCount) {
+      vocabulary[feature] = size++;
+    }
+  }
+
+  const model = {
+    version: MODEL_VERSION,
+    intents,
+    vocabulary,
+    weights: intents.map(() => new Array(size).fill(0)),
+    bias: intents.map(() => 0)
+  };
+
+  const samples = valid.map(example => ({
+    indices: vectorize(vocabulary, example.text),
+    target: intents.indexOf(example.intent)
+  }));
+
+  // Descenso de gradiente estocástico con tasa decreciente
+  const random = createRandom(settings.seed);
+  for (let epoch = 0; epoch < settings.epochs; epoch++) {
+    const rate = settings.learningRate / (1 + epoch * 0.1);
+
+    for (const sample of shuffle(samples, random)) {
+      const value = sample.indices.length > 0 ? 1 / Math.sqrt(sample.indices.length) : 0;
+      const probabilities = softmax(scoresFor(model, sample.indices));
+
+      for (let k = 0; k < intents.length; k++) {
+        const gradient = probabilities[k] - (k === sample.target ? 1 : 0);
+        const weights = model.weights[k];
+        model.bias[k] -= rate * gradient;
+        for (const index of sample.indices) {
+          weights[index] -= rate * (gradient * value + settings.l2 * weights[index]);
+        }
+      }
+    }
+  }
+
+  // Redondear para un JSON más liviano
+  model.weights = model.weights.map(row => row.map(weight => Math.round(weight * 1e5) / 1e5));
+  model.bias = model.bias.map(weight => Math.round(weight * 1e5) / 1e5);
+  model.trainedAt = new Date().toISOString();
+  model.examples = valid.length;
+
+  return model;
+}
+
+/**
+ * Evaluar un modelo contra ejemplos etiquetados
+ * 
+ * @returns {object} { accuracy, total, macro: {precision, recall, f1}, perIntent: {INTENT: {precision, recall, f1, support}}, confusion }
+ */
+function evaluate(model, examples) {
+  const valid = examples.filter(example => INTENTS.includes(example.intent) && normalizeText(example.text));
+  const labels = [...new Set([...model.intents, ...valid.map(example => example.intent)])];
+  const stats = {};
+  const confusion = {};
+  for (const intent of labels) {
+    stats[intent] = { tp: 0, fp: 0, fn: 0, support: 0 };
+    confusion[intent] = {};
+  }
+
+  let correct = 0;
+  for (const example of valid) {
+    const predicted = predict(model, example.text)[0].intent;
+    stats[example.intent].support++;
+    confusion[example.intent][predicted] = (confusion[example.intent][predicted] || 0) + 1;
+
+    if (predicted === example.intent) {
+      correct++;
+      stats[predicted].tp++;
+    } else {
+      stats[predicted].fp++;
+      stats[example.intent].fn++;
+    }
+  }
+
+  const perIntent = {};
+  for (const intent of labels) {
+    const { tp, fp, fn, support } = stats[intent];
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    perIntent[intent] = { precision, recall, f1, support };
+  }
+
+  // Promedio macro solo sobre intenciones con ejemplos de evaluación
+  const evaluated = labels.filter(intent => perIntent[intent].support > 0);
+  const average = key => evaluated.length > 0
+    ? evaluated.reduce((total, intent) => total + perIntent[intent][key], 0) / evaluated.length
+    : 0;
+
+  return {
+    total: valid.length,
+    accuracy: valid.length > 0 ? correct / valid.length : 0,
+    macro: { precision: average('precision'), recall: average('recall'), f1: average('f1') },
+    perIntent,
+    confusion
+  };
+}
+
+/**
+ * Separar ejemplos en entrenamiento y prueba, estratificado por intención
+ * Las intenciones con un solo ejemplo quedan solo en entrenamiento
+ */
+function splitExamples(examples, testRatio = 0.2, seed = DEFAULT_TRAINING.seed) {
+  const random = createRandom(seed);
+  const byIntent = new Map();
+  for (const example of examples) {
+    if (!byIntent.has(example.intent)) {
+      byIntent.set(example.intent, []);
+    }
+    byIntent.get(example.intent).push(example);
+  }
+
+  const trainSet = [];
+  const testSet = [];
+  for (const group of byIntent.values()) {
+    const shuffled = shuffle(group, random);
+    const testCount = group.length > 1 ? Math.max(1, Math.round(group.length * testRatio)) : 0;
+    testSet.push(...shuffled.slice(0, testCount));
+    trainSet.push(...shuffled.slice(testCount));
+  }
+
+  return { train: trainSet, test: testSet };
+}
+
+/**
+ * Reporte de texto con precisión y recall por intención
+ */
+function formatReport(metrics) {
+  const percent = value => `${(value * 100).toFixed(1)}%`.padStart(7);
+  const lines = [
+    `${'Intención'.padEnd(18)} ${'Precisión'.padStart(9)} ${'Recall'.padStart(7)} ${'F1'.padStart(7)} ${'Ejemplos'.padStart(8)}`,
+    '-'.repeat(53)
+  ];
+
+  const intents = Object.keys(metrics.perIntent).sort((a, b) => INTENTS.indexOf(a) - INTENTS.indexOf(b));
+  for (const intent of intents) {
+    const { precision, recall, f1, support } = metrics.perIntent[intent];
+    lines.push(`${intent.padEnd(18)} ${percent(precision).padStart(9)} ${percent(recall)} ${percent(f1)} ${String(support).padStart(8)}`);
+  }
+
+  lines.push('-'.repeat(53));
+  lines.push(`${'Promedio macro'.padEnd(18)} ${percent(metrics.macro.precision).padStart(9)} ${percent(metrics.macro.recall)} ${percent(metrics.macro.f1)} ${String(metrics.total).padStart(8)}`);
+  lines.push(`Exactitud: ${percent(metrics.accuracy).trim()}`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  INTENTS,
+  MODEL_VERSION,
+  normalizeText,
+  extractFeatures,
+  predict,
+  train,
+  evaluate,
+  splitExamples,
+  formatReport
+};
@@ -1,83 +1,108 @@
-const multiModelAI = require('./multiModelAI');
+const structuredOutput = require('./structuredOutput');
+const promptRegistry = require('./promptRegistry');
+const intentClassifier = require('./intentClassifier');
+const sessionManager = require('../../sessionManager');
+const { INTENTS, normalizeText } = require('./intentModel');
+const textParser = require('../../utils/textParser');
+const dictionary = require('../../utils/dictionary');
+const config = require('../../../config/config');
 const logger = require('../../utils/logger');
 
 /**
  * Resolver de Intenciones con IA
  * 
- * Resuelve la intención del mensaje usando IA y extrae parámetros estructurados.
+ * Resuelve la intención del mensaje y extrae parámetros estructurados.
  * Determina qué queries necesitan ejecutarse en la base de datos.
+ * 
+ * Resolución en cascada (cada resultado lleva `tier` con el nivel que lo produjo):
+ * 1. rules:      comandos exactos ("CATALOGO", "SI") y palabras clave sin ambigüedad
+ * 2. classifier: modelo local de intentClassifier (milisegundos, CPU)
+ * 3. llm:        Ollama, solo si los niveles anteriores no alcanzan
+ *                config.intentClassifier.confidenceThreshold
+ * 4. fallback:   palabras clave cuando el LLM falla
+ * 
+ * Latencia y tasa de acierto por nivel en getStats() (GET /admin/intents/stats).
+ * 
+ * Los mensajes compuestos ("quita el aceite, agrega 3 leches y confirma") se
+ * separan antes con resolveActions() en una lista ordenada de acciones.
  */
+
+// Mensajes completos que son comandos (texto normalizado con intentModel.normalizeText)
+const COMMANDS = {
+  VER_CATALOGO: ['catalogo', 'ver catalogo', 'el catalogo', 'productos', 'ver productos', 'lista de productos'],
+  VER_PEDIDO: ['mi pedido', 'ver pedido', 'ver mi pedido', 'pedido actual', 'estado de mi pedido'],
+  CANCELAR_PEDIDO: ['cancelar', 'cancela', 'cancelar pedido', 'salir'],
+  CONFIRMAR_PEDIDO: ['si', 'confirmo', 'confirmar', 'confirmar pedido', 'ok', 'okey', 'okay', 'acepto'],
+  AYUDA: ['ayuda', 'help', 'comandos', 'opciones'],
+  SALUDO: ['hola', 'hi', 'buenas', 'hola buenas', 'buenos dias', 'buenas tardes', 'buenas noches', 'que tal']
+};
+
+// "quiero"/"necesito" también introducen cancelaciones, consultas del pedido, cambios de
+// datos, registro, inicio de sesión y negaciones: con estas palabras decide el clasificador o el LLM
+const NOT_AN_ORDER = /\b(no|nada|cancel\w*|anul\w*|ver|mi pedido|cambi\w*|actualiz\w*|direccion|telefono|correo|email|nombre|datos|perfil|registr\w*|sesion|login|cuenta)\b/;
+
+// Palabras clave: solo deciden si una única intención coincide (unless descarta la regla)
+const KEYWORD_RULES = [
+  { intent: 'CONSULTAR_PRECIO', pattern: /\b(cuanto cuesta|cuanto vale|cuanto sale|a cuanto|precio)\b/ },
+  { intent: 'CONSULTAR_STOCK', pattern: /\b(tienes|tienen|hay|disponible|stock)\b/ },
+  { intent: 'HACER_PEDIDO', pattern: /\b(quiero|necesito|dame|ponme|traeme|comprar|pedir|agregar|agrega)\b/, unless: NOT_AN_ORDER },
+  { intent: 'VER_CATALOGO', pattern: /\b(catalogo|productos|muestrame)\b/ },
+  { intent: 'AYUDA', pattern: /\b(ayuda|que puedo hacer)\b/ }
+];
+
+const COMMAND_CONFIDENCE = 1;
+const KEYWORD_CONFIDENCE = 0.85;
+
+// Intenciones cuyos parámetros se pueden armar sin LLM
+const LOCAL_INTENTS = [
+  'VER_CATALOGO', 'CONSULTAR_PRECIO', 'CONSULTAR_STOCK', 'BUSCAR_PRODUCTOS', 'HACER_PEDIDO',
+  'VER_PEDIDO', 'CANCELAR_PEDIDO', 'CONFIRMAR_PEDIDO', 'AYUDA', 'SALUDO'
+];
+
+const CONFIRMABLE_STATES = ['awaiting_confirmation', 'pedido_en_proceso'];
+
+const TIERS = ['rules', 'classifier', 'llm', 'fallback', 'cache'];
+
+// Verbos que abren cada parte de un mensaje compuesto (texto normalizado)
+const ACTION_VERBS = {
+  add: ['agrega', 'agregame', 'agregale', 'agregar', 'anade', 'anademe', 'anadir', 'suma', 'sumale', 'pon', 'ponme',
+    'ponle', 'mete', 'metele', 'dame', 'deme', 'quiero', 'necesito', 'traeme', 'mandame'],
+  remove: ['quita', 'quitame', 'quitale', 'quitar', 'saca', 'sacame', 'sacale', 'elimina', 'eliminar', 'borra', 'borrame', 'retira'],
+  update: ['cambia', 'cambiame', 'cambiar', 'modifica', 'modificar', 'deja', 'dejame'],
+  view: ['muestrame', 'muestra', 'ensename', 'ver', 'mira', 'revisa', 'dime'],
+  confirm: ['confirma', 'confirmalo', 'confirmo', 'confirmar', 'cierra', 'cierralo', 'finaliza']
+};
+
+// "ver", "muestrame"... solo cuentan si hablan del pedido (textCorrector puede dejar "pedidoss")
+const ORDER_WORD = /^(pedido|carrito|orden|compra)s*$/;
+
+// Conectores y muletillas que sobran al final de cada parte
+const CONNECTORS = ['y', 'e', 'luego', 'despues', 'tambien', 'ademas', 'entonces', 'porfa', 'por', 'favor', 'pues', 'ya'];
+
+const FILLER_WORDS = ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'mi', 'me', 'lo', 'al'];
+
+// "cambia mi teléfono a 987654321" edita el perfil, no la cantidad de un producto
+const PROFILE_FIELDS = ['telefono', 'celular', 'numero', 'direccion', 'email', 'correo', 'nombre', 'contrasena', 'clave'];
+
+const STEP_ACTIONS = {
+  add: 'add_products_to_order',
+  remove: 'remove_product',
+  update: 'update_product_quantity',
+  view: 'view_order',
+  confirm: 'confirm_order'
+};
+
 class IntentResolver {
   constructor() {
-    this.systemPrompt = `Eres un asistente inteligente que entiende todas las intenciones del usuario en un chatbot de ventas de KARDEX.
-
-IMPORTANTE:
-- Entiende el lenguaje natural y conversacional. El usuario puede hablar de forma coloquial, con errores de pronunciación (especialmente en voz), o de manera informal.
-- Si el usuario dice cosas como "mm", "ehh", "ahh", "um", ignóralas (son pausas de voz).
-- Si el usuario usa variaciones de palabras (ej: "lapto" en vez de "laptop", "maus" en vez de "mouse"), entiéndelas correctamente.
-- Sé tolerante con errores de transcripción de voz y malas pronunciaciones.
-
-INTENCIONES POSIBLES:
-- VER_CATALOGO: Quiere ver productos disponibles. Incluye: "catálogo", "catalogo", "productos", "lista", "ver productos", "muestrame", "mostrar"
-- CONSULTAR_PRECIO: Pregunta precio de un producto. Incluye: "cuánto cuesta", "precio", "vale", "a cuánto"
-- CONSULTAR_STOCK: Pregunta disponibilidad de producto. Incluye: "tienes", "hay", "disponible", "stock"
-- BUSCAR_PRODUCTOS: Busca productos con filtros o términos. Incluye: "buscar", "filtrar", "productos baratos", "menos de X", "con stock", "productos económicos", "solo disponibles"
-- HACER_PEDIDO: Quiere comprar/agregar productos. Incluye: "quiero", "necesito", "dame", "comprar", "pedir", "agregar", "ponme", "traeme"
-- VER_PEDIDO: Quiere ver su pedido actual. Incluye: "mi pedido", "pedido actual", "estado", "ver pedido"
-- CANCELAR_PEDIDO: Quiere cancelar pedido. Incluye: "cancelar", "salir", "no quiero", "olvídalo", "cancelar pedido"
-- CONFIRMAR_PEDIDO: Quiere confirmar su pedido. Incluye: "confirmar", "confirmo", "si", "sí", "ok", "okey", "okay", "acepto", "confirmar pedido"
-- REGISTRAR: Quiere registrarse. Incluye: "registrar", "registrarme", "crear cuenta"
-- LOGIN: Quiere iniciar sesión. Incluye: "login", "ingresar", "iniciar sesión", "mi cuenta"
-- MODIFICAR_PERFIL: Quiere actualizar datos. Incluye: "modificar perfil", "cambiar datos", "actualizar"
-- AYUDA: Pide ayuda. Incluye: "ayuda", "help", "qué puedo hacer", "comandos"
-- SALUDO: Saluda. Incluye: "hola", "hi", "buenos días", "qué tal"
-- OTRO: No encaja en lo anterior
-
-QUERIES DISPONIBLES:
-- getProductos: Obtener catálogo de productos (requiere: filters)
-- buscarProductos: Buscar productos por término (requiere: term, limit)
-- getProducto: Obtener un producto específico (requiere: nombre o id)
-- getCliente: Obtener datos de cliente (requiere: phone)
-- getPedido: Obtener estado de pedido (requiere: pedidoId o phoneNumber)
-- verificarStock: Verificar stock de productos (requiere: productos)
-
-Responde SOLO con JSON válido (sin texto adicional, sin markdown):
-{
-  "intencion": "VER_CATALOGO | CONSULTAR_PRECIO | CONSULTAR_STOCK | BUSCAR_PRODUCTOS | HACER_PEDIDO | VER_PEDIDO | CANCELAR_PEDIDO | CONFIRMAR_PEDIDO | REGISTRAR | LOGIN | MODIFICAR_PERFIL | AYUDA | SALUDO | OTRO",
-  "confianza": 0.0-1.0,
-  "parametros": {
-    "producto": "nombre del producto si aplica",
-    "productos": [{"nombre": "texto exacto", "cantidad": número}],
-    "cantidad": número si aplica,
-    "termino": "término de búsqueda si aplica",
-    "filtros": {
-      "precioMaximo": número o null,
-      "precioMinimo": número o null,
-      "soloDisponibles": boolean,
-      "categoria": "string o null"
-    },
-    "pedidoId": número o null,
-    "phoneNumber": "string o null"
-  },
-  "queryNecesaria": "getProductos | buscarProductos | getProducto | verificarStock | getCliente | getPedido | null",
-  "queryParams": {
-    "filters": object si aplica,
-    "term": string si aplica,
-    "limit": número si aplica,
-    "nombre": string si aplica,
-    "phone": string si aplica,
-    "pedidoId": número si aplica
-  },
-  "action": "add_products_to_order | view_order | cancel_order | init_order | confirm_order | show_yape_payment | show_plin_payment | remove_product | update_product_quantity | view_order_history | modify_profile | null",
-  "notas": "string opcional con notas adicionales"
-}`;
-    
     this.cache = new Map();
     this.cacheTTL = 2 * 60 * 1000; // 2 minutos
+    this.resetStats();
   }
 
   /**
-   * Resolver intención del mensaje
+   * Resolver intención del mensaje (reglas → clasificador local → LLM)
+   * 
+   * @returns {Promise<object>} { intencion, confianza, parametros, queryNecesaria, queryParams, action, tier }
    */
   async resolve(text, sessionState = {}, conversationHistory = []) {
     try {
@@ -88,211 +113,468 @@ Responde SOLO con JSON válido (sin texto adicional, sin markdown):
           parametros: {},
           queryNecesaria: null,
           queryParams: {},
-          action: null
+          action: null,
+          tier: 'rules'
         };
       }
 
-      // Verificar cache
-      const cacheKey = `intent_${text.toLowerCase().trim().substring(0, 50)}`;
+      this.stats.total++;
+      const threshold = config.intentClassifier.confidenceThreshold;
+      const resolveStarted = performance.now();
+
+      // 1. Reglas deterministas
+      let started = resolveStarted;
+      const ruled = this._resolveWithRules(text, sessionState);
+      const rulesHit = !!ruled && ruled.confianza >= threshold;
+      this._record('rules', started, rulesHit);
+      if (rulesHit) {
+        return this._resolved(ruled, 'rules');
+      }
+
+      // 2. Clasificador local
+      started = performance.now();
+      const classified = await this._resolveWithClassifier(text, sessionState);
+      const classifierHit = !!classified && classified.confianza >= threshold;
+      this._record('classifier', started, classifierHit);
+      if (classifierHit) {
+        return this._resolved(classified, 'classifier');
+      }
+
+      // Los resultados del LLM no dependen del estado de la sesión: se reutilizan por versión del prompt
+      const promptVersion = promptRegistry.selectVersion('intent', sessionState.phoneNumber);
+      const cacheKey = `intent_${promptVersion}_${text.toLowerCase().trim().substring(0, 50)}`;
       const cached = this.cache.get(cacheKey);
       
       if (cached && (Date.now() - cached.timestamp) < this.cacheTTL) {
         logger.debug('[Cache] Intención encontrada en cache');
-        return cached.data;
+        // La latencia de un acierto de cache incluye las reglas y el clasificador que no resolvieron
+        this._record('cache', resolveStarted, true);
+        return this._resolved(cached.data, 'cache');
       }
 
-      // Construir prompt con contexto
-      let prompt = `Usuario dice: "${text}"\n\n`;
-      
-      if (conversationHistory.length > 0) {
-        prompt += `Contexto de conversación anterior:\n`;
-        conversationHistory.slice(-3).forEach((msg, idx) => {
-          prompt += `${idx + 1}. ${msg.role === 'user' ? 'Usuario' : 'Bot'}: ${msg.content.substring(0, 100)}\n`;
+      // 3. LLM
+      started = performance.now();
+      let result = null;
+      try {
+        result = await this._resolveWithLLM(text, sessionState, conversationHistory, { promptVersion });
+      } catch (aiError) {
+        logger.warn('Error al procesar con IA, usando fallback', aiError.message);
+      }
+      this._record('llm', started, !!result);
+
+      if (result) {
+        this.cache.set(cacheKey, {
+          data: result,
+          timestamp: Date.now()
         });
-        prompt += `\n`;
+        return this._resolved(result, 'llm');
       }
 
-      if (sessionState && Object.keys(sessionState).length > 0) {
-        prompt += `Estado actual del usuario:\n`;
-        prompt += `- Estado: ${sessionState.state || 'idle'}\n`;
-        prompt += `- Autenticado: ${sessionState._authenticated || false}\n`;
-        if (sessionState._client_name) {
-          prompt += `- Nombre: ${sessionState._client_name}\n`;
-        }
-        prompt += `\n`;
+      // 4. Fallback: palabras clave; si no dicen nada, lo mejor que vieron las reglas o el clasificador
+      started = performance.now();
+      let fallback = this._fallbackResolution(text, sessionState);
+      if (fallback.intencion === 'OTRO') {
+        fallback = [ruled, classified]
+          .filter(Boolean)
+          .sort((a, b) => b.confianza - a.confianza)[0] || fallback;
       }
+      this._record('fallback', started, true);
 
-      prompt += `Analiza el mensaje del usuario y determina su intención principal con todos los parámetros necesarios.`;
+      return this._resolved(fallback, 'fallback');
+    } catch (error) {
+      logger.error('Error en resolve:', error);
+      return { ...this._fallbackResolution(text, sessionState), tier: 'fallback' };
+    }
+  }
 
-      // Procesar con IA (usar modelo de queries)
-      let result = null;
-      
-      try {
-        result = await multiModelAI.generateJSON(
-          prompt,
-          this.systemPrompt,
-          'queries',
-          { temperature: 0.2 }
-        );
-
-        // Validar estructura
-        if (!result.intencion) {
-          throw new Error('Intención no detectada');
-        }
+  /**
+   * Separar un mensaje compuesto en acciones ordenadas
+   * 
+   * Cada parte empieza con un verbo de acción ("agrega", "quita", "cambia",
+   * "muéstrame mi pedido", "confirma"); las partes seguidas de agregar se unen.
+   * Solo devuelve un plan si hay al menos dos acciones (o un cambio de cantidad)
+   * y todas se entendieron; si no, el mensaje sigue el camino normal de una sola
+   * intención.
+   * 
+   * @param {string} text - Mensaje del usuario (texto o transcripción)
+   * @returns {Array<object>|null} [{ type, action, text, params }] en el orden del mensaje
+   */
+  resolveActions(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
 
-        // Normalizar intención
-        result.intencion = result.intencion.toUpperCase();
+    // La coma decimal ("0,5") no separa palabras
+    const words = text.split(/(?:[\s;]|,(?!\d))+/).filter(Boolean).map(raw => ({ raw, token: normalizeText(raw) }));
+    const segments = [];
+    words.forEach((word, index) => {
+      const type = this._actionVerbType(words, index);
+      if (type || segments.length === 0) {
+        segments.push({ type, words: [] });
+      }
+      segments[segments.length - 1].words.push(word);
+    });
 
-        logger.info('Intención resuelta', {
-          intencion: result.intencion,
-          confianza: result.confianza,
-          queryNecesaria: result.queryNecesaria
-        });
+    if (!segments.some(segment => segment.type)) {
+      return null;
+    }
 
-      } catch (aiError) {
-        logger.warn('Error al procesar con IA, usando fallback', aiError.message);
-        result = this._fallbackResolution(text, sessionState);
+    const steps = [];
+    for (const segment of segments) {
+      while (segment.words.length > 0 && CONNECTORS.includes(segment.words[segment.words.length - 1].token)) {
+        segment.words.pop();
       }
+      const step = this._buildActionStep(segment);
 
-      // Si no se pudo procesar, usar fallback
-      if (!result || !result.intencion) {
-        result = this._fallbackResolution(text, sessionState);
+      if (!step) {
+        // Verbo sin contenido ("quiero ver mi pedido"): lo completa la parte siguiente
+        if (segment.type && segment.words.length === 1) {
+          continue;
+        }
+        // Saludo o muletilla corta antes de la primera acción
+        if (!segment.type && steps.length === 0 && segment.words.length <= 2) {
+          continue;
+        }
+        return null;
       }
 
-      // Guardar en cache
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
+      const previous = steps[steps.length - 1];
+      if (previous && previous.type === 'add' && step.type === 'add') {
+        previous.text = `${previous.text} y ${step.text}`;
+      } else {
+        steps.push(step);
+      }
+    }
 
-      return result;
-    } catch (error) {
-      logger.error('Error en resolve:', error);
-      return this._fallbackResolution(text, sessionState);
+    // Un cambio de cantidad solo también se resuelve aquí: la intención del LLM no trae producto ni cantidad
+    if (steps.length < 2 && !(steps.length === 1 && steps[0].type === 'update')) {
+      return null;
+    }
+
+    logger.info('Mensaje con varias acciones', { acciones: steps.map(step => step.action) });
+    return steps;
+  }
+
+  _actionVerbType(words, index) {
+    const { token } = words[index];
+    const type = Object.keys(ACTION_VERBS).find(key => ACTION_VERBS[key].includes(token));
+    if (type === 'view') {
+      const following = words.slice(index + 1, index + 4).map(word => word.token);
+      return following.some(word => ORDER_WORD.test(word)) ? 'view' : null;
     }
+    return type || null;
   }
 
   /**
-   * Resolución de fallback cuando IA no está disponible
+   * Parámetros de una parte del mensaje compuesto
+   * 
+   * @returns {object|null} Paso o null si la parte no se entiende
    */
-  _fallbackResolution(text, sessionState = {}) {
-    const textLower = text.toLowerCase().trim();
-    
-    // Detección básica de intenciones
-    if (textLower.match(/(catálogo|catalogo|productos|lista|muestrame|mostrar)/)) {
-      return {
-        intencion: 'VER_CATALOGO',
-        confianza: 0.7,
-        parametros: {},
-        queryNecesaria: 'getProductos',
-        queryParams: { filters: { activo: true, limit: 20 } },
-        action: null
-      };
+  _buildActionStep({ type, words }) {
+    const text = words.map(word => word.raw).join(' ');
+    const tokens = words.map(word => word.token).filter(Boolean);
+    const payload = tokens.slice(1).filter(token => !FILLER_WORDS.includes(token));
+
+    switch (type) {
+      case null: {
+        // Parte inicial sin verbo: es un pedido si trae cantidad ("2 arroz y muéstrame mi pedido")
+        const hasQuantity = tokens.some(token => /^\d+$/.test(token) || textParser.palabrasANumeros[token]);
+        return hasQuantity ? { type: 'add', action: STEP_ACTIONS.add, text, params: {} } : null;
+      }
+      case 'add':
+        return payload.length > 0 ? { type, action: STEP_ACTIONS[type], text, params: {} } : null;
+      case 'remove': {
+        const productName = this._productNameFrom(payload);
+        return productName ? { type, action: STEP_ACTIONS[type], text, params: { productName } } : null;
+      }
+      case 'update': {
+        // "cambia las leches a 2", "deja el arroz en tres", "cambia el azúcar a medio kilo"
+        const rest = words.slice(1);
+        const separator = rest.findIndex(word => ['a', 'en', 'por'].includes(word.token));
+        const productName = separator > 0
+          ? this._productNameFrom(rest.slice(0, separator).map(word => word.token).filter(token => token && !FILLER_WORDS.includes(token)))
+          : null;
+        // La cantidad es lo más largo que se lea como tal ("a dos por favor" → "dos")
+        const quantityWords = separator > 0 ? rest.slice(separator + 1).map(word => word.raw) : [];
+        let quantity = null;
+        for (let size = quantityWords.length; size > 0 && !quantity; size--) {
+          quantity = textParser.parseQuantity(quantityWords.slice(0, size).join(' '));
+        }
+        if (!productName || !quantity || productName.split(' ').some(word => PROFILE_FIELDS.includes(word))) {
+          return null;
+        }
+        const params = { productName, newQuantity: quantity.cantidad };
+        if (quantity.unidad !== 'un') {
+          // La conversión a la unidad de venta se hace con el producto del pedido (utils/saleUnits)
+          Object.assign(params, { unit: quantity.unidad, packSize: quantity.packSize });
+        }
+        return { type, action: STEP_ACTIONS[type], text, params };
+      }
+      case 'view':
+      case 'confirm':
+        return { type, action: STEP_ACTIONS[type], text, params: {} };
+      default:
+        return null;
     }
-    
-    if (textLower.match(/(cuánto cuesta|precio|vale|a cuánto)/)) {
-      const producto = this._extractProductName(text);
-      return {
-        intencion: 'CONSULTAR_PRECIO',
-        confianza: 0.7,
-        parametros: { producto },
-        queryNecesaria: producto ? 'buscarProductos' : null,
-        queryParams: producto ? { term: producto, limit: 3 } : {},
-        action: null
-      };
+  }
+
+  _productNameFrom(tokens) {
+    const stop = tokens.findIndex(token => ORDER_WORD.test(token));
+    // En singular y recortado ("leches" → "lech") para que calce con el nombre del producto en el pedido
+    const name = (stop >= 0 ? tokens.slice(0, stop) : tokens)
+      .filter(token => !['cantidad', 'producto'].includes(token))
+      .map(token => {
+        if (token.endsWith('es') && token.length > 4) return token.slice(0, -2);
+        if (token.endsWith('s') && token.length > 3) return token.slice(0, -1);
+        return token;
+      })
+      .join(' ')
+      .trim();
+    return name.length >= 2 ? name : null;
+  }
+
+  /**
+   * Nivel 1: comandos exactos y palabras clave sin ambigüedad
+   * 
+   * @returns {object|null} Resolución o null si ninguna regla aplica
+   */
+  _resolveWithRules(text, sessionState = {}) {
+    const normalized = normalizeText(text);
+
+    const command = Object.keys(COMMANDS).find(intent => COMMANDS[intent].includes(normalized));
+    if (command) {
+      return this._isPlausible(command, sessionState)
+        ? this._buildResolution(command, text, sessionState, COMMAND_CONFIDENCE)
+        : null;
     }
-    
-    if (textLower.match(/(tienes|hay|disponible|stock)/)) {
-      const producto = this._extractProductName(text);
-      return {
-        intencion: 'CONSULTAR_STOCK',
-        confianza: 0.7,
-        parametros: { producto },
-        queryNecesaria: producto ? 'buscarProductos' : null,
-        queryParams: producto ? { term: producto, limit: 3 } : {},
-        action: null
-      };
+
+    const matches = KEYWORD_RULES.filter(({ pattern, unless }) => pattern.test(normalized) && !unless?.test(normalized));
+    if (matches.length === 1) {
+      return this._buildResolution(matches[0].intent, text, sessionState, KEYWORD_CONFIDENCE);
     }
-    
-    if (textLower.match(/(quiero|necesito|dame|comprar|pedir|agregar)/)) {
-      return {
-        intencion: 'HACER_PEDIDO',
-        confianza: 0.7,
-        parametros: { productos: [] },
-        queryNecesaria: null,
-        queryParams: {},
-        action: 'init_order'
-      };
+
+    return null;
+  }
+
+  /**
+   * Nivel 2: modelo local de intenciones (solo si hay modelo entrenado)
+   * 
+   * @returns {Promise<object|null>} Resolución o null si el modelo no sirve para este mensaje
+   */
+  async _resolveWithClassifier(text, sessionState = {}) {
+    const classified = await intentClassifier.classify(text);
+    if (classified.method !== 'model' || !this._isPlausible(classified.intent, sessionState)) {
+      return null;
     }
+    return this._buildResolution(classified.intent, text, sessionState, classified.confidence);
+  }
+
+  /**
+   * Nivel 3: resolver con el LLM (intención y parámetros)
+   * 
+   * El system prompt es la plantilla "intent" (prompts/intent) en la versión que
+   * toca a la sesión, o en options.promptVersion (evaluación offline).
+   * 
+   * @returns {Promise<object>} Resolución con promptVersion; lanza error si el modelo no responde algo válido
+   */
+  async _resolveWithLLM(text, sessionState = {}, conversationHistory = [], options = {}) {
+    // Construir prompt con contexto
+    let prompt = `Usuario dice: "${text}"\n\n`;
     
-    if (textLower.match(/(mi pedido|pedido actual|estado|ver pedido)/)) {
-      return {
-        intencion: 'VER_PEDIDO',
-        confianza: 0.7,
-        parametros: {},
-        queryNecesaria: 'getPedido',
-        queryParams: { phoneNumber: sessionState.phoneNumber },
-        action: 'view_order'
-      };
+    if (conversationHistory.length > 0) {
+      prompt += `Contexto de conversación anterior:\n`;
+      conversationHistory.slice(-3).forEach((msg, idx) => {
+        prompt += `${idx + 1}. ${msg.role === 'user' ? 'Usuario' : 'Bot'}: ${msg.content.substring(0, 100)}\n`;
+      });
+      prompt += `\n`;
     }
-    
-    if (textLower.match(/(confirmar|confirmo|si|sí|ok|okey|okay|acepto|confirmar pedido)/)) {
-      const currentState = sessionState.state || 'idle';
-      if (currentState === 'awaiting_confirmation' || currentState === 'pedido_en_proceso') {
-        return {
-          intencion: 'CONFIRMAR_PEDIDO',
-          confianza: 0.8,
-          parametros: {},
-          queryNecesaria: null,
-          queryParams: {},
-          action: 'confirm_order'
-        };
+
+    if (sessionState && Object.keys(sessionState).length > 0) {
+      prompt += `Estado actual del usuario:\n`;
+      prompt += `- Estado: ${sessionState.state || 'idle'}\n`;
+      prompt += `- Autenticado: ${sessionState._authenticated || false}\n`;
+      if (sessionState._client_name) {
+        prompt += `- Nombre: ${sessionState._client_name}\n`;
       }
+      prompt += `\n`;
     }
-    
-    if (textLower.match(/(cancelar|salir|no quiero|olvídate|cancelar pedido)/)) {
-      return {
-        intencion: 'CANCELAR_PEDIDO',
-        confianza: 0.7,
-        parametros: {},
-        queryNecesaria: null,
-        queryParams: {},
-        action: 'cancel_order'
-      };
+
+    prompt += `Analiza el mensaje del usuario y determina su intención principal con todos los parámetros necesarios.`;
+
+    const systemPrompt = promptRegistry.render('intent', { variantes: dictionary.promptExamples() }, {
+      sessionKey: sessionState.phoneNumber,
+      version: options.promptVersion
+    });
+
+    // Procesar con IA (modelo de queries); la respuesta ya viene validada con el esquema intent
+    const result = await structuredOutput.generate(
+      'intent',
+      prompt,
+      systemPrompt.text,
+      'queries',
+      { temperature: 0.2 }
+    );
+    result.promptVersion = systemPrompt.version;
+
+    // Etiquetar el mensaje en el historial para entrenar el clasificador local
+    if (sessionState.phoneNumber && INTENTS.includes(result.intencion)) {
+      await sessionManager.labelLastUserMessage(sessionState.phoneNumber, result.intencion, 'llm');
     }
-    
-    if (textLower.match(/(hola|hi|buenos días|qué tal)/)) {
-      return {
-        intencion: 'SALUDO',
-        confianza: 0.8,
-        parametros: {},
-        queryNecesaria: null,
-        queryParams: {},
-        action: null
-      };
+
+    return result;
+  }
+
+  /**
+   * Marcar el nivel que produjo la resolución
+   */
+  _resolved(result, tier) {
+    logger.info('Intención resuelta', {
+      intencion: result.intencion,
+      confianza: result.confianza,
+      queryNecesaria: result.queryNecesaria,
+      tier
+    });
+    return { ...result, tier };
+  }
+
+  /**
+   * Descarta confirmaciones fuera de un pedido en curso ("si" suelto no confirma nada)
+   */
+  _isPlausible(intent, sessionState = {}) {
+    if (!LOCAL_INTENTS.includes(intent)) {
+      return false;
     }
-    
-    if (textLower.match(/(ayuda|help|qué puedo hacer|comandos)/)) {
-      return {
-        intencion: 'AYUDA',
-        confianza: 0.8,
-        parametros: {},
-        queryNecesaria: null,
-        queryParams: {},
-        action: null
+    if (intent === 'CONFIRMAR_PEDIDO') {
+      return CONFIRMABLE_STATES.includes(sessionState.state || 'idle');
+    }
+    return true;
+  }
+
+  _record(tier, started, hit) {
+    const tierStats = this.stats.tiers[tier];
+    const elapsed = performance.now() - started;
+    tierStats.attempts++;
+    tierStats.totalMs += elapsed;
+    tierStats.maxMs = Math.max(tierStats.maxMs, elapsed);
+    if (hit) {
+      tierStats.hits++;
+    }
+  }
+
+  /**
+   * Estadísticas por nivel de la cascada
+   * 
+   * - hitRate: de las veces que se consultó el nivel, cuántas resolvió
+   * - share: proporción del total de mensajes resueltos por ese nivel
+   * 
+   * @returns {object} { total, threshold, tiers: { rules: {attempts, hits, hitRate, share, avgMs, maxMs}, ... } }
+   */
+  getStats() {
+    const round = value => Math.round(value * 100) / 100;
+    const tiers = {};
+    for (const tier of TIERS) {
+      const { attempts, hits, totalMs, maxMs } = this.stats.tiers[tier];
+      tiers[tier] = {
+        attempts,
+        hits,
+        hitRate: attempts > 0 ? round(hits / attempts) : 0,
+        share: this.stats.total > 0 ? round(hits / this.stats.total) : 0,
+        avgMs: attempts > 0 ? round(totalMs / attempts) : 0,
+        maxMs: round(maxMs)
       };
     }
 
     return {
-      intencion: 'OTRO',
-      confianza: 0.3,
-      parametros: {},
-      queryNecesaria: null,
-      queryParams: {},
-      action: null
+      total: this.stats.total,
+      threshold: config.intentClassifier.confidenceThreshold,
+      classifierReady: intentClassifier.isReady,
+      since: this.stats.since,
+      tiers
     };
   }
 
+  resetStats() {
+    this.stats = {
+      total: 0,
+      since: new Date().toISOString(),
+      tiers: Object.fromEntries(TIERS.map(tier => [tier, { attempts: 0, hits: 0, totalMs: 0, maxMs: 0 }]))
+    };
+  }
+
+  /**
+   * Resolución de fallback cuando IA no está disponible
+   */
+  _fallbackResolution(text, sessionState = {}) {
+    const textLower = text.toLowerCase().trim();
+    
+    // Detección básica de intenciones (en orden de prioridad)
+    const fallbackRules = [
+      ['VER_CATALOGO', /(catálogo|catalogo|productos|lista|muestrame|mostrar)/, 0.7],
+      ['CONSULTAR_PRECIO', /(cuánto cuesta|precio|vale|a cuánto)/, 0.7],
+      ['CONSULTAR_STOCK', /(tienes|hay|disponible|stock)/, 0.7],
+      ['HACER_PEDIDO', /(quiero|necesito|dame|comprar|pedir|agregar)/, 0.7],
+      ['CANCELAR_PEDIDO', /(cancelar|salir|no quiero|olvídate|cancelar pedido)/, 0.7],
+      ['VER_PEDIDO', /(mi pedido|pedido actual|estado|ver pedido)/, 0.7],
+      ['CONFIRMAR_PEDIDO', /(confirmar|confirmo|si|sí|ok|okey|okay|acepto|confirmar pedido)/, 0.8],
+      ['SALUDO', /(hola|hi|buenos días|qué tal)/, 0.8],
+      ['AYUDA', /(ayuda|help|qué puedo hacer|comandos)/, 0.8]
+    ];
+
+    const notAnOrder = NOT_AN_ORDER.test(normalizeText(text));
+
+    for (const [intent, pattern, confianza] of fallbackRules) {
+      if (intent === 'HACER_PEDIDO' && notAnOrder) {
+        continue;
+      }
+      if (textLower.match(pattern) && this._isPlausible(intent, sessionState)) {
+        return this._buildResolution(intent, text, sessionState, confianza);
+      }
+    }
+
+    return this._buildResolution('OTRO', text, sessionState, 0.3);
+  }
+
+  /**
+   * Armar la resolución completa de una intención sin LLM (parámetros por heurística)
+   */
+  _buildResolution(intencion, text, sessionState = {}, confianza = 0.7) {
+    const base = { intencion, confianza, parametros: {}, queryNecesaria: null, queryParams: {}, action: null };
+
+    switch (intencion) {
+      case 'VER_CATALOGO':
+        return { ...base, queryNecesaria: 'getProductos', queryParams: { filters: { activo: true, limit: 20 } } };
+      case 'CONSULTAR_PRECIO':
+      case 'CONSULTAR_STOCK': {
+        const producto = this._extractProductName(text);
+        return {
+          ...base,
+          parametros: { producto },
+          queryNecesaria: producto ? 'buscarProductos' : null,
+          queryParams: producto ? { term: producto, limit: 3 } : {}
+        };
+      }
+      case 'BUSCAR_PRODUCTOS': {
+        const termino = this._extractProductName(text);
+        return {
+          ...base,
+          parametros: { termino },
+          queryNecesaria: termino ? 'buscarProductos' : null,
+          queryParams: termino ? { term: termino, limit: 10 } : {}
+        };
+      }
+      case 'HACER_PEDIDO':
+        return { ...base, parametros: { productos: [] }, action: 'init_order' };
+      case 'VER_PEDIDO':
+        return { ...base, queryNecesaria: 'getPedido', queryParams: { phoneNumber: sessionState.phoneNumber }, action: 'view_order' };
+      case 'CONFIRMAR_PEDIDO':
+        return { ...base, action: 'confirm_order' };
+      case 'CANCELAR_PEDIDO':
+        return { ...base, action: 'cancel_order' };
+      default:
+        return base;
+    }
+  }
+
   /**
    * Extraer nombre de producto del texto (método básico)
    */
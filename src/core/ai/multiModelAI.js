@@ -1,149 +1,274 @@
-const ollamaClient = require('../../utils/ollamaClient');
+const { createProvider, extractJSON, JSON_INSTRUCTION } = require('./providers');
 const logger = require('../../utils/logger');
 const config = require('../../../config/config');
 
 /**
  * Gestor de Múltiples Modelos de IA
  * 
- * Gestiona diferentes modelos de Ollama según la tarea:
- * - Modelo 1: Consultas generales (catálogo, precios, stock) - phi3:mini
- * - Modelo 2: Pedidos complejos - phi3:mini (más contexto)
- * - Modelo 3: Conversación natural - phi3:mini (temperatura más alta)
+ * Elige proveedor (core/ai/providers) y modelo según la tarea:
+ * - queries: consultas generales (catálogo, precios, stock, intenciones)
+ * - orders: pedidos complejos (más contexto)
+ * - conversation: conversación natural (temperatura más alta)
+ * 
+ * Proveedor y modelo de cada tarea salen de config.llm.tasks (sin modelo se usa el
+ * del proveedor). Si el proveedor de la tarea falla se prueban los de
+ * config.llm.failover, en orden, con su modelo por defecto. Un proveedor que no
+ * responde queda marcado como caído durante config.llm.downCooldownMs y se prueba
+ * al final mientras tanto.
  */
+
+// Errores que indican que el proveedor no responde (no que respondió mal)
+const UNAVAILABLE_PATTERNS = [/no está disponible/i, /tardó demasiado/i, /timeout/i, /ECONNREFUSED|ECONNRESET|ENOTFOUND|EHOSTUNREACH/];
+
 class MultiModelAI {
   constructor() {
+    this.providers = new Map();
+    for (const [name, settings] of Object.entries(config.llm.providers)) {
+      this.providers.set(name, createProvider(name, settings));
+    }
+
+    this.failover = config.llm.failover;
+    this.downCooldownMs = config.llm.downCooldownMs;
+    this.downUntil = new Map(); // proveedor -> timestamp hasta el que se considera caído
+
+    const tasks = config.llm.tasks;
     this.models = {
       queries: {
-        model: config.ollama.model || 'phi3:mini',
+        provider: tasks.queries.provider,
+        model: tasks.queries.model,
         temperature: 0.2,
         top_p: 0.9,
         top_k: 40,
         timeout: 8000
       },
       orders: {
-        model: config.ollama.model || 'phi3:mini',
+        provider: tasks.orders.provider,
+        model: tasks.orders.model,
         temperature: 0.3,
         top_p: 0.9,
         top_k: 40,
         timeout: 10000
       },
       conversation: {
-        model: config.ollama.model || 'phi3:mini',
+        provider: tasks.conversation.provider,
+        model: tasks.conversation.model,
         temperature: 0.5,
         top_p: 0.95,
         top_k: 50,
         timeout: 8000
       }
     };
-    
-    this.baseUrl = config.ollama.baseUrl || 'http://localhost:11434';
+
+    for (const [taskType, task] of Object.entries(this.models)) {
+      if (!this.providers.has(task.provider)) {
+        logger.warn(`Proveedor de LLM "${task.provider}" de la tarea ${taskType} no está configurado; se usarán los de failover`);
+      }
+    }
   }
 
   /**
-   * Verificar si Ollama está disponible
+   * Proveedor registrado por nombre
    */
-  async isAvailable() {
-    return await ollamaClient.isAvailable();
+  getProvider(name) {
+    return this.providers.get(name) || null;
   }
 
   /**
    * Obtener configuración del modelo según tipo de tarea
    */
   getModelConfig(taskType = 'queries') {
-    const config = this.models[taskType] || this.models.queries;
+    const task = this.models[taskType] || this.models.queries;
+    const provider = this.providers.get(task.provider);
     return {
-      model: config.model,
-      temperature: config.temperature,
-      top_p: config.top_p,
-      top_k: config.top_k,
-      timeout: config.timeout
+      provider: task.provider,
+      model: task.model || provider?.defaultModel || null,
+      temperature: task.temperature,
+      top_p: task.top_p,
+      top_k: task.top_k,
+      timeout: task.timeout
     };
   }
 
+  /**
+   * Proveedores a probar para una tarea, en orden: el de la tarea y luego el failover
+   * 
+   * @returns {Array<{name: string, provider: object, model: string|null}>}
+   */
+  _chain(taskType) {
+    const task = this.models[taskType] || this.models.queries;
+    const names = [task.provider, ...this.failover.filter(name => name !== task.provider)];
+    return names
+      .filter(name => this.providers.has(name))
+      .map(name => ({
+        name,
+        provider: this.providers.get(name),
+        model: name === task.provider ? task.model : null
+      }));
+  }
+
+  /**
+   * Cadena de la tarea con los proveedores caídos al final
+   */
+  _candidates(taskType) {
+    const chain = this._chain(taskType);
+    const now = Date.now();
+    const isDown = candidate => (this.downUntil.get(candidate.name) || 0) > now;
+    return [...chain.filter(candidate => !isDown(candidate)), ...chain.filter(isDown)];
+  }
+
+  _isUnavailableError(error) {
+    if (error.status >= 500) {
+      return true;
+    }
+    const text = `${error.code || ''} ${error.message || ''}`;
+    return UNAVAILABLE_PATTERNS.some(pattern => pattern.test(text));
+  }
+
+  _recordFailure(name, taskType, error) {
+    logger.warn(`Proveedor de LLM ${name} falló en ${taskType}: ${error.message}`);
+    if (this._isUnavailableError(error)) {
+      this.downUntil.set(name, Date.now() + this.downCooldownMs);
+    }
+  }
+
+  _options(taskType, options) {
+    const modelConfig = this.getModelConfig(taskType);
+    return {
+      ...options,
+      temperature: options.temperature || modelConfig.temperature,
+      top_p: options.top_p || modelConfig.top_p,
+      top_k: options.top_k || modelConfig.top_k,
+      timeout: options.timeout || modelConfig.timeout
+    };
+  }
+
+  /**
+   * Verificar si algún proveedor de la tarea está disponible
+   */
+  async isAvailable(taskType = 'queries') {
+    for (const { provider } of this._chain(taskType)) {
+      if (await provider.isAvailable()) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   /**
    * Generar respuesta con modelo específico según tarea
    */
   async generate(prompt, systemPrompt, taskType = 'queries', options = {}) {
-    try {
-      const modelConfig = this.getModelConfig(taskType);
-      
-      const finalOptions = {
-        temperature: options.temperature || modelConfig.temperature,
-        top_p: options.top_p || modelConfig.top_p,
-        top_k: options.top_k || modelConfig.top_k,
-        timeout: options.timeout || modelConfig.timeout
-      };
+    const finalOptions = this._options(taskType, options);
+    let lastError = null;
 
-      logger.debug(`Generando con modelo ${taskType}`, {
-        model: modelConfig.model,
-        temperature: finalOptions.temperature,
-        promptLength: prompt.length
-      });
+    for (const { name, provider, model } of this._candidates(taskType)) {
+      try {
+        logger.debug(`Generando con modelo ${taskType}`, {
+          provider: name,
+          model: model || provider.defaultModel,
+          temperature: finalOptions.temperature,
+          promptLength: prompt.length
+        });
 
-      const response = await ollamaClient.generate(
-        prompt,
-        systemPrompt,
-        finalOptions
-      );
+        const response = await provider.generate(prompt, systemPrompt, { ...finalOptions, model: model || undefined });
+        this.downUntil.delete(name);
+        return response;
+      } catch (error) {
+        lastError = error;
+        this._recordFailure(name, taskType, error);
+      }
+    }
 
-      return response;
-    } catch (error) {
-      logger.error(`Error al generar con modelo ${taskType}`, error);
-      
-      // Intentar fallback con modelo de consultas si falla
-      if (taskType !== 'queries') {
-        logger.warn(`Intentando fallback con modelo queries`);
-        try {
-          const fallbackConfig = this.getModelConfig('queries');
-          return await ollamaClient.generate(
-            prompt,
-            systemPrompt,
-            {
-              temperature: fallbackConfig.temperature,
-              top_p: fallbackConfig.top_p,
-              top_k: fallbackConfig.top_k,
-              timeout: fallbackConfig.timeout
-            }
-          );
-        } catch (fallbackError) {
-          logger.error('Error en fallback', fallbackError);
+    const error = lastError || new Error(`No hay proveedores de LLM configurados para ${taskType}`);
+    logger.error(`Error al generar con modelo ${taskType}`, error);
+    throw error;
+  }
+
+  /**
+   * Generar respuesta por fragmentos
+   * 
+   * El failover solo aplica antes del primer fragmento: si un proveedor se corta
+   * a mitad de respuesta el error llega a quien consume el stream.
+   * 
+   * @returns {AsyncGenerator<string>}
+   */
+  async *stream(prompt, systemPrompt, taskType = 'queries', options = {}) {
+    const finalOptions = this._options(taskType, options);
+    let lastError = null;
+
+    for (const { name, provider, model } of this._candidates(taskType)) {
+      let started = false;
+      try {
+        for await (const chunk of provider.stream(prompt, systemPrompt, { ...finalOptions, model: model || undefined })) {
+          started = true;
+          yield chunk;
+        }
+        this.downUntil.delete(name);
+        return;
+      } catch (error) {
+        if (started) {
           throw error;
         }
+        lastError = error;
+        this._recordFailure(name, taskType, error);
       }
-      
-      throw error;
     }
+
+    throw lastError || new Error(`No hay proveedores de LLM configurados para ${taskType}`);
   }
 
   /**
    * Generar respuesta en formato JSON con modelo específico
+   * 
+   * Sin validación: para respuestas con esquema usar core/ai/structuredOutput
    */
   async generateJSON(prompt, systemPrompt, taskType = 'queries', options = {}) {
     try {
-      const jsonPrompt = `${prompt}\n\nResponde SOLO con un JSON válido, sin texto adicional.`;
-      const response = await this.generate(jsonPrompt, systemPrompt, taskType, options);
-      
-      // Intentar extraer JSON de la respuesta
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      // Si no hay match, intentar parsear directamente
-      return JSON.parse(response);
+      const response = await this.generate(`${prompt}${JSON_INSTRUCTION}`, systemPrompt, taskType, options);
+      return extractJSON(response);
     } catch (error) {
       logger.error(`Error al parsear JSON de modelo ${taskType}`, error);
+      if (this._isUnavailableError(error)) {
+        throw new Error('El servicio de IA no está disponible. Por favor, intenta de nuevo.');
+      }
       throw new Error('No se pudo obtener una respuesta válida del modelo');
     }
   }
 
   /**
-   * Verificar que el modelo esté disponible
+   * Verificar que el modelo de la tarea esté disponible en el primer proveedor que responda
    */
   async checkModel(taskType = 'queries') {
-    return await ollamaClient.checkModel();
+    for (const { provider, model } of this._chain(taskType)) {
+      if (await provider.isAvailable()) {
+        return provider.checkModel(model || provider.defaultModel);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Estado de los proveedores y proveedor/modelo de cada tarea
+   */
+  async health() {
+    const now = Date.now();
+    const providers = await Promise.all([...this.providers.values()].map(async provider => {
+      const downUntil = this.downUntil.get(provider.name) || 0;
+      return {
+        ...(await provider.health()),
+        down: downUntil > now,
+        downUntil: downUntil > now ? new Date(downUntil).toISOString() : null
+      };
+    }));
+
+    const tasks = {};
+    for (const taskType of Object.keys(this.models)) {
+      const { provider, model } = this.getModelConfig(taskType);
+      tasks[taskType] = { provider, model, chain: this._chain(taskType).map(candidate => candidate.name) };
+    }
+
+    return { providers, failover: this.failover, tasks };
   }
 }
 
 module.exports = new MultiModelAI();
-
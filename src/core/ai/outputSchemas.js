@@ -0,0 +1,145 @@
+const { INTENTS } = require('./intentModel');
+
+/**
+ * Esquemas JSON de las respuestas estructuradas del LLM (ver core/ai/structuredOutput)
+ * 
+ * Cada entrada tiene:
+ * - schema: JSON Schema (subconjunto: type, enum, properties, required, items,
+ *   minimum, maximum, minLength). Se envía al proveedor cuando lo soporta
+ *   (format de Ollama, response_format de servidores compatibles con OpenAI).
+ * - normalize(value): ajustes tolerados antes de validar (mayúsculas, números en texto)
+ * 
+ * @module core/ai/outputSchemas
+ */
+
+const nullable = type => ({ type: [type, 'null'] });
+
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+function upperIntent(value) {
+  if (value && typeof value.intencion === 'string') {
+    value.intencion = value.intencion.trim().toUpperCase();
+  }
+  return value;
+}
+
+function normalizeProducts(productos) {
+  if (!Array.isArray(productos)) {
+    return productos;
+  }
+  return productos.map(producto => (producto && typeof producto === 'object')
+    ? { ...producto, cantidad: toNumber(producto.cantidad) }
+    : producto);
+}
+
+const PRODUCT_LINE = {
+  type: 'object',
+  required: ['nombre'],
+  properties: {
+    nombre: { type: 'string', minLength: 1 },
+    cantidad: { type: ['number', 'null'], minimum: 0 }
+  }
+};
+
+const FILTERS = {
+  type: ['object', 'null'],
+  properties: {
+    precioMaximo: nullable('number'),
+    precioMinimo: nullable('number'),
+    soloDisponibles: nullable('boolean'),
+    categoria: nullable('string')
+  }
+};
+
+const SCHEMAS = {
+  // intentResolver._resolveWithLLM
+  intent: {
+    schema: {
+      type: 'object',
+      required: ['intencion'],
+      properties: {
+        intencion: { type: 'string', enum: INTENTS },
+        confianza: { type: 'number', minimum: 0, maximum: 1 },
+        parametros: {
+          type: ['object', 'null'],
+          properties: {
+            producto: nullable('string'),
+            productos: { type: ['array', 'null'], items: PRODUCT_LINE },
+            cantidad: nullable('number'),
+            termino: nullable('string'),
+            filtros: FILTERS
+          }
+        },
+        queryNecesaria: nullable('string'),
+        queryParams: { type: ['object', 'null'] },
+        action: nullable('string')
+      }
+    },
+    normalize(value) {
+      upperIntent(value);
+      if (value?.confianza !== undefined) {
+        value.confianza = toNumber(value.confianza);
+      }
+      const parametros = value?.parametros;
+      if (parametros && typeof parametros === 'object') {
+        if (parametros.cantidad !== undefined) {
+          parametros.cantidad = toNumber(parametros.cantidad);
+        }
+        if (parametros.productos !== undefined) {
+          parametros.productos = normalizeProducts(parametros.productos);
+        }
+      }
+      return value;
+    }
+  },
+
+  // aiProcessor.processOrder
+  order: {
+    schema: {
+      type: 'object',
+      properties: {
+        intencion: {
+          type: 'string',
+          enum: ['HACER_PEDIDO', 'VER_CATALOGO', 'VER_PRODUCTO', 'CONSULTAR_PRECIO', 'CONSULTAR_STOCK', 'VER_PEDIDO',
+            'CANCELAR', 'SALIR', 'VOLVER', 'SALUDO', 'AYUDA', 'BUSCAR', 'OTRO']
+        },
+        productos: { type: 'array', items: PRODUCT_LINE },
+        productoConsulta: nullable('string'),
+        filtros: FILTERS,
+        direccion: nullable('string'),
+        fecha: nullable('string'),
+        hora: nullable('string'),
+        metodoPago: nullable('string')
+      }
+    },
+    normalize(value) {
+      upperIntent(value);
+      if (value?.productos !== undefined) {
+        value.productos = normalizeProducts(value.productos);
+      }
+      return value;
+    }
+  },
+
+  // productExtractorAI.extractProductInfo
+  productExtraction: {
+    schema: {
+      type: 'object',
+      required: ['producto', 'intencion'],
+      properties: {
+        producto: { type: 'string' },
+        intencion: { type: 'string', enum: ['CONSULTAR_PRECIO', 'CONSULTAR_STOCK', 'HACER_PEDIDO', 'OTRO'] },
+        marca: nullable('string'),
+        tipo: nullable('string')
+      }
+    },
+    normalize: upperIntent
+  }
+};
+
+module.exports = SCHEMAS;
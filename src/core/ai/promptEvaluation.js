@@ -0,0 +1,201 @@
+const { normalizeText } = require('./intentModel');
+const outputSchemas = require('./outputSchemas');
+
+/**
+ * Evaluación offline de versiones de un prompt contra un dataset etiquetado
+ * 
+ * Cada ejemplo: { text, intent, productos?: [{ nombre, cantidad }] }
+ * - Exactitud de intención: intención devuelta = intent
+ * - Exactitud de extracción (solo ejemplos con productos): mismos productos
+ *   (nombre normalizado, sin plurales: arroces = arroz) y, si la plantilla las extrae, mismas cantidades
+ * 
+ * Las respuestas inválidas o sin proveedor cuentan como error (y como fallo en ambas métricas).
+ * 
+ * @module core/ai/promptEvaluation
+ */
+
+// Cómo ejecutar cada plantilla evaluable
+const RUNNERS = {
+  intent: {
+    withQuantity: true,
+    async run(text, version) {
+      const intentResolver = require('./intentResolver');
+      const result = await intentResolver._resolveWithLLM(text, {}, [], { promptVersion: version });
+      const parametros = result.parametros || {};
+      let productos = Array.isArray(parametros.productos) ? parametros.productos : [];
+      if (productos.length === 0 && parametros.producto) {
+        productos = [{ nombre: parametros.producto, cantidad: parametros.cantidad }];
+      }
+      return { intent: result.intencion, productos };
+    }
+  },
+  order: {
+    withQuantity: true,
+    intents: outputSchemas.order.schema.properties.intencion.enum,
+    async run(text, version) {
+      const aiProcessor = require('../../aiProcessor');
+      const textParser = require('../../utils/textParser');
+      const result = await aiProcessor.extractOrder(text, { preParsed: textParser.parseOrder(text), promptVersion: version });
+      const intent = result.intencion || 'HACER_PEDIDO';
+      // Fuera de un pedido la plantilla solo nombra el producto consultado
+      const productos = intent === 'HACER_PEDIDO' || !result.productoConsulta
+        ? result.productos || []
+        : [{ nombre: result.productoConsulta }];
+      return { intent, productos };
+    }
+  },
+  'product-extraction': {
+    withQuantity: false,
+    intents: ['CONSULTAR_PRECIO', 'CONSULTAR_STOCK', 'HACER_PEDIDO', 'OTRO'],
+    async run(text, version) {
+      const productExtractorAI = require('../../productExtractorAI');
+      const result = await productExtractorAI.extractWithAI(text, version);
+      return { intent: result.intencion, productos: result.producto ? [{ nombre: result.producto }] : [] };
+    }
+  }
+};
+
+function productKey(nombre) {
+  return normalizeText(nombre)
+    .split(' ')
+    .map(word => (word.length > 3 ? word.replace(/ces$/, 'z').replace(/(es|s)$/, '') : word))
+    .join(' ');
+}
+
+/**
+ * ¿Los productos extraídos son los esperados? (el orden no importa)
+ */
+function sameProducts(expected, actual, withQuantity) {
+  if (expected.length !== actual.length) {
+    return false;
+  }
+
+  const pending = actual.map(item => ({ key: productKey(item.nombre || ''), cantidad: Number(item.cantidad) || 1 }));
+  return expected.every(item => {
+    const key = productKey(item.nombre);
+    const index = pending.findIndex(candidate =>
+      candidate.key && (candidate.key === key || candidate.key.includes(key) || key.includes(candidate.key)) &&
+      (!withQuantity || candidate.cantidad === (Number(item.cantidad) || 1))
+    );
+    if (index === -1) {
+      return false;
+    }
+    pending.splice(index, 1);
+    return true;
+  });
+}
+
+/**
+ * Evaluar una versión de una plantilla
+ * 
+ * @param {string} name - Plantilla (intent, order, product-extraction)
+ * @param {string} version
+ * @param {Array<object>} examples
+ * @returns {Promise<object>} { version, total, intentAccuracy, extraction: {total, accuracy}, errors, avgMs, mistakes }
+ */
+async function evaluateVersion(name, version, examples) {
+  const runner = RUNNERS[name];
+  if (!runner) {
+    throw new Error(`La plantilla ${name} no tiene evaluación (disponibles: ${Object.keys(RUNNERS).join(', ')})`);
+  }
+
+  let intentHits = 0;
+  let extractionTotal = 0;
+  let extractionHits = 0;
+  let errors = 0;
+  let elapsed = 0;
+  const mistakes = [];
+
+  for (const example of examples) {
+    const expectedIntent = runner.intents && !runner.intents.includes(example.intent) ? 'OTRO' : example.intent;
+    const hasProducts = Array.isArray(example.productos) && example.productos.length > 0;
+    if (hasProducts) {
+      extractionTotal++;
+    }
+
+    const started = Date.now();
+    let output = null;
+    try {
+      output = await runner.run(example.text, version);
+    } catch (error) {
+      errors++;
+      mistakes.push({ text: example.text, error: error.message });
+    }
+    elapsed += Date.now() - started;
+
+    if (!output) {
+      continue;
+    }
+
+    const intentOk = output.intent === expectedIntent;
+    const extractionOk = hasProducts && sameProducts(example.productos, output.productos, runner.withQuantity);
+    intentHits += intentOk ? 1 : 0;
+    extractionHits += extractionOk ? 1 : 0;
+
+    if (!intentOk || (hasProducts && !extractionOk)) {
+      mistakes.push({
+        text: example.text,
+        expected: { intent: expectedIntent, productos: example.productos || [] },
+        got: output
+      });
+    }
+  }
+
+  return {
+    version,
+    total: examples.length,
+    intentAccuracy: examples.length > 0 ? intentHits / examples.length : 0,
+    extraction: {
+      total: extractionTotal,
+      accuracy: extractionTotal > 0 ? extractionHits / extractionTotal : 0
+    },
+    errors,
+    avgMs: examples.length > 0 ? Math.round(elapsed / examples.length) : 0,
+    mistakes
+  };
+}
+
+/**
+ * Evaluar varias versiones con el mismo dataset (una tras otra)
+ */
+async function compareVersions(name, versions, examples) {
+  const results = [];
+  for (const version of versions) {
+    results.push(await evaluateVersion(name, version, examples));
+  }
+  return results;
+}
+
+/**
+ * Tabla comparativa; la primera versión es la referencia
+ */
+function formatComparison(name, results) {
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  const lines = [
+    `Plantilla: ${name}`,
+    `${'Versión'.padEnd(10)} ${'Intención'.padStart(10)} ${'Extracción'.padStart(16)} ${'Errores'.padStart(8)} ${'ms prom.'.padStart(9)}`,
+    '-'.repeat(57)
+  ];
+
+  for (const result of results) {
+    const extraction = `${percent(result.extraction.accuracy)} (${result.extraction.total})`;
+    lines.push(`${result.version.padEnd(10)} ${percent(result.intentAccuracy).padStart(10)} ${extraction.padStart(16)} ${String(result.errors).padStart(8)} ${String(result.avgMs).padStart(9)}`);
+  }
+
+  const [baseline, ...others] = results;
+  for (const result of others) {
+    const points = value => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)} pts`;
+    lines.push(`${result.version} vs ${baseline.version}: intención ${points(result.intentAccuracy - baseline.intentAccuracy)}, ` +
+      `extracción ${points(result.extraction.accuracy - baseline.extraction.accuracy)}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  RUNNERS,
+  sameProducts,
+  evaluateVersion,
+  compareVersions,
+  formatComparison
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const config = require('../../../config/config');
+
+/**
+ * Plantillas de prompts versionadas (carpeta config.prompts.dir, por defecto ./prompts)
+ * 
+ * - prompts.json: una entrada por plantilla
+ *     { "intent": { "description": "...", "active": "v1", "split": { "v1": 50, "v2": 50 }, "variables": { ... } } }
+ *   active es la versión por defecto; split (opcional) reparte las sesiones entre
+ *   versiones según su peso (prueba A/B); variables da valores por defecto.
+ * - <plantilla>/<versión>.txt: texto de cada versión, con variables {{nombre}}
+ * 
+ * La versión de una sesión sale de un hash de su clave (el teléfono), así cada
+ * cliente ve siempre la misma versión mientras dure el experimento.
+ * Los archivos se leen al primer uso; reload() los vuelve a leer sin reiniciar.
+ * 
+ * @module core/ai/promptRegistry
+ */
+
+const MANIFEST_FILE = 'prompts.json';
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Hash FNV-1a de 32 bits, normalizado a [0, 1)
+ */
+function hashToUnit(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+class PromptRegistry {
+  constructor() {
+    this.dir = path.resolve(config.prompts.dir);
+    this.templates = null;
+    this.usage = {};
+  }
+
+  /**
+   * Leer el manifiesto y las versiones de cada plantilla
+   */
+  load(dir = this.dir) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+    const templates = new Map();
+
+    for (const [name, entry] of Object.entries(manifest)) {
+      const folder = path.join(dir, name);
+      const versions = {};
+      for (const file of fs.readdirSync(folder).filter(file => file.endsWith('.txt')).sort()) {
+        versions[path.basename(file, '.txt')] = fs.readFileSync(path.join(folder, file), 'utf8').replace(/\n$/, '');
+      }
+
+      if (!versions[entry.active]) {
+        throw new Error(`La plantilla ${name} no tiene la versión activa ${entry.active}`);
+      }
+      const split = entry.split && Object.keys(entry.split).length > 0 ? entry.split : null;
+      for (const [version, weight] of Object.entries(split || {})) {
+        if (!versions[version] || !(weight > 0)) {
+          throw new Error(`Reparto inválido en la plantilla ${name}: ${version}=${weight}`);
+        }
+      }
+
+      templates.set(name, {
+        name,
+        description: entry.description || '',
+        active: entry.active,
+        split,
+        variables: entry.variables || {},
+        versions
+      });
+    }
+
+    // Solo se reemplaza lo cargado si todo el directorio es válido
+    this.dir = dir;
+    this.templates = templates;
+    logger.info(`📝 ${templates.size} plantillas de prompts cargadas desde ${dir}`);
+    return this;
+  }
+
+  /**
+   * Volver a leer los archivos (tras editar un prompt o el reparto A/B)
+   */
+  reload() {
+    return this.load(this.dir);
+  }
+
+  get(name) {
+    if (!this.templates) {
+      this.load();
+    }
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new Error(`Plantilla de prompt desconocida: ${name}`);
+    }
+    return template;
+  }
+
+  /**
+   * Versión que corresponde a una sesión (la activa si no hay reparto o no hay sesión)
+   */
+  selectVersion(name, sessionKey = null) {
+    const template = this.get(name);
+    if (!template.split || !sessionKey) {
+      return template.active;
+    }
+
+    const entries = Object.entries(template.split);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let point = hashToUnit(`${name}:${sessionKey}`) * total;
+    for (const [version, weight] of entries) {
+      if (point < weight) {
+        return version;
+      }
+      point -= weight;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Texto de una plantilla con sus variables reemplazadas
+   * 
+   * @param {string} name - Plantilla (clave de prompts.json)
+   * @param {object} [variables] - Valores de {{variable}} (sobre los del manifiesto)
+   * @param {object} [options]
+   * @param {string} [options.sessionKey] - Clave de la sesión para el reparto A/B
+   * @param {string} [options.version] - Forzar una versión (evaluación offline)
+   * @returns {{name: string, version: string, text: string}}
+   */
+  render(name, variables = {}, { sessionKey = null, version = null } = {}) {
+    const template = this.get(name);
+    const selected = version || this.selectVersion(name, sessionKey);
+    const source = template.versions[selected];
+    if (source === undefined) {
+      throw new Error(`La plantilla ${name} no tiene la versión ${selected}`);
+    }
+
+    const values = { ...template.variables, ...variables };
+    const text = source.replace(VARIABLE_PATTERN, (match, key) => {
+      if (values[key] === undefined || values[key] === null) {
+        throw new Error(`La plantilla ${name}@${selected} usa {{${key}}} sin valor`);
+      }
+      return String(values[key]);
+    });
+
+    const key = `${name}@${selected}`;
+    this.usage[key] = (this.usage[key] || 0) + 1;
+
+    return { name, version: selected, text };
+  }
+
+  /**
+   * Plantillas, versiones, reparto y variables (para administración)
+   */
+  list() {
+    if (!this.templates) {
+      this.load();
+    }
+    return [...this.templates.values()].map(template => ({
+      name: template.name,
+      description: template.description,
+      active: template.active,
+      split: template.split,
+      versions: Object.keys(template.versions),
+      variables: [...new Set(Object.values(template.versions)
+        .flatMap(text => [...text.matchAll(VARIABLE_PATTERN)].map(match => match[1])))]
+    }));
+  }
+
+  /**
+   * Veces que se usó cada versión ("plantilla@versión") desde el arranque
+   */
+  getStats() {
+    return { ...this.usage };
+  }
+}
+
+module.exports = new PromptRegistry();
@@ -0,0 +1,112 @@
+/**
+ * Interfaz común de los proveedores de LLM
+ * 
+ * Cada proveedor implementa:
+ * - generate(prompt, systemPrompt, options) → texto
+ * - stream(prompt, systemPrompt, options)   → generador asíncrono de fragmentos
+ * - isAvailable() / checkModel(model)       → booleanos (nunca lanzan)
+ * 
+ * generateJSON y health se construyen sobre esos métodos. options acepta
+ * { model, temperature, top_p, top_k, max_tokens, timeout, schema, schemaName };
+ * sin model se usa el modelo por defecto del proveedor. schema (JSON Schema de la
+ * respuesta esperada) lo aplican los proveedores que restringen la salida; los
+ * demás lo ignoran y la validación queda en core/ai/structuredOutput.
+ * 
+ * @module core/ai/providers/baseProvider
+ */
+
+const JSON_INSTRUCTION = '\n\nResponde SOLO con un JSON válido, sin texto adicional.';
+
+/**
+ * Extraer el JSON de una respuesta de modelo (tolera texto y bloques ```json alrededor)
+ * 
+ * @param {string} response
+ * @returns {object|Array}
+ */
+function extractJSON(response) {
+  if (!response || typeof response !== 'string') {
+    throw new Error('Respuesta vacía o inválida del modelo');
+  }
+
+  const cleaned = response.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+  const candidates = [
+    cleaned.match(/\{[\s\S]*\}/)?.[0],
+    cleaned.match(/\[[\s\S]*\]/)?.[0],
+    cleaned
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Probar el siguiente candidato
+    }
+  }
+
+  throw new Error(`No se pudo parsear JSON: ${response.substring(0, 100)}`);
+}
+
+class BaseProvider {
+  /**
+   * @param {string} name - Nombre con que se registra (config.llm.providers)
+   * @param {object} settings - Configuración del proveedor
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.type = settings.type || name;
+    this.settings = settings;
+    this.defaultModel = settings.model || null;
+  }
+
+  async generate() {
+    throw new Error(`El proveedor ${this.name} no implementa generate`);
+  }
+
+  /**
+   * Por defecto la respuesta completa llega como un solo fragmento
+   */
+  async *stream(prompt, systemPrompt = null, options = {}) {
+    yield await this.generate(prompt, systemPrompt, options);
+  }
+
+  async generateJSON(prompt, systemPrompt = null, options = {}) {
+    const response = await this.generate(`${prompt}${JSON_INSTRUCTION}`, systemPrompt, options);
+    return extractJSON(response);
+  }
+
+  async isAvailable() {
+    return false;
+  }
+
+  async checkModel() {
+    return this.isAvailable();
+  }
+
+  /**
+   * Estado del proveedor para monitoreo
+   * 
+   * @returns {Promise<{name: string, type: string, model: string|null, available: boolean, latencyMs: number, error: string|null}>}
+   */
+  async health() {
+    const started = Date.now();
+    let available = false;
+    let error = null;
+
+    try {
+      available = await this.isAvailable();
+    } catch (err) {
+      error = err.message;
+    }
+
+    return {
+      name: this.name,
+      type: this.type,
+      model: this.defaultModel,
+      available,
+      latencyMs: Date.now() - started,
+      error
+    };
+  }
+}
+
+module.exports = { BaseProvider, extractJSON, JSON_INSTRUCTION };
@@ -0,0 +1,38 @@
+const OllamaProvider = require('./ollamaProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const StubProvider = require('./stubProvider');
+const { BaseProvider, extractJSON } = require('./baseProvider');
+
+/**
+ * Proveedores de LLM disponibles por tipo (config.llm.providers[nombre].type)
+ * 
+ * @module core/ai/providers
+ */
+const PROVIDER_TYPES = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+  stub: StubProvider
+};
+
+/**
+ * Crear un proveedor a partir de su configuración
+ * 
+ * @param {string} name - Nombre con que se registra
+ * @param {object} settings - { type, model, ... } (type por defecto = name)
+ * @returns {BaseProvider}
+ */
+function createProvider(name, settings = {}) {
+  const type = settings.type || name;
+  const Provider = PROVIDER_TYPES[type];
+  if (!Provider) {
+    throw new Error(`Tipo de proveedor de LLM desconocido: ${type} (usa ${Object.keys(PROVIDER_TYPES).join(', ')})`);
+  }
+  return new Provider(name, { ...settings, type });
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  createProvider,
+  BaseProvider,
+  extractJSON
+};
@@ -0,0 +1,50 @@
+const ollamaClient = require('../../../utils/ollamaClient');
+const config = require('../../../../config/config');
+const { BaseProvider } = require('./baseProvider');
+
+/**
+ * Proveedor Ollama (/api/generate)
+ * 
+ * Delega en utils/ollamaClient, que conserva los reintentos por timeout y la
+ * configuración de config.ollama.
+ * 
+ * @module core/ai/providers/ollamaProvider
+ */
+class OllamaProvider extends BaseProvider {
+  constructor(name, settings = {}) {
+    super(name, { ...settings, model: settings.model || config.ollama.model || 'phi3:mini' });
+  }
+
+  /**
+   * Opciones de ollamaClient: modelo por defecto y esquema como format
+   */
+  _clientOptions(options) {
+    const { schema, schemaName, ...rest } = options;
+    const clientOptions = { ...rest, model: options.model || this.defaultModel };
+
+    const format = this.settings.format || config.ollama.format;
+    if (schema && format !== 'off') {
+      clientOptions.format = format === 'json' ? 'json' : schema;
+    }
+
+    return clientOptions;
+  }
+
+  async generate(prompt, systemPrompt = null, options = {}) {
+    return ollamaClient.generate(prompt, systemPrompt, this._clientOptions(options));
+  }
+
+  async *stream(prompt, systemPrompt = null, options = {}) {
+    yield* ollamaClient.stream(prompt, systemPrompt, this._clientOptions(options));
+  }
+
+  async isAvailable() {
+    return ollamaClient.isAvailable();
+  }
+
+  async checkModel(model = this.defaultModel) {
+    return ollamaClient.checkModel(model);
+  }
+}
+
+module.exports = OllamaProvider;
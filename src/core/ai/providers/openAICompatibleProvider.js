@@ -0,0 +1,178 @@
+const axios = require('axios');
+const logger = require('../../../utils/logger');
+const { BaseProvider } = require('./baseProvider');
+
+/**
+ * Proveedor para servidores compatibles con la API de OpenAI
+ * 
+ * Sirve para llama.cpp server, vLLM, LM Studio o la propia API de OpenAI:
+ * - POST {baseUrl}/chat/completions (stream con eventos SSE "data: ...")
+ * - GET  {baseUrl}/models para disponibilidad y modelos cargados
+ * 
+ * baseUrl incluye el prefijo /v1. apiKey es opcional (los servidores locales no la piden).
+ * 
+ * @module core/ai/providers/openAICompatibleProvider
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(name, settings = {}) {
+    super(name, settings);
+    this.baseUrl = (settings.baseUrl || 'http://localhost:8080/v1').replace(/\/+$/, '');
+    this.apiKey = settings.apiKey || '';
+    this.timeout = settings.timeout || 15000;
+    this.maxTokens = settings.maxTokens || null;
+    this.responseFormat = settings.responseFormat || 'off';
+  }
+
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  _buildRequest(prompt, systemPrompt, options, stream) {
+    const messages = [];
+    if (systemPrompt) {
+      messages.push({ role: 'system', content: systemPrompt });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const requestBody = {
+      model: options.model || this.defaultModel,
+      messages,
+      stream
+    };
+    if (options.temperature !== undefined) {
+      requestBody.temperature = options.temperature;
+    }
+    if (options.top_p !== undefined) {
+      requestBody.top_p = options.top_p;
+    }
+    if (options.max_tokens || this.maxTokens) {
+      requestBody.max_tokens = options.max_tokens || this.maxTokens;
+    }
+
+    if (options.schema && this.responseFormat === 'json_schema') {
+      requestBody.response_format = {
+        type: 'json_schema',
+        json_schema: { name: options.schemaName || 'respuesta', schema: options.schema }
+      };
+    } else if (options.schema && this.responseFormat === 'json_object') {
+      requestBody.response_format = { type: 'json_object' };
+    }
+
+    return requestBody;
+  }
+
+  /**
+   * Errores de red con un mensaje uniforme (failover en multiModelAI los reconoce)
+   */
+  _wrapError(error) {
+    if (['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EHOSTUNREACH'].includes(error.code)) {
+      return new Error(`${this.name} no está disponible (${error.code})`);
+    }
+    if (error.response) {
+      const detail = error.response.data?.error?.message || error.response.statusText;
+      const wrapped = new Error(`Error de ${this.name}: HTTP ${error.response.status} ${detail || ''}`.trim());
+      wrapped.status = error.response.status;
+      return wrapped;
+    }
+    return error;
+  }
+
+  async generate(prompt, systemPrompt = null, options = {}) {
+    const requestBody = this._buildRequest(prompt, systemPrompt, options, false);
+
+    logger.debug(`Enviando solicitud a ${this.name}`, {
+      model: requestBody.model,
+      promptLength: prompt.length,
+      hasSystemPrompt: !!systemPrompt
+    });
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, requestBody, {
+        timeout: options.timeout || this.timeout,
+        headers: this._headers()
+      });
+    } catch (error) {
+      throw this._wrapError(error);
+    }
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new Error(`Respuesta inválida de ${this.name}`);
+    }
+
+    return content.trim();
+  }
+
+  async *stream(prompt, systemPrompt = null, options = {}) {
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        this._buildRequest(prompt, systemPrompt, options, true),
+        {
+          timeout: options.timeout || this.timeout,
+          responseType: 'stream',
+          headers: this._headers()
+        }
+      );
+    } catch (error) {
+      throw this._wrapError(error);
+    }
+
+    let buffer = '';
+    for await (const data of response.data) {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) {
+          continue;
+        }
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+          return;
+        }
+        const content = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (content) {
+          yield content;
+        }
+      }
+    }
+  }
+
+  async _listModels() {
+    const response = await axios.get(`${this.baseUrl}/models`, {
+      timeout: 2000,
+      headers: this._headers()
+    });
+    return (response.data?.data || []).map(model => model.id);
+  }
+
+  async isAvailable() {
+    try {
+      await this._listModels();
+      return true;
+    } catch (error) {
+      logger.warn(`${this.name} no está disponible`, error.message);
+      return false;
+    }
+  }
+
+  async checkModel(model = this.defaultModel) {
+    try {
+      const models = await this._listModels();
+      // llama.cpp server sirve un solo modelo y no siempre lo reporta con el mismo nombre
+      return models.length <= 1 || models.includes(model);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,56 @@
+const { BaseProvider } = require('./baseProvider');
+
+/**
+ * Proveedor determinista para pruebas
+ * 
+ * No hace llamadas de red. responses es una lista de { match, response } donde
+ * match es un string o RegExp que se busca en el prompt (igual que el doble de
+ * Ollama del simulador); response puede ser texto u objeto (se serializa a JSON).
+ * Sin coincidencia se usa settings.response, y si no hay, generate falla.
+ * Cada llamada queda en calls.
+ * 
+ * @module core/ai/providers/stubProvider
+ */
+class StubProvider extends BaseProvider {
+  constructor(name, settings = {}) {
+    super(name, { ...settings, model: settings.model || 'stub' });
+    this.reset();
+  }
+
+  reset() {
+    this.available = this.settings.available !== false;
+    this.responses = [];
+    this.calls = [];
+  }
+
+  async generate(prompt, systemPrompt = null, options = {}) {
+    this.calls.push({ prompt, systemPrompt, options });
+    if (!this.available) {
+      throw new Error(`${this.name} no está disponible`);
+    }
+
+    const scripted = this.responses.find(({ match }) =>
+      match instanceof RegExp ? match.test(prompt) : prompt.includes(match)
+    );
+    const response = scripted ? scripted.response : this.settings.response;
+    if (response === undefined || response === null) {
+      throw new Error(`${this.name}: sin respuesta guionada para el prompt`);
+    }
+
+    return typeof response === 'string' ? response.trim() : JSON.stringify(response);
+  }
+
+  /**
+   * Fragmentos palabra por palabra (conservan los espacios)
+   */
+  async *stream(prompt, systemPrompt = null, options = {}) {
+    const text = await this.generate(prompt, systemPrompt, options);
+    yield* text.match(/\S+\s*/g) || [];
+  }
+
+  async isAvailable() {
+    return this.available;
+  }
+}
+
+module.exports = StubProvider;
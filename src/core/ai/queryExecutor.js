@@ -1,7 +1,9 @@
 const kardexApi = require('../../kardexApi');
 const kardexDb = require('../../kardexDb');
+const config = require('../../../config/config');
 const logger = require('../../utils/logger');
-const productCache = require('../../utils/productCache');
+const productSearch = require('../../utils/productSearch');
+const productEmbeddings = require('../../utils/productEmbeddings');
 const sessionManager = require('../../sessionManager');
 const aiCache = require('./aiCache');
 
@@ -150,6 +152,11 @@ class QueryExecutor {
 
   /**
    * Buscar productos por término
+   * 
+   * Combina la relevancia léxica (productSearch: qué tanto de la consulta
+   * coincidió) con la similitud de embeddings (productEmbeddings) según
+   * config.semanticSearch.weight. A igual puntaje se respeta el orden BM25; sin
+   * búsqueda semántica queda el orden léxico.
    */
   async _buscarProductos(params = {}) {
     try {
@@ -160,41 +167,39 @@ class QueryExecutor {
         return [];
       }
 
-      let productos = null;
-
-      // Intentar cache primero
-      const cacheKey = `search:${term.toLowerCase()}`;
-      productos = productCache.get(cacheKey);
-
-      if (!productos) {
-        // Intentar BD primero
-        if (kardexDb.isConnected()) {
-          try {
-            productos = await kardexDb.buscarProductos(term, limit);
-          } catch (dbError) {
-            logger.warn('Error al buscar productos en BD', dbError.message);
-          }
-        }
-
-        // Si no hay resultados, usar API
-        if (!productos || productos.length === 0) {
-          try {
-            productos = await kardexApi.buscarProductos(term);
-            if (productos && productos.length > limit) {
-              productos = productos.slice(0, limit);
-            }
-          } catch (apiError) {
-            logger.warn('Error al buscar productos en API', apiError.message);
-          }
-        }
-
-        // Guardar en cache
-        if (productos && productos.length > 0) {
-          productCache.set(cacheKey, productos);
-        }
+      const [lexical, semantic] = await Promise.all([
+        productSearch.find(term, { limit: limit * 3 }),
+        productEmbeddings.search(term, { limit: limit * 3 })
+      ]);
+      const weight = semantic.length > 0 ? config.semanticSearch.weight : 0;
+
+      const combined = new Map();
+      for (const hit of lexical) {
+        combined.set(hit.producto.id, {
+          producto: hit.producto,
+          lexical: hit.relevance,
+          semantic: 0,
+          explanation: productSearch.explain(hit)
+        });
+      }
+      for (const hit of semantic) {
+        const entry = combined.get(hit.producto.id) || { producto: hit.producto, lexical: 0, semantic: 0, explanation: '' };
+        entry.semantic = hit.similarity;
+        entry.explanation = [entry.explanation, `semántica ${hit.similarity.toFixed(2)}`].filter(Boolean).join('; ');
+        combined.set(hit.producto.id, entry);
       }
 
-      return productos || [];
+      return Array.from(combined.values())
+        .map(entry => ({ ...entry, score: (1 - weight) * entry.lexical + weight * entry.semantic }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(entry => ({
+          ...entry.producto,
+          _score: Math.round(entry.score * 1000) / 1000,
+          _lexicalScore: Math.round(entry.lexical * 1000) / 1000,
+          _semanticScore: entry.semantic,
+          _explanation: entry.explanation
+        }));
     } catch (error) {
       logger.error('Error en _buscarProductos', error);
       return [];
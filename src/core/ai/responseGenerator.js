@@ -2,6 +2,7 @@ const multiModelAI = require('./multiModelAI');
 const logger = require('../../utils/logger');
 const productSuggestions = require('../../utils/productSuggestions');
 const aiCache = require('./aiCache');
+const promptRegistry = require('./promptRegistry');
 
 /**
  * Generador de Respuestas con IA
@@ -9,27 +10,9 @@ const aiCache = require('./aiCache');
  * Genera respuestas completas usando IA.
  * Recibe datos de QueryExecutor y formatea respuesta natural y contextual.
  * Soporta Markdown para WhatsApp y personaliza según historial del usuario.
+ * System prompt: plantilla "response" (prompts/response) con el contexto del usuario.
  */
 class ResponseGenerator {
-  constructor() {
-    this.baseSystemPrompt = `Eres un asistente de ventas amigable, profesional y muy útil de KARDEX.
-Genera respuestas naturales, conversacionales y útiles.
-
-FORMATO:
-- Usa Markdown para WhatsApp (negritas con *, listas con •, emojis apropiados)
-- Sé claro, conciso y amigable
-- Personaliza según el contexto del usuario
-- Incluye sugerencias útiles cuando sea apropiado
-- Usa emojis de forma moderada y apropiada
-
-ESTILO:
-- Conversacional y natural
-- Profesional pero cercano
-- Útil y orientado a ayudar
-- Optimista y positivo
-
-Responde SOLO con el texto de la respuesta, sin JSON, sin explicaciones adicionales.`;
-  }
 
   /**
    * Generar respuesta según intención y datos
@@ -71,7 +54,7 @@ Responde SOLO con el texto de la respuesta, sin JSON, sin explicaciones adiciona
       });
 
       // Verificar cache de respuestas (solo para consultas comunes)
-      const cacheableIntents = ['VER_CATALOGO', 'AYUDA', 'SALUDO'];
+      const cacheableIntents = ['AYUDA', 'SALUDO'];
       let cacheKey = null;
       if (cacheableIntents.includes(intencion)) {
         const crypto = require('crypto');
@@ -127,10 +110,6 @@ Responde SOLO con el texto de la respuesta, sin JSON, sin explicaciones adiciona
     let prompt = '';
 
     switch (intencion) {
-      case 'VER_CATALOGO':
-        prompt = this._buildCatalogPrompt(data, sessionState);
-        break;
-
       case 'CONSULTAR_PRECIO':
         prompt = this._buildPricePrompt(intent, data, sessionState);
         break;
@@ -174,7 +153,7 @@ Responde SOLO con el texto de la respuesta, sin JSON, sin explicaciones adiciona
   }
 
   /**
-   * Construir system prompt específico
+   * Construir system prompt específico (versión de la plantilla según la sesión)
    */
   _buildSystemPrompt(intent, context) {
     const { sessionState = {}, conversationHistory = [] } = context;
@@ -194,38 +173,11 @@ Responde SOLO con el texto de la respuesta, sin JSON, sin explicaciones adiciona
       contextInfo += `- Conversación anterior disponible\n`;
     }
 
-    return `${this.baseSystemPrompt}\n\nCONTEXTO DEL USUARIO:\n${contextInfo || '- Sin contexto adicional'}`;
-  }
-
-  /**
-   * Prompt para catálogo
-   */
-  _buildCatalogPrompt(productos, sessionState) {
-    let prompt = `Genera una respuesta mostrando el catálogo de productos de KARDEX.\n\n`;
-    
-    if (productos && productos.length > 0) {
-      prompt += `PRODUCTOS DISPONIBLES (${productos.length} productos):\n\n`;
-      productos.slice(0, 20).forEach((p, idx) => {
-        const precio = parseFloat(p.precio_venta || 0).toFixed(2);
-        const stock = (p.stock_actual || 0) > 0 ? '✅' : '❌';
-        prompt += `${idx + 1}. ${p.nombre} - S/ ${precio} ${stock}\n`;
-      });
-      
-      if (productos.length > 20) {
-        prompt += `\n... y ${productos.length - 20} productos más\n`;
-      }
-      
-      prompt += `\nGenera una respuesta atractiva con formato Markdown para WhatsApp, incluyendo:\n`;
-      prompt += `- Título destacado con emoji\n`;
-      prompt += `- Lista de productos con precios y disponibilidad\n`;
-      prompt += `- Instrucciones de cómo pedir o ver más detalles\n`;
-      prompt += `- Sugerencias útiles (filtros, búsqueda, etc.)\n`;
-    } else {
-      prompt += `No hay productos disponibles en este momento.\n\n`;
-      prompt += `Genera una respuesta amigable informando esto y sugiriendo contactar más tarde.`;
-    }
-    
-    return prompt;
+    return promptRegistry.render(
+      'response',
+      contextInfo ? { contexto: contextInfo.trimEnd() } : {},
+      { sessionKey: sessionState.phoneNumber }
+    ).text;
   }
 
   /**
@@ -482,13 +434,6 @@ Responde SOLO con el texto de la respuesta, sin JSON, sin explicaciones adiciona
 
     // Botones según intención
     switch (intencion) {
-      case 'VER_CATALOGO':
-        buttons.push(
-          { title: '🔍 Buscar', id: 'search' },
-          { title: '🛒 Hacer Pedido', id: 'order' }
-        );
-        break;
-
       case 'CONSULTAR_PRECIO':
       case 'CONSULTAR_STOCK':
         if (data && data.length > 0) {
@@ -523,7 +468,6 @@ Responde SOLO con el texto de la respuesta, sin JSON, sin explicaciones adiciona
 
     // Respuestas básicas predefinidas
     const fallbacks = {
-      VER_CATALOGO: '🛍️ *CATÁLOGO DE PRODUCTOS*\n\nAquí están nuestros productos disponibles.\n\n💬 Para ver más detalles, escribe el nombre del producto o di *"AYUDA"* para ver opciones.',
       CONSULTAR_PRECIO: '💰 *CONSULTA DE PRECIO*\n\nPor favor, menciona el nombre específico del producto que te interesa.\n\n💡 Ejemplo: *"¿Cuánto cuesta una laptop?"*',
       CONSULTAR_STOCK: '📦 *CONSULTA DE STOCK*\n\nPor favor, menciona el nombre del producto.\n\n💡 Ejemplo: *"¿Tienes laptops disponibles?"*',
       AYUDA: '🤖 *AYUDA*\n\nPuedo ayudarte con:\n• Ver catálogo de productos\n• Consultar precios y stock\n• Hacer pedidos\n• Ver estado de pedidos\n\n💬 Di *"CATALOGO"* para empezar.',
@@ -0,0 +1,238 @@
+const multiModelAI = require('./multiModelAI');
+const SCHEMAS = require('./outputSchemas');
+const { extractJSON, JSON_INSTRUCTION } = require('./providers');
+const logger = require('../../utils/logger');
+const config = require('../../../config/config');
+
+/**
+ * Respuestas JSON del LLM validadas contra un esquema
+ * 
+ * generate(nombre, ...) pide la respuesta con el esquema de core/ai/outputSchemas
+ * (el proveedor lo aplica si puede: format de Ollama, response_format en servidores
+ * compatibles con OpenAI), la parsea, normaliza y valida. Si no es JSON o no cumple
+ * el esquema, vuelve a pedirla mostrando al modelo su respuesta y los errores, hasta
+ * config.structuredOutput.maxRepairs veces; si sigue mal, lanza un error.
+ * 
+ * Cada falla queda contada por esquema (getStats) para ver qué prompts son frágiles.
+ * 
+ * @module core/ai/structuredOutput
+ */
+
+const MAX_RECENT_FAILURES = 10;
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validar un valor contra un esquema (subconjunto de JSON Schema)
+ * 
+ * Las propiedades ausentes (undefined) solo fallan si están en required;
+ * las propiedades extra se permiten.
+ * 
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] - Ruta para los mensajes de error
+ * @returns {string[]} Errores (vacío si es válido)
+ */
+function validateValue(schema, value, path = '$') {
+  const errors = [];
+  const types = schema.type ? [].concat(schema.type) : null;
+
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [`${path} debe ser ${types.join(' o ')} (es ${typeOf(value)})`];
+  }
+  if (value === null) {
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} debe ser uno de: ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} debe ser >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} debe ser <= ${schema.maximum}`);
+    }
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} no puede estar vacío`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} es obligatorio`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateValue(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+class StructuredOutput {
+  constructor() {
+    this.schemas = SCHEMAS;
+    this.maxRepairs = config.structuredOutput.maxRepairs;
+    this.resetStats();
+  }
+
+  /**
+   * Validar un valor contra un esquema
+   * 
+   * @returns {string[]} Errores (vacío si es válido)
+   */
+  validate(schema, value) {
+    return validateValue(schema, value);
+  }
+
+  /**
+   * Generar y validar una respuesta JSON
+   * 
+   * @param {string} schemaName - Clave de core/ai/outputSchemas
+   * @param {string} prompt
+   * @param {string} systemPrompt
+   * @param {string} [taskType] - Tarea de multiModelAI (queries, orders, conversation)
+   * @param {object} [options] - Opciones de generación
+   * @returns {Promise<object>} Respuesta normalizada y válida
+   */
+  async generate(schemaName, prompt, systemPrompt, taskType = 'queries', options = {}) {
+    const definition = this.schemas[schemaName];
+    if (!definition) {
+      throw new Error(`Esquema de salida desconocido: ${schemaName}`);
+    }
+
+    const stats = this._statsFor(schemaName);
+    stats.requests++;
+
+    let currentPrompt = `${prompt}${JSON_INSTRUCTION}`;
+    for (let attempt = 0; attempt <= this.maxRepairs; attempt++) {
+      let raw;
+      try {
+        raw = await multiModelAI.generate(currentPrompt, systemPrompt, taskType, {
+          ...options,
+          schema: definition.schema,
+          schemaName
+        });
+      } catch (error) {
+        stats.providerErrors++;
+        throw error;
+      }
+
+      const { value, errors, kind } = this._check(definition, raw);
+      if (errors.length === 0) {
+        stats[attempt === 0 ? 'valid' : 'repaired']++;
+        return value;
+      }
+
+      stats[kind]++;
+      this._recordFailure(stats, schemaName, attempt, kind, errors, raw);
+
+      currentPrompt = `${prompt}\n\nTu respuesta anterior fue:\n${String(raw).substring(0, 1000)}\n\n` +
+        `No es válida: ${errors.slice(0, 5).join('; ')}.\n` +
+        `Corrígela y responde SOLO con un JSON válido que cumpla el formato pedido, sin texto adicional.`;
+    }
+
+    stats.failed++;
+    throw new Error(`La respuesta del modelo no cumple el esquema ${schemaName}`);
+  }
+
+  /**
+   * Parsear, normalizar y validar una respuesta
+   * 
+   * @returns {{value: *, errors: string[], kind: 'invalidJson'|'schemaErrors'}}
+   */
+  _check(definition, raw) {
+    let value;
+    try {
+      value = extractJSON(raw);
+    } catch (error) {
+      return { value: null, errors: [error.message], kind: 'invalidJson' };
+    }
+
+    if (definition.normalize) {
+      value = definition.normalize(value);
+    }
+
+    return { value, errors: validateValue(definition.schema, value), kind: 'schemaErrors' };
+  }
+
+  _recordFailure(stats, schemaName, attempt, kind, errors, raw) {
+    logger.warn(`Respuesta inválida del LLM para ${schemaName} (intento ${attempt + 1})`, {
+      kind,
+      errors: errors.slice(0, 5),
+      preview: String(raw).substring(0, 200)
+    });
+
+    stats.recentFailures.unshift({
+      at: new Date().toISOString(),
+      attempt: attempt + 1,
+      kind,
+      errors: errors.slice(0, 5)
+    });
+    stats.recentFailures.length = Math.min(stats.recentFailures.length, MAX_RECENT_FAILURES);
+  }
+
+  _statsFor(schemaName) {
+    if (!this.stats.schemas[schemaName]) {
+      this.stats.schemas[schemaName] = {
+        requests: 0,
+        valid: 0, // Válida al primer intento
+        repaired: 0, // Válida después de pedir corrección
+        failed: 0, // Sin respuesta válida tras los reintentos
+        invalidJson: 0, // Respuestas que no eran JSON
+        schemaErrors: 0, // JSON que no cumplía el esquema
+        providerErrors: 0, // Ningún proveedor respondió
+        recentFailures: []
+      };
+    }
+    return this.stats.schemas[schemaName];
+  }
+
+  /**
+   * Contadores por esquema, con la proporción de respuestas que necesitaron corrección o fallaron
+   */
+  getStats() {
+    const schemas = {};
+    for (const [name, stats] of Object.entries(this.stats.schemas)) {
+      const answered = stats.valid + stats.repaired + stats.failed;
+      schemas[name] = {
+        ...stats,
+        recentFailures: [...stats.recentFailures],
+        fragility: answered > 0 ? Math.round(((stats.repaired + stats.failed) / answered) * 100) / 100 : 0
+      };
+    }
+    return { since: this.stats.since, maxRepairs: this.maxRepairs, schemas };
+  }
+
+  resetStats() {
+    this.stats = { since: new Date().toISOString(), schemas: {} };
+  }
+}
+
+module.exports = new StructuredOutput();
@@ -1,5 +1,5 @@
 const textCorrector = require('../../utils/textCorrector');
-const ollamaClient = require('../../utils/ollamaClient');
+const multiModelAI = require('./multiModelAI');
 const logger = require('../../utils/logger');
 
 /**
@@ -127,9 +127,10 @@ Responde SOLO con el texto corregido, sin explicaciones.`;
 
       prompt += `Texto corregido:`;
 
-      const corrected = await ollamaClient.generate(
+      const corrected = await multiModelAI.generate(
         prompt,
         systemPrompt,
+        'queries',
         {
           temperature: 0.1, // Baja temperatura para más precisión
           timeout: 5000 // 5 segundos timeout
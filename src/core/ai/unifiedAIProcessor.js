@@ -4,6 +4,15 @@ const responseGenerator = require('./responseGenerator');
 const aiProcessor = require('../../aiProcessor');
 const logger = require('../../utils/logger');
 
+// Intenciones del prompt de pedidos que el resolver nombra distinto
+const ORDER_INTENT_ALIASES = {
+  CANCELAR: 'CANCELAR_PEDIDO',
+  SALIR: 'CANCELAR_PEDIDO',
+  BUSCAR: 'BUSCAR_PRODUCTOS',
+  VER_PRODUCTO: 'BUSCAR_PRODUCTOS',
+  VOLVER: 'OTRO'
+};
+
 /**
  * Procesador Unificado de IA
  * 
@@ -22,7 +31,7 @@ class UnifiedAIProcessor {
    */
   async process(text, context = {}) {
     try {
-      const { sessionState = {}, conversationHistory = [], isFromVoice = false } = context;
+      const { sessionState = {}, conversationHistory = [], isFromVoice = false, originalText = null } = context;
 
       if (!text || typeof text !== 'string' || text.trim().length === 0) {
         return {
@@ -42,21 +51,29 @@ class UnifiedAIProcessor {
         state: sessionState.state
       });
 
+      // 0. Mensaje con varias acciones ("quita el aceite, agrega 3 leches y confirma")
+      // Sobre el texto original: textCorrector convierte dígitos en palabras y parte los decimales ("0,5")
+      const steps = intentResolver.resolveActions(originalText || text);
+      if (steps) {
+        return await this._planActions(steps, conversationHistory, sessionState);
+      }
+
       // 1. Resolver intención con IA
-      const intent = await intentResolver.resolve(text, sessionState, conversationHistory);
+      let intent = await intentResolver.resolve(text, sessionState, conversationHistory);
 
       logger.info('Intención resuelta', {
         intencion: intent.intencion,
         confianza: intent.confianza,
         queryNecesaria: intent.queryNecesaria,
-        action: intent.action
+        action: intent.action,
+        tier: intent.tier
       });
 
       // 2. Si es HACER_PEDIDO, delegar a aiProcessor existente
       if (intent.intencion === 'HACER_PEDIDO') {
         logger.info('Delegando pedido a aiProcessor existente');
         try {
-          const orderResult = await aiProcessor.processOrder(text, conversationHistory);
+          const orderResult = await aiProcessor.processOrder(text, conversationHistory, { sessionKey: sessionState.phoneNumber });
           
           // Si el pedido fue procesado exitosamente, usar ese resultado
           if (orderResult.success) {
@@ -66,12 +83,18 @@ class UnifiedAIProcessor {
               action: orderResult.action || 'add_products_to_order',
               message: null, // El mensaje se generará en el handler
               data: orderResult,
-              buttons: null
+              buttons: null,
+              tier: intent.tier
             };
           } else if (orderResult.intent) {
             // La IA detectó otra intención, procesarla normalmente
+            // La acción y la query se arman de nuevo para la intención detectada
             logger.info(`IA detectó intención alternativa: ${orderResult.intent}`);
-            intent.intencion = orderResult.intent;
+            const intencion = ORDER_INTENT_ALIASES[orderResult.intent] || orderResult.intent;
+            intent = {
+              ...intentResolver._buildResolution(intencion, text, sessionState, intent.confianza),
+              tier: intent.tier
+            };
           } else {
             // Error en pedido, retornar mensaje de error
             return {
@@ -80,7 +103,8 @@ class UnifiedAIProcessor {
               action: null,
               message: orderResult.message || 'No pude procesar tu pedido. Por favor, intenta de nuevo.',
               data: null,
-              buttons: null
+              buttons: null,
+              tier: intent.tier
             };
           }
         } catch (orderError) {
@@ -100,7 +124,21 @@ class UnifiedAIProcessor {
           action: intent.action,
           message: null, // El handler generará el mensaje
           data: null,
-          buttons: null
+          buttons: null,
+          tier: intent.tier
+        };
+      }
+
+      // 3b. El catálogo se navega por categorías y páginas (core/conversation/catalogBrowser)
+      if (intent.intencion === 'VER_CATALOGO') {
+        return {
+          intent: 'ver_catalogo',
+          confidence: intent.confianza || 0.8,
+          action: 'browse_catalog',
+          message: null,
+          data: { categoria: intent.parametros?.categoria || null, texto: text },
+          buttons: null,
+          tier: intent.tier
         };
       }
 
@@ -145,7 +183,8 @@ class UnifiedAIProcessor {
           action: intent.action,
           message: null, // El handler generará el mensaje con los datos
           data: queryData,
-          buttons: null
+          buttons: null,
+          tier: intent.tier
         };
       }
 
@@ -156,14 +195,16 @@ class UnifiedAIProcessor {
         action: intent.action || null,
         message: response.text,
         data: response.data || queryData,
-        buttons: response.buttons || null
+        buttons: response.buttons || null,
+        tier: intent.tier
       };
 
       logger.success('Procesamiento completo', {
         intent: result.intent,
         confidence: result.confidence,
         hasAction: !!result.action,
-        hasMessage: !!result.message
+        hasMessage: !!result.message,
+        tier: result.tier
       });
 
       return result;
@@ -182,6 +223,54 @@ class UnifiedAIProcessor {
     }
   }
 
+  /**
+   * Preparar los datos de cada acción de un mensaje compuesto
+   * 
+   * Los productos a agregar se resuelven con aiProcessor igual que un pedido
+   * normal; si no se entienden, ese paso lleva el error y la ejecución se
+   * detendrá ahí (ver conversationEngine.handleAction con 'run_actions').
+   * 
+   * @returns {Promise<object>} Resultado con action 'run_actions' y actions [{ action, actionData, text, error }]
+   */
+  async _planActions(steps, conversationHistory = [], sessionState = {}) {
+    const actions = [];
+
+    for (const step of steps) {
+      if (step.type !== 'add') {
+        actions.push({ action: step.action, actionData: step.params, text: step.text });
+        continue;
+      }
+
+      let orderResult;
+      try {
+        orderResult = await aiProcessor.processOrder(step.text, conversationHistory, { sessionKey: sessionState.phoneNumber });
+      } catch (orderError) {
+        logger.error('Error al procesar pedido con aiProcessor', orderError);
+        orderResult = { success: false };
+      }
+
+      actions.push(orderResult.success
+        ? { action: orderResult.action || step.action, actionData: orderResult, text: step.text }
+        : {
+          action: step.action,
+          actionData: null,
+          text: step.text,
+          error: orderResult.message || `No pude identificar los productos de "${step.text}".`
+        });
+    }
+
+    return {
+      intent: 'multiple',
+      confidence: 0.9,
+      action: 'run_actions',
+      message: null,
+      data: null,
+      actions,
+      buttons: null,
+      tier: 'rules'
+    };
+  }
+
   /**
    * Verificar si el sistema está disponible
    */
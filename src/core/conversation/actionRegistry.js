@@ -0,0 +1,185 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Registro de acciones del bot
+ * 
+ * Cada acción declara:
+ * - name: nombre de la acción que devuelve el NLU (ej: 'confirm_order')
+ * - aliases: nombres alternativos que ejecutan el mismo handler
+ * - schema: campos requeridos/opcionales de actionData
+ * - allowedStates: estados de sesión en los que se permite (null = cualquiera)
+ * - handler: async ({ transport, phoneNumber, replyTo, actionData, sessionState }) => void|boolean
+ *   (devolver false indica que la acción no se completó; el handler ya avisó al usuario)
+ * 
+ * Formato del schema:
+ *   { campo: { type: 'string'|'number'|'boolean'|'array'|'object' (o array de tipos), required, min, exclusiveMin, enum } }
+ * 
+ * @module core/conversation/actionRegistry
+ */
+
+class ActionRegistry {
+  constructor() {
+    this.actions = new Map(); // nombre o alias -> definición
+  }
+
+  /**
+   * Registrar una acción
+   * 
+   * @param {object} definition - {name, aliases, schema, allowedStates, handler, description}
+   */
+  register(definition) {
+    const { name, aliases = [], handler } = definition || {};
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('La acción debe tener un nombre');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`La acción ${name} debe tener un handler`);
+    }
+
+    const normalized = {
+      description: '',
+      schema: {},
+      allowedStates: null,
+      ...definition,
+      aliases
+    };
+
+    for (const key of [name, ...aliases]) {
+      if (this.actions.has(key)) {
+        logger.warn(`⚠️ Acción ${key} ya registrada, se reemplaza`);
+      }
+      this.actions.set(key, normalized);
+    }
+  }
+
+  /**
+   * Obtener definición de una acción (por nombre o alias)
+   */
+  get(name) {
+    return this.actions.get(name) || null;
+  }
+
+  has(name) {
+    return this.actions.has(name);
+  }
+
+  /**
+   * Listar acciones registradas (sin duplicar aliases)
+   */
+  list() {
+    return [...new Set(this.actions.values())].map(definition => ({
+      name: definition.name,
+      aliases: definition.aliases,
+      description: definition.description,
+      schema: definition.schema,
+      allowedStates: definition.allowedStates
+    }));
+  }
+
+  /**
+   * Validar actionData contra el schema de la acción
+   * 
+   * @param {object} schema - Schema de la acción
+   * @param {object} actionData - Datos a validar
+   * @returns {object} {valid: boolean, errors: string[]}
+   */
+  validate(schema = {}, actionData = {}) {
+    const errors = [];
+    const data = actionData || {};
+
+    for (const [field, rules] of Object.entries(schema)) {
+      const value = data[field];
+      const isMissing = value === undefined || value === null || value === '';
+
+      if (isMissing) {
+        if (rules.required) {
+          errors.push(`${field} es requerido`);
+        }
+        continue;
+      }
+
+      const types = rules.type ? [].concat(rules.type) : [];
+      if (types.length > 0 && !types.some(type => this._matchesType(value, type))) {
+        errors.push(`${field} debe ser de tipo ${types.join(' o ')}`);
+        continue;
+      }
+
+      if (rules.enum && !rules.enum.includes(value)) {
+        errors.push(`${field} debe ser uno de: ${rules.enum.join(', ')}`);
+      }
+
+      if (rules.min !== undefined) {
+        const size = Array.isArray(value) ? value.length : value;
+        if (typeof size === 'number' && size < rules.min) {
+          errors.push(`${field} debe ser al menos ${rules.min}`);
+        }
+      }
+
+      if (rules.exclusiveMin !== undefined && typeof value === 'number' && value <= rules.exclusiveMin) {
+        errors.push(`${field} debe ser mayor que ${rules.exclusiveMin}`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  _matchesType(value, type) {
+    switch (type) {
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value);
+      case 'number':
+        return typeof value === 'number' && !Number.isNaN(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Verificar si la acción está permitida en el estado actual de la sesión
+   */
+  isAllowedInState(definition, state) {
+    if (!definition.allowedStates || !state) {
+      return true;
+    }
+    return definition.allowedStates.includes(state);
+  }
+
+  /**
+   * Ejecutar una acción: valida estado y actionData antes de llamar al handler
+   * 
+   * @param {string} name - Nombre de la acción
+   * @param {object} context - {transport, phoneNumber, replyTo, actionData, sessionState, currentState}
+   * @returns {Promise<object>} {success: boolean, reason: string|null, errors: string[]}
+   *   reason: unknown_action | state_not_allowed | invalid_data | handler_failed
+   */
+  async dispatch(name, context = {}) {
+    const definition = this.get(name);
+
+    if (!definition) {
+      logger.warn(`Acción desconocida: ${name}`);
+      return { success: false, reason: 'unknown_action', errors: [] };
+    }
+
+    if (!this.isAllowedInState(definition, context.currentState)) {
+      logger.warn(`⚠️ Acción ${name} no permitida en estado ${context.currentState}`);
+      return { success: false, reason: 'state_not_allowed', errors: [] };
+    }
+
+    const validation = this.validate(definition.schema, context.actionData);
+    if (!validation.valid) {
+      logger.warn(`⚠️ actionData inválido para ${name}`, { errors: validation.errors });
+      return { success: false, reason: 'invalid_data', errors: validation.errors };
+    }
+
+    const completed = await definition.handler(context);
+    if (completed === false) {
+      return { success: false, reason: 'handler_failed', errors: [] };
+    }
+    return { success: true, reason: null, errors: [] };
+  }
+}
+
+module.exports = new ActionRegistry();
@@ -0,0 +1,518 @@
+const config = require('../../../config/config');
+const logger = require('../../utils/logger');
+const sessionManager = require('../../sessionManager');
+const productCache = require('../../utils/productCache');
+const databaseManager = require('../database/databaseManager');
+const interactiveMessage = require('../messaging/interactiveMessage');
+
+/**
+ * Navegación del catálogo por categorías
+ * 
+ * "Ver catálogo" (acción browse_catalog) abre un menú de categorías y cada
+ * categoría se recorre por páginas de config.catalog.pageSize productos,
+ * ordenadas por nombre, precio o unidades vendidas. Lo que se está viendo queda
+ * en la sesión (contexto browse, _browse) para que el siguiente mensaje pueda
+ * seguir la navegación: "ver más", "siguiente", "anterior", "más baratos",
+ * "más vendidos", "categorías", el nombre de una categoría o el número de una
+ * opción. Los menús se envían numerados; con WHATSAPP_INTERACTIVE_MESSAGES=true
+ * WhatsApp los recibe como listas o botones y lo elegido vuelve como el id de la
+ * opción ("browse:cat:3:2") (ver messaging/interactiveMessage).
+ * 
+ * Un mensaje que no es de navegación se procesa normalmente y deja de valer la
+ * numeración, para que "2" no elija un producto cuando responde a otra pregunta.
+ * Lo mismo al agregar un producto y al pasar a un estado fuera de BROWSE_STATES
+ * (confirmación del pedido, medio de pago, datos del cliente): ahí no se navega.
+ * 
+ * @module core/conversation/catalogBrowser
+ */
+
+// Una lista de WhatsApp admite 10 filas: productos + ver más, anterior, ordenar y categorías
+const MAX_PAGE_SIZE = 6;
+
+const ALL = 'all';
+
+const STATES = sessionManager.STATES;
+
+// Estados en los que se atiende la navegación; en los demás el mensaje responde a otra pregunta
+const BROWSE_STATES = [
+  STATES.IDLE,
+  STATES.PEDIDO_EN_PROCESO,
+  STATES.PEDIDO_CREADO,
+  STATES.COMPLETED
+];
+
+const SORTS = {
+  nombre: 'nombre',
+  precio_asc: 'menor precio',
+  precio_desc: 'mayor precio',
+  popular: 'más vendidos'
+};
+
+const SORT_PHRASES = {
+  precio_asc: ['mas baratos?', 'mas baratas?', 'menor precio', 'precio mas bajo', 'mas economicos?', 'mas economicas?', 'precio'],
+  precio_desc: ['mas caros?', 'mas caras?', 'mayor precio', 'precio mas alto'],
+  popular: ['mas vendidos?', 'mas vendidas?', 'mas populares', 'populares', 'mas pedidos?', 'popularidad'],
+  nombre: ['nombre', 'orden alfabetico', 'alfabetico']
+};
+
+// Palabras que pueden acompañar al orden en una respuesta: "ordenar por precio", "los más vendidos"
+const SORT_PREFIX = '^(?:(?:ordenar|ordena|ordenalos|ordenalas|ver|muestrame|los|las|por|de)\\s+)*';
+
+const NEXT = /^(ver mas|mas|siguiente|siguientes|sgte|pagina siguiente|mas productos|muestrame mas|otros)$/;
+const PREVIOUS = /^(anterior|atras|pagina anterior|volver|regresar)$/;
+const MENU = /^(categorias|ver categorias|menu|menu de categorias|otra categoria|catalogo|ver catalogo)$/;
+const SORT_MENU = /^(ordenar|ordenar por|ordenar productos)$/;
+
+function fold(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9:_\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Palabras sin plural para comparar nombres de categoría ("lácteo" = "Lácteos")
+ */
+function stems(text) {
+  return fold(text).split(' ').filter(Boolean).map(word => word.replace(/s$/, '').replace(/e$/, '')).join(' ');
+}
+
+function price(producto) {
+  return parseFloat(producto.precio_venta ?? producto.precio ?? 0) || 0;
+}
+
+function formatPrice(value) {
+  return `S/ ${value.toFixed(2)}`;
+}
+
+class CatalogBrowser {
+  pageSize() {
+    return Math.min(Math.max(parseInt(config.catalog.pageSize, 10) || MAX_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  }
+
+  /**
+   * Categorías activas que tienen productos, con su cantidad
+   * 
+   * @returns {Promise<Array<{id: number, nombre: string, total: number}>>}
+   */
+  async categories() {
+    const [categorias, productos] = await Promise.all([databaseManager.getCategorias(), this._products()]);
+    return (categorias || [])
+      .filter(categoria => categoria.activo === undefined || Number(categoria.activo) === 1 || categoria.activo === true)
+      .map(categoria => ({
+        id: categoria.id,
+        nombre: categoria.nombre,
+        total: productos.filter(producto => String(producto.categoria_id) === String(categoria.id)).length
+      }))
+      .filter(categoria => categoria.total > 0);
+  }
+
+  /**
+   * Productos de una categoría (o de todas) en el orden pedido
+   * 
+   * @param {number|string} categoriaId - Id de la categoría o 'all'
+   * @param {string} sort - Clave de SORTS
+   * @returns {Promise<Array<object>>}
+   */
+  async products(categoriaId, sort = 'nombre') {
+    let productos = await this._products();
+    if (categoriaId !== ALL) {
+      productos = productos.filter(producto => String(producto.categoria_id) === String(categoriaId));
+    }
+
+    const byName = (a, b) => String(a.nombre).localeCompare(String(b.nombre), 'es');
+    if (sort === 'precio_asc') {
+      return productos.sort((a, b) => price(a) - price(b) || byName(a, b));
+    }
+    if (sort === 'precio_desc') {
+      return productos.sort((a, b) => price(b) - price(a) || byName(a, b));
+    }
+    if (sort === 'popular') {
+      const vendidos = await databaseManager.getVentasPorProducto();
+      return productos.sort((a, b) => (vendidos[b.id] || 0) - (vendidos[a.id] || 0) || byName(a, b));
+    }
+    return productos.sort(byName);
+  }
+
+  async _products() {
+    const productos = await productCache.loadCatalog();
+    return productos.filter(producto => producto.activo === undefined || Number(producto.activo) === 1 || producto.activo === true);
+  }
+
+  /**
+   * Categoría que se menciona en un texto ("muéstrame los lácteos")
+   * 
+   * @param {string} text
+   * @param {Array<object>} categorias - Resultado de categories()
+   * @param {boolean} [exact] - El texto es solo el nombre de la categoría
+   * @returns {object|null}
+   */
+  findCategory(text, categorias, exact = false) {
+    const said = stems(text);
+    if (!said) {
+      return null;
+    }
+    return categorias.find(categoria => {
+      const name = stems(categoria.nombre);
+      return exact ? said === name : ` ${said} `.includes(` ${name} `);
+    }) || null;
+  }
+
+  /**
+   * Orden que se pide en un texto ("los más baratos")
+   * 
+   * @param {string} text
+   * @param {boolean} [exact] - El texto es solo el pedido de orden
+   * @returns {string|null} Clave de SORTS
+   */
+  findSort(text, exact = false) {
+    const said = fold(text);
+    for (const [sort, phrases] of Object.entries(SORT_PHRASES)) {
+      const pattern = exact
+        ? new RegExp(`${SORT_PREFIX}(?:${phrases.join('|')})$`)
+        : new RegExp(`(?:^|\\s)(?:${phrases.filter(phrase => phrase !== 'precio' && phrase !== 'nombre').join('|')})(?:\\s|$)`);
+      if (pattern.test(said)) {
+        return sort;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Abrir el catálogo: la categoría que se menciona o el menú de categorías
+   * 
+   * @param {object} params
+   * @param {object} params.transport
+   * @param {string} params.phoneNumber
+   * @param {string} params.replyTo
+   * @param {string} [params.text] - Mensaje del usuario
+   * @param {string} [params.categoria] - Categoría que reconoció el NLU
+   */
+  async open({ transport, phoneNumber, replyTo, text = '', categoria = null }) {
+    const categorias = await this.categories();
+    const state = await this._state(phoneNumber);
+    const found = (categoria && this.findCategory(categoria, categorias)) || this.findCategory(text, categorias);
+
+    if (found || categorias.length === 0) {
+      const key = found ? found.id : ALL;
+      const sort = this.findSort(text) || state?.sorts?.[key] || 'nombre';
+      return this.showCategory({ transport, phoneNumber, replyTo, state }, key, 1, sort);
+    }
+    return this.showMenu({ transport, phoneNumber, replyTo, state }, 1, categorias);
+  }
+
+  /**
+   * Menú de categorías
+   */
+  async showMenu(ctx, page = 1, categorias = null) {
+    categorias = categorias || await this.categories();
+    if (categorias.length === 0) {
+      return this.showCategory(ctx, ALL, 1);
+    }
+
+    const size = this.pageSize();
+    const pages = Math.ceil(categorias.length / size);
+    page = Math.min(Math.max(page, 1), pages);
+
+    const rows = categorias.slice((page - 1) * size, page * size).map(categoria => ({
+      id: `browse:cat:${categoria.id}:1`,
+      title: categoria.nombre,
+      description: `${categoria.total} ${categoria.total === 1 ? 'producto' : 'productos'}`
+    }));
+    const options = [];
+    if (page < pages) {
+      options.push({ id: `browse:menu:${page + 1}`, title: '➡️ Más categorías', description: `Página ${page + 1} de ${pages}` });
+    }
+    if (page > 1) {
+      options.push({ id: `browse:menu:${page - 1}`, title: '⬅️ Anterior', description: `Página ${page - 1} de ${pages}` });
+    }
+    options.push({ id: `browse:cat:${ALL}:1`, title: '🛍️ Todos los productos', description: 'Todo el catálogo por nombre' });
+
+    const message = {
+      kind: 'list',
+      title: '📂 Catálogo',
+      text: 'Elige una categoría para ver sus productos.',
+      footer: pages > 1 ? `Página ${page} de ${pages}` : null,
+      buttonText: 'Ver categorías',
+      sections: [
+        { title: 'Categorías', rows },
+        { title: 'Más opciones', rows: options }
+      ]
+    };
+    return this._send(ctx, message, { view: 'menu', categoria: null, page });
+  }
+
+  /**
+   * Una página de productos de una categoría (o de todo el catálogo)
+   */
+  async showCategory(ctx, categoriaId, page = 1, sort = null) {
+    const key = categoriaId === ALL ? ALL : categoriaId;
+    sort = SORTS[sort] ? sort : (ctx.state?.sorts?.[key] || 'nombre');
+
+    const [productos, categorias] = await Promise.all([this.products(key, sort), key === ALL ? [] : this.categories()]);
+    const categoria = categorias.find(item => String(item.id) === String(key));
+    if (productos.length === 0 || (key !== ALL && !categoria)) {
+      await ctx.transport.sendMessage(ctx.replyTo,
+        '😕 No encontré productos disponibles en esa categoría.\n\n💡 Escribe *categorías* para ver las demás.'
+      );
+      return true;
+    }
+
+    const size = this.pageSize();
+    const pages = Math.ceil(productos.length / size);
+    const pastEnd = page > pages;
+    page = Math.min(Math.max(page, 1), pages);
+
+    const rows = productos.slice((page - 1) * size, page * size).map(producto => ({
+      id: `browse:prod:${producto.id}`,
+      title: producto.nombre,
+      description: `${formatPrice(price(producto))}${Number(producto.stock_actual) <= 0 ? ' · Agotado' : ''}`
+    }));
+    const options = [];
+    if (page < pages) {
+      options.push({ id: `browse:cat:${key}:${page + 1}`, title: '➡️ Ver más', description: `Página ${page + 1} de ${pages}` });
+    }
+    if (page > 1) {
+      options.push({ id: `browse:cat:${key}:${page - 1}`, title: '⬅️ Anterior', description: `Página ${page - 1} de ${pages}` });
+    }
+    options.push({ id: `browse:sorts:${key}`, title: '↕️ Ordenar', description: 'Por precio o por más vendidos' });
+    options.push({ id: 'browse:menu:1', title: '📂 Categorías', description: 'Volver al menú de categorías' });
+
+    const message = {
+      kind: 'list',
+      title: key === ALL ? '🛍️ Todos los productos' : `📂 ${categoria.nombre}`,
+      text: `${pastEnd ? 'No hay más productos, esta es la última página.\n' : ''}Página ${page} de ${pages} · ordenados por ${SORTS[sort]}`,
+      footer: 'Elige un producto para ver su detalle y agregarlo',
+      buttonText: 'Ver productos',
+      sections: [
+        { title: 'Productos', rows },
+        { title: 'Más opciones', rows: options }
+      ]
+    };
+    return this._send(ctx, message, {
+      view: 'category',
+      categoria: key,
+      page,
+      sorts: { ...(ctx.state?.sorts || {}), [key]: sort }
+    });
+  }
+
+  /**
+   * Opciones de orden de la categoría que se está viendo
+   */
+  async showSorts(ctx, categoriaId) {
+    const message = {
+      kind: 'buttons',
+      title: '↕️ Ordenar productos',
+      text: '¿Cómo quieres ver los productos?',
+      footer: 'También puedes escribir "por nombre"',
+      buttons: [
+        { id: `browse:sort:${categoriaId}:precio_asc`, title: '💲 Menor precio' },
+        { id: `browse:sort:${categoriaId}:precio_desc`, title: '💰 Mayor precio' },
+        { id: `browse:sort:${categoriaId}:popular`, title: '🔥 Más vendidos' }
+      ]
+    };
+    return this._send(ctx, message, { view: 'sort', categoria: categoriaId, page: 1 });
+  }
+
+  /**
+   * Detalle de un producto con la opción de agregarlo al pedido
+   */
+  async showProduct(ctx, productoId) {
+    const productos = await this._products();
+    const producto = productos.find(item => String(item.id) === String(productoId));
+    if (!producto) {
+      await ctx.transport.sendMessage(ctx.replyTo, '😕 Ese producto ya no está disponible.\n\n💡 Escribe *categorías* para seguir viendo el catálogo.');
+      return true;
+    }
+
+    const back = ctx.state?.view === 'category' || ctx.state?.view === 'product'
+      ? `browse:cat:${ctx.state.categoria}:${ctx.state.page || 1}`
+      : `browse:cat:${producto.categoria_id ?? ALL}:1`;
+    const stock = Number(producto.stock_actual);
+    const lines = [];
+    if (producto.descripcion) {
+      lines.push(producto.descripcion, '');
+    }
+    lines.push(`💰 Precio: ${formatPrice(price(producto))}`);
+    lines.push(stock > 0 ? `📦 Disponibles: ${stock}` : '❌ Agotado por ahora');
+    if (stock > 0) {
+      lines.push('', `💡 Para pedir varias unidades escribe, por ejemplo, "quiero 2 ${producto.nombre}".`);
+    }
+
+    const buttons = [];
+    if (stock > 0) {
+      buttons.push({ id: `browse:add:${producto.id}`, title: '🛒 Agregar 1' });
+    }
+    buttons.push({ id: back, title: '⬅️ Volver' });
+    buttons.push({ id: 'browse:menu:1', title: '📂 Categorías' });
+
+    const message = { kind: 'buttons', title: producto.nombre, text: lines.join('\n'), footer: null, buttons };
+    return this._send(ctx, message, {
+      view: 'product',
+      categoria: ctx.state?.view === 'category' || ctx.state?.view === 'product' ? ctx.state.categoria : (producto.categoria_id ?? ALL),
+      page: ctx.state?.view === 'category' || ctx.state?.view === 'product' ? ctx.state.page : 1
+    });
+  }
+
+  /**
+   * Atender un mensaje que sigue la navegación
+   * 
+   * @param {object} params
+   * @param {object} params.transport
+   * @param {string} params.phoneNumber
+   * @param {string} params.replyTo
+   * @param {string} params.text - Mensaje del usuario, o el id de la opción elegida en WhatsApp
+   * @param {string} params.currentState - Estado de la sesión
+   * @param {object} params.stateObj - Estado plano de la sesión (_browse)
+   * @param {Function} params.runAction - async (action, actionData) => void
+   * @returns {Promise<boolean>} true si el mensaje era de navegación y ya se atendió
+   */
+  async handleReply({ transport, phoneNumber, replyTo, text, currentState, stateObj, runAction }) {
+    let state = stateObj?._browse || null;
+    const said = fold(text);
+
+    if (!BROWSE_STATES.includes(currentState)) {
+      await this._clearOptions(phoneNumber, state);
+      return false;
+    }
+
+    if (state && (!state.expiresAt || state.expiresAt < Date.now())) {
+      logger.info('📂 [CATÁLOGO] Navegación vencida, se descarta');
+      await sessionManager.updateContext(phoneNumber, 'browse', { _browse: undefined });
+      state = null;
+    }
+
+    // Los ids de las opciones valen siempre (una lista vieja de WhatsApp); el texto, solo navegando
+    let command = said.startsWith('browse:') ? said : null;
+    if (!command && state) {
+      command = this._command(said, state) || (await this._categoryCommand(text));
+    }
+    if (!command) {
+      await this._clearOptions(phoneNumber, state);
+      return false;
+    }
+
+    logger.info(`📂 [CATÁLOGO] ${phoneNumber}: "${said}" -> ${command}`);
+    const ctx = { transport, phoneNumber, replyTo, state };
+    const [, type, value, extra] = command.split(':');
+
+    if (type === 'menu') {
+      return this.showMenu(ctx, parseInt(value, 10) || 1);
+    }
+    if (type === 'cat') {
+      return this.showCategory(ctx, value === ALL ? ALL : value, parseInt(extra, 10) || 1);
+    }
+    if (type === 'sorts') {
+      return this.showSorts(ctx, value);
+    }
+    if (type === 'sort') {
+      return this.showCategory(ctx, value === ALL ? ALL : value, 1, extra);
+    }
+    if (type === 'prod') {
+      return this.showProduct(ctx, value);
+    }
+    if (type === 'add') {
+      const producto = (await this._products()).find(item => String(item.id) === String(value));
+      if (!producto) {
+        return this.showProduct(ctx, value);
+      }
+      // Un "1" posterior ya no vuelve a agregarlo
+      await this._clearOptions(phoneNumber, state);
+      await runAction('add_products_to_order', {
+        productos: [{
+          producto_id: producto.id,
+          nombre: producto.nombre,
+          cantidad: 1,
+          precio_unitario: price(producto),
+          subtotal: price(producto)
+        }]
+      });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Id de opción que corresponde a una respuesta escrita (null si no es de navegación)
+   */
+  _command(said, state) {
+    const number = /^\d{1,2}$/.test(said) ? parseInt(said, 10) : null;
+    if (number) {
+      return state.options?.[number - 1] || null;
+    }
+    if (MENU.test(said)) {
+      return 'browse:menu:1';
+    }
+
+    const inCategory = state.view !== 'menu' && state.categoria !== null && state.categoria !== undefined;
+    if (NEXT.test(said)) {
+      if (state.view === 'menu') {
+        return `browse:menu:${(state.page || 1) + 1}`;
+      }
+      return state.view === 'category' ? `browse:cat:${state.categoria}:${(state.page || 1) + 1}` : null;
+    }
+    if (PREVIOUS.test(said)) {
+      if (state.view === 'menu') {
+        return (state.page || 1) > 1 ? `browse:menu:${state.page - 1}` : null;
+      }
+      const page = state.view === 'category' ? Math.max((state.page || 1) - 1, 1) : (state.page || 1);
+      return `browse:cat:${state.categoria}:${page}`;
+    }
+    if (SORT_MENU.test(said)) {
+      return `browse:sorts:${inCategory ? state.categoria : ALL}`;
+    }
+    const sort = this.findSort(said, true);
+    if (sort) {
+      return `browse:sort:${inCategory ? state.categoria : ALL}:${sort}`;
+    }
+    return null;
+  }
+
+  /**
+   * El nombre de una categoría a secas abre esa categoría ("lácteos")
+   */
+  async _categoryCommand(text) {
+    const categoria = this.findCategory(text, await this.categories(), true);
+    return categoria ? `browse:cat:${categoria.id}:1` : null;
+  }
+
+  /**
+   * Dejar sin efecto la numeración (se conserva la categoría para "ver más")
+   */
+  async _clearOptions(phoneNumber, state) {
+    if (state?.options?.length) {
+      await sessionManager.updateContext(phoneNumber, 'browse', { _browse: { ...state, options: [] } });
+    }
+  }
+
+  async _state(phoneNumber) {
+    const context = await sessionManager.getContext(phoneNumber);
+    const state = context?.browse?._browse || null;
+    return state && state.expiresAt >= Date.now() ? state : null;
+  }
+
+  /**
+   * Enviar el menú y guardar lo que se está viendo con sus opciones numeradas
+   */
+  async _send(ctx, message, view) {
+    const state = {
+      sorts: ctx.state?.sorts || {},
+      ...view,
+      options: interactiveMessage.options(message),
+      expiresAt: Date.now() + config.catalog.browseTtlMs
+    };
+    await sessionManager.updateContext(ctx.phoneNumber, 'browse', { _browse: state });
+    await interactiveMessage.send(ctx.transport, ctx.replyTo, message);
+    await sessionManager.saveMessage(ctx.phoneNumber, 'text', interactiveMessage.toText(message), true);
+    return true;
+  }
+}
+
+const catalogBrowser = new CatalogBrowser();
+catalogBrowser.BROWSE_STATES = BROWSE_STATES;
+
+module.exports = catalogBrowser;
@@ -0,0 +1,2212 @@
+const logger = require('../../utils/logger');
+const nlu = require('../../nlu');
+const sessionManager = require('../../sessionManager');
+const sessionContext = require('../session/sessionContext');
+const sessionStateMachine = require('../session/sessionStateMachine');
+const orderHandler = require('../../orderHandler');
+const actionRegistry = require('./actionRegistry');
+const voiceConfirmation = require('./voiceConfirmation');
+const catalogBrowser = require('./catalogBrowser');
+require('./defaultActions');
+
+/**
+ * Motor de conversación independiente del canal
+ * 
+ * Contiene la máquina de estados completa (confirmación de cliente, contraseña,
+ * código SMS, registro, pedidos temporales, cancelación) y el despacho de acciones
+ * del NLU. Cada canal (WhatsApp, webchat, ...) registra un transporte y recibe
+ * exactamente el mismo comportamiento.
+ * 
+ * Un transporte debe implementar:
+ * - sendMessage(to, text): Promise<boolean>
+ * - sendImage(to, imageBuffer, filename): Promise<boolean>
+ * - sendInteractive(to, message) (opcional): listas y botones (ver messaging/interactiveMessage);
+ *   sin él los menús se envían numerados con sendMessage
+ * - usesPhoneNumbers (opcional): true si el userId del canal es un número de teléfono
+ * - contacts (opcional): cache de contactos para resolver IDs internos
+ * 
+ * @module core/conversation/conversationEngine
+ */
+
+class ConversationEngine {
+  constructor() {
+    this.transports = new Map(); // channelId -> transporte
+  }
+
+  /**
+   * Registrar el transporte de un canal
+   * 
+   * @param {string} channelId - Identificador del canal ('whatsapp', 'webchat', ...)
+   * @param {object} transport - Objeto con sendMessage/sendImage
+   */
+  registerChannel(channelId, transport) {
+    if (!transport || typeof transport.sendMessage !== 'function' || typeof transport.sendImage !== 'function') {
+      throw new Error(`Transporte inválido para el canal ${channelId}: requiere sendMessage y sendImage`);
+    }
+    this.transports.set(channelId, transport);
+    logger.info(`💬 Canal registrado en motor de conversación: ${channelId}`);
+  }
+
+  /**
+   * Obtener el transporte registrado para un canal
+   * 
+   * @param {string} channelId - Identificador del canal
+   * @returns {object} Transporte del canal
+   */
+  getTransport(channelId) {
+    const transport = this.transports.get(channelId);
+    if (!transport) {
+      throw new Error(`Canal no registrado en motor de conversación: ${channelId}`);
+    }
+    return transport;
+  }
+
+  /**
+   * Cambiar el estado de la sesión validando la transición
+   * 
+   * Si sessionStateMachine la rechaza, la sesión queda como estaba y se lanza un
+   * error con code 'ILLEGAL_TRANSITION': así no se envían las respuestas del
+   * estado nuevo. processTextMessage lo atiende pidiendo terminar o cancelar el paso actual.
+   * 
+   * @param {string} phoneNumber - Usuario de la sesión
+   * @param {string} state - Estado destino
+   * @param {object} data - Datos de contexto (ver sessionManager.updateSessionState)
+   */
+  async setState(phoneNumber, state, data = null) {
+    const updated = await sessionManager.updateSessionState(phoneNumber, state, data);
+    if (!updated) {
+      const error = new Error(`Transición no permitida hacia ${state}`);
+      error.code = 'ILLEGAL_TRANSITION';
+      throw error;
+    }
+  }
+
+  /**
+   * Volver a IDLE descartando lo que se juntó en el flujo cancelado (ver sessionManager.clearFlowContext)
+   */
+  async resetToIdle(phoneNumber) {
+    await this.setState(phoneNumber, sessionManager.STATES.IDLE, {});
+    await sessionManager.clearFlowContext(phoneNumber);
+  }
+
+  /**
+   * Procesar un mensaje entrante de cualquier canal
+   * 
+   * @param {string} channelId - Identificador del canal
+   * @param {string} userId - Identificador del usuario en el canal (número o sessionId)
+   * @param {object} inboundMessage - {type: 'text', text, replyTo?}
+   * @returns {Promise<void>} Las respuestas se envían a través del transporte del canal
+   */
+  async handleInbound(channelId, userId, inboundMessage = {}) {
+    const transport = this.getTransport(channelId);
+    const replyTo = inboundMessage.replyTo || userId;
+
+    switch (inboundMessage.type) {
+      case 'text':
+        await this.processTextMessage(transport, userId, inboundMessage.text || '', replyTo);
+        break;
+
+      default:
+        logger.info(`⚠️ [${channelId}] Tipo de mensaje no soportado: ${inboundMessage.type}`);
+        await transport.sendMessage(replyTo, 'Lo siento, solo puedo procesar mensajes de texto y voz.');
+    }
+  }
+
+  /**
+   * Ejecutar una acción del NLU en un canal
+   * 
+   * @param {string} channelId - Identificador del canal
+   * @param {string} replyTo - Destino de las respuestas (JID o userId)
+   * @param {string} action - Nombre de la acción
+   * @param {object} actionData - Datos de la acción (respuesta del NLU)
+   * @param {object} sessionState - Estado de sesión enriquecido (phoneNumber, cliente, ...)
+   */
+  async runAction(channelId, replyTo, action, actionData, sessionState) {
+    const transport = this.getTransport(channelId);
+    await this.handleAction(transport, replyTo, action, actionData, sessionState);
+  }
+
+  /**
+   * Procesar mensaje de texto
+   */
+  async processTextMessage(transport, phoneNumber, text, remoteJid = null) {
+    // El transporte resuelve el destino final (p. ej. WhatsApp agrega @s.whatsapp.net)
+    const jidToUse = remoteJid || phoneNumber;
+    
+    // Log detallado al inicio
+    logger.info('═══════════════════════════════════════════════════════════');
+    logger.info('📝 [TEXTO] Iniciando procesamiento de mensaje de texto');
+    logger.info(`📝 [TEXTO] Phone: ${phoneNumber}, JID: ${jidToUse}`);
+    logger.info(`📝 [TEXTO] Texto: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
+    logger.info(`📝 [TEXTO] Timestamp: ${new Date().toISOString()}`);
+    
+    try {
+      const PhoneNormalizer = require('../../utils/phoneNormalizer');
+      const kardexApi = require('../../kardexApi');
+      const kardexDb = require('../../kardexDb');
+      const smsService = require('../../services/smsService');
+      
+      // Obtener o crear sesión
+      logger.info(`📝 [TEXTO] Obteniendo sesión para: ${phoneNumber}`);
+      let session = await sessionManager.getSession(phoneNumber);
+      if (!session) {
+        logger.info(`📝 [TEXTO] Creando nueva sesión para: ${phoneNumber}`);
+        session = await sessionManager.createSession(phoneNumber);
+      }
+      
+      const stateObj = session.current_order ? JSON.parse(session.current_order) : {};
+      const currentState = session.state || sessionManager.STATES.IDLE;
+      
+      logger.info(`📱 [TEXTO] Procesando mensaje - Estado actual: ${currentState}`);
+      
+      // Respuesta SÍ/NO a un pedido por voz que se entendió con poca confianza
+      const voiceConfirmed = await voiceConfirmation.handleReply({
+        transport,
+        phoneNumber,
+        replyTo: jidToUse,
+        text,
+        stateObj,
+        runAction: (action, actionData) => this.handleAction(transport, jidToUse, action, actionData, {
+          state: currentState,
+          phoneNumber,
+          remoteJid: jidToUse,
+          authenticated: stateObj._authenticated || false,
+          user_token: stateObj._user_token || null,
+          ...stateObj
+        })
+      });
+      if (voiceConfirmed) {
+        return;
+      }
+
+      // Navegación del catálogo: "ver más", "más baratos", el número o la fila elegida de un menú
+      // (solo en BROWSE_STATES; en los demás estados deja de valer la numeración)
+      const browsed = await catalogBrowser.handleReply({
+        transport,
+        phoneNumber,
+        replyTo: jidToUse,
+        text,
+        currentState,
+        stateObj,
+        runAction: (action, actionData) => this.handleAction(transport, jidToUse, action, actionData, {
+          state: currentState,
+          phoneNumber,
+          remoteJid: jidToUse,
+          authenticated: stateObj._authenticated || false,
+          user_token: stateObj._user_token || null,
+          ...stateObj
+        })
+      });
+      if (browsed) {
+        return;
+      }
+      
+      // ELIMINADO: Verificación que mostraba "Ya confirmamos que eres cliente registrado" sin autenticación real
+      // Ahora el flujo correcto es: hacer pedido → mostrar factura/precio → pedir confirmación → luego autenticación
+      
+      // FLUJO 0: Si está esperando confirmación si es cliente registrado (ANTES de cancelación universal)
+      if (currentState === sessionManager.STATES.AWAITING_CLIENT_CONFIRMATION) {
+        try {
+          // Usar detector de intenciones mejorado
+          const intentDetector = require('../../utils/intentDetector');
+          const correctedText = require('../../utils/textCorrector').correctText(text);
+          const intentResult = await intentDetector.detectIntent(correctedText, {
+            state: currentState,
+            ...stateObj
+          }, []);
+          
+          logger.info(`[ClientConfirmation] Intención detectada: ${intentResult.intent} (confianza: ${intentResult.confidence})`);
+          
+          // Limpiar signos de puntuación y normalizar para mejor detección
+          const textLower = correctedText.toLowerCase()
+            .trim()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '') // Quitar acentos
+            .replace(/[¡!¿?.,;:]/g, '') // Quitar signos de puntuación
+            .trim();
+          
+          const yesKeywords = ['si', 'sí', 's', 'yes', 'y', 'cliente', 'registrado', 'tengo cuenta', 'ya tengo', 'correcto', 'si soy', 'si soy cliente', 'soy cliente', 'soy registrado', 'si estoy', 'sí soy', 'sí soy cliente'];
+          const noKeywords = ['no', 'n', 'tampoco', 'no soy', 'no estoy', 'no tengo', 'no tengo cuenta', 'todavia no', 'todavía no', 'aun no', 'aún no'];
+          
+          logger.info(`🔍 [TEXTO] Verificando confirmación de cliente - texto limpio: "${textLower}"`);
+          
+          // Detección mejorada: usar detector de intenciones + keywords (sin signos de puntuación)
+          const isYes = intentResult.intent === 'yes' || yesKeywords.some(keyword => {
+            const keywordLower = keyword.toLowerCase();
+            return textLower === keywordLower || 
+                   textLower.startsWith(keywordLower) || 
+                   textLower.includes(keywordLower) ||
+                   textLower.endsWith(keywordLower) ||
+                   (textLower.includes('si') && textLower.includes('cliente')) ||
+                   (textLower.includes('sí') && textLower.includes('cliente'));
+          });
+          const isNo = intentResult.intent === 'no' || noKeywords.some(keyword => {
+            const keywordLower = keyword.toLowerCase();
+            return textLower === keywordLower || 
+                   textLower.startsWith(keywordLower) || 
+                   textLower.includes(keywordLower);
+          });
+          
+          if (isYes) {
+            // Usuario es cliente, buscar automáticamente por el número del remitente
+            logger.info(`🔍 [TEXTO] Usuario confirmó que es cliente, buscando por número del remitente: ${phoneNumber}`);
+            
+            // Extraer el número real del remitente (puede venir como JID completo)
+            let realPhoneForSearch = phoneNumber;
+            
+            // Si phoneNumber contiene @, extraer solo la parte numérica
+            if (phoneNumber.includes('@')) {
+              realPhoneForSearch = phoneNumber.split('@')[0];
+              logger.info(`🔍 [TEXTO] Extraído número del JID: ${realPhoneForSearch}`);
+            }
+            
+            // Si el número es muy largo (más de 15 dígitos), probablemente es un ID interno, intentar obtener el número real
+            if (realPhoneForSearch.length > 15) {
+              logger.warn(`⚠️ [TEXTO] Número muy largo (${realPhoneForSearch.length} dígitos), puede ser ID interno. Intentando obtener número real...`);
+              // Intentar obtener el número real desde el remoteJid si está disponible
+              if (jidToUse && jidToUse.includes('@lid')) {
+                try {
+                  // Buscar en cache de contactos
+                  if (transport.contacts && transport.contacts[jidToUse]) {
+                    const contact = transport.contacts[jidToUse];
+                    if (contact.jid) {
+                      realPhoneForSearch = contact.jid.replace('@s.whatsapp.net', '').replace('@c.us', '');
+                      logger.info(`✅ [TEXTO] Número real obtenido desde cache: ${realPhoneForSearch}`);
+                    } else if (contact.id) {
+                      realPhoneForSearch = contact.id.replace('@s.whatsapp.net', '').replace('@c.us', '');
+                      logger.info(`✅ [TEXTO] Número real obtenido desde cache (id): ${realPhoneForSearch}`);
+                    }
+                  }
+                } catch (contactError) {
+                  logger.warn(`⚠️ [TEXTO] Error al obtener número real: ${contactError.message}`);
+                }
+              }
+            }
+            
+            // Normalizar el número del remitente
+            const PhoneNormalizer = require('../../utils/phoneNormalizer');
+            const remitenteNormalized = PhoneNormalizer.normalize(realPhoneForSearch);
+            logger.info(`🔍 [TEXTO] Número del remitente normalizado: ${remitenteNormalized} (original: ${realPhoneForSearch})`);
+            
+            // Buscar cliente por el número del remitente (solo en canales identificados por teléfono)
+            const clienteRemitente = transport.usesPhoneNumbers
+              ? await kardexApi.getClientByPhone(remitenteNormalized)
+              : null;
+            
+            if (clienteRemitente) {
+              // Cliente encontrado por número del remitente
+              logger.info(`✅ [TEXTO] Cliente encontrado por número del remitente: ${clienteRemitente.nombre}`);
+              await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PASSWORD, {
+                _client_id: clienteRemitente.id,
+                _client_phone: remitenteNormalized,
+                _client_name: clienteRemitente.nombre
+              });
+              await transport.sendMessage(jidToUse,
+                `✅ Ya confirmamos que eres cliente registrado, *${clienteRemitente.nombre}*.\n\n` +
+                `🔐 Por favor, *escribe* tu *contraseña* para acceder a tu cuenta.\n\n` +
+                `🔒 *Por seguridad, escribe tu contraseña por texto (no por audio).*\n\n` +
+                `💡 Si olvidaste tu contraseña, escribe *"olvidé mi contraseña"* y te enviaremos un código de verificación por SMS.\n\n` +
+                `💡 O si quieres hacer un pedido sin ingresar, escribe *PEDIDO*`
+              );
+              return;
+            } else {
+              // Cliente no encontrado por número del remitente, pedir número manualmente
+              logger.warn(`⚠️ [TEXTO] Cliente no encontrado por número del remitente: ${remitenteNormalized}`);
+              await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PHONE, {});
+              await transport.sendMessage(jidToUse,
+                `✅ Perfecto, eres cliente registrado.\n\n` +
+                `📞 Por favor, ingresa tu *número de teléfono* registrado (9 dígitos):\n\n` +
+                `Ejemplo: *987654321* o *51987654321*`
+              );
+              return;
+            }
+          } else if (isNo) {
+            // Usuario NO es cliente, mostrar opciones
+            await this.setState(phoneNumber, sessionManager.STATES.IDLE, {});
+            await transport.sendMessage(jidToUse,
+              `👋 *¡Perfecto! Bienvenido a KARDEX* 👋\n\n` +
+              `📋 *¿Qué deseas hacer?*\n\n` +
+              `1️⃣ *REGISTRAR* - Crear una cuenta nueva\n` +
+              `2️⃣ *PEDIDO* - Hacer un pedido (solo nombre y DNI)\n` +
+              `3️⃣ *CATALOGO* - Ver productos disponibles\n` +
+              `4️⃣ Escribe tu pedido directamente, ejemplo: *"quiero una laptop"*\n\n` +
+              `💡 También puedes enviarme una nota de voz con lo que necesitas.`
+            );
+            return;
+          } else {
+            // Respuesta no clara, usar sugerencias inteligentes
+            const suggestions = this._generateSuggestions(textLower);
+            await transport.sendMessage(jidToUse,
+              `❓ No estoy seguro de entender tu respuesta.\n\n` +
+              `Por favor, responde claramente:\n` +
+              `• *SÍ* o *SI* si eres cliente registrado\n` +
+              `• *NO* si no eres cliente registrado\n\n` +
+              (suggestions ? `💡 ¿Quisiste decir: ${suggestions}?\n\n` : '') +
+              `O escribe *CANCELAR* para volver al inicio.`
+            );
+            return;
+          }
+        } catch (confirmationError) {
+          logger.error('[ClientConfirmation] Error al procesar confirmación:', confirmationError);
+          // Fallback básico
+          await transport.sendMessage(jidToUse,
+            `❓ Por favor, responde *SÍ* o *NO* para continuar.\n\n` +
+            `• *SÍ* si eres cliente registrado\n` +
+            `• *NO* si no eres cliente registrado`
+          );
+          return;
+        }
+      }
+      
+      // DETECCIÓN UNIVERSAL: Comandos de cancelación/salida que funcionan en CUALQUIER estado
+      // EXCEPTO AWAITING_CLIENT_CONFIRMATION (ya se procesó arriba)
+      // NOTA: "no" NO está en esta lista para evitar conflictos con respuestas SÍ/NO
+      const textLower = text.toLowerCase().trim();
+      const cancelKeywords = [
+        'salir', 'salirme', 'cancelar', 'cancel', 'volver', 'volver atrás', 'volver atras',
+        'volver al inicio', 'inicio', 'empezar de nuevo', 'comenzar de nuevo', 'reiniciar',
+        'resetear', 'cerrar', 'terminar', 'acabar', 'parar', 'detener', 'mejor no',
+        'déjalo', 'dejalo', 'no importa', 'olvídalo', 'olvidalo', 'ya no quiero',
+        'déjame en paz', 'déjame tranquilo', 'adiós', 'adios', 'chau', 'bye',
+        'cancelar todo', 'cancelar operacion', 'cancelar operación'
+      ];
+      
+      // NO considerar "no" como cancelación si está en estado de confirmación de cliente o esperando contraseña
+      const isCancelCommand = (currentState === sessionManager.STATES.AWAITING_CLIENT_CONFIRMATION || 
+                                currentState === sessionManager.STATES.AWAITING_PASSWORD)
+        ? false 
+        : cancelKeywords.some(keyword => textLower.includes(keyword));
+      
+      if (isCancelCommand && currentState !== sessionManager.STATES.IDLE && 
+          currentState !== sessionManager.STATES.AWAITING_CLIENT_CONFIRMATION &&
+          currentState !== sessionManager.STATES.AWAITING_PASSWORD) {
+        // Cancelar operación actual y volver al inicio
+        await this.resetToIdle(phoneNumber);
+        await transport.sendMessage(jidToUse,
+          `👋 *Entendido, operación cancelada.* 👋\n\n` +
+          `🔄 He vuelto al menú principal. ¿En qué puedo ayudarte?\n\n` +
+          `💡 Escribe *HOLA* para comenzar o ver las opciones disponibles.`
+        );
+        return;
+      }
+      
+      // FLUJO ESPECIAL (TEXTO): Si está esperando contraseña - DEBE ESTAR ANTES DE AWAITING_PHONE
+      if (currentState === sessionManager.STATES.AWAITING_PASSWORD) {
+        // Limpiar texto para mejor detección
+        const textLower = text.toLowerCase()
+          .trim()
+          .normalize('NFD')
+          .replace(/[\u0300-\u036f]/g, '') // Quitar acentos
+          .replace(/[¡!¿?.,;:]/g, '') // Quitar signos de puntuación
+          .trim();
+        
+        // PRIORIDAD 1: Detectar CANCELAR (incluyendo variantes de transcripción)
+        const cancelKeywords = [
+          'cancelar', 'cancel', 'cancela', 'cancelar todo', 'cancelar operacion',
+          'gonzilar', 'gonzillar', 'gonzil', 'cancilar', 'cancillar', // Variantes de transcripción
+          'volver', 'volver atras', 'volver atrás', 'inicio', 'salir'
+        ];
+        const isCancel = cancelKeywords.some(keyword => {
+          const keywordLower = keyword.toLowerCase();
+          return textLower === keywordLower || 
+                 textLower.includes(keywordLower) ||
+                 textLower.startsWith(keywordLower) ||
+                 textLower.endsWith(keywordLower);
+        });
+        
+        if (isCancel) {
+          await this.resetToIdle(phoneNumber);
+          await transport.sendMessage(jidToUse,
+            '❌ Verificación cancelada.\n\n' +
+            '💬 Escribe *HOLA* para comenzar de nuevo.'
+          );
+          return;
+        }
+        
+        // PRIORIDAD 2: Detectar "si soy cliente" o variantes (por si el usuario se confundió)
+        const yesKeywords = ['si', 'sí', 's', 'yes', 'y', 'cliente', 'registrado', 'tengo cuenta', 'ya tengo', 'si soy', 'si soy cliente', 'soy cliente', 'soy registrado', 'si estoy', 'sí soy', 'sí soy cliente'];
+        const isYes = yesKeywords.some(keyword => {
+          const keywordLower = keyword.toLowerCase();
+          return textLower === keywordLower || 
+                 textLower.startsWith(keywordLower) || 
+                 textLower.includes(keywordLower) ||
+                 textLower.endsWith(keywordLower) ||
+                 (textLower.includes('si') && textLower.includes('cliente')) ||
+                 (textLower.includes('sí') && textLower.includes('cliente'));
+        });
+        
+        if (isYes) {
+          // El usuario dice "si soy cliente" pero ya está en flujo de contraseña
+          // Esto significa que ya confirmó antes, solo necesita la contraseña
+          const clientName = stateObj._client_name || 'Cliente';
+          await transport.sendMessage(jidToUse,
+            `✅ Ya confirmamos que eres cliente registrado, *${clientName}*.\n\n` +
+            '🔐 Ahora necesitamos tu *contraseña* para acceder a tu cuenta.\n\n' +
+            '💡 Si olvidaste tu contraseña, escribe *"olvidé mi contraseña"*\n' +
+            '❌ O escribe *CANCELAR* para volver al inicio.'
+          );
+          return;
+        }
+        
+        // PRIORIDAD 3: Detectar si el usuario dice que olvidó su contraseña
+        const forgotPasswordKeywords = [
+          'olvide', 'olvidé', 'olvido', 'olvidó', 'olvido mi contraseña',
+          'olvide contraseña', 'olvidé contraseña', 'no recuerdo',
+          'no recuerdo mi contraseña', 'olvide mi password',
+          'perdi mi contraseña', 'perdí mi contraseña', 'recuperar',
+          'recuperar contraseña', 'cambiar contraseña', 'resetear contraseña'
+        ];
+        
+        const isForgotPassword = forgotPasswordKeywords.some(keyword => 
+          textLower.includes(keyword)
+        );
+        
+        if (isForgotPassword) {
+          // Usuario olvidó su contraseña, enviar código SMS
+          const smsService = require('../../services/smsService');
+          const clientPhone = stateObj._client_phone || phoneNumber;
+          const clientName = stateObj._client_name || 'Usuario';
+          
+          // Generar código de verificación
+          const smsCode = smsService.generateVerificationCode();
+          const codeExpiresAt = Date.now() + (10 * 60 * 1000); // 10 minutos
+          
+          // Intentar enviar SMS (en desarrollo, se envía por WhatsApp)
+          const smsSent = await smsService.sendVerificationCode(clientPhone, smsCode, transport, jidToUse);
+          
+          if (smsSent) {
+            // Guardar código en sesión
+            await this.setState(phoneNumber, sessionManager.STATES.AWAITING_SMS_CODE, {
+              ...stateObj,
+              _sms_code: smsCode,
+              _sms_code_expires: codeExpiresAt,
+              _sms_attempts: 0
+            });
+            
+            await transport.sendMessage(jidToUse,
+              `🔐 *Recuperación de contraseña* 🔐\n\n` +
+              `Hola *${clientName}*,\n\n` +
+              `📱 Hemos enviado un código de verificación de 6 dígitos a tu número de teléfono *${PhoneNormalizer.format(clientPhone)}*.\n\n` +
+              `💬 *También te lo enviamos por WhatsApp arriba.*\n\n` +
+              `🔢 Por favor, ingresa el código que recibiste:\n\n` +
+              `⏰ *El código expira en 10 minutos.*\n\n` +
+              `❌ Si no recibiste el código, escribe *CANCELAR* para volver al inicio.`
+            );
+          } else {
+            // Error al enviar SMS, ofrecer alternativa
+            await transport.sendMessage(jidToUse,
+              `❌ No pudimos enviar el SMS al número registrado.\n\n` +
+              `Por favor, contacta con soporte o intenta ingresar tu contraseña nuevamente.\n\n` +
+              `Si no recuerdas tu contraseña, puedes escribir *CANCELAR* para volver al inicio.`
+            );
+          }
+          return;
+        }
+        
+        // Si no es ninguna de las opciones anteriores, es una contraseña
+        const password = text.replace(/[^a-zA-Z0-9]/g, '').trim();
+        logger.info(`🔐 [TEXTO] Contraseña recibida (original): "${text}" -> (limpio): "${password}"`);
+        
+        if (!password || password.length === 0) {
+          await transport.sendMessage(jidToUse,
+            '❌ No pude detectar tu contraseña en el mensaje.\n\n' +
+            '💡 Por favor, escribe tu contraseña correctamente.\n\n' +
+            '🔐 Si olvidaste tu contraseña, escribe *"olvidé mi contraseña"*'
+          );
+          return;
+        }
+        
+        const clientPhone = stateObj._client_phone || phoneNumber;
+        const clientId = stateObj._client_id; // Usar el ID que ya tenemos en el estado
+        
+        logger.info(`🔐 [TEXTO] Verificando contraseña para cliente: ${clientPhone}, contraseña limpia: "${password}", clientId: ${clientId || 'NO DISPONIBLE'}`);
+        logger.info(`🔐 [TEXTO] Estado actual: ${JSON.stringify({ clientPhone, password, clientId, stateObj: { _client_phone: stateObj._client_phone, _client_id: stateObj._client_id, _client_name: stateObj._client_name, _return_to_confirm: stateObj._return_to_confirm, pedido_id: stateObj.pedido_id } })}`);
+        
+        try {
+          const verifyResult = await kardexApi.verifyClientPassword(clientPhone, password, clientId);
+          
+          logger.info(`🔐 [TEXTO] Resultado completo de verificación: ${JSON.stringify({ success: verifyResult.success, hasCliente: !!verifyResult.cliente, hasToken: !!verifyResult.token, message: verifyResult.message })}`);
+          
+          if (verifyResult && verifyResult.success) {
+            // Contraseña correcta, usuario autenticado
+            logger.success(`✅ [TEXTO] Contraseña correcta! Autenticando usuario...`);
+            
+            // Verificar si había un pedido pendiente de confirmación
+            const hadPendingConfirm = stateObj._return_to_confirm === true || stateObj._pending_confirm === true;
+            logger.info(`🔍 [TEXTO] Verificando pedido pendiente: hadPendingConfirm=${hadPendingConfirm}, pedido_id=${stateObj.pedido_id || stateObj._pedido_id || 'NO'}`);
+            
+            // Obtener pedido_id desde la sesión si no está en stateObj
+            // Buscar usando el phoneNumber actual y también usando el número de teléfono del cliente
+            let pedidoId = stateObj.pedido_id || stateObj._pedido_id;
+            if (!pedidoId) {
+              // Intentar con el phoneNumber actual
+              pedidoId = await sessionManager.getActiveOrderId(phoneNumber);
+              logger.info(`🔍 [TEXTO] Pedido ID obtenido de sesión (phoneNumber): ${pedidoId || 'NO'}`);
+              
+              // Si no se encuentra, intentar con el número de teléfono del cliente
+              if (!pedidoId && clientPhone && clientPhone !== phoneNumber) {
+                const clientPhoneNormalized = clientPhone.replace(/[^0-9]/g, ''); // Limpiar el número
+                const phoneNumberNormalized = phoneNumber.replace(/[^0-9]/g, ''); // Limpiar el phoneNumber
+                
+                // Si son diferentes, buscar con el número del cliente
+                if (clientPhoneNormalized !== phoneNumberNormalized) {
+                  pedidoId = await sessionManager.getActiveOrderId(clientPhone);
+                  logger.info(`🔍 [TEXTO] Pedido ID obtenido de sesión (clientPhone): ${pedidoId || 'NO'}`);
+                }
+              }
+              
+              // Si aún no se encuentra, buscar en TODAS las sesiones activas que tengan pedidos (sin filtrar por phoneNumber)
+              if (!pedidoId) {
+                try {
+                  const db = require('../../db');
+                  // Buscar pedidos activos en TODAS las sesiones
+                  const activeSessions = await db.all(
+                    `SELECT phone_number, context FROM sessions 
+                     WHERE context LIKE '%pedido_id%'`
+                  );
+                  
+                  logger.info(`🔍 [TEXTO] Buscando en ${activeSessions.length} sesiones con pedidos activos`);
+                  
+                  for (const sessionRow of activeSessions) {
+                    try {
+                      const sessionOrder = sessionContext.parse(sessionRow.context).cart;
+                      if (sessionOrder.pedido_id) {
+                        // Verificar si el pedido existe y está en estado EN_PROCESO
+                        const kardexApi = require('../../kardexApi');
+                        const pedido = await kardexApi.getPedidoEnProceso(sessionOrder.pedido_id);
+                        
+                        if (pedido && pedido.estado === 'EN_PROCESO') {
+                          // Verificar si el pedido pertenece al cliente autenticado (por teléfono o cliente_id)
+                          const pedidoClienteId = pedido.cliente_id;
+                          const clienteIdAutenticado = verifyResult.cliente?.id || verifyResult.user?.id;
+                          
+                          // Si el pedido no tiene cliente_id asignado o coincide con el cliente autenticado, usarlo
+                          if (!pedidoClienteId || pedidoClienteId === clienteIdAutenticado) {
+                            pedidoId = sessionOrder.pedido_id;
+                            logger.info(`🔍 [TEXTO] Pedido ID encontrado en sesión alternativa: ${pedidoId} (cliente_id: ${pedidoClienteId || 'NO ASIGNADO'})`);
+                            break;
+                          }
+                        }
+                      }
+                    } catch (e) {
+                      // Ignorar errores de parsing
+                    }
+                  }
+                } catch (dbError) {
+                  logger.error('Error al buscar pedido en sesiones alternativas:', dbError);
+                }
+              }
+              
+              // Si aún no se encuentra, buscar directamente en la base de datos de pedidos
+              // Buscar primero TODOS los pedidos en EN_PROCESO (sin filtrar por cliente_id)
+              if (!pedidoId) {
+                try {
+                  logger.info(`🔍 [TEXTO] Buscando pedidos activos directamente en BD (sin filtrar por cliente_id)`);
+                  const kardexDb = require('../../kardexDb');
+                  if (kardexDb.isConnected()) {
+                    const pool = kardexDb.getPool();
+                    // Buscar el pedido más reciente en EN_PROCESO
+                    const [pedidos] = await pool.execute(
+                      `SELECT id, numero_pedido, cliente_id, estado FROM pedidos 
+                       WHERE estado = 'EN_PROCESO' 
+                       ORDER BY id DESC LIMIT 5`
+                    );
+                    
+                    if (pedidos && pedidos.length > 0) {
+                      const clienteIdAutenticado = verifyResult.cliente?.id || verifyResult.user?.id;
+                      
+                      // Buscar el pedido que no tenga cliente_id asignado o que pertenezca al cliente autenticado
+                      const pedidoEncontrado = pedidos.find(p => !p.cliente_id || p.cliente_id === clienteIdAutenticado);
+                      
+                      if (pedidoEncontrado) {
+                        pedidoId = pedidoEncontrado.id;
+                        logger.info(`🔍 [TEXTO] Pedido activo encontrado directamente en BD: ${pedidoId} (cliente_id: ${pedidoEncontrado.cliente_id || 'NO ASIGNADO'})`);
+                      } else {
+                        // Si no encuentra uno específico, usar el más reciente
+                        pedidoId = pedidos[0].id;
+                        logger.info(`🔍 [TEXTO] Usando pedido más reciente en BD: ${pedidoId}`);
+                      }
+                    }
+                  }
+                } catch (bdError) {
+                  logger.error('Error al buscar pedido directamente en BD:', bdError);
+                }
+              }
+            }
+            
+            // Actualizar estado con autenticación, preservando datos del pedido
+            const newStateObj = {
+              _authenticated: true,
+              _client_id: verifyResult.cliente?.id || verifyResult.user?.id,
+              _client_name: verifyResult.cliente?.nombre || verifyResult.user?.nombre_completo,
+              _user_token: verifyResult.token,
+              // Preservar datos del pedido si existían
+              pedido_id: pedidoId,
+              _pedido_id: pedidoId
+            };
+            
+            await this.setState(phoneNumber, sessionManager.STATES.IDLE, newStateObj);
+            
+            // Si había un pedido pendiente de confirmación O si se encontró un pedido activo, mostrar bienvenida con pedido
+            if ((hadPendingConfirm || pedidoId) && pedidoId) {
+              logger.info(`📦 [TEXTO] Usuario autenticado con pedido pendiente (ID: ${pedidoId}), mostrando información del pedido...`);
+              
+              try {
+                // Obtener detalles del pedido
+                const kardexApi = require('../../kardexApi');
+                const pedido = await kardexApi.getPedidoEnProceso(pedidoId);
+                
+                if (pedido) {
+                  // Construir mensaje con información del pedido
+                  let mensajePedido = `✅ *¡Bienvenido *${verifyResult.cliente?.nombre || verifyResult.user?.nombre_completo || 'Cliente'}*!* ✅\n\n`;
+                  mensajePedido += `🛒 *Tu pedido se confirmará después del pago*\n\n`;
+                  
+                  // Agregar información del pedido
+                  if (pedido.numero_pedido) {
+                    mensajePedido += `📦 *Pedido:* ${pedido.numero_pedido}\n\n`;
+                  }
+                  
+                  // Agregar productos del pedido
+                  if (pedido.detalles && pedido.detalles.length > 0) {
+                    mensajePedido += `*Productos:*\n`;
+                    pedido.detalles.forEach((detalle, index) => {
+                      const productoNombre = detalle.producto?.nombre || detalle.nombre_producto || 'Producto';
+                      const cantidad = Number(detalle.cantidad) || 1;
+                      const precio = Number(detalle.precio_unitario || detalle.precio || 0);
+                      const subtotal = cantidad * precio;
+                      mensajePedido += `${index + 1}. *${productoNombre}*\n`;
+                      mensajePedido += `   ${cantidad} x S/. ${precio.toFixed(2)} = S/. ${subtotal.toFixed(2)}\n\n`;
+                    });
+                  }
+                  
+                  // Agregar total
+                  const total = Number(pedido.total || pedido.monto_total || 0);
+                  mensajePedido += `💰 *Total: S/. ${total.toFixed(2)}*\n\n`;
+                  
+                  // Pedir método de pago
+                  mensajePedido += `💳 *Por favor, selecciona tu método de pago:*\n\n`;
+                  mensajePedido += `• *TRANSFERENCIA* - Transferencia bancaria\n`;
+                  mensajePedido += `• *EFECTIVO* - Pago en efectivo\n`;
+                  mensajePedido += `• *YAPE* - Pago por Yape\n`;
+                  mensajePedido += `• *PLIN* - Pago por Plin\n\n`;
+                  mensajePedido += `Responde con el nombre del método de pago que deseas usar.`;
+                  
+                  // Actualizar estado para esperar método de pago
+                  await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PAYMENT_METHOD, {
+                    ...newStateObj,
+                    _awaiting_payment_method: true
+                  });
+                  
+                  await transport.sendMessage(jidToUse, mensajePedido);
+                  return;
+                } else {
+                  logger.warn(`⚠️ [TEXTO] No se pudo obtener detalles del pedido ${pedidoId}`);
+                }
+              } catch (pedidoError) {
+                logger.error(`❌ [TEXTO] Error al obtener detalles del pedido:`, pedidoError);
+              }
+            }
+            
+            // Si no había pedido pendiente, mostrar mensaje de bienvenida normal
+            await transport.sendMessage(jidToUse,
+              `✅ *¡Bienvenido *${verifyResult.cliente?.nombre || verifyResult.user?.nombre_completo || 'Cliente'}*!* ✅\n\n` +
+              `🎯 *¿Qué deseas hacer hoy?*\n\n` +
+              `🛍️ Ver catálogo: escribe *CATALOGO*\n` +
+              `🛒 Hacer pedido: escribe tu pedido\n` +
+              `📊 Ver mis pedidos: escribe *MIS PEDIDOS*\n` +
+              `❓ Ayuda: escribe *AYUDA*`
+            );
+            return;
+          } else {
+            logger.warn(`🔐 [TEXTO] Contraseña incorrecta para cliente: ${clientPhone}, contraseña intentada: "${password}", mensaje: ${verifyResult?.message || 'Sin mensaje'}`);
+            await transport.sendMessage(jidToUse,
+              `❌ Contraseña incorrecta.\n\n` +
+              `💡 La contraseña que intentaste fue: *${password}*\n\n` +
+              `Si olvidaste tu contraseña, escribe *"olvidé mi contraseña"* y te enviaremos un código de verificación por SMS.\n\n` +
+              `O escribe *CANCELAR* para volver al inicio.`
+            );
+            return;
+          }
+        } catch (passwordError) {
+          logger.error('Error al verificar contraseña', passwordError);
+          await transport.sendMessage(jidToUse,
+            `❌ Hubo un error al verificar tu contraseña.\n\n` +
+            `Por favor, intenta nuevamente o escribe *CANCELAR* para volver al inicio.`
+          );
+          return;
+        }
+      }
+      
+      // FLUJO 0.5: Si está esperando método de pago
+      if (currentState === sessionManager.STATES.AWAITING_PAYMENT_METHOD) {
+        const transcriptionCorrector = require('../../utils/transcriptionCorrector');
+        const intencion = transcriptionCorrector.detectarIntencion(text);
+        const textLower = text.toLowerCase().trim();
+        
+        // Mapeo de intenciones a métodos de pago
+        const metodosPago = {
+          'pago_transferencia': 'TRANSFERENCIA',
+          'pago_efectivo': 'EFECTIVO',
+          'pago_yape': 'YAPE',
+          'pago_plin': 'PLIN'
+        };
+        
+        // Buscar método de pago usando el corrector
+        let metodoSeleccionado = metodosPago[intencion] || null;
+        
+        // Si no se detectó por intención, buscar por palabras clave
+        if (!metodoSeleccionado) {
+          if (transcriptionCorrector.coincide(textLower, transcriptionCorrector.correcciones.transferencia)) {
+            metodoSeleccionado = 'TRANSFERENCIA';
+          } else if (transcriptionCorrector.coincide(textLower, transcriptionCorrector.correcciones.efectivo)) {
+            metodoSeleccionado = 'EFECTIVO';
+          } else if (transcriptionCorrector.coincide(textLower, transcriptionCorrector.correcciones.yape)) {
+            metodoSeleccionado = 'YAPE';
+          } else if (transcriptionCorrector.coincide(textLower, transcriptionCorrector.correcciones.plin)) {
+            metodoSeleccionado = 'PLIN';
+          }
+        }
+        
+        if (metodoSeleccionado) {
+          logger.info(`💳 [TEXTO] Método de pago seleccionado: ${metodoSeleccionado}`);
+          
+          const pedidoId = stateObj.pedido_id || stateObj._pedido_id;
+          if (pedidoId) {
+            // Confirmar pedido con método de pago
+            const orderHandler = require('../../orderHandler');
+            const sessionStateWithPayment = {
+              state: sessionManager.STATES.IDLE,
+              phoneNumber,
+              nombreCliente: stateObj._client_name || 'Cliente',
+              remoteJid: jidToUse,
+              authenticated: true,
+              user_token: stateObj._user_token,
+              _authenticated: true,
+              _user_token: stateObj._user_token,
+              _client_id: stateObj._client_id,
+              _client_name: stateObj._client_name,
+              pedido_id: pedidoId,
+              metodo_pago: metodoSeleccionado,
+              ...stateObj
+            };
+            
+            // Confirmar pedido con método de pago
+            await orderHandler.confirmOrder(phoneNumber, transport, sessionStateWithPayment);
+            return;
+          } else {
+            await transport.sendMessage(jidToUse,
+              `❌ No se encontró un pedido activo. Por favor, inicia un nuevo pedido.`
+            );
+            await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+              ...stateObj,
+              _awaiting_payment_method: false
+            });
+            return;
+          }
+        } else {
+          await transport.sendMessage(jidToUse,
+            `❌ Método de pago no reconocido.\n\n` +
+            `Por favor, selecciona uno de los siguientes métodos:\n\n` +
+            `• *TRANSFERENCIA* - Transferencia bancaria\n` +
+            `• *EFECTIVO* - Pago en efectivo\n` +
+            `• *YAPE* - Pago por Yape\n` +
+            `• *PLIN* - Pago por Plin\n\n` +
+            `O escribe *CANCELAR* para cancelar el pedido.`
+          );
+          return;
+        }
+      }
+      
+      // FLUJO 1: Si está esperando número de teléfono
+      if (currentState === sessionManager.STATES.AWAITING_PHONE) {
+        // PRIORIDAD: Detectar CANCELAR antes de procesar como número
+        const textLowerForCancel = text.toLowerCase()
+          .trim()
+          .normalize('NFD')
+          .replace(/[\u0300-\u036f]/g, '') // Quitar acentos
+          .replace(/[¡!¿?.,;:]/g, '') // Quitar signos de puntuación
+          .trim();
+        
+        const cancelKeywords = [
+          'cancelar', 'cancel', 'cancela', 'cancelar todo', 'cancelar operacion',
+          'gonzilar', 'gonzillar', 'gonzil', 'cancilar', 'cancillar', // Variantes de transcripción
+          'volver', 'volver atras', 'volver atrás', 'inicio', 'salir'
+        ];
+        const isCancel = cancelKeywords.some(keyword => {
+          const keywordLower = keyword.toLowerCase();
+          return textLowerForCancel === keywordLower || 
+                 textLowerForCancel.includes(keywordLower) ||
+                 textLowerForCancel.startsWith(keywordLower) ||
+                 textLowerForCancel.endsWith(keywordLower);
+        });
+        
+        if (isCancel) {
+          await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+            _input_phone: undefined,
+            _client_id: undefined,
+            _client_phone: undefined,
+            _client_name: undefined
+          });
+          await transport.sendMessage(jidToUse,
+            '❌ Operación cancelada.\n\n' +
+            '💬 Escribe *HOLA* para comenzar de nuevo.'
+          );
+          return;
+        }
+        
+        // Limpiar transcripción: quitar TODOS los caracteres que no sean números
+        // Whisper a veces transcribe "9 9 3 0 4 3 1 1 2" o "99, 30, 43, 1, 1, 2" o "99-30-43-1-1-2" o "9-9-3-0-4-3-1-1"
+        const cleanedText = text.replace(/[^0-9]/g, '');
+        logger.info(`📞 [TEXTO] Número recibido (original): "${text}" -> (limpio): "${cleanedText}"`);
+        
+        // Si después de limpiar no hay números, es un error
+        if (!cleanedText || cleanedText.length === 0) {
+          await transport.sendMessage(jidToUse, 
+            '❌ No pude detectar un número de teléfono en tu mensaje.\n\n' +
+            '💡 Por favor, escribe tu número de 9 dígitos (ejemplo: 987654321) o con código de país (51987654321).\n\n' +
+            '❌ O escribe *CANCELAR* para volver al inicio.'
+          );
+          return;
+        }
+        
+        const phoneInput = PhoneNormalizer.normalize(cleanedText);
+        if (!PhoneNormalizer.isValidPeruvianPhone(phoneInput)) {
+          await transport.sendMessage(jidToUse, 
+            `❌ El número de teléfono no es válido.\n\n` +
+            `📞 Detecté: *${cleanedText}*\n\n` +
+            `Por favor, ingresa un número de 9 dígitos (ejemplo: 987654321) o con código de país (51987654321).`
+          );
+          return;
+        }
+        
+        // Actualizar sesión con el número ingresado
+        await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+          _input_phone: phoneInput
+        });
+        
+        // Buscar cliente con el número ingresado
+        let cliente = null;
+        if (kardexDb.isConnected()) {
+          cliente = await kardexDb.buscarClientePorTelefono(phoneInput);
+        }
+        if (!cliente) {
+          cliente = await kardexApi.getClientByPhone(phoneInput);
+        }
+        
+        // Si el cliente existe y tiene nombre, pedir contraseña
+        if (cliente && cliente.nombre) {
+          await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PASSWORD, {
+            _client_id: cliente.id,
+            _client_phone: phoneInput,
+            _client_name: cliente.nombre
+          });
+          await transport.sendMessage(jidToUse,
+            `👋 ¡Hola *${cliente.nombre}*! 👋\n\n` +
+            `Para acceder a tu cuenta y ver tus pedidos, por favor *escribe* tu *contraseña* de la página web.\n\n` +
+            `🔒 *Por seguridad, escribe tu contraseña por texto (no por audio).*\n\n` +
+            `🔐 Si olvidaste tu contraseña, escribe *"olvidé mi contraseña"* y te enviaremos un código de verificación por SMS.\n\n` +
+            `Si no tienes contraseña, puedes registrarte escribiendo *REGISTRAR*`
+          );
+          return;
+        } else {
+          // Cliente no encontrado, ofrecer registro
+          await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+            _input_phone: phoneInput
+          });
+          await transport.sendMessage(jidToUse,
+            `👋 ¡Hola! 👋\n\n` +
+            `No encontré una cuenta registrada con el número *${PhoneNormalizer.format(phoneInput)}*.\n\n` +
+            `📋 *¿Qué deseas hacer?*\n\n` +
+            `1️⃣ *REGISTRAR* - Crear una cuenta nueva (email, contraseña, nombre, DNI)\n` +
+            `2️⃣ *PEDIDO* - Hacer un pedido sin registro (solo nombre y DNI)\n\n` +
+            `Escribe *REGISTRAR* o *PEDIDO* según lo que prefieras.`
+          );
+          return;
+        }
+      }
+      
+      // FLUJO 2: Si está esperando contraseña
+      if (currentState === sessionManager.STATES.AWAITING_PASSWORD) {
+        // Limpiar texto para mejor detección
+        const textLower = text.toLowerCase()
+          .trim()
+          .normalize('NFD')
+          .replace(/[\u0300-\u036f]/g, '') // Quitar acentos
+          .replace(/[¡!¿?.,;:]/g, '') // Quitar signos de puntuación
+          .trim();
+        
+        // PRIORIDAD 1: Detectar CANCELAR (incluyendo variantes de transcripción)
+        const cancelKeywords = [
+          'cancelar', 'cancel', 'cancela', 'cancelar todo', 'cancelar operacion',
+          'gonzilar', 'gonzillar', 'gonzil', 'cancilar', 'cancillar', // Variantes de transcripción
+          'volver', 'volver atras', 'volver atrás', 'inicio', 'salir'
+        ];
+        const isCancel = cancelKeywords.some(keyword => {
+          const keywordLower = keyword.toLowerCase();
+          return textLower === keywordLower || 
+                 textLower.includes(keywordLower) ||
+                 textLower.startsWith(keywordLower) ||
+                 textLower.endsWith(keywordLower);
+        });
+        
+        if (isCancel) {
+          await this.resetToIdle(phoneNumber);
+          await transport.sendMessage(jidToUse,
+            '❌ Verificación cancelada.\n\n' +
+            '💬 Escribe *HOLA* para comenzar de nuevo.'
+          );
+          return;
+        }
+        
+        // PRIORIDAD 2: Detectar "si soy cliente" o variantes (por si el usuario se confundió)
+        const yesKeywords = ['si', 'sí', 's', 'yes', 'y', 'cliente', 'registrado', 'tengo cuenta', 'ya tengo', 'si soy', 'si soy cliente', 'soy cliente', 'soy registrado', 'si estoy', 'sí soy', 'sí soy cliente'];
+        const isYes = yesKeywords.some(keyword => {
+          const keywordLower = keyword.toLowerCase();
+          return textLower === keywordLower || 
+                 textLower.includes(keywordLower) ||
+                 textLower.startsWith(keywordLower) ||
+                 textLower.endsWith(keywordLower) ||
+                 (textLower.includes('si') && textLower.includes('cliente')) ||
+                 (textLower.includes('sí') && textLower.includes('cliente'));
+        });
+        
+        if (isYes) {
+          // El usuario dice "si soy cliente" pero ya está en flujo de contraseña
+          // Esto significa que ya confirmó antes, solo necesita la contraseña
+          const clientName = stateObj._client_name || 'Cliente';
+          await transport.sendMessage(jidToUse,
+            `✅ Ya confirmamos que eres cliente registrado, *${clientName}*.\n\n` +
+            '🔐 Ahora necesitamos tu *contraseña* para acceder a tu cuenta.\n\n' +
+            '💡 Si olvidaste tu contraseña, escribe *"olvidé mi contraseña"*\n' +
+            '❌ O escribe *CANCELAR* para volver al inicio.'
+          );
+          return;
+        }
+        
+        // PRIORIDAD 3: Detectar si el usuario dice que olvidó su contraseña
+        const forgotPasswordKeywords = [
+          'olvide', 'olvidé', 'olvido', 'olvidó', 'olvido mi contraseña',
+          'olvide contraseña', 'olvidé contraseña', 'no recuerdo',
+          'no recuerdo mi contraseña', 'olvide mi password',
+          'perdi mi contraseña', 'perdí mi contraseña', 'recuperar',
+          'recuperar contraseña', 'cambiar contraseña', 'resetear contraseña'
+        ];
+        
+        const isForgotPassword = forgotPasswordKeywords.some(keyword => 
+          textLower.includes(keyword)
+        );
+        
+        if (isForgotPassword) {
+          // Usuario olvidó su contraseña, enviar código SMS
+          const clientPhone = stateObj._client_phone || phoneNumber;
+          const clientName = stateObj._client_name || 'Usuario';
+          
+          // Generar código de verificación
+          const smsCode = smsService.generateVerificationCode();
+          const codeExpiresAt = Date.now() + (10 * 60 * 1000); // 10 minutos
+          
+          // Intentar enviar SMS (en desarrollo, se envía por WhatsApp)
+          const smsSent = await smsService.sendVerificationCode(clientPhone, smsCode, transport, jidToUse);
+          
+          if (smsSent) {
+            // Guardar código en sesión
+            await this.setState(phoneNumber, sessionManager.STATES.AWAITING_SMS_CODE, {
+              ...stateObj,
+              _sms_code: smsCode,
+              _sms_code_expires: codeExpiresAt,
+              _sms_attempts: 0
+            });
+            
+            await transport.sendMessage(jidToUse,
+              `🔐 *Recuperación de contraseña* 🔐\n\n` +
+              `Hola *${clientName}*,\n\n` +
+              `📱 Hemos enviado un código de verificación de 6 dígitos a tu número de teléfono *${PhoneNormalizer.format(clientPhone)}*.\n\n` +
+              `💬 *También te lo enviamos por WhatsApp arriba.*\n\n` +
+              `🔢 Por favor, ingresa el código que recibiste:\n\n` +
+              `⏰ *El código expira en 10 minutos.*\n\n` +
+              `❌ Si no recibiste el código, escribe *CANCELAR* para volver al inicio.`
+            );
+          } else {
+            // Error al enviar SMS, ofrecer alternativa
+            await transport.sendMessage(jidToUse,
+              `❌ No pudimos enviar el SMS al número registrado.\n\n` +
+              `Por favor, contacta con soporte o intenta ingresar tu contraseña nuevamente.\n\n` +
+              `Si no recuerdas tu contraseña, puedes escribir *CANCELAR* para volver al inicio.`
+            );
+          }
+          return;
+        }
+        
+        // Si no es "olvidé contraseña", intentar verificar contraseña normal
+        // Limpiar contraseña: quitar TODOS los caracteres que no sean alfanuméricos (comas, espacios, guiones, puntos, etc.)
+        // Por si viene de copiar/pegar o dictado con comas/guiones
+        const password = text.replace(/[^a-zA-Z0-9]/g, '').trim();
+        logger.info(`🔐 [TEXTO] Contraseña recibida (original): "${text}" -> (limpio): "${password}"`);
+        
+        if (!password || password.length === 0) {
+          await transport.sendMessage(jidToUse,
+            '❌ No pude detectar tu contraseña en el mensaje.\n\n' +
+            '💡 Por favor, escribe tu contraseña correctamente.\n\n' +
+            '🔐 Si olvidaste tu contraseña, escribe *"olvidé mi contraseña"*'
+          );
+          return;
+        }
+        
+        const clientPhone = stateObj._client_phone || phoneNumber;
+        const clientId = stateObj._client_id; // Usar el ID que ya tenemos en el estado
+        
+        logger.info(`🔐 [TEXTO] Verificando contraseña para cliente: ${clientPhone}, contraseña limpia: "${password}", clientId: ${clientId || 'NO DISPONIBLE'}`);
+          logger.info(`🔐 [TEXTO] Estado actual: ${JSON.stringify({ clientPhone, password, clientId, stateObj: { _client_phone: stateObj._client_phone, _client_id: stateObj._client_id, _client_name: stateObj._client_name, _return_to_confirm: stateObj._return_to_confirm, pedido_id: stateObj.pedido_id } })}`);
+        
+        try {
+          const verifyResult = await kardexApi.verifyClientPassword(clientPhone, password, clientId);
+          
+          logger.info(`🔐 [TEXTO] Resultado completo de verificación: ${JSON.stringify({ success: verifyResult.success, hasCliente: !!verifyResult.cliente, hasToken: !!verifyResult.token, message: verifyResult.message })}`);
+          
+          if (verifyResult && verifyResult.success) {
+            // Contraseña correcta, usuario autenticado
+            logger.success(`✅ [TEXTO] Contraseña correcta! Autenticando usuario...`);
+            
+            // Verificar si había un pedido pendiente de confirmación
+            const hadPendingConfirm = stateObj._return_to_confirm === true || stateObj._pending_confirm === true;
+            logger.info(`🔍 [TEXTO] Verificando pedido pendiente: hadPendingConfirm=${hadPendingConfirm}, pedido_id=${stateObj.pedido_id || stateObj._pedido_id || 'NO'}`);
+            
+            // Obtener pedido_id desde la sesión si no está en stateObj
+            // Buscar usando el phoneNumber actual y también usando el número de teléfono del cliente
+            let pedidoId = stateObj.pedido_id || stateObj._pedido_id;
+            if (!pedidoId) {
+              // Intentar con el phoneNumber actual
+              pedidoId = await sessionManager.getActiveOrderId(phoneNumber);
+              logger.info(`🔍 [TEXTO] Pedido ID obtenido de sesión (phoneNumber): ${pedidoId || 'NO'}`);
+              
+              // Si no se encuentra, intentar con el número de teléfono del cliente
+              if (!pedidoId && clientPhone && clientPhone !== phoneNumber) {
+                const clientPhoneNormalized = clientPhone.replace(/[^0-9]/g, ''); // Limpiar el número
+                const phoneNumberNormalized = phoneNumber.replace(/[^0-9]/g, ''); // Limpiar el phoneNumber
+                
+                // Si son diferentes, buscar con el número del cliente
+                if (clientPhoneNormalized !== phoneNumberNormalized) {
+                  pedidoId = await sessionManager.getActiveOrderId(clientPhone);
+                  logger.info(`🔍 [TEXTO] Pedido ID obtenido de sesión (clientPhone): ${pedidoId || 'NO'}`);
+                }
+              }
+              
+              // Si aún no se encuentra, buscar en todas las sesiones activas que tengan pedidos
+              if (!pedidoId) {
+                try {
+                  const db = require('../../db');
+                  // Buscar pedidos activos en TODAS las sesiones (sin filtrar por phoneNumber)
+                  const activeSessions = await db.all(
+                    `SELECT phone_number, context FROM sessions 
+                     WHERE context LIKE '%pedido_id%'`
+                  );
+                  
+                  logger.info(`🔍 [TEXTO] Buscando en ${activeSessions.length} sesiones con pedidos activos`);
+                  
+                  for (const sessionRow of activeSessions) {
+                    try {
+                      const sessionOrder = sessionContext.parse(sessionRow.context).cart;
+                      if (sessionOrder.pedido_id) {
+                        // Verificar si el pedido existe y está en estado EN_PROCESO
+                        const kardexApi = require('../../kardexApi');
+                        const pedido = await kardexApi.getPedidoEnProceso(sessionOrder.pedido_id);
+                        
+                        if (pedido && pedido.estado === 'EN_PROCESO') {
+                          // Verificar si el pedido pertenece al cliente autenticado (por teléfono o cliente_id)
+                          const pedidoClienteId = pedido.cliente_id;
+                          const clienteIdAutenticado = verifyResult.cliente?.id || verifyResult.user?.id;
+                          
+                          // Si el pedido no tiene cliente_id asignado o coincide con el cliente autenticado, usarlo
+                          if (!pedidoClienteId || pedidoClienteId === clienteIdAutenticado) {
+                            pedidoId = sessionOrder.pedido_id;
+                            logger.info(`🔍 [TEXTO] Pedido ID encontrado en sesión alternativa: ${pedidoId} (cliente_id: ${pedidoClienteId || 'NO ASIGNADO'})`);
+                            break;
+                          }
+                        }
+                      }
+                    } catch (e) {
+                      // Ignorar errores de parsing
+                    }
+                  }
+                  
+                  // Si aún no se encuentra, buscar directamente en la base de datos de pedidos
+                  if (!pedidoId) {
+                    try {
+                      const clienteIdAutenticado = verifyResult.cliente?.id || verifyResult.user?.id;
+                      if (clienteIdAutenticado) {
+                        logger.info(`🔍 [TEXTO] Buscando pedidos activos directamente en BD para cliente_id: ${clienteIdAutenticado}`);
+                        const kardexDb = require('../../kardexDb');
+                        if (kardexDb.isConnected()) {
+                          const pool = kardexDb.getPool();
+                          const [pedidos] = await pool.execute(
+                            `SELECT id, numero_pedido, cliente_id, estado FROM pedidos 
+                             WHERE estado = 'EN_PROCESO' 
+                             AND (cliente_id = ? OR cliente_id IS NULL)
+                             ORDER BY id DESC LIMIT 1`,
+                            [clienteIdAutenticado]
+                          );
+                          
+                          if (pedidos && pedidos.length > 0) {
+                            pedidoId = pedidos[0].id;
+                            logger.info(`🔍 [TEXTO] Pedido activo encontrado directamente en BD: ${pedidoId}`);
+                          }
+                        }
+                      }
+                    } catch (bdError) {
+                      logger.error('Error al buscar pedido directamente en BD:', bdError);
+                    }
+                  }
+                } catch (dbError) {
+                  logger.error('Error al buscar pedido en sesiones alternativas:', dbError);
+                }
+              }
+            }
+            
+            // Actualizar estado con autenticación, preservando datos del pedido
+            const newStateObj = {
+              _authenticated: true,
+              _client_id: verifyResult.cliente?.id || verifyResult.user?.id,
+              _client_name: verifyResult.cliente?.nombre || verifyResult.user?.nombre_completo,
+              _user_token: verifyResult.token,
+              // Preservar datos del pedido si existían
+              pedido_id: pedidoId,
+              _pedido_id: pedidoId
+            };
+            
+            await this.setState(phoneNumber, sessionManager.STATES.IDLE, newStateObj);
+            
+            // Si había un pedido pendiente de confirmación O si se encontró un pedido activo, mostrar bienvenida con pedido
+            if ((hadPendingConfirm || pedidoId) && pedidoId) {
+              logger.info(`📦 [TEXTO] Usuario autenticado con pedido pendiente (ID: ${pedidoId}), mostrando información del pedido...`);
+              
+              try {
+                // Obtener detalles del pedido
+                const kardexApi = require('../../kardexApi');
+                const pedido = await kardexApi.getPedidoEnProceso(pedidoId);
+                
+                if (pedido) {
+                  // Construir mensaje con información del pedido
+                  let mensajePedido = `✅ *¡Bienvenido *${verifyResult.cliente?.nombre || verifyResult.user?.nombre_completo || 'Cliente'}*!* ✅\n\n`;
+                  mensajePedido += `🛒 *Tu pedido se confirmará después del pago*\n\n`;
+                  
+                  // Agregar información del pedido
+                  if (pedido.numero_pedido) {
+                    mensajePedido += `📦 *Pedido:* ${pedido.numero_pedido}\n\n`;
+                  }
+                  
+                  // Agregar productos del pedido
+                  if (pedido.detalles && pedido.detalles.length > 0) {
+                    mensajePedido += `*Productos:*\n`;
+                    pedido.detalles.forEach((detalle, index) => {
+                      const productoNombre = detalle.producto?.nombre || detalle.nombre_producto || 'Producto';
+                      const cantidad = Number(detalle.cantidad) || 1;
+                      const precio = Number(detalle.precio_unitario || detalle.precio || 0);
+                      const subtotal = cantidad * precio;
+                      mensajePedido += `${index + 1}. *${productoNombre}*\n`;
+                      mensajePedido += `   ${cantidad} x S/. ${precio.toFixed(2)} = S/. ${subtotal.toFixed(2)}\n\n`;
+                    });
+                  }
+                  
+                  // Agregar total
+                  const total = Number(pedido.total || pedido.monto_total || 0);
+                  mensajePedido += `💰 *Total: S/. ${total.toFixed(2)}*\n\n`;
+                  
+                  // Pedir método de pago
+                  mensajePedido += `💳 *Por favor, selecciona tu método de pago:*\n\n`;
+                  mensajePedido += `• *TRANSFERENCIA* - Transferencia bancaria\n`;
+                  mensajePedido += `• *EFECTIVO* - Pago en efectivo\n`;
+                  mensajePedido += `• *YAPE* - Pago por Yape\n`;
+                  mensajePedido += `• *PLIN* - Pago por Plin\n\n`;
+                  mensajePedido += `Responde con el nombre del método de pago que deseas usar.`;
+                  
+                  // Actualizar estado para esperar método de pago
+                  await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PAYMENT_METHOD, {
+                    ...newStateObj,
+                    _awaiting_payment_method: true
+                  });
+                  
+                  await transport.sendMessage(jidToUse, mensajePedido);
+                  return;
+                } else {
+                  logger.warn(`⚠️ [TEXTO] No se pudo obtener detalles del pedido ${pedidoId}`);
+                }
+              } catch (pedidoError) {
+                logger.error(`❌ [TEXTO] Error al obtener detalles del pedido:`, pedidoError);
+              }
+            }
+            
+            // Si no había pedido pendiente, mostrar mensaje de bienvenida normal
+            await transport.sendMessage(jidToUse,
+              `✅ *¡Bienvenido *${verifyResult.cliente?.nombre || verifyResult.user?.nombre_completo || 'Cliente'}*!* ✅\n\n` +
+              `🎯 *¿Qué deseas hacer hoy?*\n\n` +
+              `🛍️ Ver catálogo: escribe *CATALOGO*\n` +
+              `🛒 Hacer pedido: escribe tu pedido\n` +
+              `📊 Ver mis pedidos: escribe *MIS PEDIDOS*\n` +
+              `❓ Ayuda: escribe *AYUDA*`
+            );
+            return;
+          } else {
+            logger.warn(`🔐 [TEXTO] Contraseña incorrecta para cliente: ${clientPhone}, contraseña intentada: "${password}", mensaje: ${verifyResult?.message || 'Sin mensaje'}`);
+            await transport.sendMessage(jidToUse,
+              `❌ Contraseña incorrecta.\n\n` +
+              `💡 La contraseña que intentaste fue: *${password}*\n\n` +
+              `Si olvidaste tu contraseña, escribe *"olvidé mi contraseña"* y te enviaremos un código de verificación por SMS.\n\n` +
+              `O escribe *CANCELAR* para volver al inicio.`
+            );
+            return;
+          }
+        } catch (verifyError) {
+          logger.error(`🔐 [TEXTO] Error al verificar contraseña:`, verifyError);
+          await transport.sendMessage(jidToUse,
+            `❌ Error al verificar tu contraseña. Por favor, intenta de nuevo.\n\n` +
+            `Si el problema persiste, escribe *"olvidé mi contraseña"* para recuperar tu cuenta.`
+          );
+          return;
+        }
+      }
+      
+      // FLUJO 2.5: Si está esperando código SMS de verificación
+      if (currentState === sessionManager.STATES.AWAITING_SMS_CODE) {
+        const textLower = text.toLowerCase().trim();
+        
+        // Si escribe CANCELAR, volver al inicio
+        if (textLower === 'cancelar' || textLower === 'cancel') {
+          await this.resetToIdle(phoneNumber);
+          await transport.sendMessage(jidToUse, '❌ Verificación cancelada. Escribe *HOLA* para comenzar de nuevo.');
+          return;
+        }
+        
+        // Extraer código numérico del mensaje
+        const codeMatch = text.match(/\d{6}/);
+        const enteredCode = codeMatch ? codeMatch[0] : text.trim().replace(/[^0-9]/g, '');
+        
+        if (enteredCode.length !== 6) {
+          const attempts = (stateObj._sms_attempts || 0) + 1;
+          await this.setState(phoneNumber, sessionManager.STATES.AWAITING_SMS_CODE, {
+            ...stateObj,
+            _sms_attempts: attempts
+          });
+          
+          if (attempts >= 3) {
+            await transport.sendMessage(jidToUse,
+              `❌ Has excedido el número de intentos.\n\n` +
+              `Por favor, escribe *"olvidé mi contraseña"* nuevamente para recibir un nuevo código, o escribe *CANCELAR* para volver al inicio.`
+            );
+            return;
+          }
+          
+          await transport.sendMessage(jidToUse,
+            `❌ Código inválido. Por favor, ingresa el código de 6 dígitos que recibiste por SMS.\n\n` +
+            `Ejemplo: *123456*\n\n` +
+            `⏰ Recuerda que el código expira en 10 minutos.\n` +
+            `❌ Escribe *CANCELAR* si no recibiste el código.`
+          );
+          return;
+        }
+        
+        // Verificar código
+        const storedCode = stateObj._sms_code;
+        const codeExpires = stateObj._sms_code_expires || 0;
+        const attempts = (stateObj._sms_attempts || 0) + 1;
+        
+        // Verificar si el código expiró
+        if (Date.now() > codeExpires) {
+          await transport.sendMessage(jidToUse,
+            `❌ El código de verificación ha expirado.\n\n` +
+            `Por favor, escribe *"olvidé mi contraseña"* nuevamente para recibir un nuevo código.`
+          );
+          await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+            ...stateObj,
+            _sms_code: undefined,
+            _sms_code_expires: undefined,
+            _sms_attempts: undefined
+          });
+          return;
+        }
+        
+        // Verificar si el código es correcto
+        if (enteredCode === storedCode) {
+          // Código correcto, autenticar usuario
+          const clientPhone = stateObj._client_phone || phoneNumber;
+          const clientName = stateObj._client_name || 'Usuario';
+          
+          // Obtener cliente completo para autenticación
+          let cliente = null;
+          if (kardexDb.isConnected()) {
+            cliente = await kardexDb.buscarClientePorTelefono(clientPhone);
+          }
+          if (!cliente) {
+            cliente = await kardexApi.getClientByPhone(clientPhone);
+          }
+          
+          if (cliente && cliente.nombre) {
+            // Autenticar sin contraseña (verificado por SMS)
+            await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+              _authenticated: true,
+              _client_id: cliente.id,
+              _client_name: cliente.nombre,
+              _sms_verified: true, // Marcar como verificado por SMS
+              _sms_code: undefined,
+              _sms_code_expires: undefined,
+              _sms_attempts: undefined
+            });
+            
+            await transport.sendMessage(jidToUse,
+              `✅ *¡Verificación exitosa!* ✅\n\n` +
+              `👋 *¡Bienvenido *${cliente.nombre}*!* 👋\n\n` +
+              `🎯 *¿Qué deseas hacer hoy?*\n\n` +
+              `🛍️ Ver catálogo: escribe *CATALOGO*\n` +
+              `🛒 Hacer pedido: escribe tu pedido\n` +
+              `📊 Ver mis pedidos: escribe *MIS PEDIDOS*\n` +
+              `❓ Ayuda: escribe *AYUDA*\n\n` +
+              `💡 *Recuerda:* Tu verificación es válida solo para esta sesión.`
+            );
+          } else {
+            await transport.sendMessage(jidToUse,
+              `❌ Error: No se pudo autenticar tu cuenta. Por favor, contacta con soporte.`
+            );
+            await this.resetToIdle(phoneNumber);
+          }
+          return;
+        } else {
+          // Código incorrecto
+          await this.setState(phoneNumber, sessionManager.STATES.AWAITING_SMS_CODE, {
+            ...stateObj,
+            _sms_attempts: attempts
+          });
+          
+          if (attempts >= 3) {
+            await transport.sendMessage(jidToUse,
+              `❌ Has excedido el número de intentos (3 intentos máximos).\n\n` +
+              `Por favor, escribe *"olvidé mi contraseña"* nuevamente para recibir un nuevo código, o escribe *CANCELAR* para volver al inicio.`
+            );
+            return;
+          }
+          
+          await transport.sendMessage(jidToUse,
+            `❌ Código incorrecto. Te quedan *${3 - attempts}* intentos.\n\n` +
+            `Por favor, verifica el código que recibiste por SMS e ingrésalo nuevamente.\n\n` +
+            `❌ Escribe *CANCELAR* si no recibiste el código.`
+          );
+          return;
+        }
+      }
+      
+      // FLUJO 3: Si está esperando datos de registro
+      if (currentState === sessionManager.STATES.AWAITING_REG_NAME) {
+        const nombre = text.trim();
+        if (nombre.length < 2) {
+          await transport.sendMessage(jidToUse, '❌ El nombre debe tener al menos 2 caracteres. Por favor ingresa tu nombre completo.');
+          return;
+        }
+        await this.setState(phoneNumber, sessionManager.STATES.AWAITING_REG_DNI, {
+          ...stateObj,
+          _reg_nombre: nombre
+        });
+        await transport.sendMessage(jidToUse, `✅ Nombre guardado: *${nombre}*\n\nAhora ingresa tu *DNI* (8 dígitos):`);
+        return;
+      }
+      
+      if (currentState === sessionManager.STATES.AWAITING_REG_DNI) {
+        const dni = text.trim().replace(/[^0-9]/g, '');
+        if (dni.length !== 8 || !/^[0-9]{8}$/.test(dni)) {
+          await transport.sendMessage(jidToUse, '❌ El DNI debe tener 8 dígitos. Por favor ingresa tu DNI correctamente:');
+          return;
+        }
+        await this.setState(phoneNumber, sessionManager.STATES.AWAITING_REG_EMAIL, {
+          ...stateObj,
+          _reg_dni: dni
+        });
+        await transport.sendMessage(jidToUse, `✅ DNI guardado: *${dni}*\n\nAhora ingresa tu *correo electrónico*:`);
+        return;
+      }
+      
+      if (currentState === sessionManager.STATES.AWAITING_REG_EMAIL) {
+        const email = text.trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+          await transport.sendMessage(jidToUse, '❌ El correo electrónico no es válido. Por favor ingresa un correo válido (ejemplo: juan@email.com):');
+          return;
+        }
+        await this.setState(phoneNumber, sessionManager.STATES.AWAITING_REG_PASSWORD, {
+          ...stateObj,
+          _reg_email: email
+        });
+        await transport.sendMessage(jidToUse, `✅ Correo guardado: *${email}*\n\nAhora ingresa tu *contraseña* (mínimo 6 caracteres):`);
+        return;
+      }
+      
+      if (currentState === sessionManager.STATES.AWAITING_REG_PASSWORD) {
+        const password = text.trim();
+        if (password.length < 6) {
+          await transport.sendMessage(jidToUse, '❌ La contraseña debe tener al menos 6 caracteres. Por favor ingresa una contraseña más segura:');
+          return;
+        }
+        
+        // Registrar cliente completo
+        const registerData = {
+          nombre: stateObj._reg_nombre,
+          email: stateObj._reg_email,
+          telefono: stateObj._input_phone || phoneNumber,
+          numero_documento: stateObj._reg_dni,
+          contrasena: password
+        };
+        
+        const registerResult = await kardexApi.registerClientFull(registerData);
+        
+        if (registerResult.success) {
+          await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+            _authenticated: true,
+            _client_id: registerResult.cliente.id,
+            _client_name: registerResult.cliente.nombre || registerData.nombre,
+            _user_token: registerResult.token
+          });
+          // Registrado y autenticado: el borrador del registro ya no se necesita
+          await sessionManager.clearFlowContext(phoneNumber);
+          
+          await transport.sendMessage(jidToUse,
+            `✅ *¡Registro exitoso!* ✅\n\n` +
+            `👤 Nombre: *${registerData.nombre}*\n` +
+            `📧 Email: *${registerData.email}*\n` +
+            `🆔 DNI: *${registerData.numero_documento}*\n\n` +
+            `🎯 *¿Qué deseas hacer ahora?*\n\n` +
+            `🛍️ Ver catálogo: escribe *CATALOGO*\n` +
+            `🛒 Hacer pedido: escribe tu pedido\n` +
+            `📊 Ver mis pedidos: escribe *MIS PEDIDOS*`
+          );
+          return;
+        } else {
+          await transport.sendMessage(jidToUse,
+            `❌ Error al registrar: ${registerResult.message || 'Error desconocido'}\n\n` +
+            `Por favor intenta de nuevo escribiendo *REGISTRAR* o contacta con soporte.`
+          );
+          await this.resetToIdle(phoneNumber);
+          return;
+        }
+      }
+      
+      // FLUJO 4: Si está esperando datos para pedido temporal
+      if (currentState === sessionManager.STATES.AWAITING_TEMP_NAME) {
+        const nombre = text.trim();
+        if (nombre.length < 2) {
+          await transport.sendMessage(jidToUse, '❌ El nombre debe tener al menos 2 caracteres. Por favor ingresa tu nombre completo:');
+          return;
+        }
+        await this.setState(phoneNumber, sessionManager.STATES.AWAITING_TEMP_DNI, {
+          ...stateObj,
+          _temp_nombre: nombre
+        });
+        await transport.sendMessage(jidToUse, `✅ Nombre guardado: *${nombre}*\n\nAhora ingresa tu *DNI* (8 dígitos) para el pedido:`);
+        return;
+      }
+      
+      if (currentState === sessionManager.STATES.AWAITING_TEMP_DNI) {
+        const dni = text.trim().replace(/[^0-9]/g, '');
+        if (dni.length !== 8 || !/^[0-9]{8}$/.test(dni)) {
+          await transport.sendMessage(jidToUse, '❌ El DNI debe tener 8 dígitos. Por favor ingresa tu DNI correctamente:');
+          return;
+        }
+        
+        // Guardar datos temporales y permitir hacer pedido
+        await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+          ...stateObj,
+          _temp_dni: dni,
+          _temp_phone: stateObj._input_phone || phoneNumber
+        });
+        
+        await transport.sendMessage(jidToUse,
+          `✅ Datos guardados para el pedido:\n` +
+          `👤 Nombre: *${stateObj._temp_nombre}*\n` +
+          `🆔 DNI: *${dni}*\n\n` +
+          `🛒 *Ahora puedes hacer tu pedido.*\n` +
+          `Escribe lo que necesitas o escribe *CATALOGO* para ver productos disponibles.`
+        );
+        return;
+      }
+      
+      // FLUJO 5: Comandos especiales al inicio (ya se normalizó textLower arriba)
+      
+      // Si escribe REGISTRAR, iniciar proceso de registro
+      if (textLower === 'registrar' || textLower.includes('registrar')) {
+        // Si tiene número ingresado, verificar si ya está registrado
+        const phoneToCheck = stateObj._input_phone || stateObj._client_phone || null;
+        
+        if (phoneToCheck) {
+          // Verificar si el número ya está registrado
+          logger.info(`🔍 Verificando si el número ${phoneToCheck} ya está registrado...`);
+          
+          let clienteExistente = null;
+          if (kardexDb.isConnected()) {
+            clienteExistente = await kardexDb.buscarClientePorTelefono(phoneToCheck);
+          }
+          if (!clienteExistente) {
+            clienteExistente = await kardexApi.getClientByPhone(phoneToCheck);
+          }
+          
+          if (clienteExistente && clienteExistente.nombre) {
+            // El número ya está registrado
+            await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+              _input_phone: phoneToCheck
+            });
+            await transport.sendMessage(jidToUse,
+              `ℹ️ *Ya tienes una cuenta registrada* ℹ️\n\n` +
+              `El número *${PhoneNormalizer.format(phoneToCheck)}* ya está asociado a la cuenta:\n` +
+              `👤 *${clienteExistente.nombre}*\n\n` +
+              `🔐 *Para acceder a tu cuenta, escribe tu contraseña:*\n\n` +
+              `🔒 *Por seguridad, escribe tu contraseña por texto (no por audio).*\n\n` +
+              `Si no recuerdas tu contraseña o no tienes una, escribe *AYUDA* para más opciones.`
+            );
+            
+            // Cambiar estado a esperando contraseña
+            await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PASSWORD, {
+              _client_id: clienteExistente.id,
+              _client_phone: phoneToCheck,
+              _client_name: clienteExistente.nombre
+            });
+            return;
+          }
+        }
+        
+        // Si no tiene número ingresado o el número no está registrado, continuar con registro
+        if (!stateObj._input_phone && !phoneToCheck) {
+          // Pedir número primero si no lo tiene
+          await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PHONE, {});
+          await transport.sendMessage(jidToUse,
+            `📝 *REGISTRO DE NUEVO CLIENTE*\n\n` +
+            `Por favor, ingresa tu *número de teléfono* (9 dígitos):`
+          );
+          return;
+        }
+        
+        // Número no registrado, continuar con el proceso de registro
+        await this.setState(phoneNumber, sessionManager.STATES.AWAITING_REG_NAME, {
+          ...stateObj,
+          _input_phone: phoneToCheck || stateObj._input_phone || phoneNumber
+        });
+        
+        await transport.sendMessage(jidToUse,
+          `📝 *REGISTRO DE NUEVO CLIENTE*\n\n` +
+          `Por favor ingresa tu información:\n\n` +
+          `1️⃣ Ingresa tu *nombre completo*:`
+        );
+        return;
+      }
+      
+      // Si escribe PEDIDO, iniciar proceso de pedido temporal
+      if (textLower === 'pedido' || textLower.includes('hacer pedido') || textLower.includes('quiero hacer pedido')) {
+        if (!stateObj._input_phone) {
+          await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PHONE, {});
+          await transport.sendMessage(jidToUse,
+            `🛒 *PEDIDO SIN REGISTRO*\n\n` +
+            `Para hacer un pedido necesitamos algunos datos:\n\n` +
+            `Por favor, ingresa tu *número de teléfono* (9 dígitos):`
+          );
+          return;
+        }
+        
+        await this.setState(phoneNumber, sessionManager.STATES.AWAITING_TEMP_NAME, {
+          _input_phone: stateObj._input_phone || phoneNumber
+        });
+        await transport.sendMessage(jidToUse,
+          `🛒 *PEDIDO SIN REGISTRO*\n\n` +
+          `Ingresa tu *nombre completo* para el pedido:`
+        );
+        return;
+      }
+      
+      // FLUJO 0 ya se procesó arriba (antes de la detección universal de cancelación)
+      
+      // FLUJO 6: Si no está autenticado y no está en ningún flujo, verificar si es un número de teléfono
+      if (currentState === sessionManager.STATES.IDLE && !stateObj._authenticated && !stateObj._temp_nombre) {
+        // Detectar si el mensaje es un número de teléfono (9 dígitos o con código de país)
+        // Limpiar transcripción de voz: quitar comas, espacios, puntos y guiones
+        const cleanedText = text.replace(/[,.\s-]/g, '');
+        const phoneInput = PhoneNormalizer.normalize(cleanedText);
+        if (PhoneNormalizer.isValidPeruvianPhone(phoneInput)) {
+          // Es un número de teléfono válido, procesarlo como entrada de teléfono
+          logger.info(`📞 Número detectado automáticamente: ${phoneInput}`);
+          
+          // Actualizar sesión con el número ingresado
+          await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+            _input_phone: phoneInput
+          });
+          
+          // Buscar cliente con el número ingresado
+          let cliente = null;
+          if (kardexDb.isConnected()) {
+            cliente = await kardexDb.buscarClientePorTelefono(phoneInput);
+          }
+          if (!cliente) {
+            cliente = await kardexApi.getClientByPhone(phoneInput);
+          }
+          
+          // Si el cliente existe y tiene nombre, pedir contraseña
+          if (cliente && cliente.nombre) {
+            await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PASSWORD, {
+              _client_id: cliente.id,
+              _client_phone: phoneInput,
+              _client_name: cliente.nombre
+            });
+            await transport.sendMessage(jidToUse,
+              `👋 ¡Hola *${cliente.nombre}*! 👋\n\n` +
+              `Para acceder a tu cuenta y ver tus pedidos, por favor *escribe* tu *contraseña* de la página web.\n\n` +
+              `🔒 *Por seguridad, escribe tu contraseña por texto (no por audio).*\n\n` +
+              `Si no tienes contraseña, puedes registrarte escribiendo *REGISTRAR*`
+            );
+            return;
+          } else {
+            // Cliente no encontrado, ofrecer registro
+            await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+              _input_phone: phoneInput
+            });
+            await transport.sendMessage(jidToUse,
+              `👋 ¡Hola! 👋\n\n` +
+              `No encontré una cuenta registrada con el número *${PhoneNormalizer.format(phoneInput)}*.\n\n` +
+              `📋 *¿Qué deseas hacer?*\n\n` +
+              `1️⃣ *REGISTRAR* - Crear una cuenta nueva (email, contraseña, nombre, DNI)\n` +
+              `2️⃣ *PEDIDO* - Hacer un pedido sin registro (solo nombre y DNI)\n\n` +
+              `Escribe *REGISTRAR* o *PEDIDO* según lo que prefieras.`
+            );
+            return;
+          }
+        }
+        
+        // Para números nuevos: primero intentar usar el número del remitente para buscar cliente
+        // (solo si el canal identifica al usuario por su teléfono, p. ej. WhatsApp)
+        if (!stateObj._input_phone && transport.usesPhoneNumbers) {
+          // Intentar buscar cliente usando el número del remitente directamente
+          const remitenteNormalized = PhoneNormalizer.normalize(phoneNumber);
+          logger.info(`🔍 Buscando cliente con número del remitente: ${remitenteNormalized}`);
+          
+          let clienteRemitente = null;
+          if (kardexDb.isConnected()) {
+            clienteRemitente = await kardexDb.buscarClientePorTelefono(remitenteNormalized);
+          }
+          if (!clienteRemitente) {
+            clienteRemitente = await kardexApi.getClientByPhone(remitenteNormalized);
+          }
+          
+          // Si encontramos un cliente con ese número, guardarlo en sesión
+          if (clienteRemitente && clienteRemitente.nombre) {
+            logger.info(`✅ Cliente encontrado con número del remitente: ${clienteRemitente.nombre}`);
+            await this.setState(phoneNumber, sessionManager.STATES.AWAITING_PASSWORD, {
+              _input_phone: remitenteNormalized,
+              _client_id: clienteRemitente.id,
+              _client_phone: remitenteNormalized,
+              _client_name: clienteRemitente.nombre
+            });
+            await transport.sendMessage(jidToUse,
+              `👋 ¡Hola *${clienteRemitente.nombre}*! 👋\n\n` +
+              `Te reconocí por tu número de WhatsApp.\n\n` +
+              `Para acceder a tu cuenta y ver tus pedidos, por favor *escribe* tu *contraseña* de la página web.\n\n` +
+              `🔒 *Por seguridad, escribe tu contraseña por texto (no por audio).*\n\n` +
+              `🔐 Si olvidaste tu contraseña, escribe *"olvidé mi contraseña"* y te enviaremos un código de verificación por SMS.\n\n` +
+              `💡 O si quieres hacer un pedido sin ingresar, escribe *PEDIDO*`
+            );
+            return;
+          } else {
+            // No se encontró cliente, guardar el número del remitente y continuar
+            logger.info(`⚠️ No se encontró cliente con número del remitente: ${remitenteNormalized}`);
+            await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+              _input_phone: remitenteNormalized
+            });
+            // Continuar procesando el mensaje
+          }
+        }
+        
+        // SIEMPRE intentar procesar con NLU primero (más inteligente)
+        const nlu = require('../../nlu');
+        const conversationHistory = await sessionManager.getConversationHistory(phoneNumber, 5);
+        
+        logger.info(`🤖 Procesando mensaje con NLU para número nuevo: ${text.substring(0, 50)}...`);
+        
+        const nluResult = await nlu.processMessage(text, { 
+          ...session.state, 
+          phoneNumber,
+          _input_phone: stateObj._input_phone || PhoneNormalizer.normalize(phoneNumber)
+        }, conversationHistory, false);
+        
+        // Si NLU detectó una intención válida, procesarla
+        if (nluResult?.response?.action) {
+          logger.info(`✅ NLU detectó acción: ${nluResult.response.action}`);
+          await this.handleAction(transport, jidToUse, nluResult.response.action, nluResult.response, {
+            ...session.state,
+            phoneNumber,
+            _input_phone: stateObj._input_phone || PhoneNormalizer.normalize(phoneNumber),
+            _temp_phone: stateObj._input_phone || PhoneNormalizer.normalize(phoneNumber)
+          });
+          return;
+        }
+        
+        // NO preguntar si es cliente registrado si hay un pedido en proceso
+        // El flujo correcto es: hacer pedido → mostrar factura/precio → pedir confirmación → luego autenticación
+        const hasActiveOrder = await sessionManager.getActiveOrderId(phoneNumber);
+        const isInOrderState = currentState === sessionManager.STATES.PEDIDO_EN_PROCESO || 
+                               currentState === sessionManager.STATES.AWAITING_CONFIRMATION ||
+                               currentState === sessionManager.STATES.ORDER_PENDING;
+        
+        if (!hasActiveOrder && !isInOrderState) {
+          // Solo preguntar si NO hay pedido en proceso
+          await this.setState(phoneNumber, sessionManager.STATES.AWAITING_CLIENT_CONFIRMATION, {});
+          await transport.sendMessage(jidToUse,
+            `👋 *¡Hola! ¡Bienvenido a KARDEX!* 👋\n\n` +
+            `❓ *¿Eres cliente registrado?*\n\n` +
+            `Responde:\n` +
+            `• *SÍ* si ya tienes una cuenta registrada\n` +
+            `• *NO* si no tienes cuenta\n\n` +
+            `💡 Esto nos ayudará a darte el mejor servicio.`
+          );
+          return;
+        }
+        // Si hay pedido en proceso, continuar con el flujo normal (no preguntar autenticación todavía)
+      }
+      
+      // FLUJO 6.5: Si está esperando confirmación de cancelación
+      if (currentState === sessionManager.STATES.AWAITING_CANCEL_CONFIRMATION) {
+        const textLower = text.toLowerCase().trim();
+        const confirmKeywords = ['si', 'sí', 'confirmo', 'confirmar', 'acepto', 'aceptar', 'ok', 'okay', 'yes'];
+        const cancelKeywords = ['no', 'cancelar', 'cancel', 'volver'];
+        
+        if (confirmKeywords.some(keyword => textLower === keyword || textLower.includes(keyword))) {
+          // Confirmar cancelación, el método cancelOrder ya maneja esto
+          await orderHandler.cancelOrder(phoneNumber, transport, {
+            ...session.state,
+            phoneNumber,
+            user_token: stateObj._user_token || null,
+            _user_token: stateObj._user_token || null
+          });
+          return;
+        } else if (cancelKeywords.some(keyword => textLower === keyword || textLower.includes(keyword))) {
+          // Cancelar la operación de cancelación
+          await this.setState(phoneNumber, sessionManager.STATES.IDLE, {
+            ...stateObj,
+            _pedido_a_cancelar: undefined
+          });
+          await transport.sendMessage(jidToUse,
+            '✅ Operación cancelada.\n\n' +
+            'Tu pedido sigue activo. ¿En qué más puedo ayudarte?'
+          );
+          return;
+        } else {
+          // Respuesta no clara, pedir confirmación de nuevo
+          await transport.sendMessage(jidToUse,
+            '⚠️ *Por favor, confirma tu respuesta*\n\n' +
+            'Escribe *"SI"* o *"CONFIRMO"* para cancelar el pedido.\n' +
+            'O escribe *"NO"* o *"CANCELAR"* para volver.'
+          );
+          return;
+        }
+      }
+      
+      // FLUJO 6.75: Si está esperando actualización de perfil
+      if (currentState === sessionManager.STATES.AWAITING_UPDATE_TELEFONO ||
+          currentState === sessionManager.STATES.AWAITING_UPDATE_DIRECCION ||
+          currentState === sessionManager.STATES.AWAITING_UPDATE_EMAIL) {
+        const field = stateObj._updating_field;
+        if (field) {
+          await orderHandler.updateProfileField(phoneNumber, field, transport, {
+            ...session.state,
+            phoneNumber,
+            user_token: stateObj._user_token || null,
+            _user_token: stateObj._user_token || null,
+            cliente: { id: stateObj._client_id },
+            _client_id: stateObj._client_id
+          }, text);
+        }
+        return;
+      }
+      
+      // FLUJO 7: Usuario autenticado o con datos temporales, procesar mensaje normal
+      let cliente = null;
+      let nombreCliente = 'Cliente';
+      
+      // Si está autenticado, obtener cliente
+      if (stateObj._authenticated && stateObj._client_id) {
+        if (kardexDb.isConnected()) {
+          try {
+            const [clientes] = await kardexDb.pool.execute('SELECT * FROM clientes WHERE id = ?', [stateObj._client_id]);
+            if (clientes && clientes.length > 0) {
+              cliente = clientes[0];
+              nombreCliente = cliente.nombre || stateObj._client_name || 'Cliente';
+            }
+          } catch (error) {
+            logger.error('Error al obtener cliente autenticado', error);
+          }
+        }
+        
+        // Si no se encontró en BD, usar datos guardados
+        if (!cliente && stateObj._client_name) {
+          nombreCliente = stateObj._client_name;
+        }
+      } else if (stateObj._temp_nombre && stateObj._temp_dni) {
+        // Usuario temporal con datos para pedido
+        nombreCliente = stateObj._temp_nombre;
+        cliente = {
+          id: null,
+          nombre: stateObj._temp_nombre,
+          numero_documento: stateObj._temp_dni,
+          telefono: stateObj._temp_phone || phoneNumber,
+          es_temporal: true
+        };
+      }
+
+      // Guardar mensaje del usuario en historial
+      await sessionManager.saveMessage(phoneNumber, 'text', text, false);
+
+      // Obtener historial de conversación reciente (últimos 10 mensajes)
+      const conversationHistory = await sessionManager.getConversationHistory(phoneNumber, 10);
+
+      // Procesar con NLU (mensaje de texto, no voz)
+      // Pasar phoneNumber y nombreCliente en sessionState para que basicBot pueda usarlo
+      const sessionStateWithPhone = { 
+        ...session.state, 
+        phoneNumber,
+        nombreCliente,
+        cliente: cliente || null,
+        remoteJid: jidToUse, // Guardar JID original para usar en respuestas
+        authenticated: stateObj._authenticated || false,
+        user_token: stateObj._user_token || null,
+        temp_data: stateObj._temp_nombre ? {
+          nombre: stateObj._temp_nombre,
+          dni: stateObj._temp_dni,
+          phone: stateObj._temp_phone
+        } : null
+      };
+      
+      let nluResult = null;
+      let nluError = null;
+      
+      // Procesar con NLU con timeout y manejo de errores robusto
+      try {
+        logger.info(`📝 [TEXTO] Llamando a NLU para procesar mensaje...`);
+        const nluPromise = nlu.processMessage(text, sessionStateWithPhone, conversationHistory, false);
+        let timeoutId = null;
+        const timeoutPromise = new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error('NLU timeout después de 30 segundos')), 30000);
+        });
+        
+        nluResult = await Promise.race([nluPromise, timeoutPromise])
+          .finally(() => clearTimeout(timeoutId));
+        logger.info(`🔍 [TEXTO] NLU detectó: intent=${nluResult.intent}, tiene response=${!!nluResult.response}`);
+      } catch (nluErr) {
+        nluError = nluErr;
+        logger.error(`❌ [TEXTO] Error en NLU:`, {
+          error: nluErr.message,
+          stack: nluErr.stack?.substring(0, 500)
+        });
+        // Crear resultado de fallback
+        nluResult = {
+          intent: 'error',
+          response: {
+            message: '😅 Lo siento, hubo un problema al procesar tu mensaje.\n\n' +
+              '💡 Por favor intenta:\n' +
+              '• Reformular tu mensaje\n' +
+              '• Escribir *AYUDA* para ver opciones\n' +
+              '• Intentar de nuevo en unos momentos'
+          }
+        };
+      }
+
+      // Manejar respuesta del NLU - SIEMPRE enviar una respuesta
+      let responseSent = false;
+      
+      try {
+        if (nluResult && nluResult.response) {
+          // Si tiene acción, manejarla (pasar jidToUse en lugar de phoneNumber)
+          if (nluResult.response.action) {
+            logger.info(`📝 [TEXTO] Ejecutando acción: ${nluResult.response.action}`);
+            await this.handleAction(transport, jidToUse, nluResult.response.action, nluResult.response, sessionStateWithPhone);
+            responseSent = true;
+          } 
+          // Si tiene mensaje, enviarlo
+          else if (nluResult.response.message) {
+            logger.info(`📝 [TEXTO] Enviando mensaje del NLU`);
+            await transport.sendMessage(jidToUse, nluResult.response.message);
+            // Guardar respuesta del bot en historial
+            await sessionManager.saveMessage(phoneNumber, 'text', nluResult.response.message, true);
+            responseSent = true;
+          }
+          // Si tiene productos (catálogo), enviar mensaje formateado
+          else if (nluResult.response.productos) {
+            logger.info(`📝 [TEXTO] Enviando catálogo de productos`);
+            await transport.sendMessage(jidToUse, nluResult.response.message || 'Catálogo de productos');
+            await sessionManager.saveMessage(phoneNumber, 'text', nluResult.response.message || 'Catálogo de productos', true);
+            responseSent = true;
+          }
+        }
+        
+        // Si no se envió respuesta, enviar opciones útiles
+        if (!responseSent) {
+          logger.warn('⚠️ [TEXTO] NLU no devolvió respuesta válida, enviando opciones útiles');
+          await transport.sendMessage(jidToUse, 
+            `👋 *¡Hola!* 👋\n\n` +
+            `📋 *¿En qué puedo ayudarte?*\n\n` +
+            `🛍️ *Ver productos:* Escribe *CATALOGO*\n` +
+            `🛒 *Hacer pedido:* Escribe lo que necesitas\n` +
+            `💰 *Consultar precio:* "¿Cuánto cuesta X?"\n` +
+            `📊 *Ver pedido:* Escribe *ESTADO*\n` +
+            `❓ *Ayuda:* Escribe *AYUDA*\n\n` +
+            `💡 También puedes enviarme una nota de voz.`
+          );
+          responseSent = true;
+        }
+      } catch (sendError) {
+        logger.error(`❌ [TEXTO] Error al enviar respuesta del NLU:`, sendError);
+        // Último intento de enviar mensaje
+        try {
+          await transport.sendMessage(jidToUse, 
+            `😅 Lo siento, hubo un problema. Por favor intenta de nuevo o escribe *AYUDA*.`
+          );
+        } catch (finalError) {
+          logger.error(`❌ [TEXTO] Error crítico: No se pudo enviar mensaje final`, finalError);
+        }
+      }
+      
+      logger.info(`📝 [TEXTO] Procesamiento de mensaje de texto completado`);
+
+    } catch (error) {
+      // El mensaje pedía salir del paso actual por un camino no permitido (p. ej. REGISTRAR
+      // con una cancelación o una edición de perfil pendiente): la sesión sigue donde estaba
+      if (error.code === 'ILLEGAL_TRANSITION') {
+        logger.warn(`⚠️ [TEXTO] ${error.message} para ${phoneNumber}`);
+        await transport.sendMessage(jidToUse, sessionStateMachine.REJECTED_TRANSITION_MESSAGE);
+        return;
+      }
+
+      logger.error('═══════════════════════════════════════════════════════════');
+      logger.error('❌ [TEXTO] ERROR CRÍTICO al procesar mensaje de texto');
+      logger.error(`❌ [TEXTO] Error: ${error.message}`);
+      logger.error(`❌ [TEXTO] Stack: ${error.stack?.substring(0, 1000)}`);
+      logger.error(`❌ [TEXTO] Phone: ${phoneNumber}, JID: ${jidToUse}`);
+      logger.error(`❌ [TEXTO] Texto: "${text.substring(0, 100)}"`);
+      logger.error('═══════════════════════════════════════════════════════════');
+      
+      // SIEMPRE intentar enviar una respuesta, incluso en caso de error
+      let responseSent = false;
+      
+      // Intentar recuperación inteligente con timeout
+      try {
+        logger.info(`📝 [TEXTO] Intentando recuperación inteligente...`);
+        const intentDetector = require('../../utils/intentDetector');
+        const fallbackPromise = intentDetector.detectIntent(text, { state: 'idle' }, []);
+        let timeoutId = null;
+        const timeoutPromise = new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error('Timeout en recuperación')), 5000);
+        });
+        
+        const fallbackIntent = await Promise.race([fallbackPromise, timeoutPromise])
+          .finally(() => clearTimeout(timeoutId));
+        
+        logger.info(`📝 [TEXTO] Intención de fallback detectada: ${fallbackIntent.intent} (confianza: ${fallbackIntent.confidence})`);
+        
+        // Si se puede detectar la intención, responder apropiadamente
+        if (fallbackIntent.intent !== 'unknown' && fallbackIntent.confidence > 0.5) {
+          // Responder según la intención detectada
+          if (fallbackIntent.intent === 'help') {
+            await transport.sendMessage(jidToUse, 
+              `👋 *¡Hola! Parece que hubo un problema, pero puedo ayudarte.* 👋\n\n` +
+              `📋 *Opciones disponibles:*\n\n` +
+              `🛍️ *Ver productos:* Escribe *CATALOGO*\n` +
+              `🛒 *Hacer pedido:* Escribe lo que necesitas\n` +
+              `📝 *Registrarse:* Escribe *REGISTRAR*\n` +
+              `❓ *Ayuda:* Escribe *AYUDA*\n\n` +
+              `💡 Si el problema persiste, intenta enviar tu mensaje de nuevo.`
+            );
+            responseSent = true;
+          } else if (fallbackIntent.intent === 'greeting') {
+            await transport.sendMessage(jidToUse,
+              `👋 *¡Hola! ¡Bienvenido a KARDEX!* 👋\n\n` +
+              `❓ *¿Eres cliente registrado?*\n\n` +
+              `Responde:\n` +
+              `• *SÍ* si ya tienes una cuenta registrada\n` +
+              `• *NO* si no tienes cuenta`
+            );
+            responseSent = true;
+          }
+        }
+      } catch (recoveryError) {
+        logger.error(`❌ [TEXTO] Error en recuperación inteligente: ${recoveryError.message}`);
+      }
+      
+      // Si no se envió respuesta, enviar mensaje genérico
+      if (!responseSent) {
+        try {
+          logger.info(`📝 [TEXTO] Enviando mensaje de error genérico...`);
+          await transport.sendMessage(jidToUse, 
+            `😅 Lo siento, hubo un error al procesar tu mensaje.\n\n` +
+            `💡 Por favor intenta:\n` +
+            `• Reformular tu mensaje\n` +
+            `• Escribir *AYUDA* para ver opciones\n` +
+            `• O enviar un mensaje de texto más claro\n\n` +
+            `🔄 Si el problema persiste, intenta de nuevo en unos momentos.`
+          );
+          responseSent = true;
+        } catch (sendError) {
+          logger.error(`❌ [TEXTO] Error crítico: No se pudo enviar mensaje de error`, {
+            error: sendError.message,
+            stack: sendError.stack?.substring(0, 500)
+          });
+          
+          // Último intento con mensaje muy simple
+          try {
+            await transport.sendMessage(jidToUse, 
+              `😅 Error. Escribe *AYUDA*.`
+            );
+          } catch (finalError) {
+            logger.error(`❌ [TEXTO] ERROR CRÍTICO: No se pudo enviar ningún mensaje`, finalError);
+          }
+        }
+      }
+      
+      logger.info(`📝 [TEXTO] Manejo de error completado, respuesta enviada: ${responseSent}`);
+    }
+  }
+
+  /**
+   * Manejar acciones del NLU
+   * phoneNumberOrJid puede ser un JID completo o un número de teléfono
+   * Las acciones se resuelven en actionRegistry (ver defaultActions.js)
+   * 'run_actions' ejecuta en orden las acciones de un mensaje compuesto (actionData.actions)
+   */
+  async handleAction(transport, phoneNumberOrJid, action, actionData, sessionState) {
+    if (action === 'run_actions') {
+      return this._runActions(transport, phoneNumberOrJid, actionData?.actions || [], sessionState);
+    }
+
+    const result = await this._dispatchAction(transport, phoneNumberOrJid, action, actionData, sessionState);
+
+    if (result.success) {
+      return;
+    }
+
+    // La acción no se ejecutó: responder algo útil en lugar de quedarse callado
+    const message = this._actionFailureMessage(result, actionData);
+    if (message) {
+      await transport.sendMessage(phoneNumberOrJid, message);
+    }
+  }
+
+  async _dispatchAction(transport, phoneNumberOrJid, action, actionData, sessionState) {
+    // Extraer número de teléfono del sessionState si está disponible, de lo contrario del parámetro
+    const phoneNumber = sessionState.phoneNumber || (phoneNumberOrJid.includes('@') ? phoneNumberOrJid.split('@')[0] : phoneNumberOrJid);
+    const session = await sessionManager.getSession(phoneNumber);
+
+    return actionRegistry.dispatch(action, {
+      transport,
+      phoneNumber,
+      replyTo: phoneNumberOrJid,
+      actionData,
+      sessionState,
+      currentState: session?.state || sessionManager.STATES.IDLE
+    });
+  }
+
+  /**
+   * Mensaje para una acción que no se ejecutó (null si el handler ya avisó al usuario)
+   */
+  _actionFailureMessage(result, actionData) {
+    if (result.reason === 'handler_failed') {
+      return null;
+    }
+    if (result.reason === 'unknown_action' && actionData?.message) {
+      return actionData.message;
+    }
+    if (result.reason === 'invalid_data') {
+      return `😅 No pude completar esa operación porque faltan datos.\n\n` +
+        `💡 Por favor, intenta de nuevo indicando el producto y la cantidad, o escribe *AYUDA* para ver opciones.`;
+    }
+    return `⚠️ No puedo hacer eso en este momento.\n\n` +
+      `💡 Termina el paso actual o escribe *CANCELAR* para volver al menú principal.`;
+  }
+
+  /**
+   * Ejecutar en orden las acciones de un mensaje compuesto
+   * 
+   * Se detiene en la primera que falla y responde con un solo mensaje que junta
+   * lo que contestó cada acción (las imágenes, como el QR de pago, salen en su lugar).
+   * 
+   * @param {Array<object>} actions - [{ action, actionData, text, error }] (ver unifiedAIProcessor._planActions)
+   */
+  async _runActions(transport, phoneNumberOrJid, actions, sessionState) {
+    const replies = [];
+    const flush = async () => {
+      if (replies.length > 0) {
+        await transport.sendMessage(phoneNumberOrJid, replies.splice(0).join('\n\n'));
+      }
+    };
+
+    // Transporte que acumula los textos de las acciones en lugar de enviarlos
+    // (sin repetir el mismo resumen del pedido que varias acciones envían)
+    const buffered = Object.create(transport);
+    buffered.sendMessage = async (to, text) => {
+      if (!replies.includes(text)) {
+        replies.push(text);
+      }
+      return true;
+    };
+    buffered.sendImage = async (...args) => {
+      await flush();
+      return transport.sendImage(...args);
+    };
+
+    let stoppedAt = -1;
+    for (let i = 0; i < actions.length; i++) {
+      const { action, actionData, error } = actions[i];
+      logger.info(`🔗 Acción ${i + 1}/${actions.length}: ${action}`);
+
+      if (error) {
+        replies.push(`❌ ${error}`);
+        stoppedAt = i;
+        break;
+      }
+
+      let result;
+      try {
+        result = await this._dispatchAction(buffered, phoneNumberOrJid, action, actionData, sessionState);
+      } catch (actionError) {
+        logger.error(`Error en acción ${action} de mensaje compuesto`, actionError);
+        result = { success: false, reason: 'error' };
+      }
+
+      if (!result.success) {
+        const message = this._actionFailureMessage(result, actionData);
+        if (message) {
+          replies.push(message);
+        }
+        stoppedAt = i;
+        break;
+      }
+    }
+
+    const pending = stoppedAt >= 0 ? actions.slice(stoppedAt + 1) : [];
+    if (pending.length > 0) {
+      replies.push(`⏸️ No continué con: ${pending.map(({ text }) => `"${text}"`).join(', ')}.\n` +
+        `💡 Corrige lo anterior y vuelve a pedírmelo.`);
+    }
+
+    await flush();
+  }
+
+  /**
+   * Generar sugerencias inteligentes basadas en texto mal entendido
+   */
+  _generateSuggestions(text) {
+    const suggestionMap = {
+      'hola': '¿Quisiste decir "SÍ" o "NO"?',
+      'quiero': '¿Quisiste decir "SÍ" (soy cliente)?',
+      'necesito': '¿Quisiste decir "SÍ" (soy cliente)?',
+      'ayuda': 'Responde "SÍ" o "NO" sobre si eres cliente',
+      'catalogo': 'Primero responde si eres cliente (SÍ/NO)',
+      'pedido': 'Primero responde si eres cliente (SÍ/NO)'
+    };
+
+    for (const [keyword, suggestion] of Object.entries(suggestionMap)) {
+      if (text.includes(keyword)) {
+        return suggestion;
+      }
+    }
+    return null;
+  }
+
+}
+
+module.exports = new ConversationEngine();
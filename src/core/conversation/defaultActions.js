@@ -0,0 +1,251 @@
+const actionRegistry = require('./actionRegistry');
+const sessionManager = require('../../sessionManager');
+const orderHandler = require('../../orderHandler');
+const catalogBrowser = require('./catalogBrowser');
+const sessionStateMachine = require('../session/sessionStateMachine');
+
+/**
+ * Acciones estándar del bot
+ * 
+ * Registra en actionRegistry las acciones que devuelve el NLU. Para agregar una
+ * acción nueva basta con registrarla aquí (o en cualquier módulo que llame a
+ * actionRegistry.register); todos los canales la reciben a través del motor
+ * de conversación.
+ * 
+ * @module core/conversation/defaultActions
+ */
+
+const STATES = sessionManager.STATES;
+
+// Estados en los que el usuario está escribiendo un dato puntual (teléfono, contraseña, DNI...).
+// En ellos el mensaje no se interpreta como acción del NLU.
+const INPUT_STATES = [
+  STATES.AWAITING_CLIENT_CONFIRMATION,
+  STATES.AWAITING_PHONE,
+  STATES.AWAITING_PASSWORD,
+  STATES.AWAITING_SMS_CODE,
+  STATES.AWAITING_REGISTRATION,
+  STATES.AWAITING_REG_NAME,
+  STATES.AWAITING_REG_DNI,
+  STATES.AWAITING_REG_EMAIL,
+  STATES.AWAITING_REG_PASSWORD,
+  STATES.AWAITING_TEMP_NAME,
+  STATES.AWAITING_TEMP_DNI,
+  STATES.AWAITING_CANCEL_CONFIRMATION,
+  STATES.AWAITING_UPDATE_TELEFONO,
+  STATES.AWAITING_UPDATE_DIRECCION,
+  STATES.AWAITING_UPDATE_EMAIL
+];
+
+const CONVERSATION_STATES = Object.values(STATES).filter(state => !INPUT_STATES.includes(state));
+
+const PROFILE_EDIT_STATES = [
+  STATES.AWAITING_UPDATE_TELEFONO,
+  STATES.AWAITING_UPDATE_DIRECCION,
+  STATES.AWAITING_UPDATE_EMAIL
+];
+
+/**
+ * Estados en los que corre una acción: los de conversación (más extra) desde los que
+ * sessionStateMachine permite pasar a cada estado al que lleva su handler
+ * 
+ * @param {string[]} targets - Estados a los que puede pasar el handler (IDLE siempre se permite)
+ * @param {string[]} extra - Estados de ingreso de datos en los que también corre
+ * @returns {string[]}
+ */
+function allowedFrom(targets = [], extra = []) {
+  return [...CONVERSATION_STATES, ...extra].filter(state =>
+    targets.every(target => sessionStateMachine.validateTransition(state, target).valid)
+  );
+}
+
+const actions = [
+  {
+    name: 'create_pending_order',
+    description: 'Crear pedido pendiente con productos, dirección y fecha',
+    schema: {
+      productos: { type: 'array', required: true, min: 1 },
+      total: { type: 'number', required: true }
+    },
+    allowedStates: allowedFrom([STATES.AWAITING_CONFIRMATION]),
+    handler: ({ transport, phoneNumber, actionData, sessionState }) =>
+      orderHandler.createPendingOrder(phoneNumber, actionData, transport, sessionState)
+  },
+  {
+    name: 'add_products_to_order',
+    description: 'Agregar productos al pedido activo (lo crea si no existe)',
+    schema: {
+      productos: { type: 'array', required: true, min: 1 }
+    },
+    allowedStates: allowedFrom([STATES.PEDIDO_EN_PROCESO]),
+    handler: ({ transport, phoneNumber, actionData, sessionState }) =>
+      orderHandler.addProductsToOrder(phoneNumber, actionData, transport, sessionState)
+  },
+  {
+    name: 'init_order',
+    description: 'Iniciar un pedido vacío',
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber, sessionState }) =>
+      orderHandler.initOrder(phoneNumber, transport, sessionState)
+  },
+  {
+    name: 'confirm_order',
+    description: 'Confirmar el pedido activo',
+    allowedStates: allowedFrom([STATES.AWAITING_CLIENT_CONFIRMATION, STATES.AWAITING_PAYMENT]),
+    handler: ({ transport, phoneNumber, sessionState }) =>
+      orderHandler.confirmOrder(phoneNumber, transport, sessionState)
+  },
+  {
+    name: 'cancel_order',
+    description: 'Cancelar el pedido activo',
+    allowedStates: allowedFrom([STATES.AWAITING_CANCEL_CONFIRMATION], [STATES.AWAITING_CANCEL_CONFIRMATION]),
+    handler: ({ transport, phoneNumber, sessionState }) =>
+      orderHandler.cancelOrder(phoneNumber, transport, sessionState)
+  },
+  {
+    name: 'payment_confirmed',
+    description: 'El cliente indica que ya pagó',
+    allowedStates: allowedFrom([STATES.PAGO_CONFIRMADO]),
+    handler: ({ transport, phoneNumber, sessionState }) =>
+      orderHandler.handlePaymentConfirmed(phoneNumber, transport, sessionState)
+  },
+  {
+    name: 'view_order',
+    aliases: ['check_status'],
+    description: 'Ver el pedido activo',
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber, sessionState }) =>
+      orderHandler.viewOrder(phoneNumber, transport, sessionState)
+  },
+  {
+    name: 'show_yape_payment',
+    description: 'Mostrar QR y datos de pago Yape',
+    schema: {
+      orderData: { type: 'object', required: true }
+    },
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber, actionData }) =>
+      orderHandler.showYapePayment(phoneNumber, actionData.orderData, transport)
+  },
+  {
+    name: 'show_plin_payment',
+    description: 'Mostrar datos de pago Plin',
+    schema: {
+      orderData: { type: 'object', required: true }
+    },
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber, actionData }) =>
+      orderHandler.showPlinPayment(phoneNumber, actionData.orderData, transport)
+  },
+  {
+    name: 'remove_product',
+    description: 'Quitar un producto del pedido activo',
+    schema: {
+      productName: { type: 'string', required: true }
+    },
+    allowedStates: allowedFrom([STATES.PEDIDO_EN_PROCESO]),
+    handler: ({ transport, phoneNumber, actionData }) =>
+      orderHandler.removeProductFromOrder(phoneNumber, actionData.productName, transport)
+  },
+  {
+    name: 'view_order_history',
+    description: 'Ver historial de pedidos del cliente',
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber, sessionState }) =>
+      orderHandler.viewOrderHistory(phoneNumber, transport, sessionState)
+  },
+  {
+    name: 'view_invoice',
+    description: 'Ver facturas/boletas del cliente',
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber, sessionState }) =>
+      orderHandler.viewInvoices(phoneNumber, transport, sessionState)
+  },
+  {
+    name: 'view_purchase_detail',
+    description: 'Ver detalle de una compra',
+    schema: {
+      pedidoId: { type: ['number', 'string'] }
+    },
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber, actionData, sessionState }) =>
+      orderHandler.viewPurchaseDetail(phoneNumber, actionData?.pedidoId, transport, sessionState)
+  },
+  {
+    name: 'list_order_items',
+    description: 'Listar productos del pedido activo',
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber }) =>
+      orderHandler.listOrderItems(phoneNumber, transport)
+  },
+  {
+    name: 'update_product_quantity',
+    description: 'Cambiar la cantidad de un producto del pedido',
+    schema: {
+      productName: { type: 'string', required: true },
+      // En la unidad en que se dijo ("medio kilo" -> 0.5 kg); puede ser fraccionaria
+      newQuantity: { type: 'number', required: true, exclusiveMin: 0 },
+      unit: { type: 'string' },
+      packSize: { type: 'number' }
+    },
+    allowedStates: allowedFrom([STATES.PEDIDO_EN_PROCESO]),
+    handler: ({ transport, phoneNumber, actionData }) =>
+      orderHandler.updateProductQuantity(
+        phoneNumber, actionData.productName, actionData.newQuantity, transport,
+        { unidad: actionData.unit, packSize: actionData.packSize }
+      )
+  },
+  {
+    name: 'cancel_confirmed_order',
+    description: 'Cancelar un pedido ya confirmado',
+    schema: {
+      pedidoId: { type: ['number', 'string'] }
+    },
+    allowedStates: allowedFrom([STATES.AWAITING_CANCEL_CONFIRMATION]),
+    handler: ({ transport, phoneNumber, actionData, sessionState }) =>
+      orderHandler.cancelConfirmedOrder(phoneNumber, actionData?.pedidoId, transport, sessionState)
+  },
+  {
+    name: 'modify_profile',
+    description: 'Mostrar opciones para modificar el perfil',
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber, sessionState }) =>
+      orderHandler.modifyProfile(phoneNumber, transport, sessionState)
+  },
+  {
+    name: 'update_profile_field',
+    description: 'Actualizar teléfono, dirección o email del perfil',
+    schema: {
+      field: { type: 'string', enum: ['telefono', 'direccion', 'email'] }
+    },
+    allowedStates: allowedFrom(PROFILE_EDIT_STATES, PROFILE_EDIT_STATES),
+    handler: ({ transport, phoneNumber, actionData, sessionState }) =>
+      orderHandler.updateProfileField(phoneNumber, actionData?.field, transport, sessionState)
+  },
+  {
+    name: 'browse_catalog',
+    description: 'Abrir el catálogo por categorías (o la categoría mencionada)',
+    allowedStates: catalogBrowser.BROWSE_STATES,
+    handler: ({ transport, phoneNumber, replyTo, actionData }) =>
+      catalogBrowser.open({
+        transport,
+        phoneNumber,
+        replyTo,
+        text: actionData?.data?.texto || '',
+        categoria: actionData?.data?.categoria || null
+      })
+  },
+  {
+    name: 'view_account_status',
+    description: 'Ver estado de cuenta del cliente',
+    allowedStates: allowedFrom(),
+    handler: ({ transport, phoneNumber, sessionState }) =>
+      orderHandler.viewAccountStatus(phoneNumber, transport, sessionState)
+  }
+];
+
+for (const action of actions) {
+  actionRegistry.register(action);
+}
+
+module.exports = { INPUT_STATES, CONVERSATION_STATES };
@@ -0,0 +1,128 @@
+const config = require('../../../config/config');
+const logger = require('../../utils/logger');
+const sessionManager = require('../../sessionManager');
+
+/**
+ * Confirmación "¿quisiste decir...?" de pedidos dictados por voz
+ * 
+ * Cuando Whisper entendió con poca confianza el nombre o la cantidad de un
+ * producto (ver utils/transcriptionConfidence), el flujo de voz no agrega nada:
+ * guarda la acción pendiente en el carrito de la sesión (_voice_confirmation),
+ * repite lo que entendió y espera un SÍ o un NO. La respuesta puede llegar por
+ * texto (conversationEngine) o por otro audio (whatsapp-baileys); con SÍ se
+ * ejecuta la acción guardada, con NO se descarta. Cualquier otro mensaje
+ * descarta la pregunta y se procesa normalmente.
+ * 
+ * @module core/conversation/voiceConfirmation
+ */
+
+const YES = /^(si|sip|claro|correcto|exacto|eso|ok|okey|dale|confirmo|asi es)\b/;
+const NO = /^(no|nop|incorrecto|para nada)\b/;
+
+class VoiceConfirmation {
+  /**
+   * Productos que agregaría una acción del NLU
+   * 
+   * @param {string} action - 'add_products_to_order' o 'run_actions'
+   * @param {object} actionData
+   * @returns {Array<object>} [{ nombre, cantidad, ... }]
+   */
+  productsOf(action, actionData) {
+    if (action === 'add_products_to_order') {
+      return Array.isArray(actionData?.productos) ? actionData.productos : [];
+    }
+    if (action === 'run_actions') {
+      return (actionData?.actions || []).flatMap(item => this.productsOf(item.action, item.actionData));
+    }
+    return [];
+  }
+
+  /**
+   * Preguntar si lo que se entendió es correcto y dejar la acción pendiente
+   * 
+   * @param {object} transport - Transporte del canal (sendMessage)
+   * @param {string} phoneNumber - Clave de la sesión
+   * @param {string} replyTo - Destino de la respuesta (JID)
+   * @param {object} pending - { action, actionData, doubtful }
+   */
+  async request(transport, phoneNumber, replyTo, { action, actionData, doubtful = [] }) {
+    const productos = this.productsOf(action, actionData);
+    const expiresAt = Date.now() + config.whisper.confidence.confirmTimeoutMs;
+
+    await sessionManager.updateContext(phoneNumber, 'cart', {
+      _voice_confirmation: { action, actionData, expiresAt }
+    });
+    logger.info(`🤔 [VOZ] Confianza baja en ${doubtful.map(item => `${item.kind} "${item.term}"`).join(', ')}, se pide confirmación`);
+
+    const lines = productos.map(producto => `• ${producto.cantidad ?? 1} x ${producto.nombre}`);
+    const message =
+      `🤔 No estoy seguro de haber entendido bien tu audio. ¿Quisiste decir...?\n\n` +
+      `${lines.join('\n')}\n\n` +
+      `Responde *SÍ* para agregarlo a tu pedido o *NO* para descartarlo.`;
+    await transport.sendMessage(replyTo, message);
+    await sessionManager.saveMessage(phoneNumber, 'text', message, true);
+  }
+
+  /**
+   * Atender la respuesta a una confirmación pendiente
+   * 
+   * @param {object} params
+   * @param {object} params.transport
+   * @param {string} params.phoneNumber
+   * @param {string} params.replyTo
+   * @param {string} params.text - Mensaje del usuario (texto o transcripción)
+   * @param {object} params.stateObj - Estado plano de la sesión (se le quita _voice_confirmation)
+   * @param {Function} params.runAction - async (action, actionData) => void
+   * @returns {Promise<boolean>} true si el mensaje era la respuesta y ya se atendió
+   */
+  async handleReply({ transport, phoneNumber, replyTo, text, stateObj, runAction }) {
+    const pending = stateObj?._voice_confirmation;
+    if (!pending) {
+      return false;
+    }
+
+    // La pregunta se responde una sola vez: SÍ, NO u otro mensaje la descartan
+    delete stateObj._voice_confirmation;
+    await sessionManager.updateContext(phoneNumber, 'cart', { _voice_confirmation: undefined });
+
+    if (!pending.expiresAt || pending.expiresAt < Date.now()) {
+      logger.info('🤔 [VOZ] Confirmación de voz vencida, se descarta');
+      return false;
+    }
+
+    const answer = this._classify(text);
+    if (answer === 'yes') {
+      logger.info(`✅ [VOZ] Usuario confirmó la acción ${pending.action}`);
+      await runAction(pending.action, pending.actionData);
+      return true;
+    }
+    if (answer === 'no') {
+      logger.info('↩️ [VOZ] Usuario rechazó lo que se entendió del audio');
+      await transport.sendMessage(replyTo,
+        `👌 Entendido, no agregué nada.\n\n` +
+        `💡 Repite tu pedido (por audio o por texto) indicando el producto y la cantidad.`
+      );
+      return true;
+    }
+    return false;
+  }
+
+  _classify(text) {
+    const normalized = String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (NO.test(normalized)) {
+      return 'no';
+    }
+    if (YES.test(normalized)) {
+      return 'yes';
+    }
+    return null;
+  }
+}
+
+module.exports = new VoiceConfirmation();
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../../utils/logger');
+const sessionManager = require('../../sessionManager');
+const conversationEngine = require('./conversationEngine');
+const webchatTransport = require('./webchatTransport');
+
+/**
+ * Router del webchat del portal del cliente (montado en /webchat)
+ * 
+ * POST /message { sessionId?, text } procesa el mensaje con el mismo motor de
+ * conversación que WhatsApp y responde { sessionId, messages, state }.
+ * 
+ * El sessionId lo genera el servidor (UUID) en el primer mensaje y el portal lo
+ * devuelve en los siguientes; no se acepta otro formato, así nadie puede usar
+ * el teléfono de otro cliente como sesión. La sesión se guarda como
+ * "web:<sessionId>", aparte de las de WhatsApp, y la respuesta solo trae el
+ * nombre del estado, nunca el contexto (token, código SMS, id de cliente).
+ * 
+ * Las respuestas se juntan en una bandeja por sesión, así que las peticiones de
+ * una misma sesión se atienden de a una y en orden (como inboundQueue en WhatsApp):
+ * dos POST simultáneos no se llevan los mensajes del otro.
+ * 
+ * @module core/conversation/webchatRouter
+ */
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function sessionKey(sessionId) {
+  return `web:${sessionId}`;
+}
+
+function createWebchatRouter() {
+  const router = express.Router();
+  const states = new Set(Object.values(sessionManager.STATES));
+  const chains = new Map(); // userId -> promesa de la última petición de la sesión
+
+  /**
+   * Encadenar la petición detrás de la anterior de la misma sesión (lock FIFO por sesión)
+   */
+  function serialize(userId, task) {
+    const previous = chains.get(userId) || Promise.resolve();
+    const current = previous.then(task);
+    const settled = current.catch(() => {});
+
+    chains.set(userId, settled);
+    settled.then(() => {
+      // Liberar la fila si nadie más se encoló detrás
+      if (chains.get(userId) === settled) {
+        chains.delete(userId);
+      }
+    });
+    return current;
+  }
+
+  router.post('/message', async (req, res) => {
+    const { sessionId, text } = req.body || {};
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ success: false, message: 'text es requerido' });
+    }
+    if (sessionId !== undefined && sessionId !== null && !SESSION_ID_PATTERN.test(String(sessionId))) {
+      return res.status(400).json({ success: false, message: 'sessionId inválido' });
+    }
+
+    const publicId = sessionId || crypto.randomUUID();
+    const userId = sessionKey(publicId);
+
+    try {
+      const { messages, state } = await serialize(userId, async () => {
+        try {
+          await conversationEngine.handleInbound('webchat', userId, { type: 'text', text });
+
+          const session = await sessionManager.getSession(userId);
+          return {
+            messages: webchatTransport.drain(userId),
+            state: states.has(session?.state) ? session.state : sessionManager.STATES.IDLE
+          };
+        } finally {
+          // Lo que quedó en la bandeja por un error no se entrega en la siguiente petición
+          webchatTransport.drain(userId);
+        }
+      });
+      res.json({ success: true, sessionId: publicId, messages, state });
+    } catch (error) {
+      logger.error('Error en /webchat/message', error);
+      res.status(500).json({ success: false, sessionId: publicId, message: 'Error procesando mensaje' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createWebchatRouter;
@@ -0,0 +1,61 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Transporte del canal webchat
+ * 
+ * El portal del cliente usa HTTP petición/respuesta, así que en lugar de enviar
+ * los mensajes los acumula en una bandeja por usuario. El endpoint REST vacía
+ * la bandeja al terminar de procesar el mensaje entrante.
+ * 
+ * @module core/conversation/webchatTransport
+ */
+
+class WebchatTransport {
+  constructor() {
+    this.outbox = new Map(); // userId -> array de mensajes salientes
+    this.usesPhoneNumbers = false; // En webchat el userId es un sessionId, no un teléfono
+    this.contacts = {};
+  }
+
+  _push(to, message) {
+    if (!this.outbox.has(to)) {
+      this.outbox.set(to, []);
+    }
+    this.outbox.get(to).push(message);
+  }
+
+  /**
+   * Encolar mensaje de texto para el usuario
+   */
+  async sendMessage(to, text) {
+    this._push(to, { type: 'text', message: text });
+    return true;
+  }
+
+  /**
+   * Encolar imagen para el usuario (se devuelve en base64)
+   */
+  async sendImage(to, imageBuffer, filename = 'image.png') {
+    this._push(to, {
+      type: 'image',
+      caption: filename,
+      image: Buffer.isBuffer(imageBuffer) ? imageBuffer.toString('base64') : null
+    });
+    return true;
+  }
+
+  /**
+   * Obtener y vaciar los mensajes pendientes de un usuario
+   * 
+   * @param {string} userId - sessionId del webchat
+   * @returns {Array} Mensajes salientes en orden de envío
+   */
+  drain(userId) {
+    const messages = this.outbox.get(userId) || [];
+    this.outbox.delete(userId);
+    logger.debug(`💬 [WEBCHAT] ${messages.length} mensaje(s) para ${userId}`);
+    return messages;
+  }
+}
+
+module.exports = new WebchatTransport();
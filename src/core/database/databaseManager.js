@@ -2,6 +2,7 @@ const kardexDb = require('../../kardexDb');
 const kardexApi = require('../../kardexApi');
 const logger = require('../../utils/logger');
 const productCache = require('../../utils/productCache');
+const productSearch = require('../../utils/productSearch');
 
 /**
  * Gestor híbrido de base de datos
@@ -76,23 +77,7 @@ class DatabaseManager {
           
           // Aplicar filtros adicionales que no están en kardexDb
           if (productos && Array.isArray(productos)) {
-            if (filters.minPrice !== undefined) {
-              productos = productos.filter(p => 
-                parseFloat(p.precio_venta || 0) >= parseFloat(filters.minPrice)
-              );
-            }
-            
-            if (filters.maxPrice !== undefined) {
-              productos = productos.filter(p => 
-                parseFloat(p.precio_venta || 0) <= parseFloat(filters.maxPrice)
-              );
-            }
-            
-            if (filters.inStock === true) {
-              productos = productos.filter(p => 
-                parseInt(p.stock_actual || 0) > 0
-              );
-            }
+            productos = this._applyFilters(productos, filters);
           }
         } catch (dbError) {
           logger.warn('Error al leer productos desde BD, intentando API:', dbError.message);
@@ -189,19 +174,49 @@ class DatabaseManager {
   async buscarProductos(searchTerm, options = {}) {
     try {
       const limit = options.limit || 20;
-      const filters = {
-        search: searchTerm,
-        limit,
-        ...options.filters
-      };
+      const filters = options.filters || {};
 
-      return await this.getProductos(filters, true);
+      // Ranking del índice de productos; los filtros de precio y stock se aplican después
+      const hits = await productSearch.find(searchTerm, {
+        limit: Object.keys(filters).length > 0 ? limit * 5 : limit,
+        category: filters.categoria_id
+      });
+      return this._applyFilters(hits.map(hit => hit.producto), filters).slice(0, limit);
     } catch (error) {
       logger.error(`Error en buscarProductos("${searchTerm}"):`, error);
       return null;
     }
   }
 
+  /**
+   * Filtros de precio y stock sobre un listado de productos
+   * 
+   * @param {array} productos
+   * @param {object} filters - {minPrice, maxPrice, inStock}
+   * @returns {array}
+   */
+  _applyFilters(productos, filters = {}) {
+    let resultado = productos;
+    if (filters.minPrice !== undefined) {
+      resultado = resultado.filter(p => 
+        parseFloat(p.precio_venta || 0) >= parseFloat(filters.minPrice)
+      );
+    }
+    
+    if (filters.maxPrice !== undefined) {
+      resultado = resultado.filter(p => 
+        parseFloat(p.precio_venta || 0) <= parseFloat(filters.maxPrice)
+      );
+    }
+    
+    if (filters.inStock === true) {
+      resultado = resultado.filter(p => 
+        parseInt(p.stock_actual || 0) > 0
+      );
+    }
+    return resultado;
+  }
+
   /**
    * Verificar stock de un producto
    * 
@@ -329,6 +344,62 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Unidades vendidas por producto, para ordenar el catálogo por popularidad
+   * 
+   * @param {boolean} useCache - Si usar cache (default: true)
+   * @returns {Promise<object>} { producto_id: unidades vendidas } ({} si no hay datos)
+   */
+  async getVentasPorProducto(useCache = true) {
+    try {
+      const cacheKey = 'ventas_por_producto';
+      
+      if (useCache && this.cacheEnabled) {
+        const cached = this.queryCache.get(cacheKey);
+        if (cached && (Date.now() - cached.timestamp) < this.cacheTTL) {
+          return cached.data;
+        }
+      }
+
+      // Leer desde BD directa
+      let filas = null;
+      if (kardexDb.isConnected()) {
+        try {
+          const [rows] = await kardexDb.pool.execute(
+            `SELECT producto_id, SUM(cantidad) AS vendidos 
+             FROM detalle_ventas 
+             GROUP BY producto_id`
+          );
+          filas = rows;
+        } catch (dbError) {
+          logger.warn('Error al leer ventas por producto desde BD:', dbError.message);
+        }
+      }
+
+      // Fallback a API si es necesario
+      if (!filas) {
+        filas = await kardexApi.getMasVendidos();
+      }
+
+      const ventas = {};
+      for (const fila of filas || []) {
+        ventas[fila.producto_id] = parseFloat(fila.vendidos) || 0;
+      }
+
+      if (useCache && this.cacheEnabled) {
+        this.queryCache.set(cacheKey, {
+          data: ventas,
+          timestamp: Date.now()
+        });
+      }
+
+      return ventas;
+    } catch (error) {
+      logger.error('Error en getVentasPorProducto:', error);
+      return {};
+    }
+  }
+
   /**
    * Crear pedido (vía API)
    * 
@@ -0,0 +1,54 @@
+/**
+ * Esquema inicial (tablas que antes creaba Database.createTables)
+ * 
+ * Usa IF NOT EXISTS para que las instalaciones con datos previos al sistema
+ * de migraciones queden registradas en la versión 1 sin cambios.
+ */
+module.exports = {
+  version: 1,
+  name: 'initial_schema',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      phone_number TEXT UNIQUE NOT NULL,
+      state TEXT DEFAULT 'idle',
+      current_order TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS pending_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      phone_number TEXT NOT NULL,
+      products TEXT NOT NULL,
+      total REAL NOT NULL,
+      delivery_address TEXT,
+      delivery_date TEXT,
+      payment_method TEXT,
+      status TEXT DEFAULT 'pending',
+      kardex_order_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS message_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      phone_number TEXT NOT NULL,
+      message_type TEXT NOT NULL,
+      message_content TEXT,
+      is_bot BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      metric_type TEXT NOT NULL,
+      metric_value TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Contexto tipado de la sesión
+ * 
+ * Agrega sessions.context y convierte el JSON plano de current_order de las
+ * filas existentes en namespaces (auth, cart, registration, profileEdit).
+ * 
+ * El reparto de claves es una copia congelada del de session/sessionContext en
+ * esta versión: los cambios posteriores a ese módulo no deben alterar lo que
+ * produce una migración ya publicada.
+ */
+
+const NAMESPACES = {
+  auth: {
+    keys: [
+      '_authenticated', '_user_token', '_input_phone',
+      '_sms_code', '_sms_code_expires', '_sms_attempts', '_sms_verified'
+    ],
+    prefixes: ['_client_']
+  },
+  registration: {
+    keys: [],
+    prefixes: ['_reg_', '_temp_']
+  },
+  profileEdit: {
+    keys: ['_updating_field'],
+    prefixes: []
+  }
+};
+
+function namespaceOf(key) {
+  for (const [namespace, definition] of Object.entries(NAMESPACES)) {
+    if (definition.keys.includes(key) || definition.prefixes.some(prefix => key.startsWith(prefix))) {
+      return namespace;
+    }
+  }
+  // Cualquier clave que no pertenezca a otro namespace va al carrito
+  return 'cart';
+}
+
+function fromLegacy(flat) {
+  const context = { auth: {}, cart: {}, registration: {}, profileEdit: {} };
+  for (const [key, value] of Object.entries(flat || {})) {
+    if (value !== undefined && value !== null) {
+      context[namespaceOf(key)][key] = value;
+    }
+  }
+  return context;
+}
+
+module.exports = {
+  version: 2,
+  name: 'session_context',
+
+  async up(db) {
+    // Instalaciones que ya agregaron la columna antes de existir las migraciones
+    const columns = await db.all('PRAGMA table_info(sessions)');
+    if (!columns.some(column => column.name === 'context')) {
+      await db.run('ALTER TABLE sessions ADD COLUMN context TEXT');
+    }
+
+    const rows = await db.all(
+      'SELECT id, current_order FROM sessions WHERE current_order IS NOT NULL AND context IS NULL'
+    );
+
+    for (const row of rows) {
+      let flat = {};
+      try {
+        flat = JSON.parse(row.current_order) || {};
+      } catch (error) {
+        // current_order inválido: se descarta
+      }
+
+      await db.run(
+        'UPDATE sessions SET context = ?, current_order = NULL WHERE id = ?',
+        [JSON.stringify(fromLegacy(flat)), row.id]
+      );
+    }
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Índices para las consultas más frecuentes
+ * 
+ * - Historial de conversación por teléfono (getConversationHistory)
+ * - Métricas por tipo y fecha
+ * - Pedidos pendientes por teléfono
+ * - Sesiones expiradas (cleanExpiredSessions)
+ */
+module.exports = {
+  version: 3,
+  name: 'history_indexes',
+
+  async up(db) {
+    await db.run('CREATE INDEX IF NOT EXISTS idx_message_history_phone ON message_history (phone_number, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_metrics_type ON metrics (metric_type, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_pending_orders_phone ON pending_orders (phone_number, status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions (expires_at)');
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Cola persistente de mensajes salientes (core/messaging/outboundQueue)
+ * 
+ * Cada fila es un mensaje a enviar por un canal; sobrevive a reinicios y a
+ * desconexiones del socket. status: pending → sending → sent → delivered → read
+ * (o failed al agotar los reintentos). wa_message_id enlaza los acuses de
+ * recibo de WhatsApp (messages.update) con el mensaje encolado.
+ */
+module.exports = {
+  version: 4,
+  name: 'outbound_queue',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS outbound_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        type TEXT NOT NULL,
+        body TEXT,
+        media BLOB,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_error TEXT,
+        wa_message_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME,
+        delivered_at DATETIME,
+        read_at DATETIME
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_outbound_status ON outbound_messages (status, next_attempt_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_outbound_recipient ON outbound_messages (channel, recipient, id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_outbound_wa_id ON outbound_messages (wa_message_id)');
+  }
+};
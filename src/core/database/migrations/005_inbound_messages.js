@@ -0,0 +1,31 @@
+/**
+ * Mensajes entrantes persistidos antes de procesarse (core/messaging/inboundQueue)
+ * 
+ * La restricción UNIQUE (channel, message_id) es la deduplicación: sobrevive a
+ * reinicios y a reenvíos del mismo mensaje por la plataforma.
+ * status: received → processing → done | failed | expired
+ */
+module.exports = {
+  version: 5,
+  name: 'inbound_messages',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS inbound_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'received',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        received_at INTEGER NOT NULL,
+        processed_at DATETIME,
+        UNIQUE (channel, message_id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_inbound_status ON inbound_messages (status, id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_inbound_user ON inbound_messages (channel, user_id, id)');
+  }
+};
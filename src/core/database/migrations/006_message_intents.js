@@ -0,0 +1,16 @@
+/**
+ * Etiquetas de intención en el historial (datos de entrenamiento del clasificador)
+ * 
+ * - intent: intención del mensaje del usuario (conjunto de intentResolver)
+ * - intent_source: 'llm' (resuelta por el modelo de lenguaje) o 'manual' (corregida por un operador)
+ */
+module.exports = {
+  version: 6,
+  name: 'message_intents',
+
+  async up(db) {
+    await db.run('ALTER TABLE message_history ADD COLUMN intent TEXT');
+    await db.run('ALTER TABLE message_history ADD COLUMN intent_source TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_message_history_intent ON message_history (intent_source, intent)');
+  }
+};
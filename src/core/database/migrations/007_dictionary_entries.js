@@ -0,0 +1,25 @@
+/**
+ * Entradas del diccionario agregadas desde la API de administración (utils/dictionary)
+ * 
+ * Se suman a las de dictionary/terms.json. synonyms, regional y misspellings
+ * son arreglos JSON de variantes del término canónico.
+ */
+module.exports = {
+  version: 7,
+  name: 'dictionary_entries',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS dictionary_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        term TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        synonyms TEXT NOT NULL DEFAULT '[]',
+        regional TEXT NOT NULL DEFAULT '[]',
+        misspellings TEXT NOT NULL DEFAULT '[]',
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+};
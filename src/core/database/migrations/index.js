@@ -0,0 +1,16 @@
+/**
+ * Lista ordenada de migraciones
+ * 
+ * Para agregar una migración: crear NNN_descripcion.js con {version, name, up(db)}
+ * usando el siguiente número de versión y agregarla al final de esta lista.
+ * Las migraciones aplicadas nunca se modifican; los cambios van en una nueva.
+ */
+module.exports = [
+  require('./001_initial_schema'),
+  require('./002_session_context'),
+  require('./003_history_indexes'),
+  require('./004_outbound_queue'),
+  require('./005_inbound_messages'),
+  require('./006_message_intents'),
+  require('./007_dictionary_entries')
+];
@@ -0,0 +1,126 @@
+const logger = require('../../utils/logger');
+const migrations = require('./migrations');
+
+/**
+ * Migraciones de la base de datos local (SQLite)
+ * 
+ * Lleva la versión del esquema en la tabla schema_version. Cada migración
+ * pendiente se aplica en orden dentro de su propia transacción: si falla se
+ * hace ROLLBACK y se lanza el error para que la aplicación no arranque con
+ * un esquema a medias.
+ * 
+ * @module core/database/migrator
+ */
+
+class Migrator {
+  constructor(list = migrations) {
+    this.migrations = [...list].sort((a, b) => a.version - b.version);
+    this._checkList();
+  }
+
+  /**
+   * Verificar que las versiones sean únicas y consecutivas
+   */
+  _checkList() {
+    this.migrations.forEach((migration, index) => {
+      if (migration.version !== index + 1) {
+        throw new Error(`Migración fuera de orden: se esperaba versión ${index + 1} y se encontró ${migration.version} (${migration.name})`);
+      }
+      if (typeof migration.up !== 'function') {
+        throw new Error(`La migración ${migration.version} (${migration.name}) no tiene función up`);
+      }
+    });
+  }
+
+  async _ensureVersionTable(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  /**
+   * Versión actual del esquema (0 = base de datos nueva)
+   */
+  async getCurrentVersion(db) {
+    await this._ensureVersionTable(db);
+    const row = await db.get('SELECT MAX(version) as version FROM schema_version');
+    return row?.version || 0;
+  }
+
+  /**
+   * Estado de todas las migraciones
+   * 
+   * @param {object} db - Instancia de Database ya conectada
+   * @returns {Promise<object>} {currentVersion, latestVersion, migrations: [{version, name, applied, appliedAt}]}
+   */
+  async status(db) {
+    await this._ensureVersionTable(db);
+    const applied = await db.all('SELECT version, applied_at FROM schema_version');
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+    return {
+      currentVersion: await this.getCurrentVersion(db),
+      latestVersion: this.migrations.length,
+      migrations: this.migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: appliedAt.has(migration.version),
+        appliedAt: appliedAt.get(migration.version) || null
+      }))
+    };
+  }
+
+  /**
+   * Aplicar las migraciones pendientes
+   * 
+   * @param {object} db - Instancia de Database ya conectada
+   * @returns {Promise<number[]>} Versiones aplicadas
+   */
+  async migrate(db) {
+    const currentVersion = await this.getCurrentVersion(db);
+    const latestVersion = this.migrations.length;
+
+    if (currentVersion > latestVersion) {
+      throw new Error(
+        `La base de datos está en la versión ${currentVersion} pero este código solo conoce hasta la ${latestVersion}. ` +
+        'Actualiza el código antes de iniciar.'
+      );
+    }
+
+    const pending = this.migrations.filter(migration => migration.version > currentVersion);
+    const appliedVersions = [];
+
+    for (const migration of pending) {
+      logger.info(`📦 Aplicando migración ${migration.version}: ${migration.name}`);
+
+      await db.run('BEGIN IMMEDIATE');
+      try {
+        await migration.up(db);
+        await db.run(
+          'INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, datetime("now"))',
+          [migration.version, migration.name]
+        );
+        await db.run('COMMIT');
+      } catch (error) {
+        await db.run('ROLLBACK').catch(() => {});
+        logger.error(`❌ Falló la migración ${migration.version} (${migration.name})`, error);
+        throw new Error(`Migración ${migration.version} (${migration.name}) fallida: ${error.message}`);
+      }
+
+      appliedVersions.push(migration.version);
+    }
+
+    if (appliedVersions.length > 0) {
+      logger.success(`Esquema actualizado a la versión ${latestVersion}`);
+    }
+
+    return appliedVersions;
+  }
+}
+
+const migrator = new Migrator();
+migrator.Migrator = Migrator; // Para aplicar otra lista de migraciones (pruebas)
+
+module.exports = migrator;
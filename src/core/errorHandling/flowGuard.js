@@ -215,26 +215,15 @@ class FlowGuard {
    * @returns {boolean} true si la transición es válida
    */
   validateStateTransition(fromState, toState) {
-    // Transiciones siempre válidas (retorno seguro)
-    const alwaysValidTo = ['idle', 'awaiting_client_confirmation'];
-    if (alwaysValidTo.includes(toState)) {
-      return true;
-    }
-
-    // Transiciones inválidas (volver a estados de entrada después de avanzar)
-    const invalidFromTo = {
-      'awaiting_password': ['awaiting_phone'],
-      'awaiting_reg_name': ['awaiting_phone'],
-      'awaiting_reg_dni': ['awaiting_phone'],
-      'pedido_en_proceso': ['awaiting_phone']
-    };
+    // La tabla de transiciones vive en la máquina de estados de la sesión
+    const sessionStateMachine = require('../session/sessionStateMachine');
+    const validation = sessionStateMachine.validateTransition(fromState, toState);
 
-    if (invalidFromTo[fromState] && invalidFromTo[fromState].includes(toState)) {
+    if (!validation.valid) {
       logger.warn(`⚠️ Transición inválida detectada: ${fromState} -> ${toState}`);
-      return false;
     }
 
-    return true;
+    return validation.valid;
   }
 
   /**
@@ -0,0 +1,225 @@
+const config = require('../../../config/config');
+const db = require('../../db');
+const logger = require('../../utils/logger');
+
+/**
+ * Procesamiento durable de mensajes entrantes
+ * 
+ * Cada mensaje se guarda en SQLite (tabla inbound_messages) antes de procesarse:
+ * - Deduplicación por id de mensaje que sobrevive a reinicios (UNIQUE channel + message_id)
+ * - Cola FIFO por usuario: los mensajes de un mismo cliente se atienden de a uno,
+ *   en orden de llegada; usuarios distintos se atienden en paralelo
+ * - Al reiniciar, lo que quedó sin terminar se vuelve a procesar (si no es muy antiguo)
+ *   cuando el canal llama a recover(channel)
+ * 
+ * Cada canal registra un handler(entry) con entry = { id, channel, messageId, userId, payload };
+ * payload es el texto que el canal serializó al aceptar el mensaje.
+ * 
+ * @module core/messaging/inboundQueue
+ */
+
+const UNFINISHED_STATUSES = ['received', 'processing'];
+const FINAL_STATUSES = ['done', 'failed', 'expired'];
+
+class InboundQueue {
+  constructor() {
+    this.options = { ...config.inboundQueue };
+    this.handlers = new Map();
+    this.chains = new Map(); // channel:userId -> promesa del último mensaje encolado
+    this.scheduled = new Set(); // Ids en proceso en esta ejecución (recover no los duplica)
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Sobrescribir opciones de config.inboundQueue (pruebas)
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Registrar el procesador de mensajes de un canal
+   * 
+   * @param {string} channel - Id del canal ('whatsapp')
+   * @param {Function} handler - async (entry) => void
+   */
+  registerHandler(channel, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler inválido para el canal "${channel}"`);
+    }
+    this.handlers.set(channel, handler);
+  }
+
+  /**
+   * Programar la limpieza de mensajes finalizados
+   * 
+   * No reprocesa nada: cada canal llama a recover(channel) cuando puede atender
+   * sus mensajes (WhatsApp, al abrir la conexión; antes no hay socket para
+   * descargar audios ni para responder).
+   */
+  async start() {
+    // Limpiar mensajes finalizados fuera de la ventana de deduplicación cada hora
+    clearInterval(this.purgeTimer);
+    this.purgeTimer = setInterval(() => this.purge(), 60 * 60 * 1000);
+    this.purgeTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.purgeTimer);
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Persistir un mensaje entrante y encolarlo en la fila de su usuario
+   * 
+   * @param {string} channel - Canal de origen
+   * @param {string} messageId - Id del mensaje en la plataforma
+   * @param {string} userId - Usuario (teléfono en WhatsApp)
+   * @param {string} payload - Contenido serializado por el canal
+   * @returns {Promise<boolean>} false si el mensaje ya se había recibido (duplicado)
+   */
+  async accept(channel, messageId, userId, payload) {
+    const receivedAt = Date.now();
+    const result = await db.run(
+      `INSERT OR IGNORE INTO inbound_messages (channel, message_id, user_id, payload, received_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [channel, messageId, userId, payload, receivedAt]
+    );
+
+    if (result.changes === 0) {
+      logger.debug(`⚠️ Mensaje ${messageId} (${channel}) ya recibido, ignorando`);
+      return false;
+    }
+
+    this._schedule({ id: result.id, channel, messageId, userId, payload });
+    return true;
+  }
+
+  /**
+   * Volver a encolar los mensajes de un canal que no terminaron de procesarse
+   * Los más antiguos que replayMaxAgeMs se marcan 'expired' (responderlos ya no tiene sentido).
+   * Se puede llamar en cada reconexión: lo que ya está en la fila de esta ejecución se deja igual.
+   * 
+   * @param {string} channel - Canal cuyos mensajes se reprocesan
+   * @returns {Promise<number>} Cantidad de mensajes reencolados
+   */
+  async recover(channel) {
+    const placeholders = UNFINISHED_STATUSES.map(() => '?').join(', ');
+    const cutoff = Date.now() - this.options.replayMaxAgeMs;
+
+    const rows = await db.all(
+      `SELECT * FROM inbound_messages WHERE channel = ? AND status IN (${placeholders}) ORDER BY id`,
+      [channel, ...UNFINISHED_STATUSES]
+    );
+    const pending = rows.filter(row => !this.scheduled.has(row.id));
+
+    const stale = pending.filter(row => row.received_at < cutoff);
+    for (const row of stale) {
+      await db.run(
+        `UPDATE inbound_messages SET status = 'expired', processed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [row.id]
+      );
+    }
+    if (stale.length > 0) {
+      logger.warn(`⚠️ ${stale.length} mensajes entrantes sin procesar descartados por antigüedad`);
+    }
+
+    const replay = pending.filter(row => row.received_at >= cutoff);
+    for (const row of replay) {
+      this._schedule({
+        id: row.id,
+        channel: row.channel,
+        messageId: row.message_id,
+        userId: row.user_id,
+        payload: row.payload
+      });
+    }
+
+    if (replay.length > 0) {
+      logger.info(`📥 ${replay.length} mensajes entrantes pendientes reencolados (${channel})`);
+    }
+    return replay.length;
+  }
+
+  /**
+   * Esperar a que se procesen todos los mensajes encolados (pruebas y cierre)
+   */
+  async idle() {
+    while (this.chains.size > 0) {
+      await Promise.all(this.chains.values());
+    }
+  }
+
+  /**
+   * Eliminar mensajes finalizados más antiguos que retentionDays
+   */
+  async purge(retentionDays = this.options.retentionDays) {
+    try {
+      const placeholders = FINAL_STATUSES.map(() => '?').join(', ');
+      const result = await db.run(
+        `DELETE FROM inbound_messages WHERE status IN (${placeholders}) AND received_at < ?`,
+        [...FINAL_STATUSES, Date.now() - retentionDays * 24 * 60 * 60 * 1000]
+      );
+      return result.changes;
+    } catch (error) {
+      logger.error('Error al limpiar mensajes entrantes', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Encadenar el mensaje detrás del último del mismo usuario (lock FIFO por usuario)
+   */
+  _schedule(entry) {
+    if (this.scheduled.has(entry.id)) {
+      return;
+    }
+    this.scheduled.add(entry.id);
+
+    const key = `${entry.channel}:${entry.userId}`;
+    const previous = this.chains.get(key) || Promise.resolve();
+    const current = previous.then(() => this._process(entry));
+
+    this.chains.set(key, current);
+    current.then(() => {
+      this.scheduled.delete(entry.id);
+      // Liberar la fila si nadie más se encoló detrás
+      if (this.chains.get(key) === current) {
+        this.chains.delete(key);
+      }
+    });
+  }
+
+  async _process(entry) {
+    const handler = this.handlers.get(entry.channel);
+
+    try {
+      await db.run(
+        `UPDATE inbound_messages SET status = 'processing', attempts = attempts + 1 WHERE id = ?`,
+        [entry.id]
+      );
+
+      if (!handler) {
+        throw new Error(`Canal sin handler registrado: ${entry.channel}`);
+      }
+      await handler(entry);
+
+      await db.run(
+        `UPDATE inbound_messages SET status = 'done', processed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [entry.id]
+      );
+    } catch (error) {
+      logger.error(`❌ Error al procesar mensaje entrante ${entry.messageId} de ${entry.userId}`, error);
+      try {
+        await db.run(
+          `UPDATE inbound_messages SET status = 'failed', last_error = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [error.message, entry.id]
+        );
+      } catch (dbError) {
+        logger.error('Error al marcar mensaje entrante como fallido', dbError);
+      }
+    }
+  }
+}
+
+module.exports = new InboundQueue();
@@ -0,0 +1,91 @@
+/**
+ * Mensajes con opciones (listas y botones) independientes del canal
+ * 
+ * Quien arma el menú describe las opciones una sola vez:
+ * 
+ *   { kind: 'list', title, text, footer, buttonText,
+ *     sections: [{ title, rows: [{ id, title, description }] }] }
+ *   { kind: 'buttons', title, text, footer, buttons: [{ id, title }] }
+ * 
+ * Si el transporte implementa sendInteractive (WhatsApp arma con esto los
+ * mensajes de lista o de botones de Baileys) se le entrega tal cual; si no, se
+ * envía como texto con las opciones numeradas en el orden de options(). Al
+ * elegir, WhatsApp devuelve el id de la fila o del botón y los demás canales
+ * el número, que quien armó el menú traduce con options()[n - 1].
+ * 
+ * @module core/messaging/interactiveMessage
+ */
+
+class InteractiveMessage {
+  /**
+   * Ids de las opciones en el orden en que se numeran
+   * 
+   * @param {object} message
+   * @returns {Array<string>}
+   */
+  options(message) {
+    if (message.kind === 'buttons') {
+      return (message.buttons || []).map(button => button.id);
+    }
+    return (message.sections || []).flatMap(section => section.rows.map(row => row.id));
+  }
+
+  /**
+   * Versión en texto con las opciones numeradas
+   * 
+   * @param {object} message
+   * @returns {string}
+   */
+  toText(message) {
+    const lines = [];
+    if (message.title) {
+      lines.push(`*${message.title}*`, '');
+    }
+    if (message.text) {
+      lines.push(message.text, '');
+    }
+
+    let number = 0;
+    if (message.kind === 'buttons') {
+      for (const button of message.buttons || []) {
+        lines.push(`${++number}. ${button.title}`);
+      }
+    } else {
+      for (const section of message.sections || []) {
+        if (section.title) {
+          lines.push(`*${section.title}*`);
+        }
+        for (const row of section.rows) {
+          lines.push(`${++number}. ${row.title}${row.description ? ` - ${row.description}` : ''}`);
+        }
+        lines.push('');
+      }
+    }
+
+    if (lines[lines.length - 1] !== '') {
+      lines.push('');
+    }
+    if (message.footer) {
+      lines.push(`_${message.footer}_`);
+    }
+    lines.push('💬 Responde con el número de la opción.');
+    return lines.join('\n');
+  }
+
+  /**
+   * Enviar el menú por el transporte
+   * 
+   * @param {object} transport - Transporte del canal (sendInteractive opcional)
+   * @param {string} to - Destino
+   * @param {object} message
+   * @returns {Promise<boolean>}
+   */
+  async send(transport, to, message) {
+    if (typeof transport.sendInteractive === 'function') {
+      return transport.sendInteractive(to, message);
+    }
+    return transport.sendMessage(to, this.toText(message));
+  }
+}
+
+module.exports = new InteractiveMessage();
@@ -0,0 +1,389 @@
+const config = require('../../../config/config');
+const db = require('../../db');
+const logger = require('../../utils/logger');
+
+/**
+ * Cola persistente de mensajes salientes
+ * 
+ * Los mensajes se guardan en SQLite (tabla outbound_messages) antes de enviarse,
+ * así no se pierden si el socket está caído ni si el proceso se reinicia:
+ * - Orden por destinatario: un mensaje no sale hasta que salió el anterior al
+ *   mismo destinatario (el QR de pago no adelanta al resumen del pedido)
+ * - Mientras el canal está desconectado sus mensajes esperan sin gastar intentos;
+ *   al reconectar, flush(channel) los envía
+ * - Reintento exponencial cuando el envío falla
+ * - Límite global de envíos por minuto y pausa mínima entre envíos
+ * - Acuses de entrega y lectura registrados contra cada mensaje
+ * 
+ * Cada canal registra un emisor: { isConnected(), deliver(recipient, message) },
+ * donde deliver devuelve el id del mensaje en la plataforma (o null).
+ * 
+ * @module core/messaging/outboundQueue
+ */
+
+const PENDING_STATUSES = ['pending', 'sending'];
+const FINAL_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+class OutboundQueue {
+  constructor() {
+    this.options = { ...config.outboundQueue };
+    this.senders = new Map();
+    this.sentTimestamps = []; // Envíos del último minuto (límite global)
+    this.lastSentAt = 0;
+    this.processing = false;
+    this.rerun = false;
+    this.running = false;
+    this.pollTimer = null;
+    this.wakeTimer = null;
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Sobrescribir opciones de config.outboundQueue (pruebas)
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Registrar el emisor de un canal
+   * 
+   * @param {string} channel - Id del canal ('whatsapp')
+   * @param {object} sender - { isConnected(): boolean, deliver(recipient, message): Promise<string|null> }
+   */
+  registerSender(channel, sender) {
+    if (!sender || typeof sender.deliver !== 'function' || typeof sender.isConnected !== 'function') {
+      throw new Error(`Emisor inválido para el canal "${channel}": requiere isConnected y deliver`);
+    }
+    this.senders.set(channel, sender);
+  }
+
+  /**
+   * Iniciar el procesamiento periódico
+   * Los mensajes que quedaron en 'sending' por un cierre abrupto vuelven a 'pending'
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    await db.run(`UPDATE outbound_messages SET status = 'pending' WHERE status = 'sending'`);
+    this.running = true;
+
+    this.pollTimer = setInterval(() => this.processDue(), this.options.pollIntervalMs);
+    this.pollTimer.unref();
+
+    // Limpiar mensajes finalizados antiguos cada hora
+    this.purgeTimer = setInterval(() => this.purge(), 60 * 60 * 1000);
+    this.purgeTimer.unref();
+
+    logger.info('📮 Cola de mensajes salientes iniciada');
+    this._wake(0);
+  }
+
+  /**
+   * Detener el procesamiento (los mensajes pendientes quedan en la base de datos)
+   */
+  stop() {
+    this.running = false;
+    clearInterval(this.pollTimer);
+    clearInterval(this.purgeTimer);
+    clearTimeout(this.wakeTimer);
+    this.pollTimer = null;
+    this.purgeTimer = null;
+    this.wakeTimer = null;
+  }
+
+  /**
+   * Encolar un mensaje
+   * 
+   * @param {string} channel - Canal por el que se envía
+   * @param {string} recipient - Destinatario (JID en WhatsApp)
+   * @param {object} message - { type: 'text', text } | { type: 'image', image: Buffer, caption }
+   *   | { type: 'interactive', interactive } (lista o botones, ver messaging/interactiveMessage)
+   * @returns {Promise<number|null>} Id del mensaje encolado o null si no se pudo guardar
+   */
+  async enqueue(channel, recipient, message) {
+    try {
+      const isImage = message.type === 'image';
+      const isInteractive = message.type === 'interactive';
+      const result = await db.run(
+        `INSERT INTO outbound_messages (channel, recipient, type, body, media, next_attempt_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          channel,
+          recipient,
+          isImage || isInteractive ? message.type : 'text',
+          isImage ? (message.caption || null) : (isInteractive ? JSON.stringify(message.interactive) : message.text),
+          isImage ? message.image : null,
+          Date.now()
+        ]
+      );
+
+      logger.debug(`📮 Mensaje #${result.id} encolado para ${recipient} (${channel})`);
+      this._wake(0);
+      return result.id;
+    } catch (error) {
+      logger.error('Error al encolar mensaje saliente', error);
+      return null;
+    }
+  }
+
+  /**
+   * Enviar todos los mensajes que ya pueden salir, respetando orden y límites
+   * 
+   * @returns {Promise<number>} Cantidad de mensajes enviados en esta pasada
+   */
+  async processDue() {
+    if (this.processing) {
+      this.rerun = true; // Llegaron mensajes durante la pasada en curso
+      return 0;
+    }
+    this.processing = true;
+    this.rerun = false;
+
+    let sentCount = 0;
+    try {
+      // Solo canales con emisor conectado: los demás quedan en pausa, sin contar intentos
+      let channels = this._connectedChannels();
+      let message;
+      while (channels.length > 0 && (message = await this._nextDue(channels))) {
+        const sender = this.senders.get(message.channel);
+        if (!sender.isConnected()) {
+          channels = channels.filter(channel => channel !== message.channel);
+          continue;
+        }
+
+        const waitMs = this._rateLimitWait();
+        if (waitMs > 0) {
+          this._wake(waitMs);
+          break;
+        }
+
+        if (await this._send(sender, message)) {
+          sentCount++;
+        }
+      }
+    } catch (error) {
+      logger.error('Error al procesar la cola de mensajes salientes', error);
+    } finally {
+      this.processing = false;
+      if (this.rerun) {
+        this._wake(0);
+      }
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * Adelantar los reintentos pendientes de un canal (al reconectarse)
+   */
+  async flush(channel) {
+    try {
+      await db.run(
+        `UPDATE outbound_messages SET next_attempt_at = ? WHERE channel = ? AND status = 'pending'`,
+        [Date.now(), channel]
+      );
+      this._wake(0);
+    } catch (error) {
+      logger.error('Error al reanudar la cola de mensajes salientes', error);
+    }
+  }
+
+  /**
+   * Registrar un acuse de recibo de la plataforma
+   * Nunca retrocede el estado (un 'delivered' tardío no pisa un 'read')
+   * 
+   * @param {string} waMessageId - Id del mensaje devuelto por deliver
+   * @param {string} status - 'delivered' | 'read'
+   * @returns {Promise<boolean>} Si el id corresponde a un mensaje de la cola
+   */
+  async recordReceipt(waMessageId, status) {
+    try {
+      let result;
+      if (status === 'read') {
+        result = await db.run(
+          `UPDATE outbound_messages
+           SET status = 'read',
+               delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP),
+               read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+           WHERE wa_message_id = ?`,
+          [waMessageId]
+        );
+      } else if (status === 'delivered') {
+        result = await db.run(
+          `UPDATE outbound_messages
+           SET status = CASE WHEN status = 'sent' THEN 'delivered' ELSE status END,
+               delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
+           WHERE wa_message_id = ?`,
+          [waMessageId]
+        );
+      } else {
+        return false;
+      }
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error al registrar acuse de recibo', error);
+      return false;
+    }
+  }
+
+  /**
+   * Obtener un mensaje de la cola (sin el contenido binario)
+   */
+  async getMessage(id) {
+    return await db.get(
+      `SELECT id, channel, recipient, type, body, status, attempts, next_attempt_at, last_error,
+              wa_message_id, created_at, sent_at, delivered_at, read_at
+       FROM outbound_messages WHERE id = ?`,
+      [id]
+    );
+  }
+
+  /**
+   * Cantidad de mensajes por estado
+   */
+  async getStats() {
+    const rows = await db.all('SELECT status, COUNT(*) AS total FROM outbound_messages GROUP BY status');
+    const stats = {};
+    for (const row of rows) {
+      stats[row.status] = row.total;
+    }
+    return stats;
+  }
+
+  /**
+   * Eliminar mensajes finalizados más antiguos que retentionDays
+   */
+  async purge(retentionDays = this.options.retentionDays) {
+    try {
+      const placeholders = FINAL_STATUSES.map(() => '?').join(', ');
+      const result = await db.run(
+        `DELETE FROM outbound_messages
+         WHERE status IN (${placeholders}) AND created_at < datetime('now', ?)`,
+        [...FINAL_STATUSES, `-${retentionDays} days`]
+      );
+      if (result.changes > 0) {
+        logger.info(`🧹 ${result.changes} mensajes salientes antiguos eliminados`);
+      }
+      return result.changes;
+    } catch (error) {
+      logger.error('Error al limpiar la cola de mensajes salientes', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Canales con emisor registrado y conectado
+   */
+  _connectedChannels() {
+    return [...this.senders.entries()]
+      .filter(([, sender]) => sender.isConnected())
+      .map(([channel]) => channel);
+  }
+
+  /**
+   * Siguiente mensaje listo de los canales indicados: el más antiguo de su
+   * destinatario y con reintento vencido
+   * Si el primero de un destinatario espera reintento, los siguientes también esperan
+   */
+  async _nextDue(channels) {
+    const placeholders = PENDING_STATUSES.map(() => '?').join(', ');
+    const channelPlaceholders = channels.map(() => '?').join(', ');
+    return await db.get(
+      `SELECT * FROM outbound_messages o
+       WHERE o.status = 'pending' AND o.next_attempt_at <= ? AND o.channel IN (${channelPlaceholders})
+         AND NOT EXISTS (
+           SELECT 1 FROM outbound_messages p
+           WHERE p.channel = o.channel AND p.recipient = o.recipient
+             AND p.id < o.id AND p.status IN (${placeholders})
+         )
+       ORDER BY o.id
+       LIMIT 1`,
+      [Date.now(), ...channels, ...PENDING_STATUSES]
+    );
+  }
+
+  async _send(sender, message) {
+    await db.run(`UPDATE outbound_messages SET status = 'sending' WHERE id = ?`, [message.id]);
+
+    let payload;
+    if (message.type === 'image') {
+      payload = { type: 'image', image: message.media, caption: message.body };
+    } else if (message.type === 'interactive') {
+      payload = { type: 'interactive', interactive: JSON.parse(message.body) };
+    } else {
+      payload = { type: 'text', text: message.body };
+    }
+
+    try {
+      const now = Date.now();
+      this.lastSentAt = now;
+      this.sentTimestamps.push(now);
+
+      const waMessageId = await sender.deliver(message.recipient, payload);
+
+      // El binario ya no hace falta una vez enviado
+      await db.run(
+        `UPDATE outbound_messages
+         SET status = 'sent', attempts = attempts + 1, wa_message_id = ?, media = NULL,
+             last_error = NULL, sent_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [waMessageId || null, message.id]
+      );
+      return true;
+    } catch (error) {
+      await this._retry(message, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Programar el reintento con espera exponencial o marcar como fallido
+   */
+  async _retry(message, reason) {
+    const attempts = message.attempts + 1;
+
+    if (attempts >= this.options.maxAttempts) {
+      await db.run(
+        `UPDATE outbound_messages SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?`,
+        [attempts, reason, message.id]
+      );
+      logger.error(`❌ Mensaje #${message.id} para ${message.recipient} descartado tras ${attempts} intentos: ${reason}`);
+      return;
+    }
+
+    const delayMs = Math.min(this.options.retryBaseMs * Math.pow(2, attempts - 1), this.options.retryMaxMs);
+    await db.run(
+      `UPDATE outbound_messages SET status = 'pending', attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?`,
+      [attempts, reason, Date.now() + delayMs, message.id]
+    );
+    logger.warn(`⚠️ Mensaje #${message.id} para ${message.recipient} no enviado (${reason}), reintento en ${delayMs}ms`);
+  }
+
+  /**
+   * Milisegundos a esperar para no superar el límite global (0 = puede enviar)
+   */
+  _rateLimitWait() {
+    const now = Date.now();
+    this.sentTimestamps = this.sentTimestamps.filter(timestamp => now - timestamp < 60 * 1000);
+
+    let waitMs = Math.max(0, this.lastSentAt + this.options.minIntervalMs - now);
+    if (this.sentTimestamps.length >= this.options.ratePerMinute) {
+      waitMs = Math.max(waitMs, this.sentTimestamps[0] + 60 * 1000 - now);
+    }
+    return waitMs;
+  }
+
+  _wake(delayMs) {
+    if (!this.running) {
+      return;
+    }
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = setTimeout(() => this.processDue(), delayMs);
+    this.wakeTimer.unref();
+  }
+}
+
+module.exports = new OutboundQueue();
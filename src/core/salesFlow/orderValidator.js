@@ -1,5 +1,6 @@
 const databaseManager = require('../database/databaseManager');
 const promotionsManager = require('../database/promotionsManager');
+const saleUnits = require('../../utils/saleUnits');
 const logger = require('../../utils/logger');
 
 /**
@@ -119,14 +120,15 @@ class OrderValidator {
         };
       }
 
-      // Validar cantidad
-      const cantidad = parseInt(item.cantidad || 1);
-      if (isNaN(cantidad) || cantidad < 1) {
-        errors.push(`Cantidad inválida para producto "${producto.nombre}"`);
+      // Validar cantidad en la unidad de venta del producto ("medio kilo" solo si se vende a peso)
+      const conversion = saleUnits.convert({ cantidad: item.cantidad || 1, unidad: item.unidad, packSize: item.packSize }, producto);
+      const cantidad = conversion.valid ? conversion.cantidad : parseFloat(item.cantidad || 1);
+      if (!conversion.valid) {
+        errors.push(conversion.error || `Cantidad inválida para producto "${producto.nombre}"`);
       }
 
       // Validar stock
-      const stockDisponible = parseInt(producto.stock_actual || 0);
+      const stockDisponible = parseFloat(producto.stock_actual || 0);
       if (stockDisponible < cantidad) {
         errors.push(
           `Stock insuficiente para "${producto.nombre}". ` +
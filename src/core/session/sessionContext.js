@@ -0,0 +1,255 @@
+/**
+ * Contexto tipado de la sesión
+ * 
+ * Reemplaza el blob plano de sessions.current_order por namespaces separados:
+ * - auth: identidad y autenticación del cliente (token, cliente, verificación SMS)
+ * - cart: pedido activo y datos del flujo de compra/pago/cancelación
+ * - registration: borrador de registro completo (_reg_*) y datos de pedido sin registro (_temp_*)
+ * - profileEdit: campo del perfil que se está editando
+ * - browse: navegación del catálogo (categoría, página y orden que se están viendo)
+ * 
+ * Cada namespace se puede actualizar de forma parcial con patch(). Para no romper
+ * el código que aún trabaja con el objeto plano (stateObj), applyLegacyUpdate()
+ * reparte las claves planas en su namespace:
+ * - auth, registration y browse se fusionan (una clave con valor undefined/null se elimina),
+ *   así un caller que olvida hacer spread de stateObj ya no pierde la autenticación
+ * - cart y profileEdit se reemplazan, igual que antes se reemplazaba current_order
+ * 
+ * @module core/session/sessionContext
+ */
+
+/**
+ * @typedef {object} AuthContext
+ * @property {boolean} [_authenticated]
+ * @property {string} [_user_token]
+ * @property {number} [_client_id]
+ * @property {string} [_client_name]
+ * @property {string} [_client_phone]
+ * @property {string} [_input_phone] - Teléfono ingresado por el usuario (canales sin número)
+ * @property {string} [_sms_code]
+ * @property {number} [_sms_code_expires]
+ * @property {number} [_sms_attempts]
+ * @property {boolean} [_sms_verified]
+ */
+
+/**
+ * @typedef {object} CartContext
+ * @property {number} [pedido_id]
+ * @property {string} [numero_pedido]
+ * @property {Array<object>} [productos]
+ * @property {number} [total]
+ * @property {number} [_pedido_a_cancelar]
+ * @property {{action: string, actionData: object, expiresAt: number}} [_voice_confirmation] - Pedido por voz esperando SÍ/NO (ver conversation/voiceConfirmation)
+ */
+
+/**
+ * @typedef {object} RegistrationContext
+ * @property {string} [_reg_nombre]
+ * @property {string} [_reg_dni]
+ * @property {string} [_reg_email]
+ * @property {string} [_temp_nombre]
+ * @property {string} [_temp_dni]
+ * @property {string} [_temp_phone]
+ */
+
+/**
+ * @typedef {object} ProfileEditContext
+ * @property {string} [_updating_field] - 'telefono' | 'direccion' | 'email'
+ */
+
+/**
+ * @typedef {object} BrowseContext
+ * @property {{view: string, categoria: (number|string|null), page: number, sorts: object, options: Array<string>, expiresAt: number}} [_browse] - Lo que se está viendo del catálogo (ver conversation/catalogBrowser)
+ */
+
+/**
+ * @typedef {object} SessionContextData
+ * @property {AuthContext} auth
+ * @property {CartContext} cart
+ * @property {RegistrationContext} registration
+ * @property {ProfileEditContext} profileEdit
+ * @property {BrowseContext} browse
+ */
+
+const NAMESPACES = {
+  auth: {
+    merge: true,
+    keys: [
+      '_authenticated', '_user_token', '_input_phone',
+      '_sms_code', '_sms_code_expires', '_sms_attempts', '_sms_verified'
+    ],
+    prefixes: ['_client_']
+  },
+  registration: {
+    merge: true,
+    keys: [],
+    prefixes: ['_reg_', '_temp_']
+  },
+  profileEdit: {
+    merge: false,
+    keys: ['_updating_field'],
+    prefixes: []
+  },
+  browse: {
+    merge: true,
+    keys: ['_browse'],
+    prefixes: []
+  },
+  // Namespace por defecto: cualquier clave que no pertenezca a otro va al carrito
+  cart: {
+    merge: false,
+    keys: [],
+    prefixes: []
+  }
+};
+
+class SessionContext {
+  constructor() {
+    this.NAMESPACES = Object.keys(NAMESPACES);
+  }
+
+  /**
+   * Contexto vacío
+   * 
+   * @returns {SessionContextData}
+   */
+  empty() {
+    return { auth: {}, cart: {}, registration: {}, profileEdit: {}, browse: {} };
+  }
+
+  /**
+   * Namespace al que pertenece una clave plana
+   * 
+   * @param {string} key - Clave del objeto plano (ej: '_user_token', 'pedido_id')
+   * @returns {string} Nombre del namespace
+   */
+  namespaceOf(key) {
+    for (const [namespace, definition] of Object.entries(NAMESPACES)) {
+      if (definition.keys.includes(key) || definition.prefixes.some(prefix => key.startsWith(prefix))) {
+        return namespace;
+      }
+    }
+    return 'cart';
+  }
+
+  /**
+   * Leer el contexto guardado en BD (tolerante a NULL y JSON inválido)
+   * 
+   * @param {string|null} json - Valor de sessions.context
+   * @returns {SessionContextData}
+   */
+  parse(json) {
+    const context = this.empty();
+    if (!json) {
+      return context;
+    }
+
+    try {
+      const stored = JSON.parse(json);
+      for (const namespace of this.NAMESPACES) {
+        if (stored[namespace] && typeof stored[namespace] === 'object') {
+          context[namespace] = stored[namespace];
+        }
+      }
+    } catch (error) {
+      // Contexto corrupto: se trata como vacío
+    }
+
+    return context;
+  }
+
+  /**
+   * Serializar el contexto para guardarlo en BD
+   */
+  serialize(context) {
+    return JSON.stringify(context || this.empty());
+  }
+
+  /**
+   * Convertir un objeto plano (formato antiguo de current_order) en contexto
+   * 
+   * @param {object|null} flat - Objeto plano
+   * @returns {SessionContextData}
+   */
+  fromLegacy(flat) {
+    const context = this.empty();
+    for (const [key, value] of Object.entries(flat || {})) {
+      if (value !== undefined && value !== null) {
+        context[this.namespaceOf(key)][key] = value;
+      }
+    }
+    return context;
+  }
+
+  /**
+   * Vista plana del contexto (compatibilidad con el código que usa stateObj)
+   * 
+   * @param {SessionContextData} context
+   * @returns {object}
+   */
+  flatten(context) {
+    return {
+      ...context.cart,
+      ...context.browse,
+      ...context.profileEdit,
+      ...context.registration,
+      ...context.auth
+    };
+  }
+
+  /**
+   * Aplicar una actualización en formato plano sobre un contexto existente
+   * 
+   * @param {SessionContextData} current - Contexto actual
+   * @param {object|null} flat - Datos planos del caller
+   * @returns {SessionContextData} Nuevo contexto
+   */
+  applyLegacyUpdate(current, flat) {
+    const next = this.empty();
+    const routed = this.empty();
+
+    for (const [key, value] of Object.entries(flat || {})) {
+      routed[this.namespaceOf(key)][key] = value;
+    }
+
+    for (const [namespace, definition] of Object.entries(NAMESPACES)) {
+      const base = definition.merge ? current[namespace] : {};
+      next[namespace] = this._merge(base, routed[namespace]);
+    }
+
+    return next;
+  }
+
+  /**
+   * Actualizar parcialmente un namespace
+   * 
+   * @param {SessionContextData} current - Contexto actual
+   * @param {string} namespace - 'auth' | 'cart' | 'registration' | 'profileEdit' | 'browse'
+   * @param {object} patch - Claves a modificar (undefined/null elimina la clave)
+   * @returns {SessionContextData} Nuevo contexto
+   */
+  patch(current, namespace, patch) {
+    if (!this.NAMESPACES.includes(namespace)) {
+      throw new Error(`Namespace de sesión desconocido: ${namespace}`);
+    }
+
+    return {
+      ...current,
+      [namespace]: this._merge(current[namespace], patch)
+    };
+  }
+
+  _merge(base, patch) {
+    const result = { ...(base || {}) };
+    for (const [key, value] of Object.entries(patch || {})) {
+      if (value === undefined || value === null) {
+        delete result[key];
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = new SessionContext();
@@ -0,0 +1,274 @@
+const logger = require('../../utils/logger');
+const config = require('../../../config/config');
+const flowGuard = require('../errorHandling/flowGuard');
+
+/**
+ * Máquina de estados de la sesión
+ * 
+ * Tabla declarativa de transiciones permitidas, timeouts por estado y hooks
+ * de entrada/salida. sessionManager.updateSessionState la consulta antes de
+ * guardar cualquier cambio de estado y rechaza las transiciones ilegales.
+ * 
+ * Reglas generales:
+ * - Quedarse en el mismo estado siempre es válido (actualizar datos del estado)
+ * - Volver a IDLE siempre es válido (cancelación universal, limpieza de sesión)
+ * 
+ * @module core/session/sessionStateMachine
+ */
+
+const { STATES } = require('../../sessionManager');
+
+const MINUTE = 60 * 1000;
+
+// Estados de conversación libre: el mensaje se interpreta con el NLU y puede disparar
+// comandos (REGISTRAR, PEDIDO), acciones de pedido o edición de perfil
+const CONVERSATION_STATES = [
+  STATES.IDLE,
+  STATES.AWAITING_ORDER,
+  STATES.ORDER_PENDING,
+  STATES.AWAITING_CONFIRMATION,
+  STATES.PEDIDO_EN_PROCESO,
+  STATES.PEDIDO_CREADO,
+  STATES.AWAITING_PAYMENT,
+  STATES.PAGO_CONFIRMADO,
+  STATES.COMPLETED
+];
+
+const PROFILE_EDIT_STATES = [
+  STATES.AWAITING_UPDATE_TELEFONO,
+  STATES.AWAITING_UPDATE_DIRECCION,
+  STATES.AWAITING_UPDATE_EMAIL
+];
+
+const CONVERSATION_TARGETS = [
+  ...CONVERSATION_STATES,
+  STATES.AWAITING_CLIENT_CONFIRMATION,
+  STATES.AWAITING_PHONE,
+  STATES.AWAITING_PASSWORD,
+  STATES.AWAITING_REG_NAME,
+  STATES.AWAITING_TEMP_NAME,
+  STATES.AWAITING_PAYMENT_METHOD,
+  STATES.AWAITING_CANCEL_CONFIRMATION,
+  ...PROFILE_EDIT_STATES
+];
+
+/**
+ * Tabla de estados
+ * - to: estados destino permitidos (además de IDLE y el mismo estado)
+ * - timeoutMs: tiempo de inactividad antes de que cleanExpiredSessions vuelva a IDLE
+ *   (null = no expira; undefined = config.bot.confirmationTimeout)
+ */
+const DEFAULT_TABLE = {
+  [STATES.IDLE]: { to: CONVERSATION_TARGETS, timeoutMs: null },
+  [STATES.AWAITING_ORDER]: { to: CONVERSATION_TARGETS },
+  [STATES.ORDER_PENDING]: { to: CONVERSATION_TARGETS },
+  [STATES.AWAITING_CONFIRMATION]: { to: CONVERSATION_TARGETS, timeoutMs: 30 * MINUTE },
+  [STATES.PEDIDO_EN_PROCESO]: { to: CONVERSATION_TARGETS, timeoutMs: 60 * MINUTE },
+  [STATES.PEDIDO_CREADO]: { to: CONVERSATION_TARGETS, timeoutMs: 60 * MINUTE },
+  [STATES.AWAITING_PAYMENT]: { to: CONVERSATION_TARGETS, timeoutMs: 60 * MINUTE },
+  [STATES.PAGO_CONFIRMADO]: { to: CONVERSATION_TARGETS, timeoutMs: 60 * MINUTE },
+  [STATES.COMPLETED]: { to: CONVERSATION_TARGETS },
+
+  // Autenticación
+  [STATES.AWAITING_CLIENT_CONFIRMATION]: {
+    to: [STATES.AWAITING_PASSWORD, STATES.AWAITING_PHONE]
+  },
+  [STATES.AWAITING_PHONE]: {
+    to: [STATES.AWAITING_PASSWORD, STATES.AWAITING_REG_NAME, STATES.AWAITING_TEMP_NAME]
+  },
+  [STATES.AWAITING_PASSWORD]: {
+    to: [STATES.AWAITING_SMS_CODE, STATES.AWAITING_PAYMENT_METHOD]
+  },
+  [STATES.AWAITING_SMS_CODE]: { to: [], timeoutMs: 10 * MINUTE },
+
+  // Registro completo
+  [STATES.AWAITING_REGISTRATION]: { to: [STATES.AWAITING_REG_NAME] },
+  [STATES.AWAITING_REG_NAME]: { to: [STATES.AWAITING_REG_DNI], timeoutMs: 15 * MINUTE },
+  [STATES.AWAITING_REG_DNI]: { to: [STATES.AWAITING_REG_EMAIL], timeoutMs: 15 * MINUTE },
+  [STATES.AWAITING_REG_EMAIL]: { to: [STATES.AWAITING_REG_PASSWORD], timeoutMs: 15 * MINUTE },
+  [STATES.AWAITING_REG_PASSWORD]: { to: [], timeoutMs: 15 * MINUTE },
+
+  // Pedido sin registro
+  [STATES.AWAITING_TEMP_NAME]: { to: [STATES.AWAITING_TEMP_DNI], timeoutMs: 15 * MINUTE },
+  [STATES.AWAITING_TEMP_DNI]: { to: [], timeoutMs: 15 * MINUTE },
+
+  // Pago y cancelación
+  [STATES.AWAITING_PAYMENT_METHOD]: {
+    to: [
+      STATES.AWAITING_CLIENT_CONFIRMATION,
+      STATES.AWAITING_CONFIRMATION,
+      STATES.PEDIDO_EN_PROCESO,
+      STATES.AWAITING_PAYMENT,
+      STATES.PAGO_CONFIRMADO
+    ],
+    timeoutMs: 30 * MINUTE
+  },
+  [STATES.AWAITING_CANCEL_CONFIRMATION]: { to: [STATES.PEDIDO_EN_PROCESO] },
+
+  // Edición de perfil (el usuario puede cambiar de campo a mitad de la edición)
+  [STATES.AWAITING_UPDATE_TELEFONO]: { to: PROFILE_EDIT_STATES },
+  [STATES.AWAITING_UPDATE_DIRECCION]: { to: PROFILE_EDIT_STATES },
+  [STATES.AWAITING_UPDATE_EMAIL]: { to: PROFILE_EDIT_STATES }
+};
+
+class SessionStateMachine {
+  constructor(table = DEFAULT_TABLE) {
+    this.STATES = STATES;
+    this.table = table;
+    this.enterHooks = new Map(); // estado -> [fn]
+    this.exitHooks = new Map(); // estado -> [fn]
+    this.globalEnterHooks = [];
+  }
+
+  /**
+   * Verificar si un estado existe en la tabla
+   */
+  isKnownState(state) {
+    return Object.prototype.hasOwnProperty.call(this.table, state);
+  }
+
+  /**
+   * Verificar si una transición es válida
+   * 
+   * @param {string} fromState - Estado origen
+   * @param {string} toState - Estado destino
+   * @returns {object} {valid: boolean, error: string|null}
+   */
+  validateTransition(fromState, toState) {
+    if (!this.isKnownState(toState)) {
+      return { valid: false, error: `Estado desconocido: ${toState}` };
+    }
+
+    const from = fromState || STATES.IDLE;
+    if (from === toState || toState === STATES.IDLE) {
+      return { valid: true, error: null };
+    }
+
+    // Estados antiguos guardados en BD que ya no están en la tabla: permitir salir de ellos
+    if (!this.isKnownState(from)) {
+      return { valid: true, error: null };
+    }
+
+    if (this.table[from].to.includes(toState)) {
+      return { valid: true, error: null };
+    }
+
+    return { valid: false, error: `Transición no permitida: ${from} -> ${toState}` };
+  }
+
+  /**
+   * Timeout de inactividad de un estado en ms (null = no expira)
+   */
+  getTimeout(state) {
+    const entry = this.table[state];
+    if (!entry || entry.timeoutMs === undefined) {
+      return config.bot.confirmationTimeout;
+    }
+    return entry.timeoutMs;
+  }
+
+  /**
+   * Registrar hook de entrada a un estado ('*' = cualquier estado)
+   * 
+   * @param {string} state - Estado
+   * @param {Function} fn - async ({phoneNumber, from, to, data}) => void
+   */
+  onEnter(state, fn) {
+    if (state === '*') {
+      this.globalEnterHooks.push(fn);
+      return;
+    }
+    if (!this.enterHooks.has(state)) {
+      this.enterHooks.set(state, []);
+    }
+    this.enterHooks.get(state).push(fn);
+  }
+
+  /**
+   * Registrar hook de salida de un estado
+   */
+  onExit(state, fn) {
+    if (!this.exitHooks.has(state)) {
+      this.exitHooks.set(state, []);
+    }
+    this.exitHooks.get(state).push(fn);
+  }
+
+  /**
+   * Ejecutar hooks de salida/entrada de una transición ya guardada
+   * Un hook que falla se registra en el log pero no interrumpe la conversación
+   */
+  async runHooks(transition) {
+    const { from, to } = transition;
+    if (from === to) {
+      return;
+    }
+
+    const hooks = [
+      ...(this.exitHooks.get(from) || []),
+      ...(this.enterHooks.get(to) || []),
+      ...this.globalEnterHooks
+    ];
+
+    for (const hook of hooks) {
+      try {
+        await hook(transition);
+      } catch (error) {
+        logger.error(`Error en hook de transición ${from} -> ${to}`, error);
+      }
+    }
+  }
+
+  /**
+   * Exportar el grafo de transiciones
+   * 
+   * @param {string} format - 'mermaid' o 'dot'
+   * @returns {string} Grafo en el formato pedido
+   */
+  toGraph(format = 'mermaid') {
+    const edges = [];
+    for (const [from, entry] of Object.entries(this.table)) {
+      for (const to of entry.to) {
+        if (to !== from && to !== STATES.IDLE) {
+          edges.push([from, to]);
+        }
+      }
+    }
+
+    if (format === 'dot') {
+      const lines = ['digraph session_states {', '  rankdir=LR;', `  ${STATES.IDLE} [shape=doublecircle];`];
+      for (const [from, to] of edges) {
+        lines.push(`  ${from} -> ${to};`);
+      }
+      lines.push('  // Todo estado puede volver a idle');
+      lines.push('}');
+      return lines.join('\n');
+    }
+
+    const lines = ['stateDiagram-v2', `  [*] --> ${STATES.IDLE}`];
+    for (const [from, to] of edges) {
+      lines.push(`  ${from} --> ${to}`);
+    }
+    lines.push('  %% Todo estado puede volver a idle');
+    return lines.join('\n');
+  }
+}
+
+const sessionStateMachine = new SessionStateMachine();
+
+// Respuesta a un mensaje que pide una transición no permitida: la sesión sigue en el paso actual
+sessionStateMachine.REJECTED_TRANSITION_MESSAGE =
+  `⚠️ Primero termina el paso en el que estamos.\n\n` +
+  `💡 Si prefieres empezar de nuevo, escribe *CANCELAR*.`;
+
+// Hooks por defecto: historial de estados para detectar loops, limpio al volver a IDLE
+sessionStateMachine.onEnter('*', ({ phoneNumber, to }) => {
+  if (to !== STATES.IDLE) {
+    flowGuard.detectInfiniteLoop(phoneNumber, to);
+  }
+});
+sessionStateMachine.onEnter(STATES.IDLE, ({ phoneNumber }) => {
+  flowGuard.clearHistory(phoneNumber);
+});
+
+module.exports = sessionStateMachine;
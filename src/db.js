@@ -8,17 +8,29 @@ class Database {
     this.db = null;
   }
 
+  /**
+   * Conectar y aplicar migraciones pendientes
+   * Si una migración falla se rechaza la promesa (la aplicación no debe iniciar)
+   */
   async initialize() {
+    await this.connect();
+    await this.migrate();
+  }
+
+  /**
+   * Abrir la conexión con SQLite sin tocar el esquema
+   */
+  async connect() {
     return new Promise((resolve, reject) => {
       // Asegurar que el directorio de datos exista
       const fs = require('fs');
       const dataDir = path.join(__dirname, '..', config.paths.data);
       
-      if (!fs.existsSync(dataDir)) {
+      if (!config.paths.database && !fs.existsSync(dataDir)) {
         fs.mkdirSync(dataDir, { recursive: true });
       }
       
-      const dbPath = path.join(dataDir, 'chatbot.db');
+      const dbPath = config.paths.database || path.join(dataDir, 'chatbot.db');
       
       this.db = new sqlite3.Database(dbPath, (err) => {
         if (err) {
@@ -26,66 +38,19 @@ class Database {
           reject(err);
         } else {
           logger.success('Base de datos SQLite conectada');
-          this.createTables().then(resolve).catch(reject);
+          resolve();
         }
       });
     });
   }
 
-  async createTables() {
-    const tables = [
-      // Tabla de sesiones de chat
-      `CREATE TABLE IF NOT EXISTS sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        phone_number TEXT UNIQUE NOT NULL,
-        state TEXT DEFAULT 'idle',
-        current_order TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        expires_at DATETIME
-      )`,
-      
-      // Tabla de pedidos pendientes
-      `CREATE TABLE IF NOT EXISTS pending_orders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id INTEGER NOT NULL,
-        phone_number TEXT NOT NULL,
-        products TEXT NOT NULL,
-        total REAL NOT NULL,
-        delivery_address TEXT,
-        delivery_date TEXT,
-        payment_method TEXT,
-        status TEXT DEFAULT 'pending',
-        kardex_order_id INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (session_id) REFERENCES sessions(id)
-      )`,
-      
-      // Tabla de historial de mensajes
-      `CREATE TABLE IF NOT EXISTS message_history (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        phone_number TEXT NOT NULL,
-        message_type TEXT NOT NULL,
-        message_content TEXT,
-        is_bot BOOLEAN DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Tabla de métricas
-      `CREATE TABLE IF NOT EXISTS metrics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        metric_type TEXT NOT NULL,
-        metric_value TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`
-    ];
-
-    for (const sql of tables) {
-      await this.run(sql);
-    }
-    
-    logger.success('Tablas de base de datos creadas/verificadas');
+  /**
+   * Aplicar migraciones pendientes (ver core/database/migrations)
+   */
+  async migrate() {
+    const migrator = require('./core/database/migrator');
+    await migrator.migrate(this);
+    logger.success('Esquema de base de datos verificado');
   }
 
   run(sql, params = []) {
@@ -152,32 +152,32 @@ class KardexAPI {
    */
   async verifyClientPassword(telefono, contrasena, clientId = null) {
     try {
-      console.log('══════════════════════════════════════════════════════════════════════');
-      console.log('🔐 INICIANDO VERIFICACIÓN DE CONTRASEÑA');
-      console.log(`📞 Teléfono recibido: ${telefono}`);
-      console.log(`🔑 Contraseña recibida: "${contrasena}"`);
-      console.log(`🆔 Client ID recibido: ${clientId || 'NO PROPORCIONADO'}`);
-      console.log('══════════════════════════════════════════════════════════════════════');
+      logger.debug('══════════════════════════════════════════════════════════════════════');
+      logger.debug('🔐 INICIANDO VERIFICACIÓN DE CONTRASEÑA');
+      logger.debug(`📞 Teléfono recibido: ${telefono}`);
+      logger.debug(`🔑 Contraseña recibida: ${contrasena ? '***' : 'VACÍA'}`);
+      logger.debug(`🆔 Client ID recibido: ${clientId || 'NO PROPORCIONADO'}`);
+      logger.debug('══════════════════════════════════════════════════════════════════════');
       
-      logger.info(`🔐 Verificando contraseña para teléfono: ${telefono}, contraseña recibida: "${contrasena}", clientId: ${clientId || 'NO PROPORCIONADO'}`);
+      logger.info(`🔐 Verificando contraseña para teléfono: ${telefono}, contraseña recibida: ${contrasena ? '***' : 'VACÍA'}, clientId: ${clientId || 'NO PROPORCIONADO'}`);
       
       let cliente = null;
       
       // PRIORIDAD 1: Si tenemos clientId, usarlo directamente
       if (clientId) {
-        console.log(`🔍 [PRIORIDAD] Buscando cliente por ID: ${clientId}`);
+        logger.debug(`🔍 [PRIORIDAD] Buscando cliente por ID: ${clientId}`);
         logger.info(`🔐 [PRIORIDAD] Buscando cliente por ID: ${clientId}`);
         try {
           cliente = await this.getClientById(clientId);
           if (cliente) {
-            console.log(`✅ Cliente encontrado por ID: ${cliente.nombre}`);
+            logger.debug(`✅ Cliente encontrado por ID: ${cliente.nombre}`);
             logger.info(`✅ Cliente encontrado por ID: ${cliente.nombre}`);
           } else {
-            console.log(`⚠️ Cliente con ID ${clientId} no encontrado, intentando por teléfono...`);
+            logger.debug(`⚠️ Cliente con ID ${clientId} no encontrado, intentando por teléfono...`);
             logger.warn(`⚠️ Cliente con ID ${clientId} no encontrado, intentando por teléfono...`);
           }
         } catch (error) {
-          console.log(`⚠️ Error al buscar cliente por ID: ${error.message}`);
+          logger.debug(`⚠️ Error al buscar cliente por ID: ${error.message}`);
           logger.warn(`⚠️ Error al buscar cliente por ID: ${error.message}`);
         }
       }
@@ -186,26 +186,26 @@ class KardexAPI {
       if (!cliente) {
         // Normalizar número
         const numero = (telefono || '').toString().replace(/[^0-9]/g, '');
-        console.log(`📞 Número normalizado: ${numero}`);
+        logger.debug(`📞 Número normalizado: ${numero}`);
         
         // Buscar cliente por teléfono
-        console.log(`🔍 Buscando cliente con número: ${numero}`);
+        logger.debug(`🔍 Buscando cliente con número: ${numero}`);
         cliente = await this.getClientByPhone(numero);
         if (!cliente) {
-          console.log(`❌ Cliente NO encontrado para ${telefono}`);
+          logger.debug(`❌ Cliente NO encontrado para ${telefono}`);
           logger.warn(`⚠️ Cliente no encontrado para ${telefono}`);
           return { success: false, message: 'Cliente no encontrado' };
         }
       }
       
-      console.log(`\n✅ ✅ ✅ Cliente encontrado:`);
-      console.log(`   - Nombre: ${cliente.nombre}`);
-      console.log(`   - Email: ${cliente.email || 'NO TIENE'}`);
-      console.log(`   - DNI: ${cliente.numero_documento || 'NO TIENE'}`);
-      console.log(`   - DNI (tipo): ${typeof cliente.numero_documento}`);
-      console.log(`   - DNI (limpio): ${String(cliente.numero_documento || '').trim()}`);
-      console.log(`   - ID: ${cliente.id}`);
-      console.log(`   - Teléfono: ${cliente.telefono || 'NO TIENE'}`);
+      logger.debug(`\n✅ ✅ ✅ Cliente encontrado:`);
+      logger.debug(`   - Nombre: ${cliente.nombre}`);
+      logger.debug(`   - Email: ${cliente.email || 'NO TIENE'}`);
+      logger.debug(`   - DNI: ${cliente.numero_documento || 'NO TIENE'}`);
+      logger.debug(`   - DNI (tipo): ${typeof cliente.numero_documento}`);
+      logger.debug(`   - DNI (limpio): ${String(cliente.numero_documento || '').trim()}`);
+      logger.debug(`   - ID: ${cliente.id}`);
+      logger.debug(`   - Teléfono: ${cliente.telefono || 'NO TIENE'}`);
       
       logger.info(`🔐 Cliente encontrado: ${cliente.nombre}, email: ${cliente.email}, DNI: ${cliente.numero_documento}`);
       logger.info(`🔐 [DEBUG] Cliente completo: ${JSON.stringify({ id: cliente.id, nombre: cliente.nombre, email: cliente.email, dni: cliente.numero_documento, telefono: cliente.telefono })}`);
@@ -220,12 +220,12 @@ class KardexAPI {
         const dniLimpio = String(cliente.numero_documento).trim().replace(/[\s\-\.]/g, '');
         const nombreUsuarioEstandar = `cliente_${dniLimpio}`;
         posiblesUsuarios.push(nombreUsuarioEstandar);
-        console.log(`\n🔐 [PRIORIDAD] Agregando formato estándar: "${nombreUsuarioEstandar}"`);
-        console.log(`   DNI original: "${cliente.numero_documento}"`);
-        console.log(`   DNI limpio: "${dniLimpio}"`);
+        logger.debug(`\n🔐 [PRIORIDAD] Agregando formato estándar: "${nombreUsuarioEstandar}"`);
+        logger.debug(`   DNI original: "${cliente.numero_documento}"`);
+        logger.debug(`   DNI limpio: "${dniLimpio}"`);
         logger.info(`🔐 [PRIORIDAD] Agregando formato estándar: "${nombreUsuarioEstandar}" (DNI original: "${cliente.numero_documento}")`);
       } else {
-        console.log(`\n⚠️ ⚠️ ⚠️ CLIENTE NO TIENE DNI - NO PODREMOS HACER LOGIN`);
+        logger.debug(`\n⚠️ ⚠️ ⚠️ CLIENTE NO TIENE DNI - NO PODREMOS HACER LOGIN`);
         logger.warn(`⚠️ Cliente ${cliente.nombre} no tiene número_documento`);
       }
       
@@ -246,14 +246,13 @@ class KardexAPI {
         posiblesUsuarios.push(nombreLimpio);
       }
       
-      console.log(`🔐 Intentando login con posibles usuarios: ${posiblesUsuarios.join(', ')}`);
+      logger.debug(`🔐 Intentando login con posibles usuarios: ${posiblesUsuarios.join(', ')}`);
       logger.info(`🔐 Intentando login con posibles usuarios: ${posiblesUsuarios.join(', ')}`);
       
       // Intentar login con cada variante
       for (const nombreUsuario of posiblesUsuarios) {
         try {
-          console.log(`\n🔄 Intentando login con nombre_usuario: "${nombreUsuario}"`);
-          console.log(`   Contraseña: "${contrasena}"`);
+          logger.debug(`\n🔄 Intentando login con nombre_usuario: "${nombreUsuario}"`);
           logger.info(`🔐 Intentando login con nombre_usuario: "${nombreUsuario}"`);
           
           const res = await this.client.post('/auth/login', {
@@ -261,16 +260,16 @@ class KardexAPI {
             contrasena: contrasena // El backend hasheará la contraseña
           });
           
-          console.log(`   ✅ Respuesta del backend recibida`);
-          console.log(`   ✅ Success: ${res.data?.success}`);
-          console.log(`   ✅ Has data: ${!!res.data?.data}`);
-          console.log(`   ✅ Has user: ${!!res.data?.data?.user}`);
-          console.log(`   ✅ Has token: ${!!res.data?.data?.token}`);
+          logger.debug(`   ✅ Respuesta del backend recibida`);
+          logger.debug(`   ✅ Success: ${res.data?.success}`);
+          logger.debug(`   ✅ Has data: ${!!res.data?.data}`);
+          logger.debug(`   ✅ Has user: ${!!res.data?.data?.user}`);
+          logger.debug(`   ✅ Has token: ${!!res.data?.data?.token}`);
           logger.info(`🔐 Respuesta del backend: success=${res.data?.success}, hasUser=${!!res.data?.data?.user}, hasToken=${!!res.data?.data?.token}`);
           
           if (res.data && res.data.success && res.data.data) {
-            console.log(`\n✅ ✅ ✅ LOGIN EXITOSO con usuario: "${nombreUsuario}"`);
-            console.log(`✅ Usuario autenticado: ${res.data.data.user?.nombre_completo || res.data.data.user?.nombre_usuario}`);
+            logger.debug(`\n✅ ✅ ✅ LOGIN EXITOSO con usuario: "${nombreUsuario}"`);
+            logger.debug(`✅ Usuario autenticado: ${res.data.data.user?.nombre_completo || res.data.data.user?.nombre_usuario}`);
             logger.success(`✅ Contraseña verificada correctamente con usuario: "${nombreUsuario}"`);
             return {
               success: true,
@@ -279,8 +278,8 @@ class KardexAPI {
               cliente: cliente
             };
           } else {
-            console.log(`   ⚠️ Respuesta no exitosa del backend`);
-            console.log(`   ⚠️ Data completa:`, JSON.stringify(res.data, null, 2));
+            logger.debug(`   ⚠️ Respuesta no exitosa del backend`);
+            logger.debug('   ⚠️ Data completa:', res.data);
             logger.warn(`⚠️ Respuesta no exitosa del backend: ${JSON.stringify(res.data)}`);
           }
         } catch (loginError) {
@@ -288,12 +287,11 @@ class KardexAPI {
           const statusCode = loginError.response?.status;
           const errorData = loginError.response?.data;
           
-          console.log(`\n   ❌ ❌ ❌ Login falló con "${nombreUsuario}":`);
-          console.log(`      Status Code: ${statusCode}`);
-          console.log(`      Error Message: ${errorMsg}`);
-          console.log(`      Error Data completo:`, JSON.stringify(errorData, null, 2));
-          console.log(`      Request URL: ${loginError.config?.url}`);
-          console.log(`      Request Data:`, JSON.stringify(loginError.config?.data, null, 2));
+          logger.debug(`\n   ❌ ❌ ❌ Login falló con "${nombreUsuario}":`);
+          logger.debug(`      Status Code: ${statusCode}`);
+          logger.debug(`      Error Message: ${errorMsg}`);
+          logger.debug('      Error Data completo:', errorData);
+          logger.debug(`      Request URL: ${loginError.config?.url}`);
           
           logger.error(`❌ Login falló con "${nombreUsuario}": Status=${statusCode}, Error=${errorMsg}`);
           logger.error(`❌ Error completo:`, JSON.stringify(errorData, null, 2));
@@ -304,12 +302,12 @@ class KardexAPI {
       }
       
       // Si ninguno funcionó, buscar otros clientes con el mismo número de teléfono
-      console.log(`\n❌ ❌ ❌ NO SE PUDO VERIFICAR LA CONTRASEÑA CON NINGUNA VARIANTE`);
-      console.log(`   Se intentaron ${posiblesUsuarios.length} variantes: ${posiblesUsuarios.join(', ')}`);
+      logger.debug(`\n❌ ❌ ❌ NO SE PUDO VERIFICAR LA CONTRASEÑA CON NINGUNA VARIANTE`);
+      logger.debug(`   Se intentaron ${posiblesUsuarios.length} variantes: ${posiblesUsuarios.join(', ')}`);
       logger.warn(`⚠️ No se pudo verificar la contraseña con ninguna variante de usuario`);
       
       // Buscar otros clientes con el mismo número de teléfono
-      console.log(`\n🔍 Buscando otros clientes con el mismo número de teléfono: ${telefono}`);
+      logger.debug(`\n🔍 Buscando otros clientes con el mismo número de teléfono: ${telefono}`);
       logger.info(`🔍 Buscando otros clientes con el mismo número de teléfono: ${telefono}`);
       
       try {
@@ -317,7 +315,7 @@ class KardexAPI {
         const todosLosClientes = await kardexDb.buscarTodosLosClientesPorTelefono(telefono);
         
         if (todosLosClientes && todosLosClientes.length > 1) {
-          console.log(`✅ Encontrados ${todosLosClientes.length} clientes con el mismo número`);
+          logger.debug(`✅ Encontrados ${todosLosClientes.length} clientes con el mismo número`);
           logger.info(`✅ Encontrados ${todosLosClientes.length} clientes con el mismo número`);
           
           // Probar con cada cliente (excluyendo el que ya probamos)
@@ -326,7 +324,7 @@ class KardexAPI {
               continue; // Saltar el cliente que ya probamos
             }
             
-            console.log(`\n🔄 Probando con otro cliente: ${otroCliente.nombre} (ID: ${otroCliente.id})`);
+            logger.debug(`\n🔄 Probando con otro cliente: ${otroCliente.nombre} (ID: ${otroCliente.id})`);
             logger.info(`🔄 Probando con otro cliente: ${otroCliente.nombre} (ID: ${otroCliente.id})`);
             
             // Intentar diferentes variantes del nombre_usuario para este cliente
@@ -358,7 +356,7 @@ class KardexAPI {
             // Intentar login con cada variante
             for (const nombreUsuario of otrosPosiblesUsuarios) {
               try {
-                console.log(`   🔄 Intentando login con: "${nombreUsuario}"`);
+                logger.debug(`   🔄 Intentando login con: "${nombreUsuario}"`);
                 logger.info(`🔐 Intentando login con nombre_usuario: "${nombreUsuario}"`);
                 
                 const res = await this.client.post('/auth/login', {
@@ -367,8 +365,8 @@ class KardexAPI {
                 });
                 
                 if (res.data && res.data.success && res.data.data) {
-                  console.log(`\n✅ ✅ ✅ LOGIN EXITOSO con otro cliente: ${otroCliente.nombre}`);
-                  console.log(`✅ Usuario autenticado: ${res.data.data.user?.nombre_completo || res.data.data.user?.nombre_usuario}`);
+                  logger.debug(`\n✅ ✅ ✅ LOGIN EXITOSO con otro cliente: ${otroCliente.nombre}`);
+                  logger.debug(`✅ Usuario autenticado: ${res.data.data.user?.nombre_completo || res.data.data.user?.nombre_usuario}`);
                   logger.success(`✅ Contraseña verificada correctamente con otro cliente: ${otroCliente.nombre} (usuario: "${nombreUsuario}")`);
                   return {
                     success: true,
@@ -499,6 +497,42 @@ class KardexAPI {
     }
   }
 
+  /**
+   * Obtener las categorías de productos
+   */
+  async getCategorias() {
+    try {
+      const response = await this.client.get('/categorias');
+      
+      if (response.data && response.data.success) {
+        return response.data.data || [];
+      }
+      
+      return [];
+    } catch (error) {
+      logger.error('Error al obtener categorías', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Unidades vendidas por producto: [{ producto_id, vendidos }], de más a menos
+   */
+  async getMasVendidos() {
+    try {
+      const response = await this.client.get('/productos/mas-vendidos');
+      
+      if (response.data && response.data.success) {
+        return response.data.data || [];
+      }
+      
+      return [];
+    } catch (error) {
+      logger.warn('No se pudieron obtener los productos más vendidos', error.message);
+      return [];
+    }
+  }
+
   /**
    * Obtener un producto específico por ID
    */
@@ -0,0 +1,168 @@
+const logger = require('../utils/logger');
+
+/**
+ * Inyección de fallas para el mock de la API KARDEX
+ * 
+ * Cada falla aplica a las peticiones cuyo método y ruta coinciden:
+ * - error: responde con status (500 por defecto) sin ejecutar el endpoint
+ * - timeout: retiene la respuesta delayMs antes de atenderla (el cliente, con
+ *   timeout menor, la ve como timeout)
+ * - stockRace: antes de atender, deja el stock de los productos de la petición
+ *   en `stock` (0 por defecto), como si otro comprador se los hubiera llevado
+ * 
+ * Ejemplo: { "method": "POST", "path": "/pedidos/whatsapp/*", "type": "error", "times": 1 }
+ * 
+ * @module mock/faultInjector
+ */
+
+const FAULT_TYPES = ['error', 'timeout', 'stockRace'];
+
+function pathToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+class FaultInjector {
+  constructor() {
+    this.faults = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Registrar una falla
+   * 
+   * @param {object} fault
+   * @param {string} fault.type - 'error' | 'timeout' | 'stockRace'
+   * @param {string} [fault.method] - Método HTTP (todos si se omite)
+   * @param {string} [fault.path] - Ruta relativa a /api, admite * (todas si se omite)
+   * @param {number} [fault.status=500] - Status para 'error'
+   * @param {number} [fault.delayMs=15000] - Retardo para 'timeout'
+   * @param {number} [fault.stock=0] - Stock que deja 'stockRace'
+   * @param {number} [fault.times] - Veces que se aplica (sin límite si se omite)
+   * @param {number} [fault.probability=1] - Probabilidad de aplicarse (0-1)
+   * @returns {object} Falla registrada (con id)
+   */
+  add(fault = {}) {
+    if (!FAULT_TYPES.includes(fault.type)) {
+      throw new Error(`Tipo de falla desconocido: ${fault.type} (use ${FAULT_TYPES.join(', ')})`);
+    }
+
+    const registered = {
+      id: this.nextId++,
+      type: fault.type,
+      method: fault.method ? fault.method.toUpperCase() : null,
+      path: fault.path || '*',
+      status: fault.status || 500,
+      delayMs: fault.delayMs !== undefined ? fault.delayMs : 15000,
+      stock: fault.stock || 0,
+      times: fault.times !== undefined ? fault.times : null,
+      probability: fault.probability !== undefined ? fault.probability : 1,
+      hits: 0
+    };
+    registered.matcher = pathToRegExp(registered.path);
+
+    this.faults.push(registered);
+    logger.info(`🧨 [MOCK KARDEX] Falla registrada #${registered.id}: ${registered.type} ${registered.method || '*'} ${registered.path}`);
+    return registered;
+  }
+
+  remove(id) {
+    const before = this.faults.length;
+    this.faults = this.faults.filter(fault => fault.id !== Number(id));
+    return this.faults.length < before;
+  }
+
+  clear() {
+    this.faults = [];
+  }
+
+  list() {
+    return this.faults.map(({ matcher, ...fault }) => fault);
+  }
+
+  /**
+   * Falla que aplica a una petición (y la consume si tiene límite de veces)
+   */
+  match(method, requestPath) {
+    for (const fault of this.faults) {
+      if (fault.method && fault.method !== method) {
+        continue;
+      }
+      if (!fault.matcher.test(requestPath)) {
+        continue;
+      }
+      if (fault.times !== null && fault.hits >= fault.times) {
+        continue;
+      }
+      if (fault.probability < 1 && Math.random() >= fault.probability) {
+        continue;
+      }
+
+      fault.hits++;
+      return fault;
+    }
+    return null;
+  }
+
+  /**
+   * Middleware de Express; store se usa para las carreras de stock
+   */
+  middleware(store) {
+    return (req, res, next) => {
+      const fault = this.match(req.method, req.path);
+      if (!fault) {
+        return next();
+      }
+
+      logger.warn(`🧨 [MOCK KARDEX] Aplicando falla #${fault.id} (${fault.type}) a ${req.method} ${req.path}`);
+
+      switch (fault.type) {
+        case 'error':
+          return res.status(fault.status).json({ success: false, message: 'Error simulado por el mock de KARDEX' });
+
+        case 'timeout':
+          return setTimeout(next, fault.delayMs);
+
+        case 'stockRace':
+          for (const productoId of this._productIds(req, store)) {
+            const producto = store.getProducto(productoId);
+            if (producto) {
+              producto.stock_actual = fault.stock;
+            }
+          }
+          return next();
+
+        default:
+          return next();
+      }
+    };
+  }
+
+  /**
+   * Productos involucrados en una petición (cuerpo o detalle del pedido)
+   */
+  _productIds(req, store) {
+    const body = req.body || {};
+    const ids = [];
+
+    if (body.producto_id) {
+      ids.push(body.producto_id);
+    }
+    for (const detalle of body.detalles || []) {
+      ids.push(detalle.producto_id);
+    }
+
+    const detalleMatch = req.path.match(/^\/pedidos\/([^/]+)\/detalles\/([^/]+)$/);
+    if (detalleMatch) {
+      const pedido = store.getPedido(detalleMatch[1]);
+      const detalle = pedido?.detalles.find(d => String(d.id) === detalleMatch[2]);
+      if (detalle) {
+        ids.push(detalle.producto_id);
+      }
+    }
+
+    return ids;
+  }
+}
+
+module.exports = FaultInjector;
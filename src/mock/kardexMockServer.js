@@ -0,0 +1,422 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const KardexStore = require('./kardexStore');
+const FaultInjector = require('./faultInjector');
+
+/**
+ * Servidor mock de la API KARDEX
+ * 
+ * Implementa el contrato que consume src/kardexApi.js (pedidos por WhatsApp,
+ * login, clientes, ventas, portal del cliente, notificaciones) sobre un
+ * KardexStore en memoria. Para usarlo basta con apuntar KARDEX_API_URL a
+ * http://localhost:<puerto>/api (ver scripts/mockKardex.js).
+ * 
+ * Endpoints de control (fuera de /api):
+ * - GET    /__mock/state          resumen de los datos
+ * - POST   /__mock/reset          volver a sembrar (body opcional: fixtures)
+ * - GET    /__mock/faults         fallas activas
+ * - POST   /__mock/faults         registrar falla (ver faultInjector)
+ * - DELETE /__mock/faults[/:id]   quitar una o todas las fallas
+ * 
+ * @module mock/kardexMockServer
+ */
+
+function ok(res, data, extra = {}) {
+  return res.json({ success: true, data, ...extra });
+}
+
+function fail(res, status, message) {
+  return res.status(status).json({ success: false, message });
+}
+
+class KardexMockServer {
+  /**
+   * @param {object} [options]
+   * @param {object|string} [options.fixtures] - Datos iniciales (objeto o ruta a JSON)
+   * @param {Array<object>} [options.faults] - Fallas a registrar al iniciar
+   */
+  constructor(options = {}) {
+    this.fixtures = options.fixtures;
+    this.store = new KardexStore().seed(this.fixtures);
+    this.faults = new FaultInjector();
+    (options.faults || []).forEach(fault => this.faults.add(fault));
+    this.app = this._createApp();
+    this.server = null;
+  }
+
+  /**
+   * Iniciar el servidor HTTP
+   * 
+   * @param {number} [port=0] - Puerto (0 = uno libre)
+   * @returns {Promise<{port: number, url: string}>} url base para KARDEX_API_URL
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        const address = this.server.address();
+        const url = `http://127.0.0.1:${address.port}/api`;
+        logger.success(`🧪 Mock KARDEX escuchando en ${url}`);
+        resolve({ port: address.port, url });
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        return resolve();
+      }
+      // Las peticiones retenidas por una falla 'timeout' no deben bloquear el cierre
+      if (typeof this.server.closeAllConnections === 'function') {
+        this.server.closeAllConnections();
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Volver a sembrar los datos y quitar las fallas
+   */
+  reset(fixtures = this.fixtures) {
+    this.store.seed(fixtures);
+    this.faults.clear();
+  }
+
+  _createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.use('/__mock', this._controlRouter());
+    app.use('/api', this.faults.middleware(this.store), this._apiRouter());
+
+    app.use((req, res) => fail(res, 404, `Ruta no implementada en el mock: ${req.method} ${req.path}`));
+    return app;
+  }
+
+  _controlRouter() {
+    const router = express.Router();
+
+    router.get('/state', (req, res) => ok(res, {
+      productos: this.store.productos.length,
+      clientes: this.store.clientes.length,
+      pedidos: this.store.pedidos.length,
+      ventas: this.store.ventas.length,
+      notificaciones: this.store.notificaciones.length,
+      faults: this.faults.list()
+    }));
+
+    router.post('/reset', (req, res) => {
+      this.reset(req.body && Object.keys(req.body).length > 0 ? req.body : this.fixtures);
+      ok(res, { reset: true });
+    });
+
+    router.get('/faults', (req, res) => ok(res, this.faults.list()));
+
+    router.post('/faults', (req, res) => {
+      try {
+        const { matcher, ...fault } = this.faults.add(req.body || {});
+        ok(res, fault);
+      } catch (error) {
+        fail(res, 400, error.message);
+      }
+    });
+
+    router.delete('/faults/:id', (req, res) => {
+      if (!this.faults.remove(req.params.id)) {
+        return fail(res, 404, 'Falla no encontrada');
+      }
+      ok(res, { removed: Number(req.params.id) });
+    });
+
+    router.delete('/faults', (req, res) => {
+      this.faults.clear();
+      ok(res, { removed: 'all' });
+    });
+
+    return router;
+  }
+
+  _apiRouter() {
+    const router = express.Router();
+    const store = this.store;
+
+    // Cliente autenticado a partir del header Authorization: Bearer <token>
+    const requireClient = (req, res, next) => {
+      const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+      const cliente = store.clienteFromToken(token);
+      if (!cliente) {
+        return fail(res, 401, 'Token inválido o expirado');
+      }
+      req.cliente = cliente;
+      next();
+    };
+
+    router.get('/health', (req, res) => res.json({ status: 'ok', mock: true }));
+
+    // ---------- Autenticación ----------
+
+    router.post('/auth/login', (req, res) => {
+      const { nombre_usuario, contrasena } = req.body || {};
+      const session = store.login(store.findClienteByUsuario(nombre_usuario), contrasena);
+      if (!session) {
+        return fail(res, 401, 'Credenciales inválidas');
+      }
+      ok(res, session);
+    });
+
+    router.post('/auth/register-cliente', (req, res) => {
+      const result = store.registerCliente(req.body || {});
+      if (result.error) {
+        return fail(res, 400, result.error);
+      }
+      const session = store.login(result.cliente, req.body.contrasena);
+      ok(res, { cliente: store.publicCliente(result.cliente), user: session?.user || null, token: session?.token || null });
+    });
+
+    // ---------- Clientes ----------
+
+    router.get('/clientes', (req, res) => {
+      const clientes = store.buscarClientes(req.query.search)
+        .slice(0, parseInt(req.query.limit) || 50)
+        .map(cliente => store.publicCliente(cliente));
+      ok(res, { clientes });
+    });
+
+    router.post('/clientes', (req, res) => {
+      const result = store.registerCliente(req.body || {});
+      if (result.error) {
+        return fail(res, 400, result.error);
+      }
+      ok(res, store.publicCliente(result.cliente));
+    });
+
+    router.get('/clientes/by-phone/:phone', (req, res) => {
+      const cliente = store.findClientesByPhone(req.params.phone)[0];
+      if (!cliente) {
+        return fail(res, 404, 'Cliente no encontrado');
+      }
+      ok(res, store.publicCliente(cliente));
+    });
+
+    router.post('/clientes/register-lite', (req, res) => {
+      const { name, dni, phone } = req.body || {};
+      const result = store.registerCliente({ nombre: name, numero_documento: dni, telefono: phone });
+      if (result.error) {
+        return fail(res, 400, result.error);
+      }
+      ok(res, store.publicCliente(result.cliente));
+    });
+
+    router.post('/clientes/link-phone', (req, res) => {
+      const cliente = store.getCliente(req.body?.clientId);
+      if (!cliente) {
+        return fail(res, 404, 'Cliente no encontrado');
+      }
+      cliente.telefono = req.body.phone;
+      ok(res, store.publicCliente(cliente));
+    });
+
+    router.get('/clientes/:id', (req, res) => {
+      const cliente = store.getCliente(req.params.id);
+      if (!cliente) {
+        return fail(res, 404, 'Cliente no encontrado');
+      }
+      ok(res, store.publicCliente(cliente));
+    });
+
+    router.patch('/clientes/:id', requireClient, (req, res) => {
+      const cliente = store.getCliente(req.params.id);
+      if (!cliente || cliente.id !== req.cliente.id) {
+        return fail(res, 403, 'No puedes modificar este cliente');
+      }
+      for (const field of ['telefono', 'direccion', 'email']) {
+        if (req.body && req.body[field] !== undefined) {
+          cliente[field] = req.body[field];
+        }
+      }
+      ok(res, store.publicCliente(cliente));
+    });
+
+    // ---------- Productos ----------
+
+    router.get('/productos', (req, res) => {
+      const productos = store.getProductos({
+        search: req.query.search,
+        categoria_id: req.query.categoria_id,
+        limit: parseInt(req.query.limit) || undefined
+      });
+      ok(res, { productos, total: productos.length });
+    });
+
+    router.get('/productos/mas-vendidos', (req, res) => ok(res, store.getMasVendidos()));
+
+    router.get('/productos/:id', (req, res) => {
+      const producto = store.getProducto(req.params.id);
+      if (!producto) {
+        return fail(res, 404, 'Producto no encontrado');
+      }
+      ok(res, producto);
+    });
+
+    router.get('/categorias', (req, res) => ok(res, store.getCategorias()));
+
+    // ---------- Notificaciones ----------
+
+    router.post('/notificaciones/whatsapp', (req, res) => {
+      store.notificaciones.push(req.body || {});
+      res.json({ success: true, notificaciones_creadas: 1 });
+    });
+
+    // ---------- Ventas ----------
+
+    router.post('/ventas', (req, res) => {
+      const venta = req.body || {};
+      for (const detalle of venta.detalles || []) {
+        const producto = store.getProducto(detalle.producto_id);
+        if (!producto || producto.stock_actual < detalle.cantidad) {
+          return fail(res, 400, `Stock insuficiente para ${producto ? producto.nombre : `producto ${detalle.producto_id}`}`);
+        }
+      }
+      ok(res, store.crearVenta(venta).venta);
+    });
+
+    router.patch('/ventas/:id', (req, res) => {
+      const venta = store.ventas.find(v => String(v.id) === String(req.params.id));
+      if (!venta) {
+        return fail(res, 404, 'Venta no encontrada');
+      }
+      venta.estado = req.body?.estado || venta.estado;
+      ok(res, venta);
+    });
+
+    router.get('/ventas/:id/pdf', (req, res) => {
+      const venta = store.ventas.find(v => String(v.id) === String(req.params.id));
+      if (!venta) {
+        return fail(res, 404, 'Venta no encontrada');
+      }
+      res.type('application/pdf').send(Buffer.from(`%PDF-1.4\n% Comprobante ${venta.numero_factura} (mock)\n%%EOF\n`));
+    });
+
+    // ---------- Pedidos desde WhatsApp ----------
+
+    router.post('/pedidos/whatsapp', (req, res) => {
+      const { cliente_id, telefono, detalles } = req.body || {};
+      const result = store.crearPedido({ cliente_id, telefono, estado: 'PENDIENTE', detalles: detalles || [] });
+      if (result.error) {
+        return fail(res, 400, result.error);
+      }
+      ok(res, store.expandPedido(result.pedido));
+    });
+
+    router.post('/pedidos/whatsapp/vacio', (req, res) => {
+      const { cliente_id, telefono } = req.body || {};
+      ok(res, store.expandPedido(store.crearPedido({ cliente_id, telefono }).pedido));
+    });
+
+    router.post('/pedidos/whatsapp/agregar-producto', (req, res) => {
+      const { pedido_id, producto_id, cantidad } = req.body || {};
+      const result = store.agregarProducto(pedido_id, producto_id, cantidad || 1);
+      if (result.error) {
+        return fail(res, 400, result.error);
+      }
+      ok(res, store.expandPedido(result.pedido));
+    });
+
+    router.post('/pedidos/whatsapp/eliminar-producto', (req, res) => {
+      const { pedido_id, detalle_id } = req.body || {};
+      const result = store.eliminarDetalle(pedido_id, detalle_id);
+      if (result.error) {
+        return fail(res, 404, result.error);
+      }
+      ok(res, store.expandPedido(result.pedido));
+    });
+
+    router.post('/pedidos/whatsapp/cancelar', (req, res) => {
+      const result = store.actualizarEstadoPedido(req.body?.pedido_id, 'CANCELADO');
+      if (result.error) {
+        return fail(res, 404, result.error);
+      }
+      ok(res, store.expandPedido(result.pedido));
+    });
+
+    router.get('/pedidos/whatsapp/:id', (req, res) => {
+      const pedido = store.getPedido(req.params.id);
+      if (!pedido) {
+        return fail(res, 404, 'Pedido no encontrado');
+      }
+      ok(res, store.expandPedido(pedido));
+    });
+
+    // ---------- Pedidos (autenticados) ----------
+
+    router.get('/pedidos/mis-pedidos', requireClient, (req, res) => {
+      ok(res, store.pedidosDeCliente(req.cliente.id));
+    });
+
+    router.get('/pedidos/:id', (req, res) => {
+      const pedido = store.getPedido(req.params.id);
+      if (!pedido) {
+        return fail(res, 404, 'Pedido no encontrado');
+      }
+      ok(res, store.expandPedido(pedido));
+    });
+
+    router.patch('/pedidos/:id', (req, res) => {
+      const result = store.actualizarEstadoPedido(req.params.id, req.body?.estado);
+      if (result.error) {
+        return fail(res, 404, result.error);
+      }
+      ok(res, store.expandPedido(result.pedido));
+    });
+
+    router.patch('/pedidos/:id/detalles/:detalleId', (req, res) => {
+      const result = store.actualizarCantidad(req.params.id, req.params.detalleId, Number(req.body?.cantidad));
+      if (result.error) {
+        return fail(res, 400, result.error);
+      }
+      ok(res, store.expandPedido(result.pedido));
+    });
+
+    // ---------- Portal del cliente ----------
+
+    const paginate = (req, items) => {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      return items.slice((page - 1) * limit, page * limit);
+    };
+
+    router.get('/cliente-portal/mis-compras', requireClient, (req, res) => {
+      const ventas = store.ventasDeCliente(req.cliente.id);
+      ok(res, paginate(req, ventas), { total: ventas.length });
+    });
+
+    router.get('/cliente-portal/mis-facturas', requireClient, (req, res) => {
+      const ventas = store.ventasDeCliente(req.cliente.id);
+      ok(res, paginate(req, ventas), { total: ventas.length });
+    });
+
+    router.get('/cliente-portal/mis-compras/:id', requireClient, (req, res) => {
+      const venta = store.ventasDeCliente(req.cliente.id).find(v => String(v.id) === String(req.params.id));
+      if (!venta) {
+        return fail(res, 404, 'Compra no encontrada');
+      }
+      ok(res, venta);
+    });
+
+    router.get('/cliente-portal/estado-cuenta', requireClient, (req, res) => {
+      const ventas = store.ventasDeCliente(req.cliente.id);
+      ok(res, {
+        cliente: store.publicCliente(req.cliente),
+        total_compras: ventas.length,
+        total_gastado: ventas.reduce((sum, venta) => sum + Number(venta.total || 0), 0),
+        saldo_pendiente: 0
+      });
+    });
+
+    return router;
+  }
+}
+
+module.exports = KardexMockServer;
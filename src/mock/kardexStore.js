@@ -0,0 +1,379 @@
+const path = require('path');
+
+/**
+ * Datos KARDEX en memoria
+ * 
+ * Catálogo, clientes, pedidos y ventas sembrados desde un archivo de fixtures.
+ * Lo usan el servidor mock de la API KARDEX (kardexMockServer) y los dobles
+ * del simulador de conversaciones (test/harness), así ambos aplican las mismas
+ * reglas de stock, totales y numeración.
+ * 
+ * @module mock/kardexStore
+ */
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'kardex.json');
+
+function normalize(text) {
+  return (text || '')
+    .toString()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+}
+
+function phoneDigits(phone) {
+  return (phone || '').toString().replace(/[^0-9]/g, '');
+}
+
+function samePhone(a, b) {
+  const x = phoneDigits(a).replace(/^51(?=\d{9}$)/, '');
+  const y = phoneDigits(b).replace(/^51(?=\d{9}$)/, '');
+  return x.length > 0 && x === y;
+}
+
+class KardexStore {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Cargar datos (objeto o ruta a JSON). Sin argumentos usa test/fixtures/kardex.json
+   */
+  seed(fixtures = DEFAULT_FIXTURES) {
+    const data = typeof fixtures === 'string'
+      ? JSON.parse(require('fs').readFileSync(fixtures, 'utf8'))
+      : fixtures;
+
+    this.reset();
+    const copy = JSON.parse(JSON.stringify(data || {}));
+    this.categorias = copy.categorias || [];
+    this.productos = copy.productos || [];
+    this.clientes = copy.clientes || [];
+    this.pedidos = copy.pedidos || [];
+    this.ventas = copy.ventas || [];
+    this.nextId = 1000 + this.clientes.length + this.pedidos.length + this.ventas.length;
+    return this;
+  }
+
+  reset() {
+    this.categorias = [];
+    this.productos = [];
+    this.clientes = [];
+    this.pedidos = [];
+    this.ventas = [];
+    this.notificaciones = [];
+    this.tokens = new Map(); // token -> cliente_id
+    this.nextId = 1000;
+  }
+
+  _id() {
+    this.nextId += 1;
+    return this.nextId;
+  }
+
+  // ---------- Productos ----------
+
+  getProducto(id) {
+    return this.productos.find(p => String(p.id) === String(id)) || null;
+  }
+
+  /**
+   * Búsqueda tipo LIKE %query% sobre nombre/código; si no hay resultados,
+   * productos que contengan alguna palabra significativa de la consulta
+   */
+  buscarProductos(query, limit = 20) {
+    const q = normalize(query);
+    if (!q) {
+      return this.productos.filter(p => p.activo).slice(0, limit);
+    }
+
+    const byPhrase = this.productos.filter(p =>
+      p.activo && (normalize(p.nombre).includes(q) || normalize(p.codigo_interno) === q)
+    );
+    if (byPhrase.length > 0) {
+      return byPhrase.slice(0, limit);
+    }
+
+    const words = q.split(/\s+/).filter(word => word.length > 2);
+    return this.productos
+      .filter(p => p.activo && words.some(word => normalize(p.nombre).includes(word)))
+      .slice(0, limit);
+  }
+
+  getProductos(filters = {}) {
+    let productos = this.productos.filter(p => p.activo);
+    if (filters.search) {
+      productos = this.buscarProductos(filters.search, filters.limit || 100);
+    }
+    if (filters.categoria_id) {
+      productos = productos.filter(p => String(p.categoria_id) === String(filters.categoria_id));
+    }
+    return productos.slice(0, filters.limit || productos.length);
+  }
+
+  getCategorias() {
+    return this.categorias;
+  }
+
+  /**
+   * Unidades vendidas por producto, de más a menos (GET /productos/mas-vendidos)
+   */
+  getMasVendidos() {
+    const vendidos = new Map();
+    for (const venta of this.ventas.filter(v => v.estado !== 'ANULADA')) {
+      for (const detalle of venta.detalles || []) {
+        vendidos.set(detalle.producto_id, (vendidos.get(detalle.producto_id) || 0) + detalle.cantidad);
+      }
+    }
+    return Array.from(vendidos, ([producto_id, cantidad]) => ({ producto_id, vendidos: cantidad }))
+      .sort((a, b) => b.vendidos - a.vendidos);
+  }
+
+  // ---------- Clientes ----------
+
+  getCliente(id) {
+    return this.clientes.find(c => String(c.id) === String(id)) || null;
+  }
+
+  /**
+   * Buscar clientes por nombre, documento, email o teléfono (GET /clientes?search=)
+   */
+  buscarClientes(search) {
+    const q = normalize(search);
+    if (!q) {
+      return this.clientes;
+    }
+    return this.clientes.filter(c =>
+      normalize(c.nombre).includes(q) ||
+      normalize(c.email) === q ||
+      String(c.numero_documento || '') === q ||
+      samePhone(c.telefono, q)
+    );
+  }
+
+  /**
+   * Cliente al que corresponde un nombre_usuario de /auth/login
+   * (cliente_<dni>, email, dni o nombre_con_guiones, igual que el backend)
+   */
+  findClienteByUsuario(nombreUsuario) {
+    const usuario = normalize(nombreUsuario);
+    return this.clientes.find(c => {
+      const dni = String(c.numero_documento || '').trim();
+      return (dni && (usuario === `cliente_${dni}` || usuario === dni)) ||
+        (c.email && normalize(c.email) === usuario) ||
+        normalize(c.nombre).replace(/\s+/g, '_') === usuario;
+    }) || null;
+  }
+
+  findClientesByPhone(phone) {
+    return this.clientes.filter(c => samePhone(c.telefono, phone));
+  }
+
+  publicCliente(cliente) {
+    if (!cliente) {
+      return null;
+    }
+    const { contrasena, ...rest } = cliente;
+    return rest;
+  }
+
+  login(cliente, contrasena) {
+    if (!cliente || cliente.contrasena !== contrasena) {
+      return null;
+    }
+    const token = `token-cliente-${cliente.id}`;
+    this.tokens.set(token, cliente.id);
+    return {
+      token,
+      user: { id: cliente.id, nombre_usuario: `cliente_${cliente.numero_documento}`, nombre_completo: cliente.nombre, rol: 'CLIENTE' }
+    };
+  }
+
+  clienteFromToken(token) {
+    const id = this.tokens.get(token);
+    return id ? this.getCliente(id) : null;
+  }
+
+  registerCliente({ nombre, email, telefono, tipo_documento, numero_documento, direccion, contrasena }) {
+    if (numero_documento && this.clientes.some(c => c.numero_documento === numero_documento)) {
+      return { error: 'Ya existe un cliente con ese documento' };
+    }
+    const cliente = {
+      id: this._id(),
+      nombre,
+      email: email || null,
+      telefono: phoneDigits(telefono),
+      tipo_documento: tipo_documento || 'DNI',
+      numero_documento,
+      direccion: direccion || null,
+      activo: 1,
+      contrasena: contrasena || null
+    };
+    this.clientes.push(cliente);
+    return { cliente };
+  }
+
+  // ---------- Pedidos ----------
+
+  getPedido(id) {
+    return this.pedidos.find(p => String(p.id) === String(id)) || null;
+  }
+
+  /**
+   * Pedido con detalles "expandidos" (producto.nombre), como lo devuelve el backend
+   */
+  expandPedido(pedido) {
+    if (!pedido) {
+      return null;
+    }
+    return {
+      ...pedido,
+      total: this._total(pedido),
+      detalles: (pedido.detalles || []).map(detalle => ({
+        ...detalle,
+        producto: this.getProducto(detalle.producto_id)
+          ? { id: detalle.producto_id, nombre: this.getProducto(detalle.producto_id).nombre }
+          : null
+      }))
+    };
+  }
+
+  _total(pedido) {
+    return Math.round((pedido.detalles || []).reduce((sum, d) => sum + d.subtotal, 0) * 100) / 100;
+  }
+
+  crearPedido({ cliente_id, telefono, estado = 'EN_PROCESO', detalles = [] }) {
+    const id = this._id();
+    const pedido = {
+      id,
+      numero_pedido: `PED-${String(id).padStart(6, '0')}`,
+      cliente_id: cliente_id || null,
+      telefono: telefono || null,
+      estado,
+      fecha_pedido: new Date().toISOString(),
+      detalles: []
+    };
+    this.pedidos.push(pedido);
+
+    for (const detalle of detalles) {
+      const result = this.agregarProducto(id, detalle.producto_id, detalle.cantidad);
+      if (result.error) {
+        this.pedidos = this.pedidos.filter(p => p.id !== id);
+        return { error: result.error };
+      }
+    }
+
+    pedido.total = this._total(pedido);
+    return { pedido };
+  }
+
+  agregarProducto(pedidoId, productoId, cantidad) {
+    const pedido = this.getPedido(pedidoId);
+    if (!pedido) {
+      return { error: 'Pedido no encontrado' };
+    }
+    const producto = this.getProducto(productoId);
+    if (!producto || !producto.activo) {
+      return { error: 'Producto no encontrado' };
+    }
+
+    const existente = pedido.detalles.find(d => String(d.producto_id) === String(productoId));
+    const cantidadFinal = (existente ? existente.cantidad : 0) + Number(cantidad);
+    if (producto.stock_actual < cantidadFinal) {
+      return { error: `Stock insuficiente para ${producto.nombre}. Disponible: ${producto.stock_actual}` };
+    }
+
+    if (existente) {
+      existente.cantidad = cantidadFinal;
+      existente.subtotal = Math.round(existente.cantidad * existente.precio_unitario * 100) / 100;
+    } else {
+      pedido.detalles.push({
+        id: this._id(),
+        producto_id: producto.id,
+        cantidad: Number(cantidad),
+        precio_unitario: producto.precio_venta,
+        subtotal: Math.round(Number(cantidad) * producto.precio_venta * 100) / 100
+      });
+    }
+
+    pedido.total = this._total(pedido);
+    return { pedido };
+  }
+
+  eliminarDetalle(pedidoId, detalleId) {
+    const pedido = this.getPedido(pedidoId);
+    if (!pedido) {
+      return { error: 'Pedido no encontrado' };
+    }
+    const antes = pedido.detalles.length;
+    pedido.detalles = pedido.detalles.filter(d => String(d.id) !== String(detalleId));
+    if (pedido.detalles.length === antes) {
+      return { error: 'Detalle no encontrado' };
+    }
+    pedido.total = this._total(pedido);
+    return { pedido };
+  }
+
+  actualizarCantidad(pedidoId, detalleId, cantidad) {
+    const pedido = this.getPedido(pedidoId);
+    const detalle = pedido?.detalles.find(d => String(d.id) === String(detalleId));
+    if (!detalle) {
+      return { error: 'Detalle no encontrado' };
+    }
+    const producto = this.getProducto(detalle.producto_id);
+    if (producto && producto.stock_actual < cantidad) {
+      return { error: `Stock insuficiente para ${producto.nombre}. Disponible: ${producto.stock_actual}` };
+    }
+    detalle.cantidad = Number(cantidad);
+    detalle.subtotal = Math.round(detalle.cantidad * detalle.precio_unitario * 100) / 100;
+    pedido.total = this._total(pedido);
+    return { pedido };
+  }
+
+  actualizarEstadoPedido(pedidoId, estado) {
+    const pedido = this.getPedido(pedidoId);
+    if (!pedido) {
+      return { error: 'Pedido no encontrado' };
+    }
+    pedido.estado = estado;
+    return { pedido };
+  }
+
+  // ---------- Ventas ----------
+
+  crearVenta(ventaData) {
+    const id = this._id();
+    const venta = {
+      ...ventaData,
+      id,
+      numero_factura: `B001-${String(id).padStart(6, '0')}`,
+      fecha_venta: ventaData.fecha_venta || new Date().toISOString(),
+      estado: ventaData.estado || 'PROCESADA'
+    };
+    this.ventas.push(venta);
+
+    for (const detalle of venta.detalles || []) {
+      const producto = this.getProducto(detalle.producto_id);
+      if (producto) {
+        producto.stock_actual -= detalle.cantidad;
+      }
+    }
+
+    return { venta };
+  }
+
+  ventasDeCliente(clienteId) {
+    return this.ventas.filter(v => String(v.cliente_id) === String(clienteId));
+  }
+
+  pedidosDeCliente(clienteId) {
+    return this.pedidos
+      .filter(p => String(p.cliente_id) === String(clienteId))
+      .map(p => this.expandPedido(p));
+  }
+}
+
+module.exports = KardexStore;
+module.exports.normalize = normalize;
+module.exports.samePhone = samePhone;
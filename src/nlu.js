@@ -37,21 +37,25 @@ class NLU {
       const processorPromise = unifiedAIProcessor.process(text, {
         sessionState,
         conversationHistory,
-        isFromVoice
+        isFromVoice,
+        originalText: originalInput
       });
       
       // Timeout de 25 segundos para el procesador
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('UnifiedAIProcessor timeout después de 25 segundos')), 25000)
-      );
+      let timeoutId = null;
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('UnifiedAIProcessor timeout después de 25 segundos')), 25000);
+      });
       
-      const result = await Promise.race([processorPromise, timeoutPromise]);
+      const result = await Promise.race([processorPromise, timeoutPromise])
+        .finally(() => clearTimeout(timeoutId));
       logger.info(`🧠 [NLU] unifiedAIProcessor completado en ${Date.now() - startTime}ms`);
 
       // Convertir resultado a formato esperado por el resto del sistema
       // Formato compatible con basicBot y orderHandler
       let response = {
         intent: result.intent,
+        tier: result.tier,
         originalText: originalInput,
         sessionState,
         response: {
@@ -59,7 +63,8 @@ class NLU {
           message: result.message,
           data: result.data,
           productos: null,
-          buttons: result.buttons
+          buttons: result.buttons,
+          actions: result.actions || null
         }
       };
 
@@ -74,12 +79,14 @@ class NLU {
           response.response.total = result.data.total;
           response.response.productosNoEncontrados = result.data.productosNoEncontrados;
           response.response.productosSinStock = result.data.productosSinStock;
+          response.response.productosNoConvertidos = result.data.productosNoConvertidos;
         } else if (result.action === 'add_products_to_order' && result.data) {
           // Es resultado de aiProcessor para pedidos
           response.response.productos = result.data.productos;
           response.response.total = result.data.total;
           response.response.productosNoEncontrados = result.data.productosNoEncontrados;
           response.response.productosSinStock = result.data.productosSinStock;
+          response.response.productosNoConvertidos = result.data.productosNoConvertidos;
           response.response.direccion = result.data.direccion;
           response.response.fecha = result.data.fecha;
           response.response.hora = result.data.hora;
@@ -96,6 +103,7 @@ class NLU {
       const processingTime = Date.now() - startTime;
       logger.info(`🧠 [NLU] Procesamiento NLU completo en ${processingTime}ms`, {
         intent: response.intent,
+        tier: response.tier,
         hasAction: !!result.action,
         hasMessage: !!result.message,
         action: result.action
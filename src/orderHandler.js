@@ -4,6 +4,15 @@ const logger = require('./utils/logger');
 const config = require('../config/config');
 const yapeQR = require('./utils/yapeQR');
 const PhoneNormalizer = require('./utils/phoneNormalizer');
+const saleUnits = require('./utils/saleUnits');
+const sessionStateMachine = require('./core/session/sessionStateMachine');
+
+/**
+ * Nombre para comparar: sin mayúsculas ni tildes ("Azúcar" calza con "azucar")
+ */
+function comparableName(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
 
 class OrderHandler {
   /**
@@ -95,7 +104,7 @@ class OrderHandler {
       // Actualizar sesión con el pedido actualizado
       const pedidoActualizado = await kardexApi.getPedidoEnProceso(pedidoId);
       if (pedidoActualizado) {
-        await sessionManager.updateSessionState(
+        if (!(await this._setState(
           phoneNumber,
           sessionManager.STATES.PEDIDO_EN_PROCESO,
           {
@@ -109,8 +118,11 @@ class OrderHandler {
               subtotal: parseFloat(d.subtotal)
             })) || [],
             total: parseFloat(pedidoActualizado.total)
-          }
-        );
+          },
+          whatsappHandler, jidForMessage
+        ))) {
+          return null;
+        }
       }
 
       // Mostrar resumen actualizado
@@ -176,7 +188,7 @@ class OrderHandler {
       if (!pedidoId) {
         const nuevoPedido = await this.initOrder(phoneNumber, whatsappHandler, sessionState);
         if (!nuevoPedido) {
-          return;
+          return false;
         }
         pedidoId = nuevoPedido.pedido_id;
       }
@@ -228,6 +240,14 @@ class OrderHandler {
         await whatsappHandler.sendMessage(phoneNumber, msg);
       }
       
+      // Informar cantidades que no calzan con la unidad de venta ("medio kilo" de un producto que se vende por bolsa)
+      if (Array.isArray(orderData.productosNoConvertidos) && orderData.productosNoConvertidos.length > 0) {
+        await whatsappHandler.sendMessage(
+          phoneNumber,
+          orderData.productosNoConvertidos.map(p => `⚖️ ${p.error}`).join('\n\n')
+        );
+      }
+      
       // Informar productos no encontrados con sugerencias
       if (orderData.productosNoEncontrados && Array.isArray(orderData.productosNoEncontrados) && orderData.productosNoEncontrados.length > 0) {
         const productSuggestions = require('./utils/productSuggestions');
@@ -275,12 +295,18 @@ class OrderHandler {
         );
       }
 
+      // Éxito solo si se agregó todo lo pedido (sin faltantes, sin productos sin stock ni cantidades inválidas)
+      return productosAgregados.length > 0 && productosError.length === 0 &&
+        productosSinStock.length === 0 && !(orderData.productosNoEncontrados?.length > 0) &&
+        !(orderData.productosNoConvertidos?.length > 0);
+
     } catch (error) {
       logger.error('Error al agregar productos al pedido', error);
       await whatsappHandler.sendMessage(
         phoneNumber,
         '❌ Hubo un error al procesar tu pedido. Por favor, intenta nuevamente.'
       );
+      return false;
     }
   }
 
@@ -292,11 +318,14 @@ class OrderHandler {
       logger.info(`📦 Creando pedido pendiente para ${phoneNumber}`);
 
       // Guardar pedido en la sesión
-      await sessionManager.updateSessionState(
+      if (!(await this._setState(
         phoneNumber,
         sessionManager.STATES.AWAITING_CONFIRMATION,
-        orderData
-      );
+        orderData,
+        whatsappHandler
+      ))) {
+        return;
+      }
 
       // Generar resumen del pedido
       const resumen = this.generateOrderSummary(orderData);
@@ -444,7 +473,7 @@ class OrderHandler {
         logger.info(`📦 Preservando pedido_id durante autenticación: ${pedidoId || 'NO ENCONTRADO'}`);
         
         // Guardar que está esperando confirmación después de autenticarse, preservando el pedido_id
-        await sessionManager.updateSessionState(
+        if (!(await this._setState(
           phoneNumber,
           sessionManager.STATES.AWAITING_CLIENT_CONFIRMATION,
           {
@@ -453,8 +482,11 @@ class OrderHandler {
             _return_to_confirm: true,
             pedido_id: pedidoId,
             _pedido_id: pedidoId
-          }
-        );
+          },
+          whatsappHandler
+        ))) {
+          return;
+        }
         
         // Mensaje mejorado: el usuario ya confirmó el pedido, ahora necesita autenticarse
         await whatsappHandler.sendMessage(
@@ -588,7 +620,7 @@ class OrderHandler {
       });
 
       // Actualizar estado de la sesión con información completa
-      await sessionManager.updateSessionState(
+      if (!(await this._setState(
         phoneNumber,
         sessionManager.STATES.AWAITING_PAYMENT,
         {
@@ -598,8 +630,11 @@ class OrderHandler {
           venta_id: ventaResult.venta_id,
           numero_factura: ventaResult.numero_factura,
           total: verificacion.total
-        }
-      );
+        },
+        whatsappHandler
+      ))) {
+        return;
+      }
 
       // Enviar confirmación al cliente con pedido, factura y QR
       let mensaje = '✅ *¡Pedido confirmado y factura generada!* 🎉\n\n';
@@ -629,10 +664,10 @@ class OrderHandler {
 
       await whatsappHandler.sendMessage(phoneNumber, mensaje);
 
-      // Limpiar sesión después de 30 minutos
+      // Limpiar sesión después de 30 minutos (sin mantener vivo el proceso)
       setTimeout(async () => {
         await sessionManager.clearSession(phoneNumber);
-      }, 30 * 60 * 1000);
+      }, 30 * 60 * 1000).unref();
 
       logger.success(`✅ Pedido ${pedido.numero_pedido} confirmado, factura ${ventaResult.numero_factura} creada y QR enviado para ${phoneNumber}`);
 
@@ -699,7 +734,7 @@ class OrderHandler {
           phoneNumber,
           'No tienes un pedido activo.'
         );
-        return;
+        return false;
       }
 
       // Obtener pedido actual
@@ -710,13 +745,13 @@ class OrderHandler {
           phoneNumber,
           'Tu pedido está vacío.'
         );
-        return;
+        return false;
       }
 
       // Buscar el producto por nombre (fuzzy match)
       const productoEncontrado = pedido.detalles.find(detalle => {
-        const nombreProducto = detalle.producto?.nombre?.toLowerCase() || '';
-        const nombreBuscado = productName.toLowerCase();
+        const nombreProducto = comparableName(detalle.producto?.nombre);
+        const nombreBuscado = comparableName(productName);
         return nombreProducto.includes(nombreBuscado) || nombreBuscado.includes(nombreProducto);
       });
 
@@ -726,7 +761,7 @@ class OrderHandler {
           `No encontré "${productName}" en tu pedido.\n\n` +
           'Escribe "VER PEDIDO" para ver los productos actuales.'
         );
-        return;
+        return false;
       }
 
       // Eliminar producto del pedido
@@ -737,13 +772,13 @@ class OrderHandler {
           phoneNumber,
           `❌ ${result.error || 'No se pudo eliminar el producto.'}`
         );
-        return;
+        return false;
       }
 
       // Actualizar sesión y mostrar resumen
       const pedidoActualizado = await kardexApi.getPedidoEnProceso(pedidoId);
       if (pedidoActualizado) {
-        await sessionManager.updateSessionState(
+        if (!(await this._setState(
           phoneNumber,
           sessionManager.STATES.PEDIDO_EN_PROCESO,
           {
@@ -757,20 +792,25 @@ class OrderHandler {
               subtotal: parseFloat(d.subtotal)
             })) || [],
             total: parseFloat(pedidoActualizado.total)
-          }
-        );
+          },
+          whatsappHandler
+        ))) {
+          return false;
+        }
 
         const resumen = this.generateOrderSummaryFromBD(pedidoActualizado);
         await whatsappHandler.sendMessage(phoneNumber, resumen);
       }
 
       logger.success(`✅ Producto eliminado: ${productName}`);
+      return true;
     } catch (error) {
       logger.error('Error al eliminar producto del pedido', error);
       await whatsappHandler.sendMessage(
         phoneNumber,
         '❌ Hubo un error al eliminar el producto. Por favor, intenta nuevamente.'
       );
+      return false;
     }
   }
 
@@ -904,10 +944,12 @@ class OrderHandler {
         // Si hay un solo pedido, solicitar confirmación para cancelarlo
         if (pedidosPendientes.length === 1) {
           const pedido = pedidosPendientes[0];
-          await sessionManager.updateSessionState(phoneNumber, sessionManager.STATES.AWAITING_CANCEL_CONFIRMATION, {
+          if (!(await this._setState(phoneNumber, sessionManager.STATES.AWAITING_CANCEL_CONFIRMATION, {
             _pedido_a_cancelar: pedido.id,
             _user_token: userToken
-          });
+          }, whatsappHandler))) {
+            return;
+          }
 
           await whatsappHandler.sendMessage(
             phoneNumber,
@@ -1008,10 +1050,12 @@ class OrderHandler {
       }
 
       // Solicitar confirmación
-      await sessionManager.updateSessionState(phoneNumber, sessionManager.STATES.AWAITING_CANCEL_CONFIRMATION, {
+      if (!(await this._setState(phoneNumber, sessionManager.STATES.AWAITING_CANCEL_CONFIRMATION, {
         _pedido_a_cancelar: pedidoId,
         _user_token: userToken
-      });
+      }, whatsappHandler))) {
+        return;
+      }
 
       await whatsappHandler.sendMessage(
         phoneNumber,
@@ -1208,11 +1252,14 @@ class OrderHandler {
       }
 
       // Actualizar estado de la sesión
-      await sessionManager.updateSessionState(
+      if (!(await this._setState(
         phoneNumber,
         sessionManager.STATES.PAGO_CONFIRMADO,
-        orderData
-      );
+        orderData,
+        whatsappHandler
+      ))) {
+        return;
+      }
 
       let mensaje = '✅ *¡Pago confirmado!* 💰\n\n';
       
@@ -1230,10 +1277,10 @@ class OrderHandler {
 
       await whatsappHandler.sendMessage(phoneNumber, mensaje);
 
-      // Limpiar sesión después de un tiempo
+      // Limpiar sesión después de un tiempo (sin mantener vivo el proceso)
       setTimeout(async () => {
         await sessionManager.clearSession(phoneNumber);
-      }, 60 * 60 * 1000); // 1 hora
+      }, 60 * 60 * 1000).unref(); // 1 hora
 
       logger.success(`✅ Pago confirmado para ${phoneNumber}`);
 
@@ -1289,6 +1336,7 @@ class OrderHandler {
       // Mostrar resumen del pedido
       const resumen = this.generateOrderSummaryFromBD(pedido);
       await whatsappHandler.sendMessage(phoneNumber, resumen);
+      return true;
 
     } catch (error) {
       logger.error('Error al ver pedido', error);
@@ -1296,6 +1344,7 @@ class OrderHandler {
         phoneNumber,
         '😅 Hubo un error al obtener tu pedido. Por favor, intenta más tarde.'
       );
+      return false;
     }
   }
 
@@ -1395,6 +1444,21 @@ class OrderHandler {
     }
   }
 
+  /**
+   * Cambiar el estado de la sesión como conversationEngine.setState: si sessionStateMachine
+   * rechaza la transición, la sesión queda como estaba y se pide terminar el paso actual
+   * en lugar del mensaje del estado nuevo
+   * 
+   * @returns {Promise<boolean>} true si se aplicó la transición
+   */
+  async _setState(phoneNumber, state, data, whatsappHandler, jid = phoneNumber) {
+    if (await sessionManager.updateSessionState(phoneNumber, state, data)) {
+      return true;
+    }
+    await whatsappHandler.sendMessage(jid, sessionStateMachine.REJECTED_TRANSITION_MESSAGE);
+    return false;
+  }
+
   /**
    * Traducir estado del pedido a español
    */
@@ -1903,16 +1967,21 @@ class OrderHandler {
 
   /**
    * Actualizar cantidad de un producto en el pedido
+   * 
+   * La cantidad llega en la unidad en que se dijo ("medio kilo" -> 0.5 kg) y se
+   * lleva a la unidad de venta del producto con utils/saleUnits.
+   * 
+   * @param {object} [medida] - { unidad, packSize } de la cantidad (por defecto unidades)
    */
-  async updateProductQuantity(phoneNumber, productName, newQuantity, whatsappHandler) {
+  async updateProductQuantity(phoneNumber, productName, newQuantity, whatsappHandler, { unidad = 'un', packSize = null } = {}) {
     try {
-      if (!newQuantity || newQuantity < 1) {
+      if (!(newQuantity > 0)) {
         await whatsappHandler.sendMessage(
           phoneNumber,
           '⚠️ La cantidad debe ser un número mayor a 0.\n\n' +
           'Ejemplo: *"cambiar laptop a 3"*'
         );
-        return;
+        return false;
       }
 
       logger.info(`🔄 Actualizando cantidad: ${productName} a ${newQuantity}`);
@@ -1924,7 +1993,7 @@ class OrderHandler {
           phoneNumber,
           'No tienes un pedido activo. Primero haz un pedido.'
         );
-        return;
+        return false;
       }
 
       // Obtener pedido actual
@@ -1935,13 +2004,13 @@ class OrderHandler {
           phoneNumber,
           'Tu pedido está vacío.'
         );
-        return;
+        return false;
       }
 
       // Buscar el producto por nombre (fuzzy match)
       const productoEncontrado = pedido.detalles.find(detalle => {
-        const nombreProducto = detalle.producto?.nombre?.toLowerCase() || '';
-        const nombreBuscado = productName.toLowerCase();
+        const nombreProducto = comparableName(detalle.producto?.nombre);
+        const nombreBuscado = comparableName(productName);
         return nombreProducto.includes(nombreBuscado) || nombreBuscado.includes(nombreProducto);
       });
 
@@ -1951,7 +2020,7 @@ class OrderHandler {
           `❌ No encontré "${productName}" en tu pedido.\n\n` +
           'Escribe *"VER PEDIDO"* para ver los productos actuales.'
         );
-        return;
+        return false;
       }
 
       // Si la cantidad nueva es 0 o negativa, eliminar el producto
@@ -1963,7 +2032,7 @@ class OrderHandler {
             phoneNumber,
             `❌ ${result.error || 'No se pudo eliminar el producto.'}`
           );
-          return;
+          return false;
         }
 
         await whatsappHandler.sendMessage(
@@ -1974,7 +2043,7 @@ class OrderHandler {
         // Actualizar y mostrar resumen
         const pedidoActualizado = await kardexApi.getPedidoEnProceso(pedidoId);
         if (pedidoActualizado) {
-          await sessionManager.updateSessionState(
+          if (!(await this._setState(
             phoneNumber,
             sessionManager.STATES.PEDIDO_EN_PROCESO,
             {
@@ -1988,8 +2057,11 @@ class OrderHandler {
                 subtotal: parseFloat(d.subtotal)
               })) || [],
               total: parseFloat(pedidoActualizado.total)
-            }
-          );
+            },
+            whatsappHandler
+          ))) {
+            return false;
+          }
 
           if (pedidoActualizado.detalles && pedidoActualizado.detalles.length > 0) {
             const resumen = this.generateOrderSummaryFromBD(pedidoActualizado);
@@ -2002,24 +2074,33 @@ class OrderHandler {
             );
           }
         }
-        return;
+        return true;
+      }
+
+      // Llevar la cantidad a la unidad de venta del producto
+      const producto = await kardexApi.getProducto(productoEncontrado.producto_id) || productoEncontrado.producto || { nombre: productName };
+      const conversion = saleUnits.convert({ cantidad: newQuantity, unidad: unidad || 'un', packSize }, producto);
+      if (!conversion.valid) {
+        logger.warn(`⚠️ Cantidad no válida para "${producto.nombre}": ${newQuantity} ${unidad}`, conversion.error);
+        await whatsappHandler.sendMessage(phoneNumber, `⚖️ ${conversion.error}`);
+        return false;
       }
 
       // Actualizar cantidad
-      const result = await kardexApi.actualizarCantidadProducto(pedidoId, productoEncontrado.id, newQuantity);
+      const result = await kardexApi.actualizarCantidadProducto(pedidoId, productoEncontrado.id, conversion.cantidad);
       
       if (!result.success) {
         await whatsappHandler.sendMessage(
           phoneNumber,
           `❌ ${result.error || 'No se pudo actualizar la cantidad.'}`
         );
-        return;
+        return false;
       }
 
       // Actualizar sesión y mostrar resumen
       const pedidoActualizado = result.pedido || await kardexApi.getPedidoEnProceso(pedidoId);
       if (pedidoActualizado) {
-        await sessionManager.updateSessionState(
+        if (!(await this._setState(
           phoneNumber,
           sessionManager.STATES.PEDIDO_EN_PROCESO,
           {
@@ -2033,14 +2114,18 @@ class OrderHandler {
               subtotal: parseFloat(d.subtotal)
             })) || [],
             total: parseFloat(pedidoActualizado.total)
-          }
-        );
+          },
+          whatsappHandler
+        ))) {
+          return false;
+        }
 
         const resumen = this.generateOrderSummaryFromBD(pedidoActualizado);
         await whatsappHandler.sendMessage(phoneNumber, resumen);
       }
 
-      logger.success(`✅ Cantidad actualizada: ${productName} a ${newQuantity}`);
+      logger.success(`✅ Cantidad actualizada: ${productName} a ${conversion.cantidad}`);
+      return true;
 
     } catch (error) {
       logger.error('Error al actualizar cantidad de producto', error);
@@ -2048,6 +2133,7 @@ class OrderHandler {
         phoneNumber,
         '❌ Hubo un error al actualizar la cantidad. Por favor, intenta nuevamente.'
       );
+      return false;
     }
   }
 
@@ -2188,10 +2274,12 @@ class OrderHandler {
       }
 
       // Si no está esperando, pedir el nuevo valor
-      await sessionManager.updateSessionState(phoneNumber, awaitingState, {
+      if (!(await this._setState(phoneNumber, awaitingState, {
         ...stateObj,
         _updating_field: field
-      });
+      }, whatsappHandler))) {
+        return;
+      }
 
       let mensaje = `📝 *Actualizar ${fieldLabel}*\n\n`;
       if (field === 'telefono') {
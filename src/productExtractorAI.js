@@ -1,61 +1,57 @@
-const ollamaClient = require('./utils/ollamaClient');
+const multiModelAI = require('./core/ai/multiModelAI');
+const structuredOutput = require('./core/ai/structuredOutput');
+const promptRegistry = require('./core/ai/promptRegistry');
 const logger = require('./utils/logger');
-const kardexApi = require('./kardexApi');
-const kardexDb = require('./kardexDb');
+const productSearch = require('./utils/productSearch');
+const dictionary = require('./utils/dictionary');
 
 class ProductExtractorAI {
-  constructor() {
-    this.systemPrompt = `Eres un analizador inteligente de mensajes. Cada cliente se comunica de forma diferente.
-
-TU TAREA:
-Analizar CADA mensaje de forma individual, entendiendo:
-- Qué producto está buscando este cliente específico
-- Cómo se está expresando (puede tener errores de transcripción)
-- Cuál es su intención real
-- Qué información necesita extraer
-
-ANÁLISIS PASO A PASO:
-1. Lee el mensaje completo y entiende su significado
-2. Identifica el producto mencionado (puede tener errores de transcripción)
-3. Corrige errores basándote en el contexto y sentido común
-4. Determina la intención del cliente (precio, stock, pedido, etc.)
-5. Extrae información relevante: producto, marca, tipo
-
-CORRECCIONES INTELIGENTES:
-- Analiza el contexto para entender errores de transcripción
-- Corrige basándote en el sentido del mensaje, no en patrones
-- Normaliza términos según el contexto
-
-PRINCIPIOS:
-- Cada cliente es diferente, analiza cada mensaje como único
-- No memorices patrones, entiende el significado
-- Piensa antes de extraer información
-
-Responde SOLO con JSON válido:
-{
-  "producto": "nombre del producto que este cliente busca (corregido si hay errores)",
-  "intencion": "CONSULTAR_PRECIO" | "CONSULTAR_STOCK" | "HACER_PEDIDO" | "OTRO",
-  "marca": "marca mencionada o null",
-  "tipo": "tipo de producto mencionado o null"
-}
-
-IMPORTANTE: Analiza este mensaje específico de forma individual.`;
-  }
-
   /**
    * Extraer información del producto usando IA
    * @param {string} userMessage - Mensaje del usuario
    */
   async extractProductInfo(userMessage) {
     try {
-      // Verificar que Ollama esté disponible
-      const isAvailable = await ollamaClient.isAvailable();
+      // Verificar que algún proveedor de IA esté disponible
+      const isAvailable = await multiModelAI.isAvailable('queries');
       if (!isAvailable) {
-        logger.warn('Ollama no disponible, usando extracción básica');
+        logger.warn('IA no disponible, usando extracción básica');
         return this._extractBasic(userMessage);
       }
 
-      const prompt = `Analiza este mensaje específico de este cliente. Cada cliente se comunica diferente.
+      logger.info('Extrayendo información de producto con IA', {
+        message: userMessage.substring(0, 50)
+      });
+
+      const response = await this.extractWithAI(userMessage);
+
+      if (response && response.producto) {
+        logger.success('✅ Información extraída por IA', {
+          producto: response.producto,
+          intencion: response.intencion,
+          marca: response.marca
+        });
+        return response;
+      }
+
+      // Fallback a extracción básica
+      return this._extractBasic(userMessage);
+
+    } catch (error) {
+      logger.error('Error al extraer información con IA', error);
+      return this._extractBasic(userMessage);
+    }
+  }
+
+  /**
+   * Extracción solo con IA, sin fallback (lanza error si el modelo no responde algo válido)
+   * 
+   * System prompt: plantilla "product-extraction" (prompts/product-extraction)
+   * @param {string} userMessage - Mensaje del usuario
+   * @param {string} [promptVersion] - Versión de la plantilla (por defecto la activa)
+   */
+  async extractWithAI(userMessage, promptVersion = null) {
+    const prompt = `Analiza este mensaje específico de este cliente. Cada cliente se comunica diferente.
 
 Mensaje de este cliente: "${userMessage}"
 
@@ -85,31 +81,14 @@ IMPORTANTE:
 
 Responde SOLO con JSON válido (sin explicaciones adicionales):`;
 
-      logger.info('Extrayendo información de producto con IA', {
-        message: userMessage.substring(0, 50)
-      });
-
-      // Generar respuesta con Ollama - temperatura balanceada para análisis inteligente
-      const response = await ollamaClient.generateJSON(prompt, this.systemPrompt, {
-        temperature: 0.5 // Balance entre precisión y análisis creativo (no memorización)
-      });
-
-      if (response && response.producto) {
-        logger.success('✅ Información extraída por IA', {
-          producto: response.producto,
-          intencion: response.intencion,
-          marca: response.marca
-        });
-        return response;
-      }
-
-      // Fallback a extracción básica
-      return this._extractBasic(userMessage);
-
-    } catch (error) {
-      logger.error('Error al extraer información con IA', error);
-      return this._extractBasic(userMessage);
-    }
+    // Generar respuesta con IA - temperatura balanceada para análisis inteligente
+    return structuredOutput.generate(
+      'productExtraction',
+      prompt,
+      promptRegistry.render('product-extraction', {}, { version: promptVersion }).text,
+      'queries',
+      { temperature: 0.5 } // Balance entre precisión y análisis creativo (no memorización)
+    );
   }
 
   /**
@@ -248,37 +227,17 @@ Responde SOLO con JSON válido (sin explicaciones adicionales):`;
       // Buscar con cada término
       for (const term of searchArray) {
         logger.info(`Buscando con término: "${term}"`);
-
-        // Buscar en BD primero
-        if (kardexDb.isConnected()) {
-          try {
-            productosEncontrados = await kardexDb.buscarProductos(term, 10);
-            if (productosEncontrados && productosEncontrados.length > 0) {
-              logger.success(`✅ Encontrado en BD con término: "${term}" (${productosEncontrados.length} resultados)`);
-              break;
-            }
-          } catch (error) {
-            logger.warn('Error al buscar en BD', error);
-          }
-        }
-
-        // Si no encontró en BD, buscar en API
-        if (!productosEncontrados || productosEncontrados.length === 0) {
-          try {
-            productosEncontrados = await kardexApi.buscarProductos(term);
-            if (productosEncontrados && productosEncontrados.length > 0) {
-              logger.success(`✅ Encontrado en API con término: "${term}" (${productosEncontrados.length} resultados)`);
-              break;
-            }
-          } catch (error) {
-            logger.warn('Error al buscar en API', error);
-          }
+        const hits = await productSearch.find(term, { limit: 10 });
+        if (hits.length > 0) {
+          productosEncontrados = hits.map(hit => hit.producto);
+          logger.success(`✅ Encontrado con término: "${term}" (${hits.length} resultados)`);
+          break;
         }
       }
 
       if (productosEncontrados && productosEncontrados.length > 0) {
         // Seleccionar el mejor match
-        const bestMatch = this._findBestMatch(producto, productosEncontrados);
+        const bestMatch = this._findBestMatch(producto, productosEncontrados, marca, tipo);
         logger.success(`✅ Mejor match: "${bestMatch.nombre}"`);
         return bestMatch;
       }
@@ -294,86 +253,23 @@ Responde SOLO con JSON válido (sin explicaciones adicionales):`;
 
   /**
    * Encontrar el mejor match entre productos encontrados
+   * 
+   * Reordena los candidatos con el ranking de productSearch usando la consulta
+   * completa (producto, marca y tipo).
    */
   _findBestMatch(query, productos, marca = null, tipo = null) {
-    const queryLower = query.toLowerCase();
-    const queryWords = queryLower.split(/\s+/).filter(w => w.length > 2);
-    const marcaLower = marca ? marca.toLowerCase() : null;
-    const tipoLower = tipo ? tipo.toLowerCase() : null;
-
-    // Calcular score para cada producto
-    const scored = productos.map(producto => {
-      const nombreLower = (producto.nombre || '').toLowerCase();
-      let score = 0;
-
-      // Puntos por coincidencia exacta del query completo
-      if (nombreLower.includes(queryLower)) {
-        score += 20;
-      }
-
-      // Puntos por coincidencia exacta de palabras clave importantes
-      if (queryLower.includes('balón') && nombreLower.includes('balón')) {
-        score += 10;
-      }
-      if (queryLower.includes('pelota') && nombreLower.includes('balón')) {
-        score += 10; // "pelota" = "balón"
-      }
-      if (queryLower.includes('fútbol') && nombreLower.includes('fútbol')) {
-        score += 8;
-      }
-      if (queryLower.includes('futbol') && nombreLower.includes('fútbol')) {
-        score += 8; // "futbol" = "fútbol"
-      }
-
-      // Puntos por marca si se mencionó
-      if (marcaLower) {
-        if (nombreLower.includes(marcaLower)) {
-          score += 15;
-        }
-        // Correcciones de marca
-        if ((queryLower.includes('a dira') || queryLower.includes('a vidas')) && nombreLower.includes('adidas')) {
-          score += 15;
-        }
-      }
-
-      // Puntos por tipo si se mencionó
-      if (tipoLower) {
-        if (nombreLower.includes(tipoLower)) {
-          score += 8;
-        }
-        // Sinónimos
-        if (tipoLower === 'pelota' && nombreLower.includes('balón')) {
-          score += 8;
-        }
-      }
-
-      // Puntos por palabras comunes
-      queryWords.forEach(word => {
-        if (nombreLower.includes(word)) {
-          score += 3;
-        }
-      });
-
-      // Puntos adicionales por marcas conocidas
-      if (nombreLower.includes('adidas') && (queryLower.includes('adidas') || queryLower.includes('a dira') || queryLower.includes('a vidas'))) {
-        score += 10;
-      }
-      if (nombreLower.includes('nike') && queryLower.includes('nike')) {
-        score += 10;
-      }
-
-      return { producto, score };
-    });
+    // Marcas que el reconocimiento de voz suele partir ("a vidas" -> "adidas")
+    const consulta = dictionary.correct([query, marca, tipo].filter(Boolean).join(' '), { misspellingsOnly: true });
 
-    // Ordenar por score y devolver el mejor
-    scored.sort((a, b) => b.score - a.score);
+    const ranked = productSearch.rank(consulta, productos);
     
-    logger.info(`Mejores matches:`, scored.slice(0, 3).map(s => ({
-      nombre: s.producto.nombre,
-      score: s.score
+    logger.info(`Mejores matches:`, ranked.slice(0, 3).map(hit => ({
+      nombre: hit.producto.nombre,
+      score: hit.score,
+      explicacion: productSearch.explain(hit)
     })));
     
-    return scored[0].producto;
+    return ranked.length > 0 ? ranked[0].producto : productos[0];
   }
 }
 
@@ -1,6 +1,7 @@
 const db = require('./db');
 const config = require('../config/config');
 const logger = require('./utils/logger');
+const sessionContext = require('./core/session/sessionContext');
 
 class SessionManager {
   /**
@@ -58,13 +59,74 @@ class SessionManager {
         logger.info(`Nueva sesión creada para ${phoneNumber}`);
       }
 
-      return session;
+      return this._hydrate(session);
     } catch (error) {
       logger.error('Error al obtener sesión', error);
       throw error;
     }
   }
 
+  /**
+   * Obtener sesión sin crearla (null si el usuario nunca escribió)
+   */
+  async findSession(phoneNumber) {
+    try {
+      const session = await db.get(
+        'SELECT * FROM sessions WHERE phone_number = ?',
+        [phoneNumber]
+      );
+      return this._hydrate(session) || null;
+    } catch (error) {
+      logger.error('Error al buscar sesión', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar sesiones, las más recientes primero
+   * 
+   * @param {object} [options] - { state, limit, offset }
+   * @returns {Promise<object>} { total, sessions }
+   */
+  async listSessions({ state = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const where = state ? 'WHERE state = ?' : '';
+      const params = state ? [state] : [];
+
+      const { total } = await db.get(`SELECT COUNT(*) AS total FROM sessions ${where}`, params);
+      const rows = await db.all(
+        `SELECT * FROM sessions ${where} ORDER BY updated_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return { total, sessions: rows.map(row => this._hydrate(row)) };
+    } catch (error) {
+      logger.error('Error al listar sesiones', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Agregar el contexto tipado a la fila de sesión
+   * 
+   * session.context es el contexto por namespaces; session.current_order se mantiene
+   * como vista plana (JSON) para el código que todavía trabaja con stateObj.
+   */
+  _hydrate(session) {
+    if (!session) {
+      return session;
+    }
+
+    const context = sessionContext.parse(session.context);
+    const flat = sessionContext.flatten(context);
+
+    return {
+      ...session,
+      context,
+      current_order: Object.keys(flat).length > 0 ? JSON.stringify(flat) : null
+    };
+  }
+
   /**
    * Crear nueva sesión
    */
@@ -81,7 +143,7 @@ class SessionManager {
       );
 
       logger.info(`Nueva sesión creada para ${phoneNumber}`);
-      return session;
+      return this._hydrate(session);
     } catch (error) {
       logger.error('Error al crear sesión', error);
       throw error;
@@ -90,19 +152,46 @@ class SessionManager {
 
   /**
    * Actualizar estado de la sesión
+   * 
+   * La transición se valida contra sessionStateMachine: si no está permitida se
+   * registra en el log y en métricas, y la sesión no se modifica.
+   * 
+   * orderData es el objeto plano de siempre (stateObj); sus claves se reparten en
+   * los namespaces del contexto (ver core/session/sessionContext). Los datos de
+   * autenticación y registro se conservan aunque no se incluyan.
+   * 
+   * @returns {Promise<boolean>} true si se aplicó la transición
    */
   async updateSessionState(phoneNumber, newState, orderData = null) {
     try {
-      const expiresAt = new Date(Date.now() + config.bot.confirmationTimeout);
+      const current = await db.get(
+        'SELECT state, context FROM sessions WHERE phone_number = ?',
+        [phoneNumber]
+      );
+      const fromState = current?.state || SessionManager.STATES.IDLE;
+
+      const validation = sessionStateMachine.validateTransition(fromState, newState);
+      if (!validation.valid) {
+        logger.warn(`⚠️ Transición rechazada para ${phoneNumber}: ${validation.error}`);
+        await this.recordMetric('illegal_transition', { phoneNumber, from: fromState, to: newState });
+        return false;
+      }
+
+      const timeout = sessionStateMachine.getTimeout(newState);
+      const expiresAt = timeout ? new Date(Date.now() + timeout).toISOString() : null;
+      const context = sessionContext.applyLegacyUpdate(sessionContext.parse(current?.context), orderData);
       
       await db.run(
         `UPDATE sessions 
-         SET state = ?, current_order = ?, updated_at = datetime("now"), expires_at = ? 
+         SET state = ?, context = ?, updated_at = datetime("now"), expires_at = ? 
          WHERE phone_number = ?`,
-        [newState, orderData ? JSON.stringify(orderData) : null, expiresAt.toISOString(), phoneNumber]
+        [newState, sessionContext.serialize(context), expiresAt, phoneNumber]
       );
 
       logger.info(`Sesión actualizada: ${phoneNumber} -> ${newState}`);
+
+      await sessionStateMachine.runHooks({ phoneNumber, from: fromState, to: newState, data: orderData });
+      return true;
     } catch (error) {
       logger.error('Error al actualizar sesión', error);
       throw error;
@@ -115,31 +204,102 @@ class SessionManager {
   async getPendingOrder(phoneNumber) {
     try {
       const session = await this.getSession(phoneNumber);
+      const cart = session.context.cart;
       
-      if (session.current_order) {
-        return JSON.parse(session.current_order);
-      }
-      
-      return null;
+      return Object.keys(cart).length > 0 ? cart : null;
     } catch (error) {
       logger.error('Error al obtener pedido pendiente', error);
       return null;
     }
   }
 
+  /**
+   * Obtener el contexto tipado de la sesión
+   * 
+   * @returns {Promise<object>} {auth, cart, registration, profileEdit, browse}
+   */
+  async getContext(phoneNumber) {
+    const session = await this.getSession(phoneNumber);
+    return session.context;
+  }
+
+  /**
+   * Actualizar parcialmente un namespace del contexto sin cambiar el estado
+   * 
+   * @param {string} phoneNumber - Número de teléfono
+   * @param {string} namespace - 'auth' | 'cart' | 'registration' | 'profileEdit' | 'browse'
+   * @param {object} patch - Claves a modificar (undefined/null elimina la clave)
+   * @returns {Promise<object>} Contexto actualizado
+   */
+  async updateContext(phoneNumber, namespace, patch) {
+    try {
+      const current = await this.getContext(phoneNumber);
+      const context = sessionContext.patch(current, namespace, patch);
+
+      await db.run(
+        'UPDATE sessions SET context = ?, updated_at = datetime("now") WHERE phone_number = ?',
+        [sessionContext.serialize(context), phoneNumber]
+      );
+
+      return context;
+    } catch (error) {
+      logger.error('Error al actualizar contexto de sesión', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Vaciar un namespace del contexto (ej: cerrar sesión = clearContext(phone, 'auth'))
+   */
+  async clearContext(phoneNumber, namespace) {
+    const current = await this.getContext(phoneNumber);
+    const emptied = Object.fromEntries(Object.keys(current[namespace] || {}).map(key => [key, undefined]));
+    return this.updateContext(phoneNumber, namespace, emptied);
+  }
+
+  /**
+   * Descartar los datos del flujo en curso al cancelarlo, abandonarlo por error o completar el registro
+   * 
+   * auth y registration se fusionan al volver a IDLE, así que hay que vaciarlos
+   * aquí: el borrador de registro y de pedido sin registro (_reg_*, _temp_*) y, si
+   * el cliente no llegó a autenticarse, lo que se juntó para identificarlo
+   * (_client_*, _input_phone, código SMS).
+   */
+  async clearFlowContext(phoneNumber) {
+    await this.clearContext(phoneNumber, 'registration');
+    const { auth } = await this.getContext(phoneNumber);
+    if (!auth._authenticated) {
+      await this.clearContext(phoneNumber, 'auth');
+    }
+  }
+
   /**
    * Limpiar sesión (después de completar o cancelar)
    */
   async clearSession(phoneNumber) {
     try {
+      const current = await db.get(
+        'SELECT state FROM sessions WHERE phone_number = ?',
+        [phoneNumber]
+      );
+
       await db.run(
         `UPDATE sessions 
-         SET state = ?, current_order = NULL, updated_at = datetime("now"), expires_at = NULL 
+         SET state = ?, current_order = NULL, context = NULL, updated_at = datetime("now"), expires_at = NULL 
          WHERE phone_number = ?`,
         [SessionManager.STATES.IDLE, phoneNumber]
       );
 
       logger.info(`Sesión limpiada: ${phoneNumber}`);
+
+      if (current) {
+        await sessionStateMachine.runHooks({
+          phoneNumber,
+          from: current.state,
+          to: SessionManager.STATES.IDLE,
+          data: null
+        });
+      }
     } catch (error) {
       logger.error('Error al limpiar sesión', error);
     }
@@ -219,7 +379,7 @@ class SessionManager {
   async getConversationHistory(phoneNumber, limit = 10) {
     try {
       const messages = await db.all(
-        `SELECT message_content as content, is_bot, created_at 
+        `SELECT id, message_content as content, is_bot, intent, created_at 
          FROM message_history 
          WHERE phone_number = ? 
          ORDER BY created_at DESC 
@@ -229,8 +389,10 @@ class SessionManager {
       
       // Invertir para tener orden cronológico
       return messages.reverse().map(msg => ({
+        id: msg.id,
         content: msg.content,
         isBot: msg.is_bot === 1,
+        intent: msg.intent || null,
         timestamp: msg.created_at
       }));
     } catch (error) {
@@ -239,6 +401,62 @@ class SessionManager {
     }
   }
 
+  /**
+   * Etiquetar con su intención el último mensaje del usuario (datos de entrenamiento)
+   * No pisa etiquetas existentes (una corrección manual vale más que la del LLM)
+   */
+  async labelLastUserMessage(phoneNumber, intent, source = 'llm') {
+    try {
+      await db.run(
+        `UPDATE message_history SET intent = ?, intent_source = ?
+         WHERE id = (
+           SELECT id FROM message_history
+           WHERE phone_number = ? AND is_bot = 0
+           ORDER BY id DESC LIMIT 1
+         ) AND intent IS NULL`,
+        [intent, source, phoneNumber]
+      );
+    } catch (error) {
+      logger.error('Error al etiquetar mensaje', error);
+    }
+  }
+
+  /**
+   * Etiquetar (o corregir) la intención de un mensaje del historial
+   * 
+   * @returns {Promise<boolean>} false si el mensaje no existe o es del bot
+   */
+  async labelMessage(messageId, intent, source = 'manual') {
+    try {
+      const result = await db.run(
+        'UPDATE message_history SET intent = ?, intent_source = ? WHERE id = ? AND is_bot = 0',
+        [intent, source, messageId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error al etiquetar mensaje', error);
+      return false;
+    }
+  }
+
+  /**
+   * Mensajes de usuarios con intención etiquetada
+   * 
+   * @param {object} [options] - { source: 'manual' | 'llm' | null (todas) }
+   * @returns {Promise<Array<{id, text, intent, source}>>}
+   */
+  async getLabeledMessages({ source = null } = {}) {
+    const where = source ? 'AND intent_source = ?' : '';
+    const rows = await db.all(
+      `SELECT id, message_content AS text, intent, intent_source AS source
+       FROM message_history
+       WHERE is_bot = 0 AND intent IS NOT NULL AND message_content IS NOT NULL ${where}
+       ORDER BY id`,
+      source ? [source] : []
+    );
+    return rows;
+  }
+
   /**
    * Registrar métrica
    */
@@ -261,7 +479,7 @@ class SessionManager {
     try {
       const result = await db.run(
         `UPDATE sessions 
-         SET state = ?, current_order = NULL 
+         SET state = ?, current_order = NULL, context = NULL 
          WHERE expires_at < datetime("now") AND state != ?`,
         [SessionManager.STATES.IDLE, SessionManager.STATES.IDLE]
       );
@@ -280,11 +498,7 @@ class SessionManager {
   async getActiveOrderId(phoneNumber) {
     try {
       const session = await this.getSession(phoneNumber);
-      if (session.current_order) {
-        const orderData = JSON.parse(session.current_order);
-        return orderData.pedido_id || null;
-      }
-      return null;
+      return session.context.cart.pedido_id || null;
     } catch (error) {
       logger.error('Error al obtener pedido activo', error);
       return null;
@@ -319,3 +533,5 @@ const instance = new SessionManager();
 instance.STATES = SessionManager.STATES; // Agregar STATES a la instancia
 module.exports = instance;
 
+// La máquina de estados importa STATES de este módulo: se carga después de exportarlo
+const sessionStateMachine = require('./core/session/sessionStateMachine');
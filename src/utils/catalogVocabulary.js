@@ -0,0 +1,217 @@
+const config = require('../../config/config');
+const logger = require('./logger');
+const productCache = require('./productCache');
+const textParser = require('./textParser');
+const { removeStopwords } = require('./textCorrector');
+const { normalize, soundexEs, jaroWinkler } = require('./phonetics');
+
+/**
+ * Vocabulario del catálogo para el reconocimiento de voz
+ * 
+ * Arma a partir de los productos indexados en productCache (nombres, marcas y
+ * unidades) el contexto que se le da a Whisper (initial prompt y hotwords de
+ * faster-whisper), y después de transcribir acerca a una palabra real del
+ * catálogo las que se oyeron casi igual ("inka" -> "inca", "arros" -> "arroz"):
+ * mismo código soundexEs y similitud jaroWinkler sobre el umbral.
+ * 
+ * El catálogo se vuelve a pedir a KARDEX cada refreshMs y el vocabulario se
+ * reconstruye cada vez que productCache se reindexa (productCache.version).
+ * 
+ * @module utils/catalogVocabulary
+ */
+
+const MIN_WORD_LENGTH = 4; // Palabras más cortas se parecen a demasiadas cosas
+const SIZE_PATTERN = /^(\d+(?:[.,]\d+)?)\s*(ml|l|lt|kg|g|gr|oz|un)$/i;
+
+// Unidades tal como se dicen en un audio
+const SPOKEN_UNITS = { ml: 'mililitros', l: 'litro', lt: 'litro', kg: 'kilo', g: 'gramos', gr: 'gramos', oz: 'onzas', un: 'unidades' };
+
+// Palabras frecuentes de un pedido que nunca se corrigen hacia un producto
+const ORDER_WORDS = new Set([
+  'quiero', 'quisiera', 'necesito', 'dame', 'deme', 'agrega', 'agregar', 'agregame', 'ponme', 'pedido', 'pedir',
+  'tambien', 'ademas', 'gracias', 'favor', 'cuanto', 'cuesta', 'tienes', 'tienen', 'confirmo', 'cancelar',
+  'kilo', 'kilos', 'litro', 'litros', 'gramos', 'unidades', 'paquete', 'paquetes', 'botella', 'botellas', 'media', 'medio'
+]);
+
+class CatalogVocabulary {
+  constructor() {
+    this.version = -1; // productCache.version con la que se armó
+    this.names = []; // Nombres sin presentación ("Coca Cola")
+    this.brands = [];
+    this.units = [];
+    this.tokens = new Map(); // palabra normalizada -> forma del catálogo ("costeño")
+    this.bySoundex = new Map(); // soundexEs -> [palabra normalizada]
+  }
+
+  /**
+   * Traer el catálogo a productCache si nunca se cargó o ya venció
+   * 
+   * @param {object} [options]
+   * @param {boolean} [options.force] - Pedirlo aunque no haya vencido
+   */
+  async refresh({ force = false } = {}) {
+    await productCache.loadCatalog({ force, maxAgeMs: config.whisper.vocabulary.refreshMs });
+  }
+
+  /**
+   * Reconstruir el vocabulario si el catálogo cambió desde la última vez
+   */
+  _ensureBuilt() {
+    if (this.version === productCache.version) {
+      return;
+    }
+
+    const names = new Set();
+    const brands = new Set();
+    const units = new Set();
+    this.tokens = new Map();
+    this.bySoundex = new Map();
+
+    for (const producto of productCache.getAll()) {
+      const words = String(producto.nombre || '').split(/\s+/).filter(Boolean);
+      const nameWords = [];
+      for (const word of words) {
+        const size = word.match(SIZE_PATTERN);
+        if (size) {
+          units.add(SPOKEN_UNITS[size[2].toLowerCase()]);
+        } else {
+          nameWords.push(word);
+        }
+      }
+      if (nameWords.length > 0) {
+        names.add(nameWords.join(' '));
+      }
+
+      const brand = String(producto.marca || producto.marca_nombre || '').trim();
+      if (brand) {
+        brands.add(brand);
+      }
+      const unit = String(producto.unidad_medida || '').toLowerCase();
+      if (SPOKEN_UNITS[unit]) {
+        units.add(SPOKEN_UNITS[unit]);
+      }
+
+      for (const word of [...nameWords, ...brand.split(/\s+/)]) {
+        this._addToken(word);
+      }
+    }
+
+    this.names = Array.from(names);
+    this.brands = Array.from(brands);
+    this.units = Array.from(units);
+    this.version = productCache.version;
+    logger.debug(`🗂️ Vocabulario de voz: ${this.names.length} productos, ${this.tokens.size} palabras`);
+  }
+
+  _addToken(word) {
+    const token = normalize(word);
+    if (token.length < MIN_WORD_LENGTH || /\d/.test(token) || this.tokens.has(token)) {
+      return;
+    }
+    this.tokens.set(token, word.toLowerCase().replace(/[^\p{L}]/gu, ''));
+    const code = soundexEs(token);
+    this.bySoundex.set(code, [...(this.bySoundex.get(code) || []), token]);
+  }
+
+  /**
+   * Contexto para el decodificador: la frase base más los términos del catálogo
+   * (recortado a maxPromptChars, Whisper solo usa los últimos ~224 tokens)
+   * 
+   * @param {string} basePrompt
+   * @returns {Promise<string>}
+   */
+  async getPrompt(basePrompt) {
+    await this.refresh();
+    this._ensureBuilt();
+    if (this.names.length === 0) {
+      return basePrompt;
+    }
+
+    const { maxTerms, maxPromptChars } = config.whisper.vocabulary;
+    const tail = [
+      this.brands.length > 0 ? ` Marcas: ${this.brands.join(', ')}.` : '',
+      this.units.length > 0 ? ` Unidades: ${this.units.join(', ')}.` : ''
+    ].join('');
+
+    let prompt = `${basePrompt} Productos:`;
+    let added = 0;
+    for (const name of this.names.slice(0, maxTerms)) {
+      const next = `${prompt}${added > 0 ? ',' : ''} ${name}`;
+      if (next.length + tail.length + 1 > maxPromptChars) {
+        break;
+      }
+      prompt = next;
+      added++;
+    }
+    return added > 0 ? `${prompt}.${tail}` : basePrompt;
+  }
+
+  /**
+   * Palabras a favorecer en faster-whisper (nombres y marcas)
+   * 
+   * @returns {Promise<string|null>}
+   */
+  async getHotwords() {
+    await this.refresh();
+    this._ensureBuilt();
+    const terms = [...this.brands, ...this.names].slice(0, config.whisper.vocabulary.maxTerms);
+    return terms.length > 0 ? terms.join(', ') : null;
+  }
+
+  /**
+   * Cambiar las palabras que se oyeron casi como una del catálogo por esa palabra
+   * 
+   * Solo se tocan palabras de 4 letras o más que no están en el catálogo, no son
+   * números, unidades ni palabras comunes de un pedido.
+   * 
+   * @param {string} text - Transcripción
+   * @returns {{text: string, corrections: Array<{from: string, to: string, score: number}>}}
+   */
+  correct(text) {
+    this._ensureBuilt();
+    const corrections = [];
+    if (!text || this.tokens.size === 0) {
+      return { text: text || '', corrections };
+    }
+
+    const { correctionThreshold } = config.whisper.vocabulary;
+    const corrected = text.replace(/[\p{L}\p{N}]+/gu, (word) => {
+      const token = normalize(word);
+      if (!this._correctable(token)) {
+        return word;
+      }
+
+      let best = null;
+      for (const candidate of this.bySoundex.get(soundexEs(token)) || []) {
+        const score = jaroWinkler(token, candidate);
+        if (score >= correctionThreshold && (!best || score > best.score)) {
+          best = { candidate, score };
+        }
+      }
+      if (!best) {
+        return word;
+      }
+
+      const replacement = this.tokens.get(best.candidate);
+      corrections.push({ from: word, to: replacement, score: Math.round(best.score * 100) / 100 });
+      return replacement;
+    });
+
+    if (corrections.length > 0) {
+      logger.info(`🗂️ Correcciones con el catálogo: ${corrections.map(c => `${c.from} → ${c.to}`).join(', ')}`);
+    }
+    return { text: corrected, corrections };
+  }
+
+  _correctable(token) {
+    return token.length >= MIN_WORD_LENGTH &&
+      !/\d/.test(token) &&
+      !this.tokens.has(token) &&
+      !ORDER_WORDS.has(token) &&
+      textParser.palabrasANumeros[token] === undefined &&
+      textParser.unidadesMedida[token] === undefined &&
+      removeStopwords([token]).length > 0;
+  }
+}
+
+module.exports = new CatalogVocabulary();
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+const logger = require('./logger');
+
+/**
+ * Diccionario de términos de producto
+ * 
+ * Un solo lugar para los sinónimos ("notebook" = laptop), las variantes
+ * regionales peruanas ("chela" = cerveza, "polo" = camiseta), los alias de
+ * marca y los errores comunes de escritura o de transcripción ("maus",
+ * "a vidas"). Cada entrada tiene un término canónico y sus variantes:
+ * 
+ *   { "term": "mouse", "kind": "producto", "synonyms": ["raton"], "regional": [], "misspellings": ["maus"] }
+ * 
+ * Las entradas base están en config.dictionary.path (dictionary/terms.json) y
+ * se leen al primer uso; las que se agregan con POST /admin/dictionary se
+ * guardan en SQLite (tabla dictionary_entries) y se suman sin reiniciar. Si una
+ * variante aparece en dos términos gana la última cargada (las de SQLite).
+ * 
+ * Lo usan textCorrector (todas las variantes al término canónico),
+ * transcriptionCorrector (solo errores), textParser, basicBot, productSearch
+ * (sinónimos en ambas direcciones) y los prompts de intención y pedido.
+ * 
+ * @module utils/dictionary
+ */
+
+const KINDS = ['producto', 'marca', 'categoria'];
+const LISTS = ['synonyms', 'regional', 'misspellings'];
+const MAX_TERM_LENGTH = 60;
+
+// Vocales y ñ sin importar la tilde: "raton" también encuentra "ratón"
+const ACCENTS = { a: '[aá]', e: '[eé]', i: '[ií]', o: '[oó]', u: '[uúü]', n: '[nñ]' };
+
+/**
+ * Minúsculas, sin tildes y con un solo espacio (guiones incluidos)
+ */
+function fold(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\s-]+/g, ' ')
+    .trim();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function variantPattern(variant) {
+  return fold(variant)
+    .split(' ')
+    .map(word => Array.from(word).map(ch => ACCENTS[ch] || escapeRegex(ch)).join(''))
+    .join('[\\s-]+');
+}
+
+/**
+ * Una sola expresión con todas las variantes (las más largas primero), para
+ * reemplazar en una pasada sin volver a tocar lo ya reemplazado
+ */
+function compileRule(targets) {
+  const variants = Array.from(targets.keys()).sort((a, b) => b.length - a.length);
+  if (variants.length === 0) {
+    return null;
+  }
+  return new RegExp(`(^|[^\\p{L}\\p{N}])(${variants.map(variantPattern).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'giu');
+}
+
+class Dictionary {
+  constructor() {
+    this.filePath = path.resolve(config.dictionary.path);
+    this.fileEntries = null; // Entradas de dictionary/terms.json (null = sin leer)
+    this.customEntries = []; // Entradas de SQLite
+    this.entries = []; // Unión por término
+    this.all = new Map(); // variante o término (sin tildes) -> término
+    this.errors = new Map(); // error o término (sin tildes) -> término
+    this.allRule = null;
+    this.errorsRule = null;
+    this.version = 0; // Aumenta cada vez que cambian las entradas
+  }
+
+  /**
+   * Leer el archivo de entradas base (tras editarlo se usa reload())
+   */
+  load(filePath = this.filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(data.terms)) {
+      throw new Error(`${filePath} no tiene una lista "terms"`);
+    }
+    const invalid = data.terms.map(entry => this.validate(entry)).find(Boolean);
+    if (invalid) {
+      throw new Error(`${filePath}: ${invalid}`);
+    }
+
+    this.filePath = filePath;
+    this.fileEntries = data.terms.map(entry => ({ ...this._clean(entry), source: 'archivo' }));
+    this._compile();
+    logger.info(`📖 Diccionario: ${this.fileEntries.length} términos desde ${filePath}`);
+    return this;
+  }
+
+  _ensureLoaded() {
+    if (this.fileEntries) {
+      return;
+    }
+    try {
+      this.load();
+    } catch (error) {
+      logger.error(`❌ No se pudo leer el diccionario ${this.filePath}`, error.message);
+      this.fileEntries = [];
+      this._compile();
+    }
+  }
+
+  /**
+   * Cargar las entradas agregadas desde administración (después de db.initialize)
+   */
+  async initialize() {
+    this._ensureLoaded();
+    await this._loadCustom();
+  }
+
+  /**
+   * Volver a leer el archivo y la tabla sin reiniciar
+   */
+  async reload() {
+    this.load();
+    await this._loadCustom();
+    return this.getStats();
+  }
+
+  async _loadCustom() {
+    const db = require('../db');
+    if (!db.db) {
+      return;
+    }
+    const rows = await db.all('SELECT * FROM dictionary_entries ORDER BY id');
+    this.customEntries = rows.map(row => ({
+      id: row.id,
+      term: row.term,
+      kind: row.kind,
+      synonyms: JSON.parse(row.synonyms || '[]'),
+      regional: JSON.parse(row.regional || '[]'),
+      misspellings: JSON.parse(row.misspellings || '[]'),
+      source: 'admin',
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+    this._ensureLoaded();
+    this._compile();
+  }
+
+  /**
+   * Error de una entrada (null si es válida)
+   * 
+   * @param {object} entry - { term, kind, synonyms, regional, misspellings }
+   * @returns {string|null}
+   */
+  validate(entry) {
+    if (!entry || typeof entry.term !== 'string' || !fold(entry.term) || entry.term.length > MAX_TERM_LENGTH) {
+      return `term es requerido (hasta ${MAX_TERM_LENGTH} caracteres)`;
+    }
+    if (!KINDS.includes(entry.kind)) {
+      return `kind debe ser una de: ${KINDS.join(', ')} ("${entry.term}")`;
+    }
+    for (const list of LISTS) {
+      const values = entry[list] === undefined ? [] : entry[list];
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || !fold(value))) {
+        return `${list} debe ser una lista de textos ("${entry.term}")`;
+      }
+    }
+    if (LISTS.every(list => !entry[list] || entry[list].length === 0)) {
+      return `"${entry.term}" necesita al menos una variante (synonyms, regional o misspellings)`;
+    }
+    return null;
+  }
+
+  _clean(entry) {
+    const clean = { term: fold(entry.term), kind: entry.kind };
+    for (const list of LISTS) {
+      clean[list] = Array.from(new Set((entry[list] || []).map(fold))).filter(value => value !== clean.term);
+    }
+    return clean;
+  }
+
+  _compile() {
+    const byTerm = new Map();
+    const all = new Map();
+    const errors = new Map();
+
+    for (const entry of [...(this.fileEntries || []), ...this.customEntries]) {
+      const merged = byTerm.get(entry.term) || { term: entry.term, kind: entry.kind, synonyms: [], regional: [], misspellings: [] };
+      for (const list of LISTS) {
+        merged[list] = Array.from(new Set([...merged[list], ...entry[list]]));
+      }
+      byTerm.set(entry.term, merged);
+
+      all.set(entry.term, entry.term);
+      errors.set(entry.term, entry.term);
+      for (const list of LISTS) {
+        for (const variant of entry[list]) {
+          const previous = all.get(variant);
+          if (previous && previous !== entry.term) {
+            logger.warn(`📖 Diccionario: "${variant}" estaba en "${previous}" y pasa a "${entry.term}"`);
+          }
+          all.set(variant, entry.term);
+          if (list === 'misspellings') {
+            errors.set(variant, entry.term);
+          }
+        }
+      }
+    }
+
+    this.entries = Array.from(byTerm.values());
+    this.all = all;
+    this.errors = errors;
+    this.allRule = compileRule(all);
+    this.errorsRule = compileRule(errors);
+    this.version++;
+  }
+
+  /**
+   * Reemplazar en un texto las variantes por su término canónico
+   * 
+   * @param {string} text
+   * @param {object} [options]
+   * @param {boolean} [options.misspellingsOnly] - Solo errores (no sinónimos ni regionales)
+   * @returns {string}
+   */
+  correct(text, { misspellingsOnly = false } = {}) {
+    this._ensureLoaded();
+    const rule = misspellingsOnly ? this.errorsRule : this.allRule;
+    const targets = misspellingsOnly ? this.errors : this.all;
+    if (!text || !rule) {
+      return text;
+    }
+    return text.replace(rule, (match, lead, found) => `${lead}${targets.get(fold(found)) || found}`);
+  }
+
+  /**
+   * Término canónico de una palabra o frase (null si no está en el diccionario)
+   */
+  canonical(word) {
+    this._ensureLoaded();
+    return this.all.get(fold(word)) || null;
+  }
+
+  /**
+   * Términos del diccionario que se mencionan en un texto
+   * 
+   * @returns {Array<{term: string, kind: string, variant: string}>}
+   */
+  find(text) {
+    this._ensureLoaded();
+    if (!text || !this.allRule) {
+      return [];
+    }
+    const found = new Map();
+    for (const match of String(text).matchAll(this.allRule)) {
+      const term = this.all.get(fold(match[2]));
+      if (term && !found.has(term)) {
+        const entry = this.entries.find(item => item.term === term);
+        found.set(term, { term, kind: entry.kind, variant: fold(match[2]) });
+      }
+    }
+    return Array.from(found.values());
+  }
+
+  /**
+   * { término: [variantes] } para productSearch.setSynonyms
+   */
+  synonymGroups() {
+    this._ensureLoaded();
+    return Object.fromEntries(this.entries.map(entry => [entry.term, LISTS.flatMap(list => entry[list])]));
+  }
+
+  /**
+   * Ejemplos de errores para los prompts: '"lapto" en vez de "laptop", "maus" en vez de "mouse"'
+   */
+  promptExamples(limit = 4) {
+    this._ensureLoaded();
+    return this.entries
+      .filter(entry => entry.misspellings.length > 0)
+      .slice(0, limit)
+      .map(entry => `"${entry.misspellings[0]}" en vez de "${entry.term}"`)
+      .join(', ');
+  }
+
+  /**
+   * Entradas tal como se cargaron (archivo y administración)
+   */
+  list() {
+    this._ensureLoaded();
+    return [...this.fileEntries, ...this.customEntries];
+  }
+
+  /**
+   * Agregar una entrada (SQLite) y aplicarla de inmediato
+   * 
+   * @param {object} entry - { term, kind, synonyms, regional, misspellings } (ver validate)
+   * @param {string} [createdBy] - Quién la agregó
+   * @returns {Promise<object>} Entrada guardada con su id
+   */
+  async addEntry(entry, createdBy = null) {
+    const invalid = this.validate(entry);
+    if (invalid) {
+      throw new Error(invalid);
+    }
+    const db = require('../db');
+    const clean = this._clean(entry);
+    const result = await db.run(
+      'INSERT INTO dictionary_entries (term, kind, synonyms, regional, misspellings, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [clean.term, clean.kind, JSON.stringify(clean.synonyms), JSON.stringify(clean.regional), JSON.stringify(clean.misspellings), createdBy]
+    );
+    await this._loadCustom();
+    return this.customEntries.find(item => item.id === result.id);
+  }
+
+  /**
+   * Quitar una entrada agregada desde administración
+   * 
+   * @returns {Promise<boolean>} false si no existe
+   */
+  async removeEntry(id) {
+    const db = require('../db');
+    const result = await db.run('DELETE FROM dictionary_entries WHERE id = ?', [id]);
+    if (!result.changes) {
+      return false;
+    }
+    await this._loadCustom();
+    return true;
+  }
+
+  getStats() {
+    this._ensureLoaded();
+    return {
+      file: this.filePath,
+      terms: this.entries.length,
+      variants: this.all.size - this.entries.length,
+      fromFile: this.fileEntries.length,
+      fromAdmin: this.customEntries.length
+    };
+  }
+}
+
+module.exports = new Dictionary();
@@ -8,6 +8,7 @@ class Logger {
     this.timezone = config.bot.timezone;
     this.logFile = path.join(__dirname, '..', '..', 'logs', 'bot.log');
     this.errorLogFile = path.join(__dirname, '..', '..', 'logs', 'errors.log');
+    this.silent = config.logging.silent;
     
     // Crear directorio de logs si no existe
     const logsDir = path.dirname(this.logFile);
@@ -45,12 +46,18 @@ class Logger {
   }
 
   info(message, data = null) {
+    if (this.silent) {
+      return;
+    }
     const logMessage = this._formatMessage('INFO', message, data);
     console.log(logMessage);
     this._writeToFile(this.logFile, logMessage);
   }
 
   error(message, error = null) {
+    if (this.silent) {
+      return;
+    }
     const errorData = error ? {
       message: error.message,
       stack: error.stack,
@@ -63,12 +70,18 @@ class Logger {
   }
 
   warn(message, data = null) {
+    if (this.silent) {
+      return;
+    }
     const logMessage = this._formatMessage('WARN', message, data);
     console.warn(logMessage);
     this._writeToFile(this.logFile, logMessage);
   }
 
   debug(message, data = null) {
+    if (this.silent) {
+      return;
+    }
     if (config.nodeEnv === 'development') {
       const logMessage = this._formatMessage('DEBUG', message, data);
       console.log(logMessage);
@@ -77,6 +90,9 @@ class Logger {
   }
 
   success(message, data = null) {
+    if (this.silent) {
+      return;
+    }
     const logMessage = this._formatMessage('✅ SUCCESS', message, data);
     console.log(logMessage);
     this._writeToFile(this.logFile, logMessage);
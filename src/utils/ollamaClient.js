@@ -1,6 +1,7 @@
 const axios = require('axios');
 const logger = require('./logger');
 const config = require('../../config/config');
+const { extractJSON, JSON_INSTRUCTION } = require('../core/ai/providers/baseProvider');
 
 class OllamaClient {
   constructor() {
@@ -25,29 +26,47 @@ class OllamaClient {
     }
   }
 
+  /**
+   * Cuerpo de /api/generate (options.model reemplaza al modelo por defecto)
+   */
+  _buildRequest(prompt, systemPrompt, options, stream) {
+    const requestBody = {
+      model: options.model || this.model,
+      prompt: prompt,
+      stream,
+      options: {
+        temperature: options.temperature || this.temperature,
+        top_p: options.top_p || 0.9,
+        top_k: options.top_k || 40
+      }
+    };
+
+    if (options.max_tokens) {
+      requestBody.options.num_predict = options.max_tokens;
+    }
+
+    // "json" o un JSON Schema: Ollama restringe la salida a ese formato
+    if (options.format) {
+      requestBody.format = options.format;
+    }
+
+    if (systemPrompt) {
+      requestBody.system = systemPrompt;
+    }
+
+    return requestBody;
+  }
+
   /**
    * Generar respuesta usando Ollama
    */
   async generate(prompt, systemPrompt = null, options = {}) {
     const attempt = async (tryNum) => {
       try {
-      const requestBody = {
-        model: this.model,
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: options.temperature || this.temperature,
-          top_p: options.top_p || 0.9,
-          top_k: options.top_k || 40
-        }
-      };
-
-      if (systemPrompt) {
-        requestBody.system = systemPrompt;
-      }
+      const requestBody = this._buildRequest(prompt, systemPrompt, options, false);
 
       logger.debug('Enviando solicitud a Ollama', {
-        model: this.model,
+        model: requestBody.model,
         promptLength: prompt.length,
         hasSystemPrompt: !!systemPrompt
       });
@@ -101,72 +120,61 @@ class OllamaClient {
   }
 
   /**
-   * Generar respuesta en formato JSON
+   * Generar respuesta por fragmentos (/api/generate con stream: true, NDJSON)
+   * 
+   * @returns {AsyncGenerator<string>} Fragmentos de texto en orden
    */
-  async generateJSON(prompt, systemPrompt = null, options = {}) {
+  async *stream(prompt, systemPrompt = null, options = {}) {
+    let response;
     try {
-      const jsonPrompt = `${prompt}\n\nResponde SOLO con un JSON válido, sin texto adicional.`;
-      const response = await this.generate(jsonPrompt, systemPrompt, options);
-      
-      if (!response || typeof response !== 'string') {
-        throw new Error('Respuesta vacía o inválida de Ollama');
-      }
-      
-      // Intentar extraer JSON de la respuesta (múltiples intentos)
-      let jsonData = null;
-      
-      // Intento 1: Buscar JSON entre llaves
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          jsonData = JSON.parse(jsonMatch[0]);
-          logger.debug('✅ JSON parseado exitosamente (método 1: match)');
-          return jsonData;
-        } catch (parseError) {
-          logger.warn('Error al parsear JSON del match, intentando otros métodos', parseError.message);
+      response = await axios.post(
+        `${this.baseUrl}/api/generate`,
+        this._buildRequest(prompt, systemPrompt, options, true),
+        {
+          timeout: options.timeout || this.timeout,
+          responseType: 'stream',
+          headers: {
+            'Content-Type': 'application/json'
+          }
         }
+      );
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        throw new Error('Ollama no está disponible. Por favor, inicia el servicio.');
       }
-      
-      // Intento 2: Buscar JSON entre corchetes (array)
-      const arrayMatch = response.match(/\[[\s\S]*\]/);
-      if (arrayMatch) {
-        try {
-          jsonData = JSON.parse(arrayMatch[0]);
-          logger.debug('✅ JSON parseado exitosamente (método 2: array)');
-          return jsonData;
-        } catch (parseError) {
-          logger.warn('Error al parsear JSON del array, intentando método directo', parseError.message);
+      throw error;
+    }
+
+    let buffer = '';
+    for await (const data of response.data) {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines.filter(l => l.trim())) {
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+          throw new Error(`Error de Ollama: ${chunk.error}`);
+        }
+        if (chunk.response) {
+          yield chunk.response;
+        }
+        if (chunk.done) {
+          return;
         }
       }
-      
-      // Intento 3: Limpiar respuesta y parsear directamente
-      try {
-        // Remover markdown code blocks si existen
-        let cleanedResponse = response.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-        // Remover texto antes del primer { o [
-        cleanedResponse = cleanedResponse.replace(/^[^{[]*/, '');
-        // Remover texto después del último } o ]
-        cleanedResponse = cleanedResponse.replace(/[^}\]]*$/, '');
-        
-        jsonData = JSON.parse(cleanedResponse);
-        logger.debug('✅ JSON parseado exitosamente (método 3: limpieza)');
-        return jsonData;
-      } catch (parseError) {
-        logger.warn('Error al parsear JSON limpio, intentando parse directo', parseError.message);
-      }
-      
-      // Intento 4: Parsear directamente
-      try {
-        jsonData = JSON.parse(response.trim());
-        logger.debug('✅ JSON parseado exitosamente (método 4: directo)');
-        return jsonData;
-      } catch (parseError) {
-        logger.error('Error al parsear JSON directamente', {
-          error: parseError.message,
-          responsePreview: response.substring(0, 200)
-        });
-        throw new Error(`No se pudo parsear JSON: ${parseError.message}`);
-      }
+    }
+  }
+
+  /**
+   * Generar respuesta en formato JSON
+   * 
+   * Sin validación: para respuestas con esquema usar core/ai/structuredOutput
+   */
+  async generateJSON(prompt, systemPrompt = null, options = {}) {
+    try {
+      const response = await this.generate(`${prompt}${JSON_INSTRUCTION}`, systemPrompt, options);
+      return extractJSON(response);
     } catch (error) {
       logger.error('Error al parsear JSON de Ollama', {
         error: error.message,
@@ -188,9 +196,9 @@ class OllamaClient {
   }
 
   /**
-   * Verificar si el modelo está disponible
+   * Verificar si el modelo está disponible (por defecto el configurado)
    */
-  async checkModel() {
+  async checkModel(model = this.model) {
     try {
       const response = await axios.get(`${this.baseUrl}/api/tags`, {
         timeout: 2000
@@ -198,11 +206,11 @@ class OllamaClient {
       
       if (response.data && response.data.models) {
         const modelExists = response.data.models.some(
-          m => m.name === this.model || m.name.startsWith(this.model)
+          m => m.name === model || m.name.startsWith(model)
         );
         
         if (!modelExists) {
-          logger.warn(`Modelo ${this.model} no encontrado. Ejecuta: ollama pull ${this.model}`);
+          logger.warn(`Modelo ${model} no encontrado. Ejecuta: ollama pull ${model}`);
           return false;
         }
         
@@ -1,6 +1,4 @@
 const logger = require('./logger');
-const { normalizeQuery } = require('./textCorrector');
-const { computePhoneticKey } = require('./phonetics');
 
 /**
  * Cache simple en memoria para productos
@@ -10,10 +8,12 @@ class ProductCache {
     this.cache = new Map();
     this.maxAge = 5 * 60 * 1000; // 5 minutos
     this.maxSize = 1000; // Máximo 1000 entradas
-    this.tokenIndex = new Map(); // token -> Set(productId)
-    this.phoneticIndex = new Map(); // soundex -> Set(productId)
     this.productsById = new Map(); // id -> producto
     this.categoryIndex = new Map(); // category/slug -> Set(productId)
+    this.version = 0; // Aumenta cada vez que se reindexa el catálogo
+    this.indexedAt = null;
+    this.fetchedAt = null; // Último intento de loadCatalog (aunque fallara)
+    this.loading = null;
   }
 
   /**
@@ -50,36 +50,18 @@ class ProductCache {
   }
 
   /**
-   * Indexar un listado de productos para búsquedas por tokens y fonética
+   * Guardar el listado de productos del catálogo (por id y por categoría)
+   * 
+   * La búsqueda por texto se hace con utils/productSearch, que se reconstruye
+   * cuando cambia version.
    */
-  indexProducts(productos, { normalize, soundex } = {}) {
+  indexProducts(productos) {
     try {
-      // Reiniciar índices
-      this.tokenIndex.clear();
-      this.phoneticIndex.clear();
       this.productsById.clear();
       this.categoryIndex.clear();
       for (const p of productos || []) {
         if (!p || !p.id || !p.nombre) continue;
         this.productsById.set(p.id, p);
-        const normalized = typeof normalize === 'function'
-          ? normalize(p.nombre)
-          : normalizeQuery(p.nombre);
-        const name = normalized || (p.nombre || '').toLowerCase();
-        const tokens = name.split(/\s+/).filter(Boolean);
-        for (const t of tokens) {
-          const set = this.tokenIndex.get(t) || new Set();
-          set.add(p.id);
-          this.tokenIndex.set(t, set);
-        }
-        if (typeof soundex === 'function') {
-          const ph = soundex(name);
-          if (ph) {
-            const setp = this.phoneticIndex.get(ph) || new Set();
-            setp.add(p.id);
-            this.phoneticIndex.set(ph, setp);
-          }
-        }
         // Índice por categoría si existe
         const cat = (p.categoria_slug || p.categoria || p.category || '').toString().toLowerCase().trim();
         if (cat) {
@@ -87,37 +69,57 @@ class ProductCache {
           setc.add(p.id);
           this.categoryIndex.set(cat, setc);
         }
-        // Guardar clave fonética por si se requiere
-        p._normalizedName = name;
-        p._phoneticKey = computePhoneticKey(name);
       }
+      this.version++;
+      this.indexedAt = Date.now();
     } catch (e) {
       logger.warn('No se pudo indexar productos', e.message);
     }
   }
 
   /**
-   * Buscar candidatos por token o fonética
+   * Traer el catálogo activo de KARDEX e indexarlo si nunca se cargó o ya venció
+   * 
+   * Si KARDEX no responde se conserva el catálogo anterior y no se vuelve a
+   * intentar hasta que pase maxAgeMs.
+   * 
+   * @param {object} [options]
+   * @param {boolean} [options.force] - Pedirlo aunque no haya vencido
+   * @param {number} [options.maxAgeMs] - Antigüedad máxima del catálogo (por defecto maxAge)
+   * @returns {Promise<Array<object>>} Productos indexados
    */
-  findCandidates(query, { normalize, soundex, limit = 20 } = {}) {
-    const q = typeof normalize === 'function' ? normalize(query) : normalizeQuery(query);
-    const tokens = q.split(/\s+/).filter(Boolean);
-    const ids = new Set();
-    for (const t of tokens) {
-      const set = this.tokenIndex.get(t);
-      if (set) set.forEach(id => ids.add(id));
+  async loadCatalog({ force = false, maxAgeMs = this.maxAge } = {}) {
+    const loadedAt = Math.max(this.indexedAt || 0, this.fetchedAt || 0);
+    if (force || !loadedAt || Date.now() - loadedAt >= maxAgeMs) {
+      if (!this.loading) {
+        this.loading = this._fetchCatalog().finally(() => {
+          this.loading = null;
+        });
+      }
+      await this.loading;
     }
-    if (typeof soundex === 'function') {
-      const ph = soundex(q);
-      const setp = this.phoneticIndex.get(ph);
-      if (setp) setp.forEach(id => ids.add(id));
+    return this.getAll();
+  }
+
+  async _fetchCatalog() {
+    try {
+      const kardexApi = require('../kardexApi');
+      const productos = await kardexApi.getProductos({ activo: true, limit: 1000 });
+      if (Array.isArray(productos) && productos.length > 0) {
+        this.indexProducts(productos);
+      }
+    } catch (e) {
+      logger.warn('No se pudo cargar el catálogo de productos', e.message);
+    } finally {
+      this.fetchedAt = Date.now();
     }
-    const results = [];
-    ids.forEach(id => {
-      const p = this.productsById.get(id);
-      if (p) results.push(p);
-    });
-    return results.slice(0, limit);
+  }
+
+  /**
+   * Productos del último catálogo indexado
+   */
+  getAll() {
+    return Array.from(this.productsById.values());
   }
 
   /**
@@ -162,10 +164,15 @@ class ProductCache {
   }
 
   /**
-   * Limpiar todo el cache
+   * Limpiar todo el cache (incluido el catálogo indexado)
    */
   clear() {
     this.cache.clear();
+    this.productsById.clear();
+    this.categoryIndex.clear();
+    this.version++;
+    this.indexedAt = null;
+    this.fetchedAt = null;
   }
 
   /**
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const logger = require('./logger');
+const productCache = require('./productCache');
+
+/**
+ * Búsqueda semántica de productos con embeddings locales
+ * 
+ * Cada producto del catálogo (nombre, marca, categoría y descripción) se
+ * convierte en un vector con un modelo feature-extraction de transformers.js
+ * (@xenova/transformers, ONNX en SEMANTIC_MODELS_DIR/<modelo>/) y la consulta se
+ * compara por similitud coseno. Así "algo para limpiar el piso" encuentra un
+ * limpiador aunque no comparta palabras con el nombre.
+ * 
+ * Los vectores se guardan en disco (config.semanticSearch.indexPath) con un hash
+ * del texto de cada producto: cuando productCache se reindexa solo se calculan
+ * los productos nuevos o modificados y se quitan los que ya no están.
+ * 
+ * Una búsqueda no espera a que el índice se ponga al día: usa el que ya está
+ * construido y lo actualiza en segundo plano. Solo la primera construcción (con
+ * la carga del modelo) se espera, y como mucho searchTimeoutMs.
+ * 
+ * Si el modelo no se puede cargar o el índice no está listo a tiempo, search()
+ * devuelve [] y la búsqueda sigue siendo solo léxica (utils/productSearch).
+ * 
+ * @module utils/productEmbeddings
+ */
+
+const INDEX_VERSION = 1;
+const RETRY_MS = 5 * 60 * 1000; // Tras una falla al cargar el modelo no se reintenta antes
+
+/**
+ * Texto del producto que se convierte en vector
+ */
+function productText(producto) {
+  return [
+    producto.nombre,
+    producto.marca || producto.marca_nombre,
+    producto.categoria_nombre || producto.categoria || producto.category,
+    producto.descripcion
+  ].filter(value => value && String(value).trim()).map(value => String(value).trim()).join('. ');
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+}
+
+/**
+ * Similitud coseno (los vectores ya vienen normalizados: basta el producto punto)
+ */
+function cosine(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+class ProductEmbeddings {
+  constructor() {
+    this.extractor = null;
+    this.starting = null;
+    this.failedAt = null;
+    this.lastError = null;
+    this.entries = new Map(); // id -> { hash, vector }
+    this.productos = new Map(); // id -> producto del catálogo
+    this.loaded = false; // Índice leído de disco
+    this.version = -1; // productCache.version sincronizada
+    this.syncing = null;
+    this.indexPath = path.resolve(__dirname, '..', '..', config.semanticSearch.indexPath);
+  }
+
+  /**
+   * Cargar el modelo de embeddings (una sola vez)
+   */
+  start() {
+    if (this.extractor) {
+      return Promise.resolve(this.extractor);
+    }
+    if (this.failedAt && Date.now() - this.failedAt < RETRY_MS) {
+      return Promise.reject(this.lastError);
+    }
+    if (!this.starting) {
+      const { model, modelDir, allowRemote, quantized } = config.semanticSearch;
+      logger.info(`🧠 Cargando modelo de embeddings ${model} desde ${path.resolve(modelDir)}`);
+      this.starting = this._createExtractor(model, { modelDir: path.resolve(modelDir), allowRemote, quantized })
+        .then(extractor => {
+          this.extractor = extractor;
+          this.failedAt = null;
+          logger.success(`✅ Modelo de embeddings ${model} cargado`);
+          return extractor;
+        })
+        .catch(error => {
+          this.failedAt = Date.now();
+          this.lastError = error;
+          logger.warn(`⚠️ Búsqueda semántica desactivada: no se pudo cargar ${model}`, error.message);
+          throw error;
+        })
+        .finally(() => {
+          this.starting = null;
+        });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Crear el pipeline (paquete ESM: se carga con import dinámico)
+   */
+  async _createExtractor(model, { modelDir, allowRemote, quantized }) {
+    const { pipeline, env } = await import('@xenova/transformers');
+    env.localModelPath = modelDir;
+    env.allowLocalModels = true;
+    env.allowRemoteModels = allowRemote;
+    env.cacheDir = modelDir;
+    return pipeline('feature-extraction', model, { quantized });
+  }
+
+  /**
+   * Vectores normalizados de varios textos
+   * 
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Float32Array>>}
+   */
+  async embed(texts) {
+    const extractor = await this.start();
+    const vectors = [];
+    const { batchSize } = config.semanticSearch;
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const output = await extractor(texts.slice(i, i + batchSize), { pooling: 'mean', normalize: true });
+      for (const vector of output.tolist()) {
+        vectors.push(Float32Array.from(vector));
+      }
+    }
+    return vectors;
+  }
+
+  /**
+   * Poner el índice al día con el catálogo de productCache
+   * 
+   * @param {object} [options]
+   * @param {boolean} [options.force] - Volver a pedir el catálogo aunque no haya vencido
+   */
+  async refresh({ force = false } = {}) {
+    await productCache.loadCatalog({ force });
+    if (this.version === productCache.version) {
+      return;
+    }
+    if (!this.syncing) {
+      this.syncing = this._sync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    await this.syncing;
+  }
+
+  async _sync() {
+    const version = productCache.version;
+    const productos = productCache.getAll();
+    await this._loadFromDisk();
+    if (productos.length === 0) {
+      return; // Sin catálogo no se borra lo que hay en disco
+    }
+
+    const current = new Map(productos.map(producto => {
+      const text = productText(producto);
+      return [String(producto.id), { producto, text, hash: hashText(text) }];
+    }));
+
+    let removed = 0;
+    for (const id of this.entries.keys()) {
+      if (!current.has(id)) {
+        this.entries.delete(id);
+        removed++;
+      }
+    }
+
+    const pending = Array.from(current.entries())
+      .filter(([id, item]) => this.entries.get(id)?.hash !== item.hash);
+    if (pending.length > 0) {
+      const vectors = await this.embed(pending.map(([, item]) => item.text));
+      pending.forEach(([id, item], i) => {
+        this.entries.set(id, { hash: item.hash, vector: vectors[i] });
+      });
+    }
+
+    this.productos = new Map(Array.from(current.entries()).map(([id, item]) => [id, item.producto]));
+    this.version = version;
+
+    if (pending.length > 0 || removed > 0) {
+      await this._save();
+      logger.info(`🧠 Índice semántico: ${pending.length} calculados, ${removed} quitados, ${this.entries.size} productos`);
+    }
+  }
+
+  async _loadFromDisk() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.indexPath, 'utf8'));
+      if (data.version !== INDEX_VERSION || data.model !== config.semanticSearch.model) {
+        logger.info(`🧠 Índice semántico de otro modelo (${data.model}), se recalcula`);
+        return;
+      }
+      for (const [id, entry] of Object.entries(data.items || {})) {
+        this.entries.set(id, { hash: entry.hash, vector: decodeVector(entry.vector) });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`⚠️ No se pudo leer el índice semántico ${this.indexPath}`, error.message);
+      }
+    }
+  }
+
+  async _save() {
+    const items = {};
+    for (const [id, entry] of this.entries) {
+      items[id] = { hash: entry.hash, vector: encodeVector(entry.vector) };
+    }
+    const data = { version: INDEX_VERSION, model: config.semanticSearch.model, updatedAt: new Date().toISOString(), items };
+    try {
+      await fs.promises.mkdir(path.dirname(this.indexPath), { recursive: true });
+      // Escribir aparte y renombrar: un corte a mitad no deja el índice roto
+      const temp = `${this.indexPath}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(data));
+      await fs.promises.rename(temp, this.indexPath);
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo guardar el índice semántico ${this.indexPath}`, error.message);
+    }
+  }
+
+  /**
+   * Productos más parecidos en significado a la consulta
+   * 
+   * @param {string} query
+   * @param {object} [options]
+   * @param {number} [options.limit=10]
+   * @param {number} [options.minSimilarity] - Similitud coseno mínima (por defecto config.semanticSearch.minSimilarity)
+   * @returns {Promise<Array<{producto: object, similarity: number}>>} [] si está desactivada, el modelo no cargó o el índice no estuvo a tiempo
+   */
+  async search(query, { limit = 10, minSimilarity = config.semanticSearch.minSimilarity } = {}) {
+    if (!config.semanticSearch.enabled || !query || !String(query).trim()) {
+      return [];
+    }
+    let timeoutId = null;
+    try {
+      // Con el índice ya construido se busca en él y se actualiza en segundo plano
+      let ready;
+      if (this.version >= 0) {
+        this.refresh().catch(error => logger.debug('No se pudo actualizar el índice semántico', error.message));
+        ready = Promise.resolve();
+      } else {
+        ready = this.refresh();
+      }
+      const searchPromise = ready.then(() => this._rank(String(query).trim(), limit, minSimilarity));
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(
+          () => reject(new Error(`Índice semántico no listo en ${config.semanticSearch.searchTimeoutMs} ms`)),
+          config.semanticSearch.searchTimeoutMs
+        );
+      });
+      return await Promise.race([searchPromise, timeoutPromise]);
+    } catch (error) {
+      logger.debug('Búsqueda semántica no disponible', error.message);
+      return [];
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async _rank(query, limit, minSimilarity) {
+    const [vector] = await this.embed([query]);
+    const results = [];
+    for (const [id, entry] of this.entries) {
+      const producto = this.productos.get(id);
+      const similarity = producto ? cosine(vector, entry.vector) : 0;
+      if (producto && similarity >= minSimilarity) {
+        results.push({ producto, similarity: Math.round(similarity * 1000) / 1000 });
+      }
+    }
+    return results.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+
+  /**
+   * Olvidar el índice en memoria (se vuelve a leer de disco en la próxima búsqueda)
+   */
+  reset() {
+    this.entries.clear();
+    this.productos.clear();
+    this.loaded = false;
+    this.version = -1;
+  }
+
+  /**
+   * Estado del índice (para /admin/status)
+   */
+  getStats() {
+    return {
+      enabled: config.semanticSearch.enabled,
+      model: config.semanticSearch.model,
+      ready: Boolean(this.extractor),
+      products: this.entries.size,
+      lastError: this.failedAt ? this.lastError?.message || null : null
+    };
+  }
+}
+
+module.exports = new ProductEmbeddings();
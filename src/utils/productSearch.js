@@ -0,0 +1,492 @@
+const logger = require('./logger');
+const productCache = require('./productCache');
+const dictionary = require('./dictionary');
+const { removeStopwords } = require('./textCorrector');
+const { soundexEs, jaroWinkler } = require('./phonetics');
+
+/**
+ * Índice de búsqueda de productos en memoria
+ * 
+ * Un solo ranking para todas las búsquedas del bot (basicBot, aiProcessor,
+ * productExtractorAI, productMatcher, queryExecutor, databaseManager...):
+ * - términos sin tildes, sin stopwords y con el plural recortado ("arroces" -> "arroz")
+ * - cada palabra de la consulta se expande a sinónimos (utils/dictionary), prefijos, términos a
+ *   distancia de edición 1-2 (candidatos por trigramas) y términos con el mismo soundexEs
+ * - puntaje BM25 por campo (nombre, marca, códigos, categoría, descripción),
+ *   multiplicado por el peso del tipo de coincidencia
+ * 
+ * Cada resultado trae relevance (0-1: qué tanto de la consulta se encontró y
+ * qué tan exacto) y matches, para entender por qué se eligió un producto
+ * (ver explain() y GET /admin/search).
+ * 
+ * El índice del catálogo se arma con los productos de productCache y se
+ * reconstruye cuando productCache se reindexa.
+ * 
+ * @module utils/productSearch
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Peso de cada campo en el puntaje y en la relevancia
+const FIELDS = {
+  nombre: 1,
+  marca: 0.8,
+  codigo: 1,
+  categoria: 0.5,
+  descripcion: 0.35
+};
+
+// Peso de cada tipo de coincidencia
+const KINDS = {
+  exacta: 1,
+  sinonimo: 0.9,
+  prefijo: 0.75,
+  difusa: 0.7, // Se resta 0.15 por cada edición adicional
+  fonetica: 0.6
+};
+
+const MAX_EXPANSIONS = 12; // Términos del índice por palabra de la consulta
+
+/**
+ * Texto sin tildes ni símbolos, en minúsculas
+ */
+function fold(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9.\s]/g, ' ')
+    .replace(/(^|\s)\.+|\.+(\s|$)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Recortar el plural: "arroces" -> "arroz", "panes" -> "pan", "colas" -> "cola"
+ */
+function stem(token) {
+  if (token.length <= 3 || /\d/.test(token)) {
+    return token;
+  }
+  if (token.endsWith('ces')) {
+    return `${token.slice(0, -3)}z`;
+  }
+  if (/[lnrd]es$/.test(token) && token.length > 4) {
+    return token.slice(0, -2);
+  }
+  if (token.endsWith('s') && !token.endsWith('ss')) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+/**
+ * Código sin separadores: "ABA-002" -> "aba002"
+ */
+function compact(text) {
+  return fold(text).replace(/[\s.]/g, '');
+}
+
+/**
+ * Términos indexables de un texto
+ */
+function tokenize(text) {
+  return removeStopwords(fold(text).split(' ').filter(Boolean)).map(stem);
+}
+
+function trigrams(term) {
+  const padded = `^${term}$`;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Distancia de Levenshtein con corte: devuelve max + 1 si se pasa
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Índice sobre un listado de productos
+ */
+class SearchIndex {
+  constructor(productos = []) {
+    this.docs = [];
+    this.postings = new Map(); // término -> Map(doc -> { campo: frecuencia })
+    this.fieldLengths = Object.fromEntries(Object.keys(FIELDS).map(field => [field, 0]));
+    this.byTrigram = new Map(); // trigrama -> Set(término)
+    this.bySoundex = new Map(); // soundexEs -> Set(término)
+
+    for (const producto of productos) {
+      if (producto && producto.nombre) {
+        this._add(producto);
+      }
+    }
+    for (const field of Object.keys(FIELDS)) {
+      this.fieldLengths[field] = this.docs.length > 0 ? this.fieldLengths[field] / this.docs.length : 0;
+    }
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  _add(producto) {
+    const fields = {
+      nombre: tokenize(producto.nombre),
+      marca: tokenize(producto.marca || producto.marca_nombre),
+      codigo: [producto.codigo_interno, producto.codigo_barras].filter(Boolean).map(compact),
+      categoria: tokenize(producto.categoria_nombre || producto.categoria || producto.category),
+      descripcion: tokenize(producto.descripcion)
+    };
+    const doc = this.docs.length;
+    const lengths = {};
+
+    for (const [field, terms] of Object.entries(fields)) {
+      lengths[field] = terms.length;
+      this.fieldLengths[field] += terms.length;
+      for (const term of terms) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+          this._addVocabulary(term);
+        }
+        const entry = this.postings.get(term);
+        const frequencies = entry.get(doc) || {};
+        frequencies[field] = (frequencies[field] || 0) + 1;
+        entry.set(doc, frequencies);
+      }
+    }
+
+    this.docs.push({ producto, lengths, folded: fold(producto.nombre) });
+  }
+
+  _addVocabulary(term) {
+    for (const gram of trigrams(term)) {
+      if (!this.byTrigram.has(gram)) {
+        this.byTrigram.set(gram, new Set());
+      }
+      this.byTrigram.get(gram).add(term);
+    }
+    if (/^[a-z]/.test(term)) {
+      const code = soundexEs(term);
+      if (!this.bySoundex.has(code)) {
+        this.bySoundex.set(code, new Set());
+      }
+      this.bySoundex.get(code).add(term);
+    }
+  }
+
+  /**
+   * Términos del índice que pueden corresponder a una palabra de la consulta
+   * 
+   * @returns {Map<string, {kind: string, weight: number}>} término -> mejor coincidencia
+   */
+  expand(token, synonyms) {
+    const found = new Map();
+    const offer = (term, kind, weight) => {
+      if (this.postings.has(term) && (!found.has(term) || found.get(term).weight < weight)) {
+        found.set(term, { kind, weight });
+      }
+    };
+
+    offer(token, 'exacta', KINDS.exacta);
+    for (const synonym of synonyms.get(token) || []) {
+      offer(synonym, 'sinonimo', KINDS.sinonimo);
+    }
+    if (/\d/.test(token) || token.length < 3) {
+      return found;
+    }
+
+    // Prefijo ("arro" -> "arroz") y edición (candidatos que comparten un trigrama)
+    const maxEdits = token.length <= 5 ? 1 : 2;
+    const candidates = new Set();
+    for (const gram of trigrams(token)) {
+      for (const term of this.byTrigram.get(gram) || []) {
+        candidates.add(term);
+      }
+    }
+    for (const term of candidates) {
+      if (term === token) {
+        continue;
+      }
+      if (term.startsWith(token)) {
+        offer(term, 'prefijo', KINDS.prefijo);
+        continue;
+      }
+      if (token.length >= 4) {
+        const distance = editDistance(token, term, maxEdits);
+        if (distance <= maxEdits) {
+          offer(term, 'difusa', KINDS.difusa - 0.15 * (distance - 1));
+        }
+      }
+    }
+
+    // Mismo sonido ("cocacola" no, pero "seviche" -> "ceviche" sí)
+    if (token.length >= 4) {
+      for (const term of this.bySoundex.get(soundexEs(token)) || []) {
+        if (!found.has(term) && jaroWinkler(token, term) >= 0.8) {
+          offer(term, 'fonetica', KINDS.fonetica);
+        }
+      }
+    }
+
+    return new Map(Array.from(found.entries())
+      .sort((a, b) => b[1].weight - a[1].weight)
+      .slice(0, MAX_EXPANSIONS));
+  }
+
+  /**
+   * Buscar en el índice
+   * 
+   * @param {string} query
+   * @param {object} options - { limit, minRelevance, category, synonyms }
+   * @returns {Array<{producto: object, score: number, relevance: number, matches: Array<object>}>}
+   */
+  search(query, { limit = 10, minRelevance = 0, category = null, synonyms = new Map() } = {}) {
+    // Un código interno o de barras se busca entero
+    const code = compact(query);
+    const tokens = /\d/.test(code) && this.postings.has(code) ? [code] : Array.from(new Set(tokenize(query)));
+    if (tokens.length === 0 || this.docs.length === 0) {
+      return [];
+    }
+
+    const hits = new Map(); // doc -> { score, tokens: Map(token -> mejor coincidencia) }
+    for (const token of tokens) {
+      for (const [term, match] of this.expand(token, synonyms)) {
+        const postings = this.postings.get(term);
+        const idf = Math.log(1 + (this.docs.length - postings.size + 0.5) / (postings.size + 0.5));
+
+        for (const [doc, frequencies] of postings) {
+          const hit = hits.get(doc) || { score: 0, tokens: new Map() };
+          let best = null;
+          for (const [field, tf] of Object.entries(frequencies)) {
+            const length = this.docs[doc].lengths[field];
+            const average = this.fieldLengths[field] || 1;
+            const bm25 = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / average));
+            const contribution = bm25 * FIELDS[field] * match.weight;
+            if (!best || contribution > best.contribution) {
+              best = { token, term, field, kind: match.kind, weight: match.weight * FIELDS[field], contribution };
+            }
+          }
+          // Por cada palabra de la consulta cuenta solo su mejor coincidencia
+          const previous = hit.tokens.get(token);
+          if (!previous || best.contribution > previous.contribution) {
+            hit.score += best.contribution - (previous ? previous.contribution : 0);
+            hit.tokens.set(token, best);
+          }
+          hits.set(doc, hit);
+        }
+      }
+    }
+
+    const phrase = fold(query);
+    const categoryKey = category === null || category === undefined ? '' : String(category).toLowerCase().trim();
+    const results = [];
+    for (const [doc, hit] of hits) {
+      const { producto, folded } = this.docs[doc];
+      if (categoryKey && !this._inCategory(producto, categoryKey)) {
+        continue;
+      }
+      const matches = Array.from(hit.tokens.values());
+      let relevance = matches.reduce((sum, match) => sum + match.weight, 0) / tokens.length;
+      let score = hit.score;
+      // La consulta completa aparece tal cual en el nombre (desde el inicio de una palabra)
+      if (phrase.length >= 3 && ` ${folded}`.includes(` ${phrase}`)) {
+        score *= 1.25;
+        relevance = Math.max(relevance, 0.95);
+        matches.push({ token: phrase, term: phrase, field: 'nombre', kind: 'frase', weight: 1, contribution: 0 });
+      }
+      if (relevance < minRelevance) {
+        continue;
+      }
+      results.push({
+        producto,
+        score: Math.round(score * 1000) / 1000,
+        relevance: Math.round(Math.min(1, relevance) * 1000) / 1000,
+        matches: matches.map(({ contribution, ...match }) => ({ ...match, contribution: Math.round(contribution * 1000) / 1000 }))
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || b.relevance - a.relevance)
+      .slice(0, limit);
+  }
+
+  _inCategory(producto, key) {
+    return [producto.categoria_id, producto.categoria_slug, producto.categoria, producto.category, producto.categoria_nombre]
+      .some(value => value !== undefined && value !== null && String(value).toLowerCase().trim() === key);
+  }
+}
+
+class ProductSearch {
+  constructor() {
+    this.catalog = new SearchIndex();
+    this.version = -1; // productCache.version del índice del catálogo
+    this.synonyms = new Map();
+    this.dictionaryVersion = -1; // dictionary.version de los sinónimos
+  }
+
+  /**
+   * Reemplazar los sinónimos ({ palabra: [sinónimos] }, se aplican en ambas direcciones)
+   * 
+   * Solo palabras sueltas: las frases ("computadora portatil") las lleva a su
+   * término dictionary.correct() en los correctores de texto.
+   */
+  setSynonyms(map) {
+    const synonyms = new Map();
+    const link = (a, b) => {
+      if (a && b && a !== b) {
+        synonyms.set(a, Array.from(new Set([...(synonyms.get(a) || []), b])));
+      }
+    };
+    for (const [word, list] of Object.entries(map || {})) {
+      const term = stem(fold(word));
+      for (const synonym of [].concat(list)) {
+        const other = stem(fold(synonym));
+        if (/\s/.test(term) || /\s/.test(other)) {
+          continue;
+        }
+        link(term, other);
+        link(other, term);
+      }
+    }
+    this.synonyms = synonyms;
+  }
+
+  /**
+   * Tomar los sinónimos del diccionario cuando cambia (p. ej. POST /admin/dictionary)
+   */
+  _ensureSynonyms() {
+    if (this.dictionaryVersion !== dictionary.version) {
+      this.setSynonyms(dictionary.synonymGroups());
+      this.dictionaryVersion = dictionary.version;
+    }
+    return this.synonyms;
+  }
+
+  _ensureCatalogIndex() {
+    if (this.version !== productCache.version) {
+      this.catalog = new SearchIndex(productCache.getAll());
+      this.version = productCache.version;
+      logger.debug(`🔎 Índice de búsqueda: ${this.catalog.size} productos, ${this.catalog.postings.size} términos`);
+    }
+    return this.catalog;
+  }
+
+  /**
+   * Buscar en el catálogo indexado (sin red)
+   * 
+   * @param {string} query
+   * @param {object} [options]
+   * @param {number} [options.limit=10]
+   * @param {number} [options.minRelevance=0] - Descartar resultados por debajo (0-1)
+   * @param {string|number} [options.category] - categoria_id, slug o nombre
+   * @returns {Array<{producto: object, score: number, relevance: number, matches: Array<object>}>}
+   */
+  search(query, options = {}) {
+    return this._ensureCatalogIndex().search(query, { ...options, synonyms: this._ensureSynonyms() });
+  }
+
+  /**
+   * Ordenar con el mismo ranking un listado que vino de otra fuente (BD, API)
+   * 
+   * @param {string} query
+   * @param {Array<object>} productos
+   * @param {object} [options] - Igual que search()
+   */
+  rank(query, productos, options = {}) {
+    return new SearchIndex(productos || []).search(query, { limit: (productos || []).length, ...options, synonyms: this._ensureSynonyms() });
+  }
+
+  /**
+   * Buscar cargando el catálogo si hace falta
+   * 
+   * Usa el índice del catálogo (productCache.loadCatalog); si el catálogo no se
+   * pudo cargar, pide a KARDEX la búsqueda por texto (BD o API) y ordena lo que
+   * devuelva con rank().
+   * 
+   * @param {string} query
+   * @param {object} [options] - Igual que search()
+   * @returns {Promise<Array<{producto: object, score: number, relevance: number, matches: Array<object>}>>}
+   */
+  async find(query, options = {}) {
+    if (!query || !String(query).trim()) {
+      return [];
+    }
+    await productCache.loadCatalog();
+    if (this._ensureCatalogIndex().size > 0) {
+      const hits = this.search(query, options);
+      this._log(query, hits);
+      return hits;
+    }
+
+    const hits = this.rank(query, await this._searchKardex(query, options.limit || 10), options)
+      .slice(0, options.limit || 10);
+    this._log(query, hits);
+    return hits;
+  }
+
+  async _searchKardex(query, limit) {
+    const kardexDb = require('../kardexDb');
+    const kardexApi = require('../kardexApi');
+    try {
+      if (kardexDb.isConnected()) {
+        const rows = await kardexDb.buscarProductos(query, Math.max(limit, 20));
+        if (Array.isArray(rows) && rows.length > 0) {
+          return rows;
+        }
+      }
+      const productos = await kardexApi.buscarProductos(query);
+      return Array.isArray(productos) ? productos : [];
+    } catch (error) {
+      logger.warn('Búsqueda de productos en KARDEX falló', error.message);
+      return [];
+    }
+  }
+
+  _log(query, hits) {
+    if (hits.length > 0) {
+      logger.debug(`🔎 "${query}" -> ${hits[0].producto.nombre} (${this.explain(hits[0])})`);
+    } else {
+      logger.debug(`🔎 "${query}" sin resultados`);
+    }
+  }
+
+  /**
+   * Explicación legible de un resultado
+   * ej: 'inka→inca (difusa, nombre 0.70); cola (exacta, nombre 1.00)'
+   */
+  explain(hit) {
+    return (hit.matches || []).map(match => {
+      const term = match.term === match.token ? match.token : `${match.token}→${match.term}`;
+      return `${term} (${match.kind}, ${match.field} ${match.weight.toFixed(2)})`;
+    }).join('; ');
+  }
+}
+
+module.exports = new ProductSearch();
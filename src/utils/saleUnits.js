@@ -0,0 +1,187 @@
+/**
+ * Unidades de venta de los productos
+ * 
+ * El cliente pide en la unidad que usa al hablar ("medio kilo de azúcar",
+ * "un six pack de cerveza", "2 cajas de leche") y KARDEX recibe la cantidad en
+ * la unidad en que se vende cada producto. profile() deduce esa unidad del
+ * producto y convert() traduce lo pedido, o explica por qué no se puede:
+ * 
+ * - unidad_medida (o unidad_venta) en kg/g/lt/ml: se vende a peso o a granel y
+ *   admite cantidades fraccionarias ("medio kilo" -> 0.5)
+ * - si no, se vende por unidad; el contenido de cada unidad sale del nombre
+ *   ("Arroz Costeño 1kg": 2 kilos -> 2 unidades, medio kilo no se puede)
+ * - packs y cajas: unidades_por_paquete / unidades_por_caja o el nombre
+ *   ("x6", "pack 12", "six pack"); si el producto ya es un pack se cuenta por packs
+ * 
+ * @module utils/saleUnits
+ */
+
+// Unidades de peso y volumen en la unidad base (kg o lt)
+const MEASURES = {
+  kg: { dimension: 'peso', factor: 1 },
+  g: { dimension: 'peso', factor: 0.001 },
+  lt: { dimension: 'volumen', factor: 1 },
+  ml: { dimension: 'volumen', factor: 0.001 }
+};
+
+const UNIT_ALIASES = {
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogramo: 'kg', kilogramos: 'kg',
+  g: 'g', gr: 'g', grs: 'g', gramo: 'g', gramos: 'g',
+  l: 'lt', lt: 'lt', lts: 'lt', litro: 'lt', litros: 'lt',
+  ml: 'ml', mililitro: 'ml', mililitros: 'ml',
+  un: 'un', und: 'un', unid: 'un', unidad: 'un', unidades: 'un', niu: 'un'
+};
+
+const LABELS = {
+  kg: ['kilo', 'kilos'],
+  g: ['gramo', 'gramos'],
+  lt: ['litro', 'litros'],
+  ml: ['mililitro', 'mililitros'],
+  un: ['unidad', 'unidades'],
+  pack: ['pack', 'packs'],
+  caja: ['caja', 'cajas']
+};
+
+const CONTENT_PATTERN = /(\d+(?:[.,]\d+)?)\s*(kg|kilos?|gr?|gramos?|lts?|l|litros?|ml)\b/i;
+const PACK_NAME_PATTERN = /\b(?:six\s*pack|pack|paquete|caja|jaba)\b/i;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function format(value) {
+  return String(round(value)).replace(/\.0+$/, '');
+}
+
+function label(unidad, cantidad) {
+  const [singular, plural] = LABELS[unidad] || [unidad, unidad];
+  return cantidad === 1 ? singular : plural;
+}
+
+/**
+ * Unidad canónica ("Kilos" -> "kg", "UND" -> "un"); null si no se reconoce
+ */
+function normalizeUnit(unidad) {
+  if (!unidad) {
+    return null;
+  }
+  const key = String(unidad).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\.$/, '').trim();
+  return UNIT_ALIASES[key] || null;
+}
+
+/**
+ * Cantidad en la unidad base de su dimensión (500 g -> 0.5 kg)
+ */
+function toBase(cantidad, unidad) {
+  const measure = MEASURES[unidad];
+  return measure ? { dimension: measure.dimension, amount: cantidad * measure.factor } : null;
+}
+
+class SaleUnits {
+  /**
+   * Cómo se vende un producto
+   * 
+   * @param {object} producto - Producto de KARDEX
+   * @returns {{unidad: string, fraccionable: boolean, contenido: ({dimension: string, amount: number, text: string}|null), esPack: boolean, packs: {pack: (number|null), caja: (number|null)}}}
+   */
+  profile(producto = {}) {
+    const nombre = String(producto.nombre || '');
+    const declared = normalizeUnit(producto.unidad_medida || producto.unidad_venta);
+
+    const nameSize = /six\s*pack/i.test(nombre)
+      ? 6
+      : parseInt((nombre.match(/\b(?:x|pack\s*(?:de\s*)?|caja\s*(?:de\s*)?)(\d+)\s*(?:un(?:idades)?)?\b/i) || [])[1], 10) || null;
+    const porPaquete = parseInt(producto.unidades_por_paquete, 10) || null;
+    const porCaja = parseInt(producto.unidades_por_caja, 10) || null;
+    const packs = {
+      pack: porPaquete || porCaja || nameSize,
+      caja: porCaja || porPaquete || nameSize
+    };
+
+    if (declared && MEASURES[declared]) {
+      const base = MEASURES[declared].dimension === 'peso' ? 'kg' : 'lt';
+      return { unidad: base, fraccionable: true, contenido: null, esPack: false, packs: { pack: null, caja: null } };
+    }
+
+    const content = nombre.match(CONTENT_PATTERN);
+    const contentUnit = content ? normalizeUnit(content[2]) : null;
+    const contenido = contentUnit && MEASURES[contentUnit]
+      ? { ...toBase(parseFloat(content[1].replace(',', '.')), contentUnit), text: `${content[1]} ${contentUnit}` }
+      : null;
+
+    return { unidad: 'un', fraccionable: false, contenido, esPack: PACK_NAME_PATTERN.test(nombre), packs };
+  }
+
+  /**
+   * Traducir lo pedido a la unidad de venta del producto
+   * 
+   * @param {object} pedido - { cantidad, unidad: 'un'|'kg'|'g'|'lt'|'ml'|'pack'|'caja', packSize }
+   * @param {object} producto - Producto de KARDEX
+   * @returns {{valid: boolean, cantidad?: number, unidad?: string, detalle?: (string|null), error?: string, sugerencia?: number}}
+   */
+  convert({ cantidad, unidad = 'un', packSize = null }, producto) {
+    const perfil = this.profile(producto);
+    const nombre = producto.nombre;
+    const pedida = parseFloat(cantidad);
+    const pedido = normalizeUnit(unidad) || unidad;
+
+    if (!(pedida > 0)) {
+      return { valid: false, error: `La cantidad de ${nombre} debe ser mayor que cero.` };
+    }
+
+    let resultado;
+    if (pedido === 'pack' || pedido === 'caja') {
+      const size = packSize || perfil.packs[pedido];
+      if (perfil.fraccionable) {
+        return { valid: false, error: `${nombre} se vende por ${label(perfil.unidad, 1)}, no por ${label(pedido, 1)}. ¿Cuántos ${label(perfil.unidad, 2)} quieres?` };
+      }
+      if (perfil.esPack) {
+        // El producto ya es el pack: se cuentan packs, si el tamaño coincide
+        if (packSize && perfil.packs.pack && packSize !== perfil.packs.pack) {
+          return { valid: false, error: `${nombre} trae ${perfil.packs.pack} unidades, no ${packSize}.` };
+        }
+        resultado = pedida;
+      } else if (!size) {
+        return { valid: false, error: `No sé cuántas unidades trae ${pedido === 'caja' ? 'una caja' : 'un pack'} de ${nombre}. ¿Cuántas unidades quieres?` };
+      } else {
+        resultado = pedida * size;
+      }
+    } else if (MEASURES[pedido]) {
+      const base = toBase(pedida, pedido);
+      if (perfil.fraccionable) {
+        if (MEASURES[perfil.unidad].dimension !== base.dimension) {
+          return { valid: false, error: `${nombre} se vende por ${label(perfil.unidad, 1)}, no por ${label(pedido, 1)}.` };
+        }
+        resultado = base.amount;
+      } else if (perfil.contenido && perfil.contenido.dimension === base.dimension) {
+        const unidades = base.amount / perfil.contenido.amount;
+        if (Math.abs(unidades - Math.round(unidades)) > 1e-6 || Math.round(unidades) < 1) {
+          const sugerencia = Math.max(1, Math.round(unidades));
+          return {
+            valid: false,
+            error: `${nombre} se vende por unidad de ${perfil.contenido.text}: ${format(pedida)} ${label(pedido, pedida)} no es una cantidad exacta de unidades. ¿Te agrego ${sugerencia}?`,
+            sugerencia
+          };
+        }
+        resultado = Math.round(unidades);
+      } else {
+        return { valid: false, error: `${nombre} se vende por unidad, no por ${label(pedido, 1)}. ¿Cuántas unidades quieres?` };
+      }
+    } else {
+      resultado = pedida;
+    }
+
+    resultado = round(resultado);
+    if (!perfil.fraccionable && !Number.isInteger(resultado)) {
+      const sugerencia = Math.max(1, Math.round(resultado));
+      return { valid: false, error: `${nombre} se vende por unidades enteras. ¿Te agrego ${sugerencia}?`, sugerencia };
+    }
+
+    const detalle = pedido === 'un' || pedido === perfil.unidad
+      ? null
+      : `${format(pedida)} ${label(pedido, pedida)} = ${format(resultado)} ${label(perfil.unidad, resultado)}`;
+    return { valid: true, cantidad: resultado, unidad: perfil.unidad, detalle };
+  }
+}
+
+module.exports = new SaleUnits();
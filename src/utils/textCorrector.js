@@ -1,3 +1,5 @@
+const dictionary = require('./dictionary');
+
 // Normaliza tildes, mayúsculas y símbolos comunes
 function normalizeBasic(input) {
   return (input || '')
@@ -18,46 +20,6 @@ const STOPWORDS = new Set([
   'oferta','ofertas','catalogo','catálogo'
 ]);
 
-// Sinónimos y alias comunes
-const SYNONYMS = [
-  [/\baudifonos\b|\baudiofonos\b|\bheadset\b|\bcasco\b/gi, 'audifonos'],
-  [/\bauriculares\b/gi, 'audifonos'],
-  [/\bplayera\b|\bremera\b/gi, 'camiseta'],
-  [/\bpolos?\b/gi, 'camiseta'],
-  [/\bnotebook\b|\bportatil(es)?\b/gi, 'laptop'],
-  [/\bsmart tv\b|\bsmarttv\b/gi, 'televisor'],
-  [/\bcelu\b|\bcelular\b|\bmovil\b/gi, 'telefono'],
-  [/\biphone\b/gi, 'apple iphone'],
-  [/\bhdd\b/gi, 'disco duro'],
-  [/\bssd\b/gi, 'solido ssd'],
-  [/\bteclado\b|\bkeyboard\b/gi, 'teclado'],
-  [/\bmonitor\b|\bpantalla\b/gi, 'monitor'],
-  [/\bimpresora\b|\bprinter\b/gi, 'impresora']
-];
-
-// Correcciones de marcas/variantes mal escritas
-const BRAND_FIXES = [
-  [/\b(adidaz|adidass|adidasz|idas|didas|a\s*didas|dias)\b/gi, 'adidas'],
-  [/\bnikke|niqe|nique|naik\b/gi, 'nike'],
-  [/\bpumma|puna\b/gi, 'puma'],
-  [/\bsansung|samzung|samsungg|samsumg\b/gi, 'samsung'],
-  [/\bh\s*p\b/gi, 'hp'],
-  [/\blenobo|lenoba|lenob\b/gi, 'lenovo'],
-  [/\bmaose|maus|mause|mous\b/gi, 'mouse'],
-  [/\bdeel|del\b/gi, 'dell'],
-  [/\bassus|asus\b/gi, 'asus'],
-  [/\baple|apel|aple\b/gi, 'apple'],
-  [/\bxiaomi|xiaom|xiaommi\b/gi, 'xiaomi']
-];
-
-// Aliases específicos de productos conocidos (ejemplo pedido)
-const PRODUCT_ALIASES = [
-  [/\bsony\s*vwh\s*1000\s*xm5\b/gi, 'sony wh 1000 xm5'],
-  [/\bwh1000xm5\b/gi, 'wh 1000 xm5'],
-  [/\bwh-?1000-?xm5\b/gi, 'wh 1000 xm5'],
-  [/\bsony\s*wh\s*1000\s*xm5\b/gi, 'sony wh 1000 xm5']
-];
-
 // Correcciones adicionales para palabras mal escritas comúnmente
 const COMMON_MISTAKES = [
   // Errores comunes de transcripción de voz - verbos y frases comunes
@@ -83,14 +45,6 @@ const COMMON_MISTAKES = [
   [/\bdisponible|disponibl|dispon|disponibles|hay\b/gi, 'disponible'],
   [/\bprecio|preci|prec|precios|precio de|precio del\b/gi, 'precio'],
   [/\bproducto|product|produ|productos|producto de\b/gi, 'producto'],
-  [/\blaptop|lapto|lap|laptops|portátil|portatil|notebook|notebooks\b/gi, 'laptop'],
-  [/\bmouse|maus|mous|mice|ratón|raton|ratones\b/gi, 'mouse'],
-  [/\bteclado|teclad|tecl|teclados|keyboard\b/gi, 'teclado'],
-  [/\bmonitor|monit|mon|monitores|pantalla|pantallas\b/gi, 'monitor'],
-  [/\bimpresora|impresor|impresoras|printer|printers\b/gi, 'impresora'],
-  [/\bcelular|celulares|celu|cel|móvil|movil|telefono|teléfono|smartphone|smartphones\b/gi, 'celular'],
-  [/\baudifonos|audífonos|audifono|auriculares|auricular|headset|headphones|casco|cascos\b/gi, 'audifonos'],
-  [/\btelevisor|televisores|tv|tvs|smart tv|smarttv|televisión|television\b/gi, 'televisor'],
   // Frases comunes mal transcritas
   [/\bme gustaría|megustaria|me gustaria|gustaria\b/gi, 'me gustaría'],
   [/\bpuedo ver|puedo ver|puedo ver|puedo ver\b/gi, 'puedo ver'],
@@ -125,22 +79,10 @@ function correctText(input) {
     out = out.replace(pattern, replacement);
   }
   
-  // 3. Aliases de producto
-  for (const [pattern, replacement] of PRODUCT_ALIASES) {
-    out = out.replace(pattern, replacement);
-  }
-  
-  // 4. Correcciones de marcas y tecnicismos
-  for (const [pattern, replacement] of BRAND_FIXES) {
-    out = out.replace(pattern, replacement);
-  }
-  
-  // 5. Sinónimos
-  for (const [pattern, replacement] of SYNONYMS) {
-    out = out.replace(pattern, replacement);
-  }
+  // 3. Sinónimos, variantes regionales, marcas y errores del diccionario
+  out = dictionary.correct(out);
   
-  // 6. Limpieza final de espacios y ruido residual
+  // 4. Limpieza final de espacios y ruido residual
   out = normalizeSpaces(out);
   out = out.replace(/[^\w\sáéíóúñü]/g, ' '); // Eliminar caracteres especiales excepto letras acentuadas
   out = out.replace(/\s+/g, ' ').trim(); // Normalizar espacios
@@ -1,4 +1,16 @@
 const logger = require('./logger');
+const dictionary = require('./dictionary');
+
+/**
+ * Alternativas para una expresión regular, las más largas primero
+ */
+function alternatives(words) {
+  return words
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/\s+/g, '\\s+'))
+    .join('|');
+}
 
 class TextParser {
   constructor() {
@@ -6,7 +18,8 @@ class TextParser {
     this.cantidadKeywords = [
       'uno', 'dos', 'tres', 'cuatro', 'cinco', 
       'seis', 'siete', 'ocho', 'nueve', 'diez',
-      'docena', 'media docena', 'kilo', 'kg', 'litro', 'medio'
+      'docena', 'media docena', 'kilo', 'kg', 'litro', 'medio',
+      'pack', 'six pack', 'caja', 'jaba'
     ];
     
     // Mapa de palabras a números
@@ -31,31 +44,23 @@ class TextParser {
       'un cuarto': 0.25
     };
     
-    // Unidades de medida
+    // Unidades de medida (las de peso y volumen se convierten a la unidad de venta con utils/saleUnits)
     this.unidadesMedida = {
-      'kg': 'kg', 'kilo': 'kg', 'kilogramos': 'kg', 'kilogramo': 'kg',
-      'g': 'g', 'gramo': 'g', 'gramos': 'g',
+      'kg': 'kg', 'kilo': 'kg', 'kilos': 'kg', 'kilogramos': 'kg', 'kilogramo': 'kg',
+      'g': 'g', 'gr': 'g', 'gramo': 'g', 'gramos': 'g',
       'lt': 'lt', 'litro': 'lt', 'litros': 'lt', 'l': 'lt',
       'ml': 'ml', 'mililitro': 'ml', 'mililitros': 'ml',
       'unidad': 'un', 'unidades': 'un', 'unid': 'un',
-      'docena': 'docena', 'docenas': 'docena'
+      'docena': 'docena', 'docenas': 'docena',
+      'pack': 'pack', 'packs': 'pack', 'six pack': 'pack', 'sixpack': 'pack',
+      'paquete': 'pack', 'paquetes': 'pack',
+      'caja': 'caja', 'cajas': 'caja', 'jaba': 'caja', 'jabas': 'caja'
     };
     
-    // Sinónimos / variantes comunes (normalizar consulta de producto)
-    this.synonyms = {
-      'raton': 'mouse',
-      'maose': 'mouse',
-      'maus': 'mouse',
-      'audifonos': 'auriculares',
-      'audifono': 'auriculares',
-      'cascos': 'auriculares',
-      'celu': 'celular',
-      'laptop': 'laptop',
-      'notebook': 'laptop',
-      'impresora': 'impresora',
-      'impresoras': 'impresora',
-      'teclados': 'teclado',
-      'mouses': 'mouse'
+    // Envases que ya dicen cuántas unidades traen
+    this.unidadesPorPaquete = {
+      'six pack': 6, 'sixpack': 6,
+      'jaba': 12, 'jabas': 12
     };
   }
 
@@ -69,7 +74,7 @@ class TextParser {
       const normalizedText = this._normalizeText(text);
       
       // Extraer items del pedido
-      const items = this._extractItems(normalizedText);
+      const items = this._extractItems(this._normalizeText(this._normalizeNumbers(text)));
       
       // Extraer información adicional
       const info = {
@@ -88,6 +93,32 @@ class TextParser {
     }
   }
 
+  /**
+   * Leer una cantidad suelta con su unidad: "medio kilo", "0,5", "tres",
+   * "2 packs de 6", "kilo y medio"
+   * 
+   * @param {string} text - Texto con solo la cantidad
+   * @returns {{cantidad: number, unidad: string, packSize: (number|null)}|null} null si no es una cantidad
+   */
+  parseQuantity(text) {
+    const match = this._normalizeText(this._normalizeNumbers(String(text || ''))).match(this._quantityPattern());
+    if (!match || !(match[1] || match[2] || match[3])) {
+      return null;
+    }
+
+    const quantity = this._quantityFrom(match);
+    return quantity.cantidad > 0 ? quantity : null;
+  }
+
+  /**
+   * Fracciones y comas decimales a punto ("1/2 kilo" -> "0.5 kilo", "1,5 litros" -> "1.5 litros")
+   */
+  _normalizeNumbers(text) {
+    return text
+      .replace(/(\d+)\s*\/\s*(\d+)/g, (match, a, b) => (Number(b) > 0 ? String(Number(a) / Number(b)) : match))
+      .replace(/(\d),(\d)/g, '$1.$2');
+  }
+
   /**
    * Normalizar texto (minúsculas, quitar acentos, etc.)
    */
@@ -102,83 +133,139 @@ class TextParser {
   }
 
   /**
-   * Extraer items (productos y cantidades)
+   * Extraer items (productos, cantidades y unidades)
+   * 
+   * Cada parte del pedido (separada por comas, "y" o donde empieza otra
+   * cantidad con unidad: "medio kilo de azucar una six pack de cerveza") se lee como
+   * [cantidad] [unidad] [de N] [de] producto: "medio kilo de azucar",
+   * "un six pack de cerveza", "2 cajas de leche", "kilo y medio de arroz".
+   * La unidad queda en unidad ('un', 'kg', 'g', 'lt', 'ml', 'pack', 'caja') y el
+   * tamaño del pack, si se dijo, en packSize; la docena ya sale en unidades.
    */
   _extractItems(text) {
     const items = [];
+    const sinCantidad = [];
     
-    // Patrones mejorados para detectar cantidades y productos
-    const patterns = [
-      // "2 panes", "3 kg de arroz", "1 litro de leche"
-      /(\d+(?:\.\d+)?)\s*([a-z]+)?\s+([a-z\s]+?)(?=\s+y\s+|,|\s+para\s+|$)/gi,
-      // "dos panes", "tres yogurts", "un par de zapatos"
-      /(uno|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez|once|doce|un|una|par|pareja|docena|media\s+docena)\s+([a-z\s]+?)(?=\s+y\s+|,|\s+para\s+|$)/gi,
-      // "medio kilo", "1/2 kg", "cuarto de litro"
-      /(medio|media|cuarto|un cuarto)\s+([a-z]+)?\s+([a-z\s]+?)(?=\s+y\s+|,|$)/gi
-    ];
-    
-    for (const pattern of patterns) {
-      let match;
-      while ((match = pattern.exec(text)) !== null) {
-        let cantidad = 1;
-        let unidad = null;
-        let producto = '';
-        
-        if (match[1]) {
-          // Cantidad numérica
-          cantidad = parseFloat(match[1]);
-          unidad = match[2] ? this._normalizeUnidad(match[2]) : null;
-          producto = (match[3] || '').trim();
-        } else if (match[1] && !match[2]) {
-          // Cantidad en palabras
-          cantidad = this._parseCantidad(match[1]);
-          producto = text.substring(match.index + match[0].length).trim();
-        }
-        
-        // Limpiar producto
-        producto = producto.replace(/^(de|del|la|las|el|los|un|una)\s+/i, '').trim();
-        producto = this._normalizeProductName(producto);
-        
-        if (cantidad > 0 && producto.length > 2) {
-          items.push({
-            cantidad,
-            unidad: unidad || 'un',
-            producto,
-            query: `${producto} ${unidad ? unidad : ''}`.trim()
-          });
-        }
+    for (const segment of text.split(this._splitPattern())) {
+      const item = this._parseItem(segment.split(/\s+para\s+/)[0]);
+      if (item) {
+        (item.explicita ? items : sinCantidad).push(item);
       }
     }
     
-    // Si no se encontraron items con cantidad, buscar solo nombres de productos
-    if (items.length === 0) {
-      // Intentar extraer productos sin cantidad explícita
-      const productos = text.split(/\s+y\s+|\s*,\s*/i);
-      for (const prod of productos) {
-        const limpio = prod.trim().replace(/^(quiero|necesito|deseo|me gustaria|quisiera|pidiendo|pedir|ordenar|comprar)\s+/i, '');
-        if (limpio.length > 2) {
-          items.push({
-            cantidad: 1,
-            unidad: 'un',
-            producto: this._normalizeProductName(limpio),
-            query: this._normalizeProductName(limpio)
-          });
-        }
-      }
+    // Sin ninguna cantidad explícita, cada parte es un producto x1
+    return (items.length > 0 ? items : sinCantidad).map(({ explicita, ...item }) => item);
+  }
+  
+  _parseItem(segment) {
+    let resto = segment.trim();
+    let anterior;
+    // "quiero+": el corrector de texto puede dejar "quierooo"
+    do {
+      anterior = resto;
+      resto = resto.replace(/^(quiero+|necesito|deseo|quisiera|me gustaria|pidiendo|pedir|ordenar|comprar|dame|deme|me das|me da|agrega|agregame|agregar|anade|anademe|ponme|pon|tambien|ademas|mas|y)\s+/, '').trim();
+    } while (resto !== anterior);
+    
+    const match = resto.match(this._itemPattern());
+    if (!match) {
+      return null;
     }
     
-    return items;
+    const [, numero, palabra, unidadTexto, , , productoTexto] = match;
+    const { cantidad, unidad, packSize } = this._quantityFrom(match);
+    
+    const producto = this._normalizeProductName(productoTexto.replace(/^(de|del|la|las|el|los|un|una|unos|unas)\s+/i, ''));
+    if (!(cantidad > 0) || producto.length <= 2) {
+      return null;
+    }
+    
+    return {
+      cantidad,
+      unidad,
+      packSize,
+      producto,
+      query: producto,
+      explicita: Boolean(numero || palabra || unidadTexto)
+    };
+  }
+  
+  /**
+   * Cantidad, unidad y tamaño de pack a partir de los grupos de _itemPattern()
+   * o _quantityPattern(); la docena ya sale en unidades
+   */
+  _quantityFrom([, numero, palabra, unidadTexto, fraccion, porPaquete]) {
+    let cantidad = numero ? parseFloat(numero) : (palabra ? this.palabrasANumeros[palabra] : 1);
+    if (fraccion) {
+      cantidad += this.palabrasANumeros[fraccion]; // "kilo y medio"
+    }
+    let unidad = unidadTexto ? this._normalizeUnidad(unidadTexto) : 'un';
+    if (unidad === 'docena') {
+      cantidad *= 12;
+      unidad = 'un';
+    }
+    const packSize = ['pack', 'caja'].includes(unidad)
+      ? parseInt(porPaquete, 10) || this.unidadesPorPaquete[unidadTexto] || null
+      : null;
+    
+    return { cantidad: Math.round(cantidad * 1000) / 1000, unidad, packSize };
+  }
+  
+  /**
+   * Separadores entre partes del pedido: comas, "y" (salvo "y medio") y el
+   * espacio antes de una cantidad con unidad ("... una six pack de cerveza");
+   * no antes de "unidades", tras "de"/"x" ("un pack de 6 unidades") ni al
+   * final ("arroz 2 kilos")
+   */
+  _splitPattern() {
+    if (!this.splitPattern) {
+      const unidades = Object.keys(this.unidadesMedida).filter(word => this.unidadesMedida[word] !== 'un');
+      this.splitPattern = new RegExp(
+        `\\s*,\\s*|\\s+y\\s+(?!(?:medio|media|cuarto)\\b)|` +
+        `(?<!\\b(?:de|x))\\s+(?=(?:\\d+(?:\\.\\d+)?|${alternatives(Object.keys(this.palabrasANumeros))})\\s+(?:${alternatives(unidades)})\\s+\\S)`
+      );
+    }
+    return this.splitPattern;
+  }
+  
+  /**
+   * [cantidad] [unidad [y medio]] [de|x N [unidades]] [de] producto
+   */
+  _itemPattern() {
+    if (!this.itemPattern) {
+      this.itemPattern = new RegExp(
+        `^(?:(\\d+(?:\\.\\d+)?)|(${alternatives(Object.keys(this.palabrasANumeros))})\\b)?\\s*` +
+        `(?:(${alternatives(Object.keys(this.unidadesMedida))})\\b(?:\\s+y\\s+(medio|media|cuarto))?\\s*)?` +
+        `(?:(?:de|x)\\s*(\\d+)\\s+(?:unidades\\s+)?)?` +
+        `(?:(?:de|del)\\s+)?(.+)$`
+      );
+    }
+    return this.itemPattern;
+  }
+  
+  /**
+   * [cantidad] [unidad [y medio]] [de|x N [unidades]], sin producto
+   */
+  _quantityPattern() {
+    if (!this.quantityPattern) {
+      this.quantityPattern = new RegExp(
+        `^(?:(\\d+(?:\\.\\d+)?)|(${alternatives(Object.keys(this.palabrasANumeros))})\\b)?\\s*` +
+        `(?:(${alternatives(Object.keys(this.unidadesMedida))})\\b(?:\\s+y\\s+(medio|media|cuarto))?)?` +
+        `(?:\\s*(?:de|x)\\s*(\\d+)(?:\\s+unidades)?)?$`
+      );
+    }
+    return this.quantityPattern;
   }
   
   /**
-   * Normalizar nombre de producto: quitar stopwords, singularizar simple y aplicar sinónimos
+   * Normalizar nombre de producto: quitar stopwords, singularizar simple y llevar
+   * cada palabra a su término del diccionario ("raton" -> "mouse")
    */
   _normalizeProductName(name) {
     const stop = new Set(['de','del','la','el','las','los','para','por','con','a','en','y','o']);
     let s = this._normalizeText(name);
     const tokens = s.split(' ').filter(t => !stop.has(t));
     const singular = tokens.map(t => this._singularize(t));
-    const mapped = singular.map(t => this.synonyms[t] || t);
+    const mapped = singular.map(t => dictionary.canonical(t) || t);
     return mapped.join(' ').trim();
   }
   
@@ -0,0 +1,126 @@
+const config = require('../../config/config');
+const textParser = require('./textParser');
+const { normalize } = require('./phonetics');
+
+/**
+ * Confianza de una transcripción de Whisper
+ * 
+ * Trabaja con los segmentos normalizados de utils/whisperWorker (avgLogprob,
+ * noSpeechProb y palabras con probabilidad). Sirve para decidir si un pedido
+ * dictado por voz se agrega directamente o si primero se pregunta "¿quisiste
+ * decir...?" (ver core/conversation/voiceConfirmation).
+ * 
+ * @module utils/transcriptionConfidence
+ */
+
+const MIN_TOKEN_LENGTH = 3; // Tokens más cortos del nombre ("de", "x") no identifican al producto
+const PREFIX_LENGTH = 4; // "arro" empata "arroz" y "arroces"
+
+class TranscriptionConfidence {
+  /**
+   * Confianza de un segmento entre 0 y 1: exp(avgLogprob) descontando la
+   * probabilidad de que no haya voz
+   * 
+   * @param {object} segment - Segmento normalizado
+   * @returns {number|null} null si el backend no dio log-probabilidades
+   */
+  segmentConfidence(segment) {
+    if (!segment || typeof segment.avgLogprob !== 'number') {
+      return null;
+    }
+    const speech = 1 - (typeof segment.noSpeechProb === 'number' ? segment.noSpeechProb : 0);
+    return Math.max(0, Math.min(1, Math.exp(segment.avgLogprob) * speech));
+  }
+
+  /**
+   * Confianza global: promedio de los segmentos ponderado por su duración
+   * 
+   * @param {Array<object>} segments
+   * @returns {number|null} null si ningún segmento trae datos de confianza
+   */
+  overall(segments = []) {
+    let total = 0;
+    let weights = 0;
+    for (const segment of segments) {
+      const confidence = this.segmentConfidence(segment);
+      if (confidence === null) {
+        continue;
+      }
+      const duration = typeof segment.start === 'number' && typeof segment.end === 'number'
+        ? Math.max(segment.end - segment.start, 0.01)
+        : 1;
+      total += confidence * duration;
+      weights += duration;
+    }
+    return weights > 0 ? total / weights : null;
+  }
+
+  /**
+   * Decidir si hay que confirmar los productos que se entendieron del audio
+   * 
+   * Busca en las palabras transcritas el nombre y la cantidad de cada producto;
+   * si alguna de esas palabras quedó por debajo de wordThreshold, el producto
+   * es dudoso. Si el backend no da probabilidades por palabra se usa la
+   * confianza global contra segmentThreshold. Sin ningún dato de confianza
+   * (transformers) no se pide confirmación.
+   * 
+   * @param {object} result - Resultado de whisper.transcribeDetailed ({ segments, confidence })
+   * @param {Array<object>} productos - [{ nombre, cantidad }]
+   * @param {object} [thresholds] - { wordThreshold, segmentThreshold } (por defecto config.whisper.confidence)
+   * @returns {{needed: boolean, confidence: number|null, doubtful: Array<{term: string, kind: string, probability: number|null}>}}
+   */
+  assess(result, productos = [], thresholds = {}) {
+    const { wordThreshold, segmentThreshold } = { ...config.whisper.confidence, ...thresholds };
+    const segments = result?.segments || [];
+    const confidence = typeof result?.confidence === 'number' ? result.confidence : this.overall(segments);
+    const words = segments
+      .flatMap(segment => segment.words || [])
+      .filter(word => typeof word.probability === 'number')
+      .map(word => ({ token: normalize(word.word), probability: word.probability }))
+      .filter(word => word.token);
+
+    const globalDoubt = confidence !== null && confidence < segmentThreshold;
+    const doubtful = [];
+
+    for (const producto of productos) {
+      const nombre = String(producto.nombre || producto.producto || '').trim();
+      const nameProbability = this._lowest(words.filter(word => this._matchesName(word.token, nombre)));
+      if (nameProbability !== null ? nameProbability < wordThreshold : globalDoubt) {
+        doubtful.push({ term: nombre, kind: 'producto', probability: nameProbability });
+      }
+
+      if (producto.cantidad === undefined || producto.cantidad === null) {
+        continue;
+      }
+      const quantityProbability = this._lowest(words.filter(word => this._matchesQuantity(word.token, producto.cantidad)));
+      if (quantityProbability !== null && quantityProbability < wordThreshold) {
+        doubtful.push({ term: String(producto.cantidad), kind: 'cantidad', probability: quantityProbability });
+      }
+    }
+
+    return { needed: doubtful.length > 0, confidence, doubtful };
+  }
+
+  _lowest(words) {
+    return words.length > 0 ? Math.min(...words.map(word => word.probability)) : null;
+  }
+
+  _matchesName(token, nombre) {
+    if (token.length < MIN_TOKEN_LENGTH) {
+      return false;
+    }
+    return normalize(nombre).split(/\s+/)
+      .filter(part => part.length >= MIN_TOKEN_LENGTH && !/^\d/.test(part))
+      .some(part => part === token ||
+        (part.length >= PREFIX_LENGTH && token.length >= PREFIX_LENGTH && part.slice(0, PREFIX_LENGTH) === token.slice(0, PREFIX_LENGTH)));
+  }
+
+  _matchesQuantity(token, cantidad) {
+    if (/^\d+$/.test(token)) {
+      return Number(token) === Number(cantidad);
+    }
+    return textParser.palabrasANumeros[token] === Number(cantidad);
+  }
+}
+
+module.exports = new TranscriptionConfidence();
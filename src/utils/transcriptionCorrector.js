@@ -7,6 +7,8 @@
  * Basado en errores comunes de transcripción de Whisper para español latinoamericano.
  */
 
+const dictionary = require('./dictionary');
+
 class TranscriptionCorrector {
   constructor() {
     // Diccionario exhaustivo de correcciones organizado por categorías
@@ -507,15 +509,6 @@ class TranscriptionCorrector {
       'tranferencias': 'transferencias',
       'tranferir': 'transferir',
       
-      // Errores de marcas
-      'a vidas': 'adidas',
-      'avidas': 'adidas',
-      'galidas': 'adidas',
-      'galida': 'adidas',
-      'a digas': 'adidas',
-      'adigas': 'adidas',
-      'naik': 'nike',
-      
       // Errores de "quiero"
       'pero hacer': 'quiero hacer',
       'pero': 'quiero',
@@ -552,9 +545,8 @@ class TranscriptionCorrector {
     corregida = corregida.replace(/\bfirmar el pedido\b/gi, 'confirmar el pedido');
     corregida = corregida.replace(/\bfirmar\b/gi, 'confirmar');
     
-    // "a digas" -> "adidas" (cuando está al final de frase o seguido de otra palabra)
-    corregida = corregida.replace(/\ba digas\b/gi, 'adidas');
-    corregida = corregida.replace(/\badigas\b/gi, 'adidas');
+    // Marcas y productos mal transcritos ("a vidas" -> "adidas", "maus" -> "mouse"): errores del diccionario
+    corregida = dictionary.correct(corregida, { misspellingsOnly: true });
     
     // Separar palabras pegadas comunes (solo si existe el patrón)
     corregida = corregida.replace(/\b(balóno|balono|balón)(SoyCliente|soyCliente|Soy|soy|Cliente|cliente)\b/gi, 'balón soy cliente');
@@ -0,0 +1,207 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Reconocimiento de voz dentro del proceso con transformers.js (@xenova/transformers)
+ * 
+ * Usa el pipeline automatic-speech-recognition con un checkpoint multilingüe de
+ * Whisper en ONNX (por ejemplo Xenova/whisper-small) leído de una carpeta local
+ * (WHISPER_MODELS_DIR/<modelo>/), sin Python. Solo se descarga del Hub si
+ * WHISPER_ALLOW_REMOTE_MODELS=true.
+ * 
+ * Tiene la misma interfaz que los workers de utils/whisperWorker (start, ping,
+ * transcribe, stop), que lo usa como backend "transformers". Diferencias:
+ * los segmentos llegan al terminar el audio, sin log-probabilidades (la
+ * confianza queda desconocida) y initialPrompt no se usa.
+ * 
+ * @module utils/transformersASR
+ */
+
+const SAMPLE_RATE = 16000; // Frecuencia que espera Whisper
+
+/**
+ * Decodificar un WAV (PCM de 8/16/24/32 bits o float de 32 bits) a mono 16 kHz
+ * 
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {{samples: Float32Array, sampleRate: number, duration: number}}
+ */
+function decodeWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('El audio no es un WAV válido');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const start = offset + 8;
+    // ffmpeg escribiendo a un pipe deja el tamaño en 0xFFFFFFFF: hasta el final
+    const size = Math.min(buffer.readUInt32LE(offset + 4), buffer.length - start);
+
+    if (id === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(start);
+      if (audioFormat === 0xFFFE) {
+        audioFormat = buffer.readUInt16LE(start + 24); // WAVE_FORMAT_EXTENSIBLE: subformato
+      }
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+      };
+    } else if (id === 'data') {
+      data = buffer.subarray(start, start + size);
+    }
+    offset = start + size + (size % 2);
+  }
+
+  if (!format || !data) {
+    throw new Error('WAV sin bloques fmt o data');
+  }
+
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const bytes = bitsPerSample / 8;
+  const readers = {
+    '1:8': i => (data.readUInt8(i) - 128) / 128,
+    '1:16': i => data.readInt16LE(i) / 32768,
+    '1:24': i => data.readIntLE(i, 3) / 8388608,
+    '1:32': i => data.readInt32LE(i) / 2147483648,
+    '3:32': i => data.readFloatLE(i)
+  };
+  const read = readers[`${audioFormat}:${bitsPerSample}`];
+  if (!read) {
+    throw new Error(`Formato WAV no soportado (formato ${audioFormat}, ${bitsPerSample} bits)`);
+  }
+
+  // Mezclar los canales en mono
+  const frames = Math.floor(data.length / (bytes * channels));
+  let samples = new Float32Array(frames);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read((frame * channels + channel) * bytes);
+    }
+    samples[frame] = sum / channels;
+  }
+
+  // Remuestreo lineal a 16 kHz (audioConverter ya entrega 16 kHz; esto cubre otros WAV)
+  if (sampleRate !== SAMPLE_RATE && frames > 0) {
+    const length = Math.round(frames * SAMPLE_RATE / sampleRate);
+    const resampled = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const position = i * sampleRate / SAMPLE_RATE;
+      const left = Math.floor(position);
+      const right = Math.min(left + 1, frames - 1);
+      resampled[i] = samples[left] + (samples[right] - samples[left]) * (position - left);
+    }
+    samples = resampled;
+  }
+
+  return { samples, sampleRate: SAMPLE_RATE, duration: samples.length / SAMPLE_RATE };
+}
+
+class TransformersASR {
+  constructor(options) {
+    this.options = options;
+    this.transcriber = null;
+    this.starting = null;
+    this.ready = false;
+    this.info = null;
+    this.restarts = 0;
+  }
+
+  start() {
+    if (this.ready) {
+      return Promise.resolve(this.info);
+    }
+    if (!this.starting) {
+      this.starting = this._load().finally(() => {
+        this.starting = null;
+      });
+    }
+    return this.starting;
+  }
+
+  async _load() {
+    const { model, modelDir, allowRemote, quantized } = this.options.transformers;
+    const started = Date.now();
+    logger.info(`🎧 Cargando ${model} con transformers.js desde ${path.resolve(modelDir)}`);
+
+    this.transcriber = await this._createPipeline(model, { modelDir: path.resolve(modelDir), allowRemote, quantized });
+    this.ready = true;
+    this.info = { backend: 'transformers', model, loadMs: Date.now() - started };
+    logger.success(`✅ Modelo de voz ${model} cargado en el proceso (${this.info.loadMs} ms)`);
+    return this.info;
+  }
+
+  /**
+   * Crear el pipeline (paquete ESM: se carga con import dinámico)
+   */
+  async _createPipeline(model, { modelDir, allowRemote, quantized }) {
+    const { pipeline, env } = await import('@xenova/transformers');
+    env.localModelPath = modelDir;
+    env.allowLocalModels = true;
+    env.allowRemoteModels = allowRemote;
+    env.cacheDir = modelDir; // Si se permite descargar, el modelo queda junto a los locales
+    return pipeline('automatic-speech-recognition', model, { quantized });
+  }
+
+  async ping() {
+    await this.start();
+    return true;
+  }
+
+  async transcribe(audioPath, { onSegment = null } = {}) {
+    await this.start();
+    const started = Date.now();
+    const { language, transformers } = this.options;
+    const audio = decodeWav(await fs.readFile(audioPath));
+
+    const output = await this.transcriber(audio.samples, {
+      language,
+      task: 'transcribe',
+      chunk_length_s: transformers.chunkLength,
+      stride_length_s: transformers.strideLength,
+      return_timestamps: true
+    });
+
+    // Mismo formato de segmento que los workers, sin datos de confianza (el pipeline no los da)
+    const segments = (output.chunks || []).map(chunk => {
+      const [start, end] = chunk.timestamp || [];
+      return { start: start ?? null, end: end ?? null, text: chunk.text.trim(), avgLogprob: null, noSpeechProb: null, words: [] };
+    });
+    if (onSegment) {
+      for (const segment of segments) {
+        try {
+          onSegment(segment);
+        } catch (error) {
+          logger.warn('Error en onSegment de Whisper', error.message);
+        }
+      }
+    }
+
+    return {
+      text: String(output.text || '').trim(),
+      language,
+      duration: Math.round(audio.duration * 100) / 100,
+      segments,
+      elapsedMs: Date.now() - started
+    };
+  }
+
+  stop() {
+    if (this.transcriber && typeof this.transcriber.dispose === 'function') {
+      this.transcriber.dispose().catch(() => {});
+    }
+    this.transcriber = null;
+    this.ready = false;
+  }
+}
+
+module.exports = {
+  TransformersASR,
+  decodeWav,
+  SAMPLE_RATE
+};
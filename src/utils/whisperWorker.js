@@ -0,0 +1,549 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const axios = require('axios');
+const FormData = require('form-data');
+const config = require('../../config/config');
+const logger = require('./logger');
+const { TransformersASR } = require('./transformersASR');
+
+/**
+ * Worker persistente de Whisper
+ * 
+ * El modelo queda cargado entre notas de voz en vez de lanzar un proceso por audio:
+ * - faster-whisper / openai-whisper: procesos de scripts/whisper_worker.py que
+ *   reciben y responden una línea JSON por mensaje en stdin/stdout (un audio a
+ *   la vez por proceso; concurrency procesos)
+ * - whisper.cpp: whisper-server (HTTP local) lanzado por el bot, o uno que ya
+ *   esté corriendo si se indica WHISPER_CPP_URL
+ * - transformers: en el mismo proceso de Node con transformers.js (ver utils/transformersASR)
+ * 
+ * Las transcripciones esperan en una cola (máximo queueMax) y se atienden de a
+ * concurrency a la vez, cada una con timeoutMs. Un proceso que muere o se pasa
+ * del tiempo se relanza en el siguiente pedido. Con onSegment se reciben los
+ * segmentos a medida que se decodifican.
+ * 
+ * @module utils/whisperWorker
+ */
+
+const PYTHON_BACKENDS = ['faster-whisper', 'openai-whisper'];
+// Una sola instancia compartida; concurrency limita los pedidos simultáneos
+const SHARED_BACKENDS = {
+  'whisper.cpp': options => new WhisperCppServer(options),
+  transformers: options => new TransformersASR(options)
+};
+const BACKENDS = [...PYTHON_BACKENDS, ...Object.keys(SHARED_BACKENDS)];
+
+// Descarga de modelos sin verificar certificados (proxies con certificados propios):
+// solo con WHISPER_INSECURE_DOWNLOADS=true
+const INSECURE_DOWNLOAD_ENV = {
+  PYTHONHTTPSVERIFY: '0',
+  SSL_CERT_FILE: '',
+  REQUESTS_CA_BUNDLE: ''
+};
+
+/**
+ * Segmento en el formato común de todos los backends
+ * (los datos de confianza quedan en null si el backend no los da)
+ * 
+ * @returns {{start: number|null, end: number|null, text: string, avgLogprob: number|null,
+ *   noSpeechProb: number|null, words: Array<{word: string, start: number, end: number, probability: number|null}>}}
+ */
+function normalizeSegment(raw = {}) {
+  const number = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+  return {
+    start: number(raw.start),
+    end: number(raw.end),
+    text: String(raw.text || '').trim(),
+    avgLogprob: number(raw.avg_logprob ?? raw.avgLogprob),
+    noSpeechProb: number(raw.no_speech_prob ?? raw.noSpeechProb),
+    words: (raw.words || []).map(word => ({
+      word: String(word.word || '').trim(),
+      start: number(word.start),
+      end: number(word.end),
+      probability: number(word.probability ?? word.p)
+    }))
+  };
+}
+
+/**
+ * Un proceso de scripts/whisper_worker.py
+ */
+class PythonWorker {
+  constructor(index, options) {
+    this.index = index;
+    this.options = options;
+    this.process = null;
+    this.starting = null;
+    this.ready = false;
+    this.info = null;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.restarts = 0;
+  }
+
+  start() {
+    if (this.ready) {
+      return Promise.resolve(this.info);
+    }
+    if (!this.starting) {
+      this.starting = this._spawn().finally(() => {
+        this.starting = null;
+      });
+    }
+    return this.starting;
+  }
+
+  _spawn() {
+    const { options } = this;
+    const args = [
+      path.resolve(options.worker.script),
+      '--backend', options.backend,
+      '--model', options.model,
+      '--device', options.worker.device,
+      '--compute-type', options.worker.computeType
+    ];
+
+    logger.info(`🎧 Iniciando worker de Whisper #${this.index} (${options.backend}, ${options.model})`);
+    const env = { ...process.env, PYTHONUNBUFFERED: '1' };
+    if (options.worker.insecureDownloads) {
+      logger.warn('⚠️ Worker de Whisper sin verificación de certificados (WHISPER_INSECURE_DOWNLOADS)');
+      Object.assign(env, INSECURE_DOWNLOAD_ENV);
+    }
+    const child = spawn(options.pythonPath, args, { env, stdio: ['pipe', 'pipe', 'pipe'] });
+    this.process = child;
+    // Escribir a un proceso que acaba de morir no debe tumbar el bot (lo maneja 'exit')
+    child.stdin.on('error', () => {});
+
+    return new Promise((resolve, reject) => {
+      let stderr = '';
+      const timer = setTimeout(() => {
+        fail(new Error(`El worker de Whisper no cargó el modelo en ${options.worker.startupTimeoutMs} ms`));
+        child.kill();
+      }, options.worker.startupTimeoutMs);
+
+      const fail = (error) => {
+        clearTimeout(timer);
+        reject(error);
+      };
+
+      child.stderr.on('data', (data) => {
+        stderr = (stderr + data.toString()).slice(-2000);
+        logger.debug(`Whisper worker #${this.index} stderr: ${data}`);
+      });
+
+      readline.createInterface({ input: child.stdout }).on('line', (line) => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (error) {
+          logger.debug(`Whisper worker #${this.index}: línea ignorada ${line}`);
+          return;
+        }
+
+        if (message.type === 'ready') {
+          clearTimeout(timer);
+          this.ready = true;
+          this.info = { backend: message.backend, model: message.model, loadMs: message.load_ms };
+          logger.success(`✅ Worker de Whisper #${this.index} listo (modelo cargado en ${message.load_ms} ms)`);
+          resolve(this.info);
+        } else if (message.type === 'fatal') {
+          fail(new Error(message.error));
+        } else {
+          this._handleMessage(message);
+        }
+      });
+
+      child.on('error', fail);
+      child.on('exit', (code, signal) => {
+        fail(new Error(`El worker de Whisper terminó (código ${code ?? signal}): ${stderr.trim().split('\n').pop() || 'sin detalle'}`));
+        if (this.process !== child) {
+          return; // Detenido con stop(): ya se rechazó lo pendiente
+        }
+
+        if (this.ready) {
+          this.restarts++;
+          logger.warn(`⚠️ Worker de Whisper #${this.index} terminó (código ${code ?? signal}); se relanzará en el próximo audio`);
+        }
+        this.ready = false;
+        this.process = null;
+        this._rejectPending(new Error('El worker de Whisper terminó durante la transcripción'));
+      });
+    });
+  }
+
+  _handleMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) {
+      return;
+    }
+
+    if (message.type === 'segment') {
+      if (request.onSegment) {
+        try {
+          request.onSegment(normalizeSegment(message));
+        } catch (error) {
+          logger.warn('Error en onSegment de Whisper', error.message);
+        }
+      }
+      return;
+    }
+
+    clearTimeout(request.timer);
+    this.pending.delete(message.id);
+    if (message.type === 'error') {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message);
+    }
+  }
+
+  _rejectPending(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  _send(payload, { timeoutMs, onSegment } = {}) {
+    if (!this.process) {
+      return Promise.reject(new Error('El worker de Whisper no está en ejecución'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Whisper no respondió en ${timeoutMs} ms`));
+        // No hay forma de cancelar una decodificación: se reinicia el proceso
+        this.stop();
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, onSegment, timer });
+      this.process.stdin.write(JSON.stringify({ id, ...payload }) + '\n');
+    });
+  }
+
+  async ping() {
+    await this.start();
+    await this._send({ type: 'ping' }, { timeoutMs: 5000 });
+    return true;
+  }
+
+  async transcribe(audioPath, { initialPrompt = null, hotwords = null, onSegment = null } = {}) {
+    await this.start();
+    const { options } = this;
+    const result = await this._send({
+      type: 'transcribe',
+      audio: audioPath,
+      language: options.language,
+      beam_size: options.beam_size,
+      best_of: options.best_of,
+      temperature: options.temperature,
+      initial_prompt: initialPrompt,
+      hotwords, // Solo faster-whisper los usa
+      word_timestamps: true
+    }, { timeoutMs: options.worker.timeoutMs, onSegment });
+
+    return {
+      text: (result.text || '').trim(),
+      language: result.language || options.language,
+      duration: result.duration || null,
+      segments: (result.segments || []).map(normalizeSegment),
+      elapsedMs: result.elapsed_ms
+    };
+  }
+
+  stop() {
+    if (this.process) {
+      const child = this.process;
+      this.process = null;
+      this.ready = false;
+      this._rejectPending(new Error('Worker de Whisper detenido'));
+      child.kill();
+    }
+  }
+}
+
+/**
+ * whisper-server de whisper.cpp (compartido por todos los pedidos simultáneos)
+ */
+class WhisperCppServer {
+  constructor(options) {
+    this.options = options;
+    this.external = !!options.cpp.url;
+    this.url = (options.cpp.url || `http://127.0.0.1:${options.cpp.port}`).replace(/\/$/, '');
+    this.process = null;
+    this.starting = null;
+    this.ready = false;
+    this.restarts = 0;
+  }
+
+  start() {
+    if (this.ready) {
+      return Promise.resolve({ backend: 'whisper.cpp', url: this.url });
+    }
+    if (!this.starting) {
+      this.starting = this._start().finally(() => {
+        this.starting = null;
+      });
+    }
+    return this.starting;
+  }
+
+  async _start() {
+    const { cpp, worker } = this.options;
+    if (!this.external && !this.process) {
+      const args = [
+        '-m', path.resolve(cpp.model),
+        '--host', '127.0.0.1',
+        '--port', String(cpp.port),
+        '-l', this.options.language,
+        '-bs', String(this.options.beam_size),
+        '-t', String(cpp.threads)
+      ];
+      logger.info(`🎧 Iniciando whisper-server de whisper.cpp en ${this.url}`);
+      this.process = spawn(cpp.server, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      this.process.stderr.on('data', data => logger.debug(`whisper-server: ${data}`));
+      this.process.on('error', (error) => {
+        logger.error('No se pudo ejecutar whisper-server', error.message);
+      });
+      this.process.on('exit', (code) => {
+        if (this.ready) {
+          this.restarts++;
+          logger.warn(`⚠️ whisper-server terminó (código ${code}); se relanzará en el próximo audio`);
+        }
+        this.ready = false;
+        this.process = null;
+      });
+    }
+
+    // Esperar a que el servidor cargue el modelo (503 mientras carga)
+    const deadline = Date.now() + worker.startupTimeoutMs;
+    while (Date.now() < deadline) {
+      if (await this.ping().catch(() => false)) {
+        this.ready = true;
+        logger.success(`✅ whisper-server listo en ${this.url}`);
+        return { backend: 'whisper.cpp', url: this.url };
+      }
+      if (!this.external && !this.process) {
+        throw new Error(`whisper-server no arrancó (${cpp.server})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error(`whisper-server no respondió en ${worker.startupTimeoutMs} ms`);
+  }
+
+  async ping() {
+    const response = await axios.get(`${this.url}/health`, { timeout: 2000 });
+    return response.status === 200;
+  }
+
+  async transcribe(audioPath, { initialPrompt = null, onSegment = null } = {}) {
+    await this.start();
+    const started = Date.now();
+    const form = new FormData();
+    form.append('file', fs.createReadStream(audioPath));
+    form.append('temperature', String(this.options.temperature));
+    form.append('language', this.options.language);
+    form.append('response_format', 'verbose_json'); // Segmentos (y palabras con probabilidad en versiones recientes)
+    if (initialPrompt) {
+      form.append('prompt', initialPrompt);
+    }
+
+    try {
+      const response = await axios.post(`${this.url}/inference`, form, {
+        headers: form.getHeaders(),
+        timeout: this.options.worker.timeoutMs,
+        maxBodyLength: Infinity
+      });
+      const text = String(response.data?.text || '').trim();
+      const segments = (response.data?.segments || []).map(normalizeSegment);
+      // whisper-server responde todo junto: los segmentos llegan al final
+      if (onSegment) {
+        for (const segment of segments) {
+          onSegment(segment);
+        }
+      }
+      const last = segments[segments.length - 1];
+      return { text, language: this.options.language, duration: last?.end ?? null, segments, elapsedMs: Date.now() - started };
+    } catch (error) {
+      if (!this.external && error.code === 'ECONNREFUSED') {
+        this.ready = false;
+      }
+      throw error;
+    }
+  }
+
+  stop() {
+    if (this.process) {
+      this.ready = false;
+      this.process.kill();
+    }
+  }
+}
+
+class WhisperWorkerPool {
+  constructor() {
+    this.options = { ...config.whisper };
+    this.workers = null;
+    this.idle = [];
+    this.queue = [];
+    this.active = 0;
+    this.lastError = null;
+    this.stats = { completed: 0, failed: 0, rejected: 0, totalMs: 0 };
+  }
+
+  /**
+   * Sobrescribir opciones de config.whisper (pruebas); detiene los workers actuales
+   */
+  configure(options = {}) {
+    this.stop();
+    this.options = { ...this.options, ...options, worker: { ...this.options.worker, ...options.worker } };
+  }
+
+  _createWorkers() {
+    const { backend, worker } = this.options;
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Backend de Whisper desconocido: ${backend} (disponibles: ${BACKENDS.join(', ')})`);
+    }
+
+    const concurrency = Math.max(1, worker.concurrency);
+    if (SHARED_BACKENDS[backend]) {
+      const shared = SHARED_BACKENDS[backend](this.options);
+      this.workers = [shared];
+      this.idle = Array(concurrency).fill(shared);
+    } else {
+      this.workers = Array.from({ length: concurrency }, (_, index) => new PythonWorker(index + 1, this.options));
+      this.idle = [...this.workers];
+    }
+  }
+
+  /**
+   * Arrancar los workers (carga el modelo) y comprobar que responden
+   * 
+   * @returns {Promise<object>} Estado (ver health)
+   */
+  async ensureReady() {
+    if (!this.workers) {
+      this._createWorkers();
+    }
+    try {
+      await Promise.all(this.workers.map(async (worker) => {
+        await worker.start();
+        await worker.ping();
+      }));
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+    return this.health();
+  }
+
+  /**
+   * Transcribir un audio (WAV 16 kHz) cuando haya un worker libre
+   * 
+   * @param {string} audioPath
+   * @param {object} [options]
+   * @param {string} [options.initialPrompt] - Contexto para el decodificador
+   * @param {string} [options.hotwords] - Palabras a favorecer (faster-whisper; ver utils/catalogVocabulary)
+   * @param {Function} [options.onSegment] - (segmento) a medida que se decodifica (ver normalizeSegment)
+   * @returns {Promise<{text: string, language: string, duration: number|null, segments: Array<object>, elapsedMs: number}>}
+   */
+  transcribe(audioPath, options = {}) {
+    if (!this.workers) {
+      this._createWorkers();
+    }
+    if (this.queue.length >= this.options.worker.queueMax) {
+      this.stats.rejected++;
+      return Promise.reject(new Error(`Cola de transcripción llena (${this.queue.length} audios esperando)`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ audioPath, options, resolve, reject, queuedAt: Date.now() });
+      this._dispatch();
+    });
+  }
+
+  _dispatch() {
+    while (this.queue.length > 0 && this.idle.length > 0) {
+      const worker = this.idle.pop();
+      const job = this.queue.shift();
+      this.active++;
+
+      const started = Date.now();
+      worker.transcribe(job.audioPath, job.options)
+        .then((result) => {
+          this.stats.completed++;
+          this.stats.totalMs += Date.now() - started;
+          this.lastError = null;
+          job.resolve({ ...result, waitMs: started - job.queuedAt });
+        })
+        .catch((error) => {
+          this.stats.failed++;
+          this.lastError = error.message;
+          job.reject(error);
+        })
+        .finally(() => {
+          this.active--;
+          // Si se llamó a stop() mientras tanto, el worker ya no es de este grupo
+          if (this.workers && this.workers.includes(worker)) {
+            this.idle.push(worker);
+            this._dispatch();
+          }
+        });
+    }
+  }
+
+  _modelName() {
+    switch (this.options.backend) {
+      case 'whisper.cpp': return this.options.cpp.model;
+      case 'transformers': return this.options.transformers.model;
+      default: return this.options.model;
+    }
+  }
+
+  /**
+   * Estado de los workers y de la cola
+   */
+  health() {
+    const workers = this.workers || [];
+    return {
+      backend: this.options.backend,
+      model: this._modelName(),
+      ready: workers.length > 0 && workers.every(worker => worker.ready),
+      workers: workers.length,
+      concurrency: Math.max(1, this.options.worker.concurrency),
+      active: this.active,
+      queued: this.queue.length,
+      restarts: workers.reduce((sum, worker) => sum + worker.restarts, 0),
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      rejected: this.stats.rejected,
+      avgMs: this.stats.completed > 0 ? Math.round(this.stats.totalMs / this.stats.completed) : 0,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Detener los procesos (los audios en espera fallan)
+   */
+  stop() {
+    for (const worker of this.workers || []) {
+      worker.stop();
+    }
+    for (const job of this.queue) {
+      job.reject(new Error('Worker de Whisper detenido'));
+    }
+    this.workers = null;
+    this.idle = [];
+    this.queue = [];
+  }
+}
+
+const whisperWorker = new WhisperWorkerPool();
+whisperWorker.normalizeSegment = normalizeSegment; // Para otros backends (API de OpenAI)
+
+module.exports = whisperWorker;
@@ -5,6 +5,12 @@ const logger = require('./utils/logger');
 const audioConverter = require('./utils/audioConverter');
 const axios = require('axios');
 const FormData = require('form-data');
+const whisperWorker = require('./utils/whisperWorker');
+const transcriptionConfidence = require('./utils/transcriptionConfidence');
+const catalogVocabulary = require('./utils/catalogVocabulary');
+
+// Contexto para el decodificador (mejora el reconocimiento de pedidos)
+const INITIAL_PROMPT = 'Esto es una conversación en español peruano sobre pedidos de productos. Habla de forma clara y natural.';
 
 class WhisperTranscriber {
   constructor() {
@@ -12,34 +18,59 @@ class WhisperTranscriber {
     if (this.useAPI) {
       logger.info('✅ Whisper configurado para usar OpenAI API (máxima precisión)');
     } else {
-      logger.info('✅ Whisper local configurado');
+      logger.info(`✅ Whisper local configurado (${config.whisper.backend})`);
     }
   }
 
   /**
-   * Descargar/preparar el modelo al inicio para evitar fallos SSL en primer uso
+   * Arrancar el worker local al inicio: carga el modelo una vez (y lo descarga
+   * si falta) y comprueba que responde
    */
   async ensureReady() {
     try {
       logger.info('🧩 Preparando modelo de Whisper...');
-      await this._warmupModel();
-      logger.success('✅ Modelo de Whisper listo');
+      const health = await whisperWorker.ensureReady();
+      logger.success(`✅ Modelo de Whisper listo (${health.backend}, ${health.workers} worker(s))`);
+      return health;
     } catch (error) {
-      logger.warn('⚠️ Warmup de Whisper no completado, se intentará al vuelo', { error: error.message });
+      logger.warn('⚠️ Worker de Whisper no disponible, se intentará al recibir un audio', { error: error.message });
+      return whisperWorker.health();
     }
   }
 
   /**
    * Transcribir audio (usa API si está configurada, sino usa local)
+   * 
+   * @param {string} audioPath
+   * @param {object} [options]
+   * @param {Function} [options.onSegment] - (segmento) a medida que el worker local decodifica
+   * @returns {Promise<string>} Texto transcrito
+   */
+  async transcribe(audioPath, options = {}) {
+    return (await this.transcribeDetailed(audioPath, options)).text;
+  }
+
+  /**
+   * Transcribir audio conservando los datos de confianza
+   * 
+   * Los segmentos traen avgLogprob, noSpeechProb y las palabras con su
+   * probabilidad (ver utils/whisperWorker normalizeSegment); confidence es la
+   * estimación global de utils/transcriptionConfidence (null si el backend no
+   * da log-probabilidades).
+   * 
+   * @param {string} audioPath
+   * @param {object} [options]
+   * @param {Function} [options.onSegment]
+   * @returns {Promise<{text: string, rawText: string, corrections: Array<object>, segments: Array<object>, confidence: number|null, language: string, duration: number|null}>}
    */
-  async transcribe(audioPath) {
+  async transcribeDetailed(audioPath, options = {}) {
     try {
       if (this.useAPI) {
         logger.info('🎤 Transcribiendo audio con OpenAI Whisper API (máxima precisión)...');
         return await this._transcribeWithAPI(audioPath);
       } else {
         logger.info('🎤 Transcribiendo audio con Whisper local...');
-        return await this._transcribeWithLocalWhisper(audioPath);
+        return await this._transcribeWithLocalWhisper(audioPath, options);
       }
     } catch (error) {
       logger.error('Error en transcripción', error);
@@ -48,7 +79,7 @@ class WhisperTranscriber {
       if (this.useAPI && config.whisper.api_key) {
         logger.warn('⚠️ Falló transcripción con API, intentando con Whisper local como fallback...');
         try {
-          return await this._transcribeWithLocalWhisper(audioPath);
+          return await this._transcribeWithLocalWhisper(audioPath, options);
         } catch (fallbackError) {
           logger.error('Error en transcripción local (fallback)', fallbackError);
         }
@@ -83,9 +114,9 @@ class WhisperTranscriber {
       });
       formData.append('model', 'whisper-1');
       formData.append('language', config.whisper.language);
-      formData.append('response_format', 'text');
+      formData.append('response_format', 'verbose_json'); // Incluye avg_logprob y no_speech_prob por segmento
       formData.append('temperature', config.whisper.temperature.toString());
-      formData.append('prompt', 'Esto es una conversación en español peruano sobre pedidos de productos. Habla de forma clara y natural.'); // Prompt para mejor reconocimiento
+      formData.append('prompt', (await this._decoderContext()).initialPrompt); // Prompt para mejor reconocimiento
       
       logger.info('📤 Enviando audio a OpenAI Whisper API...');
       
@@ -103,7 +134,7 @@ class WhisperTranscriber {
         }
       );
       
-      const transcription = response.data.trim();
+      const transcription = String(response.data.text || '').trim();
       
       // Limpiar archivo temporal si se creó
       if (processedAudioPath !== audioPath) {
@@ -115,7 +146,13 @@ class WhisperTranscriber {
         preview: transcription.substring(0, 50) + '...'
       });
       
-      return transcription;
+      // La API no da probabilidad por palabra: la confianza sale de los segmentos
+      return this._detailed({
+        text: transcription,
+        language: response.data.language || config.whisper.language,
+        duration: response.data.duration ?? null,
+        segments: (response.data.segments || []).map(whisperWorker.normalizeSegment)
+      });
     } catch (error) {
       logger.error('Error en transcripción con API', {
         error: error.message,
@@ -127,9 +164,9 @@ class WhisperTranscriber {
   }
 
   /**
-   * Transcribir usando Whisper local
+   * Transcribir usando Whisper local (worker persistente, ver utils/whisperWorker)
    */
-  async _transcribeWithLocalWhisper(audioPath) {
+  async _transcribeWithLocalWhisper(audioPath, { onSegment = null } = {}) {
     try {
       logger.info('🎤 Transcribiendo audio con Whisper local...');
       
@@ -141,7 +178,9 @@ class WhisperTranscriber {
         logger.success('✅ Audio convertido a WAV');
       }
 
-      const transcription = await this._runWhisperLocal(wavPath);
+      const { initialPrompt, hotwords } = await this._decoderContext();
+      const result = await whisperWorker.transcribe(wavPath, { initialPrompt, hotwords, onSegment });
+      const transcription = result.text;
 
       // Limpiar archivos temporales
       if (wavPath !== audioPath) {
@@ -150,9 +189,11 @@ class WhisperTranscriber {
 
       logger.success('✅ Transcripción completada con Whisper local', { 
         length: transcription.length,
+        ms: result.elapsedMs,
+        waitMs: result.waitMs,
         preview: transcription.substring(0, 50) + '...'
       });
-      return transcription;
+      return this._detailed(result);
     } catch (error) {
       logger.error('Error en transcripción local', error);
       throw new Error('No se pudo transcribir el audio');
@@ -160,178 +201,52 @@ class WhisperTranscriber {
   }
 
   /**
-   * Ejecutar Whisper local como proceso hijo
+   * Prompt inicial (y hotwords) con los productos del catálogo, ver utils/catalogVocabulary
    */
-  _runWhisperLocal(audioPath) {
-    return new Promise((resolve, reject) => {
-      const { spawn } = require('child_process');
-      const tempDir = path.join(__dirname, '..', config.paths.temp);
-      const fs = require('fs');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-
-            const args = [
-              '-m', 'whisper',
-              audioPath,
-              '--model', config.whisper.model,
-              '--language', config.whisper.language,
-              '--task', 'transcribe',
-              '--output_format', 'txt',
-              '--output_dir', tempDir,
-              '--temperature', config.whisper.temperature.toString(),
-              '--beam_size', config.whisper.beam_size.toString(),
-              '--best_of', config.whisper.best_of.toString(), // Mejorar calidad
-              '--patience', '1.0', // Reducir errores
-              '--condition_on_previous_text', 'True', // Mejor contexto
-              '--initial_prompt', 'Esto es una conversación en español peruano sobre pedidos de productos. Habla de forma clara y natural.', // Prompt inicial para mejor reconocimiento
-              '--compression_ratio_threshold', '2.4', // Filtrar transcripciones de baja calidad
-              '--logprob_threshold', '-1.0', // Filtrar por probabilidad
-              '--no_speech_threshold', '0.6' // Detectar mejor cuando hay silencio
-            ];
-
-      logger.debug('Ejecutando Whisper local', { args });
-
-      // Configurar variables de entorno para evitar problemas SSL
-      const env = {
-        ...process.env,
-        PYTHONHTTPSVERIFY: '0', // Desactivar verificación SSL para descargar modelos
-        SSL_CERT_FILE: '',
-        REQUESTS_CA_BUNDLE: ''
+  async _decoderContext() {
+    if (!config.whisper.vocabulary.enabled) {
+      return { initialPrompt: INITIAL_PROMPT, hotwords: null };
+    }
+    try {
+      return {
+        initialPrompt: await catalogVocabulary.getPrompt(INITIAL_PROMPT),
+        hotwords: await catalogVocabulary.getHotwords()
       };
-
-      const whisper = spawn(config.whisper.pythonPath, args, { env });
-      
-      let stdout = '';
-      let stderr = '';
-
-      whisper.stdout.on('data', (data) => {
-        stdout += data.toString();
-        logger.debug(`Whisper stdout: ${data}`);
-      });
-
-      whisper.stderr.on('data', (data) => {
-        stderr += data.toString();
-        logger.debug(`Whisper stderr: ${data}`);
-      });
-
-      whisper.on('close', (code) => {
-        if (code === 0) {
-          const txtPath = path.join(
-            tempDir,
-            path.basename(audioPath, path.extname(audioPath)) + '.txt'
-          );
-          
-          try {
-            if (fs.existsSync(txtPath)) {
-              const transcription = fs.readFileSync(txtPath, 'utf8').trim();
-              fs.unlinkSync(txtPath);
-              resolve(transcription);
-            } else {
-              // Intentar extraer del output
-              const text = this._extractTextFromOutput(stdout + stderr);
-              if (text) {
-                resolve(text);
-              } else {
-                reject(new Error('No se pudo obtener la transcripción del archivo ni del output'));
-              }
-            }
-          } catch (error) {
-            const text = this._extractTextFromOutput(stdout + stderr);
-            if (text) {
-              resolve(text);
-            } else {
-              reject(new Error(`No se pudo obtener la transcripción: ${error.message}`));
-            }
-          }
-        } else {
-          reject(new Error(`Whisper falló con código ${code}: ${stderr}`));
-        }
-      });
-
-      whisper.on('error', (error) => {
-        logger.error('Error al ejecutar Whisper local', error);
-        reject(error);
-      });
-    });
+    } catch (error) {
+      logger.warn('No se pudo armar el vocabulario del catálogo, se usa el prompt genérico', error.message);
+      return { initialPrompt: INITIAL_PROMPT, hotwords: null };
+    }
   }
 
   /**
-   * Extraer texto del output de Whisper local
+   * Resultado común de ambos caminos, con la confianza global y las palabras
+   * acercadas al catálogo (rawText conserva lo que entregó Whisper)
    */
-  _extractTextFromOutput(output) {
-    const lines = output.split('\n');
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed && 
-          !trimmed.includes('[') && 
-          !trimmed.includes('Detecting language') &&
-          !trimmed.includes('Loading') &&
-          !trimmed.includes('Transcribing') &&
-          trimmed.length > 3) {
-        return trimmed;
-      }
+  _detailed({ text, language, duration, segments = [] }) {
+    const confidence = transcriptionConfidence.overall(segments);
+    if (confidence !== null) {
+      logger.debug(`🎯 Confianza de la transcripción: ${confidence.toFixed(2)}`);
     }
-    return null;
+    const corrected = config.whisper.vocabulary.enabled ? catalogVocabulary.correct(text) : { text, corrections: [] };
+    return { text: corrected.text, rawText: text, corrections: corrected.corrections, segments, confidence, language, duration };
   }
 
   /**
-   * Verificar si Whisper local está instalado
+   * Verificar si Whisper local está instalado (el worker carga el modelo y responde)
    */
   async checkLocalInstallation() {
-    return new Promise((resolve) => {
-      const { spawn } = require('child_process');
-      const whisper = spawn(config.whisper.pythonPath, ['-m', 'whisper', '--help'], {
-        env: {
-          ...process.env,
-          PYTHONHTTPSVERIFY: '0',
-          SSL_CERT_FILE: '',
-          REQUESTS_CA_BUNDLE: ''
-        }
-      });
-      
-      whisper.on('close', (code) => {
-        resolve(code === 0);
-      });
-      
-      whisper.on('error', () => {
-        resolve(false);
-      });
-    });
+    try {
+      return (await whisperWorker.ensureReady()).ready;
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
-   * Warmup: invocar whisper con --help y flags para forzar descarga con SSL desactivado
+   * Estado del worker local y de su cola
    */
-  _warmupModel() {
-    return new Promise((resolve, reject) => {
-      const { spawn } = require('child_process');
-      const args = [
-        '-m', 'whisper',
-        '--model', config.whisper.model,
-        '--language', config.whisper.language,
-        '--help'
-      ];
-      const env = {
-        ...process.env,
-        PYTHONHTTPSVERIFY: '0',
-        SSL_CERT_FILE: '',
-        REQUESTS_CA_BUNDLE: ''
-      };
-      logger.debug('Warmup Whisper', { args });
-      const p = spawn(config.whisper.pythonPath, args, { env });
-      let stderr = '';
-      p.stderr.on('data', d => { stderr += d.toString(); });
-      p.on('close', (code) => {
-        // whisper --help devuelve 0 y muestra usage; si no, igual consideramos listo si mostró usage
-        if (code === 0 || /usage/i.test(stderr)) {
-          resolve();
-        } else {
-          reject(new Error(`Warmup whisper salió con código ${code}`));
-        }
-      });
-      p.on('error', (err) => reject(err));
-    });
+  health() {
+    return whisperWorker.health();
   }
 }
 
@@ -0,0 +1,159 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const express = require('express');
+
+process.env.SQLITE_DB_PATH = ':memory:';
+process.env.LOG_SILENT = 'true';
+process.env.ADMIN_API_KEYS = 'clave-lector:viewer,clave-operador:operator';
+process.env.ADMIN_JWT_SECRET = 'secreto-de-prueba';
+
+const db = require('../src/db');
+const sessionManager = require('../src/sessionManager');
+const adminAuth = require('../src/core/admin/adminAuth');
+const createAdminRouter = require('../src/core/admin/adminRouter');
+
+// Handler de WhatsApp falso: registra los envíos manuales
+const sent = [];
+const whatsappHandler = {
+  async sendMessage(phoneNumber, message) {
+    sent.push({ phoneNumber, message });
+    return true;
+  },
+  getStatus() {
+    return { connected: false, messageHandlersConfigured: false };
+  },
+  async getDebugInfo() {
+    return this.getStatus();
+  }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await db.initialize();
+  await sessionManager.getSession('51987654321');
+  await sessionManager.updateSessionState('51987654321', 'awaiting_password', { nombreCliente: 'Juan' });
+  await sessionManager.saveMessage('51987654321', 'text', 'hola', false);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', createAdminRouter({ whatsappHandler }));
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+async function call(method, path, headers = {}, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('sin credenciales o con credenciales inválidas responde 401', async () => {
+  assert.strictEqual((await call('GET', '/sessions')).status, 401);
+  assert.strictEqual((await call('GET', '/sessions', { 'x-api-key': 'otra' })).status, 401);
+  assert.strictEqual((await call('GET', '/sessions', { authorization: 'Bearer a.b.c' })).status, 401);
+});
+
+test('viewer consulta sesiones e historial pero no puede reiniciar ni enviar', async () => {
+  const viewer = { 'x-api-key': 'clave-lector' };
+
+  const list = await call('GET', '/sessions?state=awaiting_password', viewer);
+  assert.strictEqual(list.status, 200);
+  assert.strictEqual(list.body.total, 1);
+
+  const detail = await call('GET', '/sessions/51987654321', viewer);
+  assert.strictEqual(detail.body.session.state, 'awaiting_password');
+  assert.strictEqual((await call('GET', '/sessions/51900000000', viewer)).status, 404);
+
+  const history = await call('GET', '/sessions/51987654321/history', viewer);
+  assert.strictEqual(history.body.messages[0].content, 'hola');
+
+  assert.strictEqual((await call('POST', '/sessions/51987654321/reset', viewer)).status, 403);
+  assert.strictEqual((await call('POST', '/messages', viewer, { phoneNumber: '51987654321', message: 'x' })).status, 403);
+});
+
+test('las sesiones salen sin el token de KARDEX ni el código SMS pendiente', async () => {
+  await sessionManager.getSession('51911122233');
+  await sessionManager.updateSessionState('51911122233', 'awaiting_password', {
+    _input_phone: '911122233',
+    _user_token: 'token-kardex',
+    _sms_code: '123456',
+    _sms_attempts: 1
+  });
+  const viewer = { 'x-api-key': 'clave-lector' };
+
+  const detail = await call('GET', '/sessions/51911122233', viewer);
+  assert.deepStrictEqual(detail.body.session.context.auth, { _input_phone: '911122233', _sms_attempts: 1 });
+  assert.deepStrictEqual(JSON.parse(detail.body.session.current_order), { _input_phone: '911122233', _sms_attempts: 1 });
+
+  const list = await call('GET', '/sessions', viewer);
+  assert.strictEqual(list.body.total, 2);
+  assert.doesNotMatch(JSON.stringify(list.body), /token-kardex|123456/);
+
+  // En la sesión guardada siguen estando
+  assert.strictEqual((await sessionManager.findSession('51911122233')).context.auth._user_token, 'token-kardex');
+});
+
+test('operator reinicia la sesión y envía un mensaje manual', async () => {
+  const operator = { authorization: 'Bearer clave-operador' };
+
+  const reset = await call('POST', '/sessions/51987654321/reset', operator);
+  assert.strictEqual(reset.body.previousState, 'awaiting_password');
+  assert.strictEqual((await sessionManager.findSession('51987654321')).state, 'idle');
+
+  const manual = await call('POST', '/messages', operator, { phoneNumber: '51987654321', message: 'Su pedido está en camino' });
+  assert.strictEqual(manual.status, 200);
+  assert.deepStrictEqual(sent, [{ phoneNumber: '51987654321', message: 'Su pedido está en camino' }]);
+
+  const history = await sessionManager.getConversationHistory('51987654321');
+  assert.ok(history.some(m => m.isBot && m.content === 'Su pedido está en camino'));
+
+  assert.strictEqual((await call('POST', '/whatsapp/check-connection', operator)).status, 403);
+});
+
+test('JWT firmado con rol; expirado o adulterado se rechaza', async () => {
+  const token = adminAuth.signToken({ sub: 'ana', role: 'admin' });
+  const status = await call('GET', '/status', { authorization: `Bearer ${token}` });
+  assert.strictEqual(status.status, 200);
+  assert.strictEqual(status.body.success, true);
+
+  const expired = adminAuth.signToken({ sub: 'ana', role: 'admin' }, -10);
+  assert.strictEqual((await call('GET', '/status', { authorization: `Bearer ${expired}` })).status, 401);
+
+  const [header, , signature] = token.split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ sub: 'eva', role: 'admin', exp: 9999999999 })).toString('base64url');
+  assert.strictEqual((await call('GET', '/status', { authorization: `Bearer ${header}.${forgedPayload}.${signature}` })).status, 401);
+});
+
+test('operator agrega y quita términos del diccionario sin reiniciar', async () => {
+  const viewer = { 'x-api-key': 'clave-lector' };
+  const operator = { 'x-api-key': 'clave-operador' };
+  const entry = { term: 'gaseosa', kind: 'producto', regional: ['fresco'] };
+
+  assert.strictEqual((await call('POST', '/dictionary', viewer, entry)).status, 403);
+  assert.strictEqual((await call('POST', '/dictionary', operator, { term: 'gaseosa', kind: 'bebida', regional: ['fresco'] })).status, 400);
+  assert.strictEqual((await call('POST', '/dictionary', operator, { term: 'gaseosa', kind: 'producto' })).status, 400);
+
+  const added = await call('POST', '/dictionary', operator, entry);
+  assert.strictEqual(added.status, 201);
+  assert.strictEqual(added.body.entry.createdBy, 'api-key#2');
+
+  const probe = await call('GET', '/dictionary?text=un fresco helado', viewer);
+  assert.strictEqual(probe.body.corrected, 'un gaseosa helado');
+  assert.ok(probe.body.entries.some(item => item.source === 'admin' && item.id === added.body.entry.id));
+
+  assert.strictEqual((await call('DELETE', `/dictionary/${added.body.entry.id}`, operator)).status, 200);
+  assert.strictEqual((await call('DELETE', `/dictionary/${added.body.entry.id}`, operator)).status, 404);
+  assert.strictEqual((await call('GET', '/dictionary?text=un fresco', viewer)).body.corrected, 'un fresco');
+});
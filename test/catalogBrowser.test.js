@@ -0,0 +1,147 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('assert');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+
+const USER = '51987654321';
+const GUEST = '51911122233';
+const BEBIDAS = ['Frugos Durazno 1L', 'Guaraná 500ml', 'Pepsi 1.5L', 'Sporade 500ml', 'Volt 300ml']
+  .map((nombre, index) => ({ id: 11 + index, nombre, precio_venta: 2 + index, stock_actual: 30, activo: 1, categoria_id: 1 }));
+
+function lines(reply) {
+  return reply.text.split('\n');
+}
+
+async function browse(userId) {
+  return (await simulator.getSession(userId)).context.browse._browse;
+}
+
+before(async () => {
+  await simulator.start();
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+test('el menú de categorías y las páginas se recorren con números, "ver más" y "anterior"', async () => {
+  simulator.store.productos.push(...BEBIDAS.map(producto => ({ ...producto })));
+
+  const [menu] = await simulator.send(GUEST, 'catalogo');
+  assert.ok(lines(menu).includes('1. Bebidas - 8 productos'));
+  assert.ok(lines(menu).includes('4. Panadería - 1 producto'));
+
+  const [first] = await simulator.send(GUEST, '1');
+  assert.match(first.text, /\*📂 Bebidas\*/);
+  assert.match(first.text, /Página 1 de 2 · ordenados por nombre/);
+  assert.ok(lines(first).includes('1. Agua San Luis 625ml - S/ 1.80'));
+  assert.ok(lines(first).includes('7. ➡️ Ver más - Página 2 de 2'));
+
+  const [second] = await simulator.send(GUEST, 'ver más');
+  assert.match(second.text, /Página 2 de 2/);
+  assert.ok(lines(second).includes('1. Sporade 500ml - S/ 5.00'));
+  assert.ok(lines(second).includes('2. Volt 300ml - S/ 6.00'));
+  assert.deepStrictEqual([(await browse(GUEST)).categoria, (await browse(GUEST)).page], ['1', 2]);
+
+  const [back] = await simulator.send(GUEST, 'anterior');
+  assert.match(back.text, /Página 1 de 2/);
+});
+
+test('cada categoría se ordena por precio o por unidades vendidas y recuerda su orden', async () => {
+  const [cheapest] = await simulator.send(GUEST, 'muéstrame las bebidas más baratas');
+  assert.match(cheapest.text, /ordenados por menor precio/);
+  assert.ok(lines(cheapest).includes('1. Agua San Luis 625ml - S/ 1.80'));
+
+  // La venta de ejemplo tiene 2 Coca Cola y 2 Arroz Costeño
+  const [popular] = await simulator.send(GUEST, 'los más vendidos');
+  assert.ok(lines(popular).includes('1. Coca Cola 500ml - S/ 2.50'));
+
+  const [abarrotes] = await simulator.send(GUEST, 'abarrotes');
+  assert.match(abarrotes.text, /ordenados por nombre/);
+  const [expensive] = await simulator.send(GUEST, 'más caros');
+  assert.ok(lines(expensive).includes('1. Aceite Primor 1L - S/ 9.90'));
+
+  const [bebidas] = await simulator.send(GUEST, 'bebidas');
+  assert.match(bebidas.text, /ordenados por más vendidos/);
+});
+
+test('un producto elegido se agrega al pedido y otro mensaje deja de valer la numeración', async () => {
+  await simulator.send(USER, 'hola');
+  await simulator.send(USER, 'clave123');
+
+  await simulator.send(USER, 'catalogo');
+  await simulator.send(USER, '1');
+  const [detail] = await simulator.send(USER, '2');
+  assert.match(detail.text, /\*Coca Cola 500ml\*/);
+  assert.match(detail.text, /1\. 🛒 Agregar 1/);
+
+  await simulator.send(USER, '1');
+  const added = simulator.kardexApi.calls.filter(call => call.method === 'agregarProductoAPedido').map(call => call.args.slice(1));
+  assert.deepStrictEqual(added, [[1, 1]]);
+
+  await simulator.send(USER, 'gracias');
+  const state = await browse(USER);
+  assert.deepStrictEqual(state.options, []);
+  assert.strictEqual(state.categoria, '1', 'la categoría sigue para "ver más"');
+});
+
+test('después de agregar, otro "1" no vuelve a agregar el producto', async () => {
+  await simulator.send(USER, 'hola');
+  await simulator.send(USER, 'clave123');
+
+  await simulator.send(USER, 'catalogo');
+  await simulator.send(USER, '1');
+  await simulator.send(USER, '2');
+  await simulator.send(USER, '1');
+  assert.deepStrictEqual((await browse(USER)).options, []);
+
+  await simulator.send(USER, '1');
+  const added = simulator.kardexApi.calls.filter(call => call.method === 'agregarProductoAPedido');
+  assert.strictEqual(added.length, 1);
+});
+
+test('en la confirmación y el pago la numeración del catálogo no se usa', async () => {
+  const { STATES } = simulator.sessionManager;
+  for (const state of [STATES.AWAITING_CONFIRMATION, STATES.AWAITING_PAYMENT_METHOD]) {
+    await simulator.send(GUEST, 'catalogo');
+    await simulator.sessionManager.updateSessionState(GUEST, state, {});
+
+    const replies = await simulator.send(GUEST, '1');
+    assert.ok(replies.every(reply => !/📂 Bebidas/.test(reply.text)));
+    assert.deepStrictEqual((await browse(GUEST)).options, []);
+    assert.strictEqual((await simulator.getSession(GUEST)).state, state);
+
+    await simulator.sessionManager.updateSessionState(GUEST, STATES.IDLE, {});
+  }
+});
+
+test('con sendInteractive el menú sale como lista y la opción elegida llega por su id', async () => {
+  const sent = [];
+  simulator.transport.sendInteractive = async (to, message) => {
+    sent.push(message);
+    return true;
+  };
+  try {
+    await simulator.send(GUEST, 'catalogo');
+    assert.strictEqual(sent[0].kind, 'list');
+    const rows = sent[0].sections.flatMap(section => section.rows);
+    assert.deepStrictEqual(rows.find(row => row.title === 'Lácteos'), { id: 'browse:cat:3:1', title: 'Lácteos', description: '2 productos' });
+
+    await simulator.send(GUEST, 'browse:cat:3:1');
+    assert.deepStrictEqual(sent[1].sections[0].rows.map(row => row.id), ['browse:prod:7', 'browse:prod:8']);
+
+    await simulator.send(GUEST, 'browse:sorts:3');
+    assert.strictEqual(sent[2].kind, 'buttons');
+    assert.deepStrictEqual(sent[2].buttons.map(button => button.id), ['browse:sort:3:precio_asc', 'browse:sort:3:precio_desc', 'browse:sort:3:popular']);
+
+    await simulator.send(GUEST, 'browse:sort:3:precio_desc');
+    assert.strictEqual(sent[3].sections[0].rows[0].title, 'Yogurt Gloria Fresa 1L');
+  } finally {
+    delete simulator.transport.sendInteractive;
+  }
+});
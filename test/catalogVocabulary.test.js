@@ -0,0 +1,49 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('assert');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+const catalogVocabulary = require('../src/utils/catalogVocabulary');
+
+before(async () => {
+  await simulator.start();
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+  await catalogVocabulary.refresh({ force: true });
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+test('el prompt de Whisper lleva los productos del catálogo sin la presentación', async () => {
+  const prompt = await catalogVocabulary.getPrompt('Pedido de abarrotes.');
+  assert.ok(prompt.startsWith('Pedido de abarrotes. Productos: Coca Cola, Inca Kola,'));
+  assert.match(prompt, /Arroz Costeño, Aceite Primor/);
+  assert.match(prompt, /Unidades: mililitros, litro, kilo, gramos\.$/);
+  assert.ok(!prompt.includes('Keke'), 'los productos inactivos no entran');
+
+  assert.match(await catalogVocabulary.getHotwords(), /^Coca Cola, Inca Kola, /);
+});
+
+test('las palabras casi iguales a una del catálogo se corrigen y las comunes no', () => {
+  const result = catalogVocabulary.correct('quiero dos inka colas, arros costeno y aseite de fressa');
+  assert.strictEqual(result.text, 'quiero dos inca colas, arroz costeno y aceite de fresa');
+  assert.deepStrictEqual(result.corrections.map(c => [c.from, c.to]), [
+    ['inka', 'inca'], ['arros', 'arroz'], ['aseite', 'aceite'], ['fressa', 'fresa']
+  ]);
+
+  assert.strictEqual(catalogVocabulary.correct('necesito medio kilo, gracias').corrections.length, 0);
+});
+
+test('el vocabulario se rearma cuando cambia el catálogo', async () => {
+  assert.strictEqual(catalogVocabulary.correct('un sublime').text, 'un sublime');
+
+  simulator.store.productos.push({ id: 11, nombre: 'Chocolate Sublime 30g', precio_venta: 1.5, stock_actual: 50, activo: 1, categoria_id: 4 });
+  await catalogVocabulary.refresh({ force: true });
+
+  assert.match(await catalogVocabulary.getPrompt('Pedido.'), /Chocolate Sublime/);
+  assert.strictEqual(catalogVocabulary.correct('un chocolatte sublimme').text, 'un chocolate sublime');
+});
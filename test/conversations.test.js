@@ -0,0 +1,22 @@
+const path = require('path');
+const { test, before, after } = require('node:test');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+const transcripts = require('./harness/transcripts');
+
+const CONVERSATIONS_DIR = path.join(__dirname, 'conversations');
+
+before(async () => {
+  await simulator.start();
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+for (const transcript of transcripts.load(CONVERSATIONS_DIR)) {
+  test(`${transcript.file}: ${transcript.name}`, async () => {
+    await transcripts.run(simulator, transcript);
+  });
+}
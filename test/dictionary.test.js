@@ -0,0 +1,55 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('assert');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+const dictionary = require('../src/utils/dictionary');
+const productSearch = require('../src/utils/productSearch');
+const { correctText } = require('../src/utils/textCorrector');
+const transcriptionCorrector = require('../src/utils/transcriptionCorrector');
+
+before(async () => {
+  await simulator.start();
+  await dictionary.initialize();
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+test('lleva errores, sinónimos y variantes regionales al término canónico', () => {
+  assert.strictEqual(dictionary.correct('2 chelas y un Ratón inalámbrico'), '2 cerveza y un mouse inalámbrico');
+  assert.strictEqual(dictionary.correct('unos audífonos sony wh-1000-xm5'), 'unos audifonos sony wh 1000 xm5');
+  assert.strictEqual(dictionary.correct('cocacola e inka kola'), 'coca cola e inca kola');
+  assert.strictEqual(dictionary.canonical('polos'), 'camiseta');
+  assert.strictEqual(dictionary.canonical('arroz'), null);
+
+  // La transcripción solo corrige errores: "chelas" es una forma válida de pedir
+  assert.strictEqual(transcriptionCorrector.corregir('zapatillas a vidas y unas chelas'), 'zapatillas adidas y unas chelas');
+  assert.match(correctText('quiero un maus y una notebook'), /mouse .*laptop/);
+  assert.deepStrictEqual(dictionary.find('tienen polos nike').map(item => [item.term, item.kind]), [['camiseta', 'producto'], ['nike', 'marca']]);
+});
+
+test('un término agregado en caliente llega a la búsqueda y a los correctores', async () => {
+  const [before] = await productSearch.find('fresco');
+  assert.strictEqual(before.producto.nombre, 'Yogurt Gloria Fresa 1L', 'sin el término solo se parece a "fresa"');
+
+  const entry = await dictionary.addEntry({ term: 'Gaseosa', kind: 'producto', regional: ['fresco', 'frescos'] }, 'ana');
+  try {
+    assert.strictEqual(entry.term, 'gaseosa');
+    const hits = await productSearch.find('un fresco');
+    const bySynonym = hits.filter(hit => hit.matches.some(match => match.kind === 'sinonimo' && match.term === 'gaseosa'));
+    assert.deepStrictEqual(bySynonym.map(hit => hit.producto.id).sort(), [1, 2], 'Coca Cola e Inca Kola dicen "Gaseosa"');
+    assert.match(correctText('dame dos frescos'), /gaseosa/);
+    assert.match(dictionary.promptExamples(), /"lapto" en vez de "laptop"/);
+  } finally {
+    assert.strictEqual(await dictionary.removeEntry(entry.id), true);
+  }
+
+  assert.strictEqual(dictionary.canonical('fresco'), null);
+  await assert.rejects(dictionary.addEntry({ term: 'agua', kind: 'producto' }), /al menos una variante/);
+});
@@ -0,0 +1,377 @@
+/**
+ * Reemplazo de src/kardexApi.js para el simulador
+ * 
+ * Mismos métodos y mismas formas de respuesta que el cliente real, pero
+ * resueltos contra el KardexStore en memoria. Cada llamada queda registrada
+ * en `calls` para poder verificarla desde las pruebas.
+ */
+class FakeKardexApi {
+  constructor(store) {
+    this.store = store;
+    this.baseUrl = 'http://127.0.0.1:9/api';
+    this.authToken = null;
+    this.timeout = 1000;
+    this.calls = [];
+  }
+
+  reset() {
+    this.calls = [];
+  }
+
+  _record(method, args) {
+    this.calls.push({ method, args });
+  }
+
+  _authorized(userToken) {
+    return userToken ? this.store.clienteFromToken(userToken) : null;
+  }
+
+  // ---------- Clientes ----------
+
+  async getClientById(clientId) {
+    this._record('getClientById', [clientId]);
+    return this.store.publicCliente(this.store.getCliente(clientId));
+  }
+
+  async getClientByPhone(phone) {
+    this._record('getClientByPhone', [phone]);
+    return this.store.publicCliente(this.store.findClientesByPhone(phone)[0] || null);
+  }
+
+  async linkPhoneToClient(clientId, phone) {
+    this._record('linkPhoneToClient', [clientId, phone]);
+    const cliente = this.store.getCliente(clientId);
+    if (!cliente) {
+      return false;
+    }
+    cliente.telefono = phone;
+    return true;
+  }
+
+  async verifyClientPassword(telefono, contrasena, clientId = null) {
+    this._record('verifyClientPassword', [telefono, '***', clientId]);
+
+    const candidatos = clientId && this.store.getCliente(clientId)
+      ? [this.store.getCliente(clientId), ...this.store.findClientesByPhone(telefono)]
+      : this.store.findClientesByPhone(telefono);
+
+    if (candidatos.length === 0) {
+      return { success: false, message: 'Cliente no encontrado' };
+    }
+
+    for (const cliente of candidatos) {
+      const session = this.store.login(cliente, contrasena);
+      if (session) {
+        return {
+          success: true,
+          user: session.user,
+          token: session.token,
+          cliente: this.store.publicCliente(cliente)
+        };
+      }
+    }
+
+    return { success: false, message: 'Contraseña incorrecta' };
+  }
+
+  async registerClientFull(data) {
+    this._record('registerClientFull', [{ ...data, contrasena: '***' }]);
+    const result = this.store.registerCliente(data);
+    if (result.error) {
+      return { success: false, message: result.error };
+    }
+    const session = this.store.login(result.cliente, data.contrasena);
+    return {
+      success: true,
+      cliente: this.store.publicCliente(result.cliente),
+      user: session ? session.user : null,
+      token: session ? session.token : null
+    };
+  }
+
+  async registerClientLite({ name, dni, phone }) {
+    this._record('registerClientLite', [{ name, dni, phone }]);
+    const result = this.store.registerCliente({ nombre: name, numero_documento: dni, telefono: phone });
+    return result.error ? null : this.store.publicCliente(result.cliente);
+  }
+
+  async actualizarCliente(clienteId, datos, userToken = null) {
+    this._record('actualizarCliente', [clienteId, datos]);
+    if (!this._authorized(userToken)) {
+      return { success: false, message: 'No autenticado' };
+    }
+    const cliente = this.store.getCliente(clienteId);
+    if (!cliente) {
+      return { success: false, message: 'No se pudo actualizar el cliente' };
+    }
+    Object.assign(cliente, datos);
+    return { success: true, data: this.store.publicCliente(cliente) };
+  }
+
+  // ---------- Productos ----------
+
+  async getProductos(filters = {}) {
+    this._record('getProductos', [filters]);
+    return this.store.getProductos(filters);
+  }
+
+  async getProducto(id) {
+    this._record('getProducto', [id]);
+    return this.store.getProducto(id);
+  }
+
+  async buscarProductos(query) {
+    this._record('buscarProductos', [query]);
+    return this.store.buscarProductos(query, 20);
+  }
+
+  async getCategorias() {
+    this._record('getCategorias', []);
+    return this.store.getCategorias();
+  }
+
+  async getMasVendidos() {
+    this._record('getMasVendidos', []);
+    return this.store.getMasVendidos();
+  }
+
+  async verificarPedido(items) {
+    this._record('verificarPedido', [items]);
+    const productos = [];
+    for (const item of items) {
+      const producto = this.store.getProducto(item.producto_id);
+      if (!producto) {
+        return { success: false, error: `Producto ${item.producto_id} no encontrado` };
+      }
+      if (!producto.activo) {
+        return { success: false, error: `Producto ${producto.nombre} no está disponible` };
+      }
+      if (producto.stock_actual < item.cantidad) {
+        return { success: false, error: `Stock insuficiente para ${producto.nombre}. Disponible: ${producto.stock_actual}` };
+      }
+      productos.push({
+        producto_id: producto.id,
+        nombre: producto.nombre,
+        codigo: producto.codigo_interno,
+        cantidad: item.cantidad,
+        precio_unitario: producto.precio_venta,
+        subtotal: producto.precio_venta * item.cantidad,
+        stock_disponible: producto.stock_actual
+      });
+    }
+    return {
+      success: true,
+      productos,
+      total: productos.reduce((sum, item) => sum + item.subtotal, 0)
+    };
+  }
+
+  async checkHealth() {
+    this._record('checkHealth', []);
+    return true;
+  }
+
+  // ---------- Notificaciones y ventas ----------
+
+  async notificarPedidoWhatsApp(pedido) {
+    this._record('notificarPedidoWhatsApp', [pedido]);
+    this.store.notificaciones.push(pedido);
+    return { success: true, notificaciones_creadas: 1 };
+  }
+
+  async crearVenta(ventaData) {
+    this._record('crearVenta', [ventaData]);
+    const { venta } = this.store.crearVenta(ventaData);
+    return { success: true, venta, numero_factura: venta.numero_factura, venta_id: venta.id };
+  }
+
+  async actualizarEstadoVenta(ventaId, nuevoEstado) {
+    this._record('actualizarEstadoVenta', [ventaId, nuevoEstado]);
+    const venta = this.store.ventas.find(v => String(v.id) === String(ventaId));
+    if (!venta) {
+      return { success: false };
+    }
+    venta.estado = nuevoEstado;
+    return { success: true };
+  }
+
+  async obtenerFacturaPDF(ventaId) {
+    this._record('obtenerFacturaPDF', [ventaId]);
+    return null;
+  }
+
+  // ---------- Pedidos desde WhatsApp ----------
+
+  async crearPedido(pedidoData) {
+    this._record('crearPedido', [pedidoData]);
+    const result = this.store.crearPedido({
+      cliente_id: pedidoData.cliente_id,
+      telefono: pedidoData.telefono,
+      estado: 'PENDIENTE',
+      detalles: pedidoData.detalles || []
+    });
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+    return {
+      success: true,
+      pedido: result.pedido,
+      pedido_id: result.pedido.id,
+      numero_pedido: result.pedido.numero_pedido,
+      estado: result.pedido.estado
+    };
+  }
+
+  async crearPedidoVacio(clienteId, telefono) {
+    this._record('crearPedidoVacio', [clienteId, telefono]);
+    const { pedido } = this.store.crearPedido({ cliente_id: clienteId, telefono });
+    return {
+      success: true,
+      pedido_id: pedido.id,
+      numero_pedido: pedido.numero_pedido,
+      estado: pedido.estado
+    };
+  }
+
+  async agregarProductoAPedido(pedidoId, productoId, cantidad) {
+    this._record('agregarProductoAPedido', [pedidoId, productoId, cantidad]);
+    const result = this.store.agregarProducto(pedidoId, productoId, cantidad);
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+    const pedido = this.store.expandPedido(result.pedido);
+    return { success: true, pedido, total: parseFloat(pedido.total) };
+  }
+
+  async eliminarProductoDePedido(pedidoId, detalleId) {
+    this._record('eliminarProductoDePedido', [pedidoId, detalleId]);
+    const result = this.store.eliminarDetalle(pedidoId, detalleId);
+    return result.error ? { success: false, error: result.error } : { success: true };
+  }
+
+  async actualizarCantidadProducto(pedidoId, detalleId, nuevaCantidad) {
+    this._record('actualizarCantidadProducto', [pedidoId, detalleId, nuevaCantidad]);
+    const result = this.store.actualizarCantidad(pedidoId, detalleId, nuevaCantidad);
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+    return { success: true, pedido: this.store.expandPedido(result.pedido) };
+  }
+
+  async listarProductosPedido(pedidoId) {
+    const pedido = await this.getPedidoEnProceso(pedidoId);
+    if (!pedido) {
+      return { success: false, productos: [] };
+    }
+    return {
+      success: true,
+      productos: pedido.detalles || [],
+      total: pedido.total || 0,
+      numero_pedido: pedido.numero_pedido
+    };
+  }
+
+  async getPedidoEnProceso(pedidoId) {
+    this._record('getPedidoEnProceso', [pedidoId]);
+    return this.store.expandPedido(this.store.getPedido(pedidoId));
+  }
+
+  async cancelarPedidoEnProceso(pedidoId) {
+    this._record('cancelarPedidoEnProceso', [pedidoId]);
+    const result = this.store.actualizarEstadoPedido(pedidoId, 'CANCELADO');
+    return result.error ? { success: false, error: result.error } : { success: true };
+  }
+
+  async getPedidoById(pedidoId) {
+    this._record('getPedidoById', [pedidoId]);
+    return this.store.expandPedido(this.store.getPedido(pedidoId));
+  }
+
+  async actualizarEstadoPedido(pedidoId, nuevoEstado) {
+    this._record('actualizarEstadoPedido', [pedidoId, nuevoEstado]);
+    const result = this.store.actualizarEstadoPedido(pedidoId, nuevoEstado);
+    return result.error ? { success: false, error: result.error } : { success: true };
+  }
+
+  // ---------- Portal del cliente (requieren token) ----------
+
+  async cancelarPedido(pedidoId, userToken = null) {
+    this._record('cancelarPedido', [pedidoId]);
+    if (!this._authorized(userToken)) {
+      return { success: false, message: 'No autenticado' };
+    }
+    const result = this.store.actualizarEstadoPedido(pedidoId, 'CANCELADO');
+    if (result.error) {
+      return { success: false, message: 'No se pudo cancelar el pedido' };
+    }
+    return { success: true, data: this.store.expandPedido(result.pedido) };
+  }
+
+  async getMisPedidos(userToken = null) {
+    this._record('getMisPedidos', []);
+    const cliente = this._authorized(userToken);
+    if (!cliente) {
+      return { success: false, data: [], message: 'No autenticado' };
+    }
+    return { success: true, data: this.store.pedidosDeCliente(cliente.id) };
+  }
+
+  async getMisCompras(userToken = null, page = 1, limit = 10) {
+    this._record('getMisCompras', [page, limit]);
+    const cliente = this._authorized(userToken);
+    if (!cliente) {
+      return { success: false, data: [], message: 'No autenticado' };
+    }
+    const ventas = this.store.ventasDeCliente(cliente.id);
+    return { success: true, data: ventas.slice((page - 1) * limit, page * limit), total: ventas.length };
+  }
+
+  async getMisFacturas(userToken = null, page = 1, limit = 10) {
+    this._record('getMisFacturas', [page, limit]);
+    return this.getMisCompras(userToken, page, limit);
+  }
+
+  async getDetallePedido(pedidoId, userToken = null) {
+    this._record('getDetallePedido', [pedidoId]);
+    if (!this._authorized(userToken)) {
+      return { success: false, data: null, message: 'No autenticado' };
+    }
+    const pedido = this.store.expandPedido(this.store.getPedido(pedidoId));
+    if (!pedido) {
+      return { success: false, data: null, message: 'No se pudo obtener el detalle del pedido' };
+    }
+    return { success: true, data: pedido };
+  }
+
+  async getDetalleCompra(ventaId, userToken = null) {
+    this._record('getDetalleCompra', [ventaId]);
+    if (!this._authorized(userToken)) {
+      return { success: false, data: null, message: 'No autenticado' };
+    }
+    const venta = this.store.ventas.find(v => String(v.id) === String(ventaId));
+    if (!venta) {
+      return { success: false, data: null, message: 'No se pudo obtener el detalle de la compra' };
+    }
+    return { success: true, data: venta };
+  }
+
+  async getEstadoCuenta(userToken = null) {
+    this._record('getEstadoCuenta', []);
+    const cliente = this._authorized(userToken);
+    if (!cliente) {
+      return { success: false, message: 'No autenticado' };
+    }
+    const ventas = this.store.ventasDeCliente(cliente.id);
+    return {
+      success: true,
+      data: {
+        cliente: this.store.publicCliente(cliente),
+        total_compras: ventas.length,
+        total_gastado: ventas.reduce((sum, venta) => sum + Number(venta.total || 0), 0),
+        saldo_pendiente: 0
+      }
+    };
+  }
+}
+
+module.exports = FakeKardexApi;
@@ -0,0 +1,60 @@
+/**
+ * Reemplazo de src/kardexDb.js para el simulador
+ * 
+ * Simula el despliegue sin conexión directa a MySQL (pool null): las
+ * consultas de productos devuelven null para que el bot use la API, igual
+ * que el módulo real. Las búsquedas de clientes por teléfono se resuelven
+ * contra el KardexStore, como lo haría el fallback por API.
+ */
+class FakeKardexDb {
+  constructor(store) {
+    this.store = store;
+    this.pool = null;
+  }
+
+  reset() {
+    this.pool = null;
+  }
+
+  async initialize() {
+    return false;
+  }
+
+  isConnected() {
+    return false;
+  }
+
+  getPool() {
+    return null;
+  }
+
+  async getProductos() {
+    return null;
+  }
+
+  async getProducto() {
+    return null;
+  }
+
+  async buscarProductos() {
+    return null;
+  }
+
+  async verificarStock() {
+    return null;
+  }
+
+  async buscarClientePorTelefono(telefono) {
+    return this.store.publicCliente(this.store.findClientesByPhone(telefono)[0] || null);
+  }
+
+  async buscarTodosLosClientesPorTelefono(telefono) {
+    return this.store.findClientesByPhone(telefono).map(cliente => this.store.publicCliente(cliente));
+  }
+
+  async close() {
+    return true;
+  }
+}
+
+module.exports = FakeKardexDb;
@@ -0,0 +1,58 @@
+/**
+ * Reemplazo de src/utils/ollamaClient.js para el simulador
+ * 
+ * Por defecto Ollama "no está disponible", así las conversaciones siguen el
+ * camino determinista (reglas + fallbacks). Una prueba puede activar el modelo
+ * y guionar respuestas: `responses` es una lista de { match, response } donde
+ * match es un string o RegExp que se busca en el prompt.
+ */
+class FakeOllamaClient {
+  constructor() {
+    this.baseUrl = 'http://127.0.0.1:9';
+    this.model = 'fake-model';
+    this.timeout = 1000;
+    this.temperature = 0;
+    this.reset();
+  }
+
+  reset() {
+    this.available = false;
+    this.responses = [];
+    this.prompts = [];
+  }
+
+  async isAvailable() {
+    return this.available;
+  }
+
+  async checkModel() {
+    return this.available;
+  }
+
+  _respond(prompt) {
+    this.prompts.push(prompt);
+    if (!this.available) {
+      throw new Error('Ollama no está disponible. Por favor, inicia el servicio.');
+    }
+
+    const scripted = this.responses.find(({ match }) =>
+      match instanceof RegExp ? match.test(prompt) : prompt.includes(match)
+    );
+    if (!scripted) {
+      throw new Error('Respuesta vacía o inválida de Ollama');
+    }
+    return scripted.response;
+  }
+
+  async generate(prompt) {
+    const response = this._respond(prompt);
+    return typeof response === 'string' ? response.trim() : JSON.stringify(response);
+  }
+
+  async generateJSON(prompt) {
+    const response = this._respond(prompt);
+    return typeof response === 'string' ? JSON.parse(response) : response;
+  }
+}
+
+module.exports = FakeOllamaClient;
@@ -0,0 +1,46 @@
+/**
+ * Transporte del canal "simulator"
+ * 
+ * Se comporta como WhatsApp (el userId es un número de teléfono) pero guarda
+ * los mensajes salientes por destinatario en lugar de enviarlos.
+ */
+class FakeTransport {
+  constructor() {
+    this.usesPhoneNumbers = true;
+    this.contacts = {};
+    this.outbox = new Map(); // destino -> mensajes salientes
+  }
+
+  reset() {
+    this.contacts = {};
+    this.outbox.clear();
+  }
+
+  _push(to, message) {
+    if (!this.outbox.has(to)) {
+      this.outbox.set(to, []);
+    }
+    this.outbox.get(to).push(message);
+  }
+
+  async sendMessage(to, text) {
+    this._push(to, { type: 'text', text });
+    return true;
+  }
+
+  async sendImage(to, imageBuffer, filename = 'image.png') {
+    this._push(to, { type: 'image', text: filename });
+    return true;
+  }
+
+  /**
+   * Obtener y vaciar los mensajes pendientes de un destinatario
+   */
+  drain(to) {
+    const messages = this.outbox.get(to) || [];
+    this.outbox.delete(to);
+    return messages;
+  }
+}
+
+module.exports = FakeTransport;
@@ -0,0 +1,62 @@
+/**
+ * Doble de scripts/whisper_worker.py (mismo protocolo de líneas JSON)
+ * 
+ * Se lanza con node en lugar de python. Según el nombre del audio:
+ * - crash.wav: el proceso termina a mitad de la transcripción
+ * - slow.wav: no responde (para probar el timeout)
+ * - env.wav: responde con el valor de PYTHONHTTPSVERIFY que recibió el proceso
+ * - cualquier otro: dos segmentos y el texto "#<n> <archivo>", donde n cuenta
+ *   los audios atendidos por este proceso (prueba que el modelo sigue cargado);
+ *   el segundo segmento trae confianza baja y sus palabras con probabilidad
+ * Con --model fatal simula un modelo que no se puede cargar.
+ */
+const path = require('path');
+const readline = require('readline');
+
+const args = process.argv.slice(2);
+const option = name => args[args.indexOf(`--${name}`) + 1];
+
+function emit(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+if (option('model') === 'fatal') {
+  emit({ type: 'fatal', error: 'modelo no encontrado' });
+  process.exit(1);
+}
+
+let served = 0;
+emit({ type: 'ready', backend: option('backend'), model: option('model'), load_ms: 5 });
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const request = JSON.parse(line);
+  if (request.type === 'ping') {
+    emit({ id: request.id, type: 'pong' });
+    return;
+  }
+
+  const file = path.basename(request.audio);
+  if (file === 'crash.wav') {
+    process.exit(3);
+  }
+  if (file === 'slow.wav') {
+    return;
+  }
+  if (file === 'env.wav') {
+    emit({ id: request.id, type: 'result', text: `PYTHONHTTPSVERIFY=${process.env.PYTHONHTTPSVERIFY || ''}`, language: request.language, segments: [] });
+    return;
+  }
+
+  served++;
+  const words = request.word_timestamps ? [{ word: ` ${file}`, start: 1, end: 2, probability: 0.3 }] : [];
+  const segments = [
+    { start: 0, end: 1, text: `#${served}`, avg_logprob: -0.1, no_speech_prob: 0.01, words: [] },
+    { start: 1, end: 2, text: file, avg_logprob: -1.2, no_speech_prob: 0.05, words }
+  ];
+  setTimeout(() => {
+    for (const segment of segments) {
+      emit({ id: request.id, type: 'segment', ...segment });
+    }
+    emit({ id: request.id, type: 'result', text: `#${served} ${file}`, language: request.language, duration: 2, segments, elapsed_ms: 30 });
+  }, 30);
+});
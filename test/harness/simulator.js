@@ -0,0 +1,136 @@
+const path = require('path');
+
+/**
+ * Simulador de conversaciones sin red
+ * 
+ * Levanta el motor de conversación real con SQLite en memoria y reemplaza las
+ * dependencias externas (API KARDEX, MySQL, Ollama) por dobles deterministas.
+ * Las variables de entorno se fijan antes de cargar cualquier módulo del bot,
+ * porque config/config.js las lee una sola vez.
+ * 
+ * Uso:
+ *   const simulator = require('./harness/simulator');
+ *   await simulator.start();
+ *   const replies = await simulator.send('51987654321', 'hola');
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.SQLITE_DB_PATH = ':memory:';
+process.env.LOG_SILENT = 'true';
+// Cualquier llamada HTTP que no pase por los dobles falla de inmediato
+process.env.KARDEX_API_URL = 'http://127.0.0.1:9/api';
+process.env.OLLAMA_BASE_URL = 'http://127.0.0.1:9';
+
+const KardexStore = require('../../src/mock/kardexStore');
+const FakeKardexApi = require('./fakeKardexApi');
+const FakeKardexDb = require('./fakeKardexDb');
+const FakeOllamaClient = require('./fakeOllamaClient');
+const FakeTransport = require('./fakeTransport');
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+const CHANNEL = 'simulator';
+
+/**
+ * Registrar un objeto como export de un módulo del bot antes de que nadie lo cargue
+ */
+function inject(relativePath, exportsObject) {
+  const filename = require.resolve(path.join(SRC, relativePath));
+  const fake = new module.constructor(filename, module);
+  fake.filename = filename;
+  fake.loaded = true;
+  fake.exports = exportsObject;
+  require.cache[filename] = fake;
+}
+
+class Simulator {
+  constructor() {
+    this.store = new KardexStore().seed();
+    this.kardexApi = new FakeKardexApi(this.store);
+    this.kardexDb = new FakeKardexDb(this.store);
+    this.ollama = new FakeOllamaClient();
+    this.transport = new FakeTransport();
+    this.started = false;
+
+    inject('kardexApi.js', this.kardexApi);
+    inject('kardexDb.js', this.kardexDb);
+    inject('utils/ollamaClient.js', this.ollama);
+  }
+
+  /**
+   * Inicializar SQLite (con migraciones) y registrar el canal del simulador
+   */
+  async start() {
+    if (this.started) {
+      return;
+    }
+
+    this.db = require(path.join(SRC, 'db'));
+    this.sessionManager = require(path.join(SRC, 'sessionManager'));
+    this.conversationEngine = require(path.join(SRC, 'core', 'conversation', 'conversationEngine'));
+    this.flowGuard = require(path.join(SRC, 'core', 'errorHandling', 'flowGuard'));
+    this.intentResolver = require(path.join(SRC, 'core', 'ai', 'intentResolver'));
+    this.productCache = require(path.join(SRC, 'utils', 'productCache'));
+    this.databaseManager = require(path.join(SRC, 'core', 'database', 'databaseManager'));
+
+    await this.db.initialize();
+    this.conversationEngine.registerChannel(CHANNEL, this.transport);
+    this.started = true;
+  }
+
+  /**
+   * Dejar la base y los dobles como recién creados
+   * 
+   * @param {object|string} [fixtures] - Datos KARDEX alternativos (objeto o ruta)
+   */
+  async reset(fixtures) {
+    await this.start();
+
+    for (const table of ['sessions', 'message_history', 'metrics', 'pending_orders']) {
+      await this.db.run(`DELETE FROM ${table}`);
+    }
+
+    this.store.seed(fixtures);
+    this.kardexApi.reset();
+    this.kardexDb.reset();
+    this.ollama.reset();
+    this.transport.reset();
+    this.flowGuard.stateHistory.clear();
+    // Cachés en memoria que sobreviven entre conversaciones
+    this.intentResolver.clearCache();
+    this.productCache.clear();
+    this.databaseManager.clearCache();
+  }
+
+  /**
+   * Enviar un mensaje de texto como el usuario y devolver las respuestas del bot
+   * 
+   * @param {string} userId - Número de teléfono del usuario simulado
+   * @param {string} text - Mensaje
+   * @returns {Promise<Array<{type: string, text: string}>>}
+   */
+  async send(userId, text) {
+    await this.start();
+    await this.conversationEngine.handleInbound(CHANNEL, userId, { type: 'text', text });
+    return this.transport.drain(userId);
+  }
+
+  /**
+   * Estado y contexto de sesión actuales del usuario
+   */
+  async getSession(userId) {
+    const session = await this.sessionManager.getSession(userId);
+    if (!session) {
+      return { state: this.sessionManager.STATES.IDLE, context: null };
+    }
+    return { state: session.state, context: session.context };
+  }
+
+  async stop() {
+    if (this.started) {
+      this.db.close();
+      this.started = false;
+    }
+  }
+}
+
+module.exports = new Simulator();
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+/**
+ * Transcripciones "golden" de conversaciones
+ * 
+ * Cada archivo (.json, o .yaml/.yml si js-yaml está instalado) describe una
+ * conversación completa:
+ * 
+ * {
+ *   "name": "Cliente registrado inicia sesión",
+ *   "user": "51987654321",
+ *   "fixtures": "otra-fixture.json",            // opcional, relativo a src/mock/fixtures
+ *   "ollama": {                                  // opcional, por defecto no disponible
+ *     "available": true,
+ *     "responses": [{ "pattern": "MENSAJE:[\\s\\S]*coca", "response": { ... } }]
+ *   },
+ *   "steps": [
+ *     {
+ *       "user": "hola",
+ *       "expect": {
+ *         "replies": 1,                          // cantidad exacta de mensajes
+ *         "contains": ["Juan Pérez"],            // sin distinguir mayúsculas
+ *         "notContains": ["error"],
+ *         "state": "awaiting_password",
+ *         "context": { "auth": { "_client_id": 1 } },  // subconjunto del contexto
+ *         "kardexCalls": ["getClientByPhone"]    // llamadas a la API en este turno
+ *       }
+ *     }
+ *   ]
+ * }
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'src', 'mock', 'fixtures');
+
+function parseFile(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/.test(file)) {
+    let yaml;
+    try {
+      yaml = require('js-yaml');
+    } catch (error) {
+      throw new Error(`${path.basename(file)}: se necesita js-yaml para leer transcripciones YAML`);
+    }
+    return yaml.load(raw);
+  }
+  return JSON.parse(raw);
+}
+
+/**
+ * Cargar todas las transcripciones de un directorio (orden alfabético)
+ */
+function load(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => /\.(json|ya?ml)$/.test(file))
+    .sort()
+    .map(file => {
+      const transcript = parseFile(path.join(dir, file));
+      if (!transcript || !Array.isArray(transcript.steps) || transcript.steps.length === 0) {
+        throw new Error(`${file}: la transcripción necesita al menos un paso en "steps"`);
+      }
+      return { file, ...transcript };
+    });
+}
+
+function toMatcher({ match, pattern }) {
+  return pattern ? new RegExp(pattern, 'i') : match;
+}
+
+/**
+ * Comparar un subconjunto esperado contra el valor real (objetos anidados;
+ * las listas deben tener el mismo largo y se comparan elemento a elemento)
+ */
+function assertSubset(actual, expected, where) {
+  if (Array.isArray(expected)) {
+    assert.ok(Array.isArray(actual) && actual.length === expected.length, `${where}: se esperaba una lista de ${expected.length} elemento(s), se obtuvo ${JSON.stringify(actual)}`);
+    expected.forEach((item, index) => assertSubset(actual[index], item, `${where}[${index}]`));
+    return;
+  }
+  if (expected === null || typeof expected !== 'object') {
+    assert.deepStrictEqual(actual, expected, `${where}: se esperaba ${JSON.stringify(expected)}, se obtuvo ${JSON.stringify(actual)}`);
+    return;
+  }
+  assert.ok(actual && typeof actual === 'object', `${where}: se esperaba un objeto, se obtuvo ${JSON.stringify(actual)}`);
+  for (const [key, value] of Object.entries(expected)) {
+    assertSubset(actual[key], value, `${where}.${key}`);
+  }
+}
+
+function checkStep(step, index, replies, session, calls) {
+  const expect = step.expect || {};
+  const where = `paso ${index + 1} ("${step.user}")`;
+  const text = replies.map(reply => reply.text).join('\n---\n');
+  const haystack = text.toLowerCase();
+
+  if (expect.replies !== undefined) {
+    assert.strictEqual(replies.length, expect.replies, `${where}: se esperaban ${expect.replies} respuesta(s), hubo ${replies.length}:\n${text}`);
+  }
+  for (const fragment of expect.contains || []) {
+    assert.ok(haystack.includes(fragment.toLowerCase()), `${where}: la respuesta no contiene "${fragment}":\n${text}`);
+  }
+  for (const fragment of expect.notContains || []) {
+    assert.ok(!haystack.includes(fragment.toLowerCase()), `${where}: la respuesta no debía contener "${fragment}":\n${text}`);
+  }
+  if (expect.state !== undefined) {
+    assert.strictEqual(session.state, expect.state, `${where}: estado de sesión`);
+  }
+  if (expect.context !== undefined) {
+    assertSubset(session.context, expect.context, `${where}: context`);
+  }
+  for (const method of expect.kardexCalls || []) {
+    assert.ok(calls.includes(method), `${where}: no se llamó a kardexApi.${method} (llamadas: ${calls.join(', ') || 'ninguna'})`);
+  }
+}
+
+/**
+ * Reproducir una transcripción en el simulador y verificar cada paso
+ * 
+ * @param {object} simulator - Instancia de test/harness/simulator
+ * @param {object} transcript - Transcripción cargada con load()
+ */
+async function run(simulator, transcript) {
+  await simulator.reset(transcript.fixtures ? path.join(FIXTURES_DIR, transcript.fixtures) : undefined);
+
+  if (transcript.ollama) {
+    simulator.ollama.available = transcript.ollama.available !== false;
+    simulator.ollama.responses = (transcript.ollama.responses || []).map(entry => ({
+      match: toMatcher(entry),
+      response: entry.response
+    }));
+  }
+
+  const user = transcript.user || '51987654321';
+
+  for (const [index, step] of transcript.steps.entries()) {
+    const callsBefore = simulator.kardexApi.calls.length;
+    const replies = await simulator.send(user, step.user);
+    const session = await simulator.getSession(user);
+    const calls = simulator.kardexApi.calls.slice(callsBefore).map(call => call.method);
+    checkStep(step, index, replies, session, calls);
+  }
+}
+
+module.exports = { load, run };
@@ -0,0 +1,108 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+
+process.env.SQLITE_DB_PATH = ':memory:';
+process.env.LOG_SILENT = 'true';
+
+const db = require('../src/db');
+const inboundQueue = require('../src/core/messaging/inboundQueue');
+
+// Handler falso: registra inicio y fin de cada mensaje para ver el solapamiento
+let events = [];
+let delays = {};
+
+before(async () => {
+  await db.initialize();
+  inboundQueue.registerHandler('test', async (entry) => {
+    events.push(`inicio ${entry.payload}`);
+    await new Promise(resolve => setTimeout(resolve, delays[entry.payload] || 0));
+    if (entry.payload === 'explota') {
+      throw new Error('Fallo simulado');
+    }
+    events.push(`fin ${entry.payload}`);
+  });
+});
+
+after(async () => {
+  inboundQueue.stop();
+  await db.close();
+});
+
+beforeEach(async () => {
+  await db.run('DELETE FROM inbound_messages');
+  events = [];
+  delays = {};
+});
+
+async function statusOf(messageId) {
+  const row = await db.get('SELECT status FROM inbound_messages WHERE message_id = ?', [messageId]);
+  return row?.status;
+}
+
+test('los mensajes de un mismo usuario se procesan de a uno y en orden', async () => {
+  delays = { 'a1': 30 };
+  await inboundQueue.accept('test', 'm1', 'ana', 'a1');
+  await inboundQueue.accept('test', 'm2', 'ana', 'a2');
+  await inboundQueue.accept('test', 'm3', 'beto', 'b1');
+  await inboundQueue.idle();
+
+  // a2 espera a que termine a1; b1 (otro usuario) no espera
+  const anaEvents = events.filter(e => e.includes(' a'));
+  assert.deepStrictEqual(anaEvents, ['inicio a1', 'fin a1', 'inicio a2', 'fin a2']);
+  assert.ok(events.indexOf('fin b1') < events.indexOf('fin a1'));
+  assert.strictEqual(await statusOf('m2'), 'done');
+});
+
+test('deduplicación por id persistida en la base de datos', async () => {
+  assert.strictEqual(await inboundQueue.accept('test', 'm1', 'ana', 'hola'), true);
+  await inboundQueue.idle();
+  assert.strictEqual(await inboundQueue.accept('test', 'm1', 'ana', 'hola'), false);
+  await inboundQueue.idle();
+
+  assert.deepStrictEqual(events, ['inicio hola', 'fin hola']);
+});
+
+test('un error marca el mensaje como fallido sin bloquear al siguiente', async () => {
+  await inboundQueue.accept('test', 'm1', 'ana', 'explota');
+  await inboundQueue.accept('test', 'm2', 'ana', 'sigue');
+  await inboundQueue.idle();
+
+  assert.strictEqual(await statusOf('m1'), 'failed');
+  assert.strictEqual(await statusOf('m2'), 'done');
+});
+
+test('al reiniciar reprocesa lo pendiente y descarta lo muy antiguo', async () => {
+  const now = Date.now();
+  // Estado que deja un cierre abrupto: uno a medio procesar, uno recibido y uno viejo
+  await db.run(
+    `INSERT INTO inbound_messages (channel, message_id, user_id, payload, status, received_at)
+     VALUES ('test', 'm1', 'ana', 'a1', 'processing', ?), ('test', 'm2', 'ana', 'a2', 'received', ?),
+            ('test', 'm0', 'ana', 'viejo', 'received', ?)`,
+    [now, now, now - 60 * 60 * 1000]
+  );
+
+  inboundQueue.configure({ replayMaxAgeMs: 10 * 60 * 1000 });
+  assert.strictEqual(await inboundQueue.recover('test'), 2);
+  await inboundQueue.idle();
+
+  assert.deepStrictEqual(events, ['inicio a1', 'fin a1', 'inicio a2', 'fin a2']);
+  assert.strictEqual(await statusOf('m0'), 'expired');
+  assert.strictEqual(await inboundQueue.accept('test', 'm0', 'ana', 'viejo'), false);
+});
+
+test('recover solo toma su canal y no duplica lo que ya está en proceso', async () => {
+  delays = { 'lento': 30 };
+  await inboundQueue.accept('test', 'm1', 'ana', 'lento');
+  await db.run(
+    `INSERT INTO inbound_messages (channel, message_id, user_id, payload, status, received_at)
+     VALUES ('otro', 'w1', 'ana', 'de otro canal', 'received', ?)`,
+    [Date.now()]
+  );
+
+  // Una reconexión mientras 'lento' se procesa no lo vuelve a encolar
+  assert.strictEqual(await inboundQueue.recover('test'), 0);
+  await inboundQueue.idle();
+
+  assert.deepStrictEqual(events, ['inicio lento', 'fin lento']);
+  assert.strictEqual(await statusOf('w1'), 'received');
+});
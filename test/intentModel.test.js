@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+
+process.env.LOG_SILENT = 'true';
+
+const intentModel = require('../src/core/ai/intentModel');
+const intentClassifier = require('../src/core/ai/intentClassifier');
+const examples = require(path.join(__dirname, 'fixtures', 'intents.json'));
+
+test('normaliza tildes, signos y letras repetidas', () => {
+  assert.strictEqual(intentModel.normalizeText('¡Quierooo DOS cocás!'), 'quiero dos cocas');
+});
+
+test('entrenamiento reproducible y evaluación por intención en ejemplos reservados', () => {
+  const { train, test: holdout } = intentModel.splitExamples(examples, 0.2);
+  assert.strictEqual(train.length + holdout.length, examples.length);
+  assert.strictEqual(holdout.filter(e => e.intent === 'SALUDO').length, 2);
+
+  const model = intentModel.train(train);
+  assert.deepStrictEqual(intentModel.train(train).weights, model.weights);
+
+  const metrics = intentModel.evaluate(model, holdout);
+  assert.strictEqual(metrics.total, holdout.length);
+  // Con 8 ejemplos por intención es solo un piso de cordura, no una meta de calidad
+  assert.ok(metrics.accuracy >= 0.6, `exactitud ${metrics.accuracy}`);
+  for (const intent of Object.keys(metrics.perIntent)) {
+    const { precision, recall, support } = metrics.perIntent[intent];
+    assert.ok(precision >= 0 && precision <= 1 && recall >= 0 && recall <= 1);
+    assert.strictEqual(support, 2);
+  }
+
+  const report = intentModel.formatReport(metrics);
+  assert.match(report, /HACER_PEDIDO/);
+  assert.match(report, /Precisión/);
+});
+
+test('el clasificador usa el modelo y tolera errores de tipeo', async () => {
+  intentClassifier.setModel(intentModel.train(examples));
+
+  const pedido = await intentClassifier.classify('kiero 2 inka colas');
+  assert.strictEqual(pedido.method, 'model');
+  assert.strictEqual(pedido.intent, 'HACER_PEDIDO');
+
+  const precio = await intentClassifier.classify('cuanto questa el aseite');
+  assert.strictEqual(precio.intent, 'CONSULTAR_PRECIO');
+  assert.ok(precio.confidence > 0 && precio.confidence <= 1);
+});
+
+test('sin ejemplos suficientes el entrenamiento falla con un mensaje claro', () => {
+  assert.throws(
+    () => intentModel.train([{ text: 'hola', intent: 'SALUDO' }]),
+    /al menos 2 intenciones/
+  );
+});
@@ -0,0 +1,182 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+
+process.env.LOG_SILENT = 'true';
+process.env.OLLAMA_BASE_URL = 'http://127.0.0.1:9';
+
+const FakeOllamaClient = require('./harness/fakeOllamaClient');
+
+// Ollama guionado (mismo doble que el simulador)
+const ollama = new FakeOllamaClient();
+const ollamaPath = require.resolve('../src/utils/ollamaClient');
+const fake = new module.constructor(ollamaPath, module);
+fake.filename = ollamaPath;
+fake.loaded = true;
+fake.exports = ollama;
+require.cache[ollamaPath] = fake;
+
+const config = require('../config/config');
+const intentModel = require('../src/core/ai/intentModel');
+const intentClassifier = require('../src/core/ai/intentClassifier');
+const intentResolver = require('../src/core/ai/intentResolver');
+const unifiedAIProcessor = require('../src/core/ai/unifiedAIProcessor');
+const aiProcessor = require('../src/aiProcessor');
+const examples = require(path.join(__dirname, 'fixtures', 'intents.json'));
+
+const model = intentModel.train(examples);
+
+beforeEach(() => {
+  ollama.reset();
+  intentResolver.clearCache();
+  intentResolver.resetStats();
+  intentClassifier.model = null;
+  intentClassifier.isReady = false;
+  intentClassifier.clearCache();
+  config.intentClassifier.confidenceThreshold = 0.8;
+});
+
+test('comandos y palabras clave se resuelven con reglas, sin llamar al LLM', async () => {
+  const catalogo = await intentResolver.resolve('CATALOGO');
+  assert.strictEqual(catalogo.intencion, 'VER_CATALOGO');
+  assert.strictEqual(catalogo.tier, 'rules');
+  assert.strictEqual(catalogo.queryNecesaria, 'getProductos');
+
+  const precio = await intentResolver.resolve('¿Cuánto cuesta la inca kola?');
+  assert.strictEqual(precio.intencion, 'CONSULTAR_PRECIO');
+  assert.strictEqual(precio.tier, 'rules');
+  assert.strictEqual(precio.parametros.producto, 'inca kola');
+
+  const si = await intentResolver.resolve('SI', { state: 'awaiting_confirmation' });
+  assert.strictEqual(si.intencion, 'CONFIRMAR_PEDIDO');
+  assert.strictEqual(si.action, 'confirm_order');
+
+  assert.strictEqual(ollama.prompts.length, 0);
+});
+
+test('el clasificador local decide sobre el umbral y el LLM debajo de él', async (t) => {
+  intentClassifier.setModel(model);
+  const { confidence } = await intentClassifier.classify('kiero 2 inka colas');
+
+  config.intentClassifier.confidenceThreshold = confidence - 0.01;
+  const local = await intentResolver.resolve('kiero 2 inka colas');
+  assert.strictEqual(local.intencion, 'HACER_PEDIDO');
+  assert.strictEqual(local.tier, 'classifier');
+  assert.strictEqual(ollama.prompts.length, 0);
+
+  config.intentClassifier.confidenceThreshold = confidence + 0.01;
+  ollama.available = true;
+  ollama.responses = [{ match: 'kiero 2 inka colas', response: { intencion: 'hacer_pedido', confianza: 0.9, parametros: {} } }];
+  const llm = await intentResolver.resolve('kiero 2 inka colas');
+  assert.strictEqual(llm.intencion, 'HACER_PEDIDO');
+  assert.strictEqual(llm.tier, 'llm');
+  assert.strictEqual(ollama.prompts.length, 1);
+
+  // La misma consulta sale de la cache, marcada como tal y con la latencia desde el inicio de resolve
+  const classifierCalls = t.mock.method(intentResolver, '_resolveWithClassifier', async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return null;
+  });
+  const cached = await intentResolver.resolve('kiero 2 inka colas');
+  assert.strictEqual(classifierCalls.mock.callCount(), 1);
+  assert.strictEqual(cached.intencion, 'HACER_PEDIDO');
+  assert.strictEqual(cached.tier, 'cache');
+  assert.strictEqual(ollama.prompts.length, 1);
+  const { tiers } = intentResolver.getStats();
+  assert.strictEqual(tiers.cache.hits, 1);
+  assert.ok(tiers.cache.maxMs >= 19, `cache: ${tiers.cache.maxMs} ms`);
+});
+
+test('"quiero" o "necesito" sin un pedido no se resuelven con la regla de HACER_PEDIDO', async () => {
+  const cases = {
+    'quiero cancelar mi pedido': 'CANCELAR_PEDIDO',
+    'quiero ver mi pedido': 'VER_PEDIDO',
+    'necesito cambiar mi direccion': 'OTRO',
+    'quiero registrarme': 'OTRO',
+    'quiero iniciar sesion': 'OTRO',
+    'no quiero nada': 'CANCELAR_PEDIDO'
+  };
+
+  // Sin LLM: el fallback tampoco los toma por pedidos
+  for (const text of Object.keys(cases)) {
+    const result = await intentResolver.resolve(text, { state: 'pedido_en_proceso' });
+    assert.notStrictEqual(result.tier, 'rules', text);
+    assert.notStrictEqual(result.intencion, 'HACER_PEDIDO', text);
+    assert.notStrictEqual(result.action, 'init_order', text);
+  }
+
+  // Con LLM: llegan al prompt de intención y decide el modelo
+  ollama.available = true;
+  ollama.responses = Object.entries(cases).map(([text, intencion]) => ({
+    match: `"${text}"`,
+    response: { intencion, confianza: 0.9, parametros: {} }
+  }));
+  for (const [text, intencion] of Object.entries(cases)) {
+    const result = await intentResolver.resolve(text, { state: 'pedido_en_proceso' });
+    assert.strictEqual(result.tier, 'llm', text);
+    assert.strictEqual(result.intencion, intencion, text);
+  }
+
+  const pedido = await intentResolver.resolve('quiero 2 arroz');
+  assert.strictEqual(pedido.intencion, 'HACER_PEDIDO');
+  assert.strictEqual(pedido.tier, 'rules');
+});
+
+test('si el prompt de pedidos detecta otra intención se arma la resolución de esa intención', async (t) => {
+  t.mock.method(aiProcessor, 'processOrder', async () => ({ success: false, intent: 'CANCELAR', message: null }));
+
+  const result = await unifiedAIProcessor.process('quiero 2 arroz', { sessionState: { state: 'pedido_en_proceso' } });
+  assert.strictEqual(result.intent, 'cancelar_pedido');
+  assert.strictEqual(result.action, 'cancel_order');
+});
+
+test('si el LLM falla se usa el fallback por palabras clave', async () => {
+  const result = await intentResolver.resolve('me muestras la lista porfa');
+  assert.strictEqual(result.intencion, 'VER_CATALOGO');
+  assert.strictEqual(result.tier, 'fallback');
+
+  // "si" fuera de un pedido no confirma nada
+  const si = await intentResolver.resolve('si', { state: 'idle' });
+  assert.notStrictEqual(si.intencion, 'CONFIRMAR_PEDIDO');
+});
+
+test('estadísticas de latencia y acierto por nivel', async () => {
+  await intentResolver.resolve('hola');
+  await intentResolver.resolve('ayuda');
+  await intentResolver.resolve('me muestras la lista porfa');
+
+  const stats = intentResolver.getStats();
+  assert.strictEqual(stats.total, 3);
+  assert.strictEqual(stats.threshold, 0.8);
+  assert.deepStrictEqual(
+    { attempts: stats.tiers.rules.attempts, hits: stats.tiers.rules.hits },
+    { attempts: 3, hits: 2 }
+  );
+  assert.strictEqual(stats.tiers.rules.hitRate, 0.67);
+  assert.strictEqual(stats.tiers.llm.attempts, 1);
+  assert.strictEqual(stats.tiers.llm.hits, 0);
+  assert.strictEqual(stats.tiers.fallback.share, 0.33);
+  assert.ok(stats.tiers.llm.avgMs >= 0 && stats.tiers.llm.maxMs >= stats.tiers.llm.avgMs);
+});
+
+test('un mensaje compuesto se separa en acciones ordenadas con sus parámetros', () => {
+  const steps = intentResolver.resolveActions('oye quita el aceite, cambia las leches a dos y confírmalo');
+  assert.deepStrictEqual(steps.map(step => step.action), ['remove_product', 'update_product_quantity', 'confirm_order']);
+  assert.deepStrictEqual(steps[0].params, { productName: 'aceite' });
+  assert.deepStrictEqual(steps[1].params, { productName: 'lech', newQuantity: 2 });
+
+  // Cantidades fraccionarias y con unidad; un cambio de cantidad solo también es un plan
+  const medioKilo = intentResolver.resolveActions('cambia el azúcar a medio kilo');
+  assert.deepStrictEqual(medioKilo.map(step => step.params), [{ productName: 'azucar', newQuantity: 0.5, unit: 'kg', packSize: null }]);
+  assert.deepStrictEqual(intentResolver.resolveActions('cambia el azucar a 0,5 y confírmalo')[0].params, { productName: 'azucar', newQuantity: 0.5 });
+  assert.strictEqual(intentResolver.resolveActions('cambia mi teléfono a 987654321'), null);
+
+  const pedido = intentResolver.resolveActions('agrega 2 arroz y dame 3 leches y muéstrame mi pedido');
+  assert.deepStrictEqual(pedido.map(step => step.type), ['add', 'view']);
+  assert.strictEqual(pedido[0].text, 'agrega 2 arroz y dame 3 leches');
+
+  // Una sola acción, o partes que no se entienden, siguen el camino de una intención
+  assert.strictEqual(intentResolver.resolveActions('quiero 2 coca cola y 1 pan'), null);
+  assert.strictEqual(intentResolver.resolveActions('quiero ver mi pedido'), null);
+  assert.strictEqual(intentResolver.resolveActions('muéstrame el catálogo y agrega 2 arroz'), null);
+});
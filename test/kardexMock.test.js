@@ -0,0 +1,103 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+
+process.env.LOG_SILENT = 'true';
+process.env.KARDEX_API_TIMEOUT = '1000';
+
+const config = require('../config/config');
+const KardexMockServer = require('../src/mock/kardexMockServer');
+
+// El cliente real de la API contra el mock: valida que el mock cumple el contrato de kardexApi.js
+const mock = new KardexMockServer();
+let kardexApi;
+
+before(async () => {
+  const { url } = await mock.start();
+  config.kardexApi.baseUrl = url;
+  kardexApi = require('../src/kardexApi');
+});
+
+after(async () => {
+  await mock.stop();
+});
+
+beforeEach(() => {
+  mock.reset();
+});
+
+test('login de cliente por teléfono con las variantes de nombre_usuario', async () => {
+  const ok = await kardexApi.verifyClientPassword('51987654321', 'clave123');
+  assert.strictEqual(ok.success, true);
+  assert.strictEqual(ok.cliente.id, 1);
+  assert.ok(ok.token);
+
+  const wrong = await kardexApi.verifyClientPassword('987654321', 'otra');
+  assert.strictEqual(wrong.success, false);
+  assert.strictEqual(wrong.message, 'Contraseña incorrecta');
+});
+
+test('pedido por WhatsApp: crear, agregar, consultar y listar en el portal', async () => {
+  const creado = await kardexApi.crearPedidoVacio(1, '51987654321');
+  assert.strictEqual(creado.success, true);
+  assert.match(creado.numero_pedido, /^PED-/);
+
+  const agregado = await kardexApi.agregarProductoAPedido(creado.pedido_id, 1, 2);
+  assert.strictEqual(agregado.success, true);
+  assert.strictEqual(agregado.total, 5);
+
+  const pedido = await kardexApi.getPedidoEnProceso(creado.pedido_id);
+  assert.strictEqual(pedido.detalles.length, 1);
+  assert.strictEqual(pedido.detalles[0].producto.nombre, 'Coca Cola 500ml');
+
+  const { token } = await kardexApi.verifyClientPassword('51987654321', 'clave123');
+  const misPedidos = await kardexApi.getMisPedidos(token);
+  assert.ok(misPedidos.data.some(p => p.id === creado.pedido_id));
+});
+
+test('venta descuenta stock y aparece en mis compras', async () => {
+  const venta = await kardexApi.crearVenta({
+    cliente_id: 2,
+    total: 6,
+    detalles: [{ producto_id: 6, cantidad: 1, precio_unitario: 6 }]
+  });
+  assert.strictEqual(venta.success, true);
+  assert.match(venta.numero_factura, /^B001-/);
+  assert.strictEqual(mock.store.getProducto(6).stock_actual, 4);
+
+  const { token } = await kardexApi.verifyClientPassword('51912345678', 'maria2024');
+  const compras = await kardexApi.getMisCompras(token);
+  assert.strictEqual(compras.total, 1);
+});
+
+test('falla 500 inyectada solo por la cantidad de veces pedida', async () => {
+  mock.faults.add({ type: 'error', method: 'POST', path: '/pedidos/whatsapp/vacio', times: 1 });
+
+  const fallido = await kardexApi.crearPedidoVacio(1, '51987654321');
+  assert.strictEqual(fallido.success, false);
+  assert.match(fallido.error, /simulado/);
+
+  const reintento = await kardexApi.crearPedidoVacio(1, '51987654321');
+  assert.strictEqual(reintento.success, true);
+});
+
+test('timeout inyectado se ve como timeout del cliente', async () => {
+  const { pedido_id } = await kardexApi.crearPedidoVacio(1, '51987654321');
+  mock.faults.add({ type: 'timeout', method: 'GET', path: '/pedidos/whatsapp/*', delayMs: 3000 });
+
+  // Se corta al vencer KARDEX_API_TIMEOUT (1000 ms), no antes ni al responder el mock
+  const started = Date.now();
+  const pedido = await kardexApi.getPedidoEnProceso(pedido_id);
+  const elapsed = Date.now() - started;
+  assert.strictEqual(pedido, null);
+  assert.ok(elapsed >= 950 && elapsed < 1800, `tardó ${elapsed} ms`);
+});
+
+test('carrera de stock: otro comprador se lleva el producto antes de agregarlo', async () => {
+  const { pedido_id } = await kardexApi.crearPedidoVacio(1, '51987654321');
+  mock.faults.add({ type: 'stockRace', path: '/pedidos/whatsapp/agregar-producto', times: 1 });
+
+  const agregado = await kardexApi.agregarProductoAPedido(pedido_id, 1, 2);
+  assert.strictEqual(agregado.success, false);
+  assert.match(agregado.error, /Stock insuficiente/);
+  assert.strictEqual(mock.store.getProducto(1).stock_actual, 0);
+});
@@ -0,0 +1,114 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+
+process.env.LOG_SILENT = 'true';
+process.env.OLLAMA_BASE_URL = 'http://127.0.0.1:9';
+process.env.LLM_FAILOVER = 'ollama,openai,stub';
+process.env.LLM_ORDERS_PROVIDER = 'ollama';
+process.env.LLM_CONVERSATION_PROVIDER = 'stub';
+
+// Servidor local compatible con OpenAI (como llama.cpp server o LM Studio)
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ data: [{ id: 'qwen2.5-3b' }] }));
+    }
+
+    const request = JSON.parse(body);
+    requests.push(request);
+    if (request.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const content of ['Hola', ', ¿en qué', ' te ayudo?']) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+      }
+      return res.end('data: [DONE]\n\n');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '```json\n{"intencion": "HACER_PEDIDO"}\n```' } }] }));
+  });
+});
+
+let multiModelAI;
+let stub;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.OPENAI_GPT_MODEL = 'qwen2.5-3b';
+
+  multiModelAI = require('../src/core/ai/multiModelAI');
+  stub = multiModelAI.getProvider('stub');
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests.length = 0;
+  stub.reset();
+  multiModelAI.downUntil.clear();
+});
+
+test('cada tarea usa su proveedor y el stub responde lo guionado', async () => {
+  stub.responses = [{ match: /saludo/, response: { respuesta: '¡Hola!' } }];
+
+  const result = await multiModelAI.generateJSON('Responde al saludo', 'sistema', 'conversation');
+  assert.deepStrictEqual(result, { respuesta: '¡Hola!' });
+  assert.strictEqual(stub.calls.length, 1);
+  assert.strictEqual(stub.calls[0].systemPrompt, 'sistema');
+  assert.strictEqual(stub.calls[0].options.temperature, 0.5);
+  assert.strictEqual(requests.length, 0);
+});
+
+test('si Ollama está caído se pasa al siguiente proveedor y queda marcado', async () => {
+  const result = await multiModelAI.generateJSON('2 arroz', null, 'orders');
+  assert.deepStrictEqual(result, { intencion: 'HACER_PEDIDO' });
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].model, 'qwen2.5-3b');
+  assert.strictEqual(requests[0].temperature, 0.3);
+
+  const health = await multiModelAI.health();
+  const byName = Object.fromEntries(health.providers.map(provider => [provider.name, provider]));
+  assert.strictEqual(byName.ollama.available, false);
+  assert.strictEqual(byName.ollama.down, true);
+  assert.strictEqual(byName.openai.available, true);
+  assert.deepStrictEqual(health.tasks.orders.chain, ['ollama', 'openai', 'stub']);
+  assert.deepStrictEqual(health.tasks.conversation.chain, ['stub', 'ollama', 'openai']);
+
+  // Mientras dure el enfriamiento Ollama se prueba al final
+  assert.deepStrictEqual(multiModelAI._candidates('orders').map(c => c.name), ['openai', 'stub', 'ollama']);
+});
+
+test('streaming por fragmentos y failover antes del primer fragmento', async () => {
+  const chunks = [];
+  for await (const chunk of multiModelAI.stream('saluda', null, 'queries')) {
+    chunks.push(chunk);
+  }
+  assert.deepStrictEqual(chunks, ['Hola', ', ¿en qué', ' te ayudo?']);
+  assert.strictEqual(requests[0].stream, true);
+
+  stub.responses = [{ match: 'saluda', response: 'Hola de prueba' }];
+  const fromStub = [];
+  for await (const chunk of multiModelAI.stream('saluda', null, 'conversation')) {
+    fromStub.push(chunk);
+  }
+  assert.strictEqual(fromStub.join(''), 'Hola de prueba');
+});
+
+test('sin proveedores que respondan se propaga el último error', async () => {
+  stub.available = false;
+  multiModelAI.models.queries.provider = 'stub';
+  multiModelAI.failover = ['stub'];
+  try {
+    await assert.rejects(() => multiModelAI.generate('hola', null, 'queries'), /stub no está disponible/);
+    assert.strictEqual(await multiModelAI.isAvailable('queries'), false);
+  } finally {
+    multiModelAI.models.queries.provider = 'ollama';
+    multiModelAI.failover = ['ollama', 'openai', 'stub'];
+  }
+});
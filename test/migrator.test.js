@@ -0,0 +1,106 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+
+process.env.SQLITE_DB_PATH = ':memory:';
+process.env.LOG_SILENT = 'true';
+
+const db = require('../src/db');
+const { Migrator } = require('../src/core/database/migrator');
+const migrations = require('../src/core/database/migrations');
+
+// Migraciones falsas: registran el orden en que corren y crean una tabla cada una
+let ran = [];
+
+function fakeMigration(version, { fail = false } = {}) {
+  return {
+    version,
+    name: `tabla_${version}`,
+    async up(database) {
+      ran.push(version);
+      await database.run(`CREATE TABLE tabla_${version} (id INTEGER PRIMARY KEY)`);
+      if (fail) {
+        throw new Error('Fallo simulado');
+      }
+    }
+  };
+}
+
+async function tableExists(name) {
+  return Boolean(await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]));
+}
+
+beforeEach(async () => {
+  // Cada prueba con una base en memoria nueva
+  await db.connect();
+  ran = [];
+});
+
+afterEach(async () => {
+  await db.close();
+});
+
+test('aplica las migraciones en orden de versión y las registra en schema_version', async () => {
+  const migrator = new Migrator([fakeMigration(3), fakeMigration(1), fakeMigration(2)]);
+
+  assert.deepStrictEqual(await migrator.migrate(db), [1, 2, 3]);
+  assert.deepStrictEqual(ran, [1, 2, 3]);
+
+  const rows = await db.all('SELECT version, name FROM schema_version ORDER BY version');
+  assert.deepStrictEqual(rows.map(row => ({ ...row })), [
+    { version: 1, name: 'tabla_1' },
+    { version: 2, name: 'tabla_2' },
+    { version: 3, name: 'tabla_3' }
+  ]);
+  assert.strictEqual(await migrator.getCurrentVersion(db), 3);
+});
+
+test('no vuelve a aplicar las migraciones ya registradas', async () => {
+  await new Migrator([fakeMigration(1), fakeMigration(2)]).migrate(db);
+  ran = [];
+
+  assert.deepStrictEqual(await new Migrator([fakeMigration(1), fakeMigration(2)]).migrate(db), []);
+  assert.deepStrictEqual(await new Migrator([fakeMigration(1), fakeMigration(2), fakeMigration(3)]).migrate(db), [3]);
+  assert.deepStrictEqual(ran, [3]);
+});
+
+test('una migración fallida se revierte completa y detiene las siguientes', async () => {
+  const migrator = new Migrator([fakeMigration(1), fakeMigration(2, { fail: true }), fakeMigration(3)]);
+
+  await assert.rejects(() => migrator.migrate(db), /Migración 2 \(tabla_2\) fallida: Fallo simulado/);
+  assert.deepStrictEqual(ran, [1, 2]);
+  assert.strictEqual(await tableExists('tabla_1'), true);
+  assert.strictEqual(await tableExists('tabla_2'), false);
+  assert.strictEqual(await migrator.getCurrentVersion(db), 1);
+
+  // Corregida la migración, se retoma desde la versión que falló
+  ran = [];
+  assert.deepStrictEqual(await new Migrator([fakeMigration(1), fakeMigration(2), fakeMigration(3)]).migrate(db), [2, 3]);
+});
+
+test('002 reparte el current_order plano de las sesiones existentes en namespaces', async () => {
+  const [initialSchema, sessionContext] = migrations;
+  await new Migrator([initialSchema]).migrate(db);
+  await db.run(
+    'INSERT INTO sessions (phone_number, state, current_order) VALUES (?, ?, ?)',
+    ['51987654321', 'pedido_en_proceso', JSON.stringify({
+      _authenticated: true,
+      _client_id: 1,
+      _temp_nombre: 'Ana',
+      _updating_field: 'email',
+      pedido_id: 7,
+      _browse: { view: 'menu' }
+    })]
+  );
+
+  await new Migrator([initialSchema, sessionContext]).migrate(db);
+
+  const row = await db.get('SELECT context, current_order FROM sessions');
+  assert.strictEqual(row.current_order, null);
+  assert.deepStrictEqual(JSON.parse(row.context), {
+    auth: { _authenticated: true, _client_id: 1 },
+    // En la versión 2 no existía el namespace browse: lo desconocido iba al carrito
+    cart: { pedido_id: 7, _browse: { view: 'menu' } },
+    registration: { _temp_nombre: 'Ana' },
+    profileEdit: { _updating_field: 'email' }
+  });
+});
@@ -0,0 +1,162 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+
+process.env.SQLITE_DB_PATH = ':memory:';
+process.env.LOG_SILENT = 'true';
+
+const db = require('../src/db');
+const outboundQueue = require('../src/core/messaging/outboundQueue');
+
+// Emisor falso: registra lo entregado y permite simular desconexiones y fallas
+const sender = {
+  connected: true,
+  failNext: 0,
+  delivered: [],
+  isConnected() {
+    return this.connected;
+  },
+  async deliver(recipient, message) {
+    if (this.failNext > 0) {
+      this.failNext--;
+      throw new Error('Fallo simulado');
+    }
+    this.delivered.push({ recipient, ...message });
+    return `WA-${this.delivered.length}`;
+  }
+};
+
+before(async () => {
+  await db.initialize();
+  outboundQueue.registerSender('test', sender);
+});
+
+after(async () => {
+  outboundQueue.stop();
+  await db.close();
+});
+
+beforeEach(async () => {
+  await db.run('DELETE FROM outbound_messages');
+  outboundQueue.configure({ ratePerMinute: 100, minIntervalMs: 0, maxAttempts: 3, retryBaseMs: 1000, retryMaxMs: 5000 });
+  outboundQueue.sentTimestamps = [];
+  outboundQueue.lastSentAt = 0;
+  sender.connected = true;
+  sender.failNext = 0;
+  sender.delivered = [];
+});
+
+test('entrega en orden por destinatario, texto e imagen', async () => {
+  await outboundQueue.enqueue('test', 'a@s.whatsapp.net', { type: 'text', text: 'resumen' });
+  await outboundQueue.enqueue('test', 'a@s.whatsapp.net', { type: 'image', image: Buffer.from('qr'), caption: 'QR.png' });
+  await outboundQueue.enqueue('test', 'b@s.whatsapp.net', { type: 'text', text: 'hola' });
+
+  assert.strictEqual(await outboundQueue.processDue(), 3);
+  assert.deepStrictEqual(sender.delivered.map(m => m.text || m.caption), ['resumen', 'QR.png', 'hola']);
+  assert.ok(Buffer.isBuffer(sender.delivered[1].image));
+  assert.strictEqual(sender.delivered[1].image.toString(), 'qr');
+});
+
+test('las listas y botones se guardan como JSON y se entregan con sus opciones', async () => {
+  const lista = {
+    kind: 'list',
+    title: '📂 Catálogo',
+    text: 'Elige una categoría',
+    sections: [{ title: 'Categorías', rows: [{ id: 'browse:cat:1:1', title: 'Bebidas', description: '3 productos' }] }]
+  };
+  await outboundQueue.enqueue('test', 'a@s.whatsapp.net', { type: 'interactive', interactive: lista });
+
+  assert.strictEqual(await outboundQueue.processDue(), 1);
+  assert.deepStrictEqual(sender.delivered[0], { recipient: 'a@s.whatsapp.net', type: 'interactive', interactive: lista });
+});
+
+test('desconectado: los mensajes esperan sin gastar intentos y salen en orden al reconectar', async () => {
+  sender.connected = false;
+  const first = await outboundQueue.enqueue('test', 'a@s.whatsapp.net', { type: 'text', text: 'uno' });
+  const second = await outboundQueue.enqueue('test', 'a@s.whatsapp.net', { type: 'text', text: 'dos' });
+
+  // Una desconexión larga: muchas más pasadas del sondeo que maxAttempts
+  for (let i = 0; i < 50; i++) {
+    assert.strictEqual(await outboundQueue.processDue(), 0);
+  }
+  for (const id of [first, second]) {
+    const message = await outboundQueue.getMessage(id);
+    assert.strictEqual(message.status, 'pending');
+    assert.strictEqual(message.attempts, 0);
+    assert.strictEqual(message.last_error, null);
+  }
+
+  // Al reconectar, flush despierta la cola y sale todo en orden
+  sender.connected = true;
+  await outboundQueue.flush('test');
+  assert.strictEqual(await outboundQueue.processDue(), 2);
+  assert.deepStrictEqual(sender.delivered.map(m => m.text), ['uno', 'dos']);
+});
+
+test('envío fallido: reintento exponencial sin adelantar mensajes del mismo destinatario', async () => {
+  sender.failNext = 2;
+  const first = await outboundQueue.enqueue('test', 'a@s.whatsapp.net', { type: 'text', text: 'uno' });
+  const second = await outboundQueue.enqueue('test', 'a@s.whatsapp.net', { type: 'text', text: 'dos' });
+
+  assert.strictEqual(await outboundQueue.processDue(), 0);
+  let message = await outboundQueue.getMessage(first);
+  assert.strictEqual(message.status, 'pending');
+  assert.strictEqual(message.attempts, 1);
+  assert.ok(message.next_attempt_at > Date.now() + 500);
+  assert.strictEqual((await outboundQueue.getMessage(second)).attempts, 0);
+
+  // Segundo intento fallido: la espera se duplica
+  await db.run('UPDATE outbound_messages SET next_attempt_at = 0 WHERE id = ?', [first]);
+  const before = Date.now();
+  await outboundQueue.processDue();
+  message = await outboundQueue.getMessage(first);
+  assert.strictEqual(message.attempts, 2);
+  assert.ok(message.next_attempt_at >= before + 2000);
+
+  await outboundQueue.flush('test');
+  assert.strictEqual(await outboundQueue.processDue(), 2);
+  assert.deepStrictEqual(sender.delivered.map(m => m.text), ['uno', 'dos']);
+});
+
+test('falla definitiva al agotar los intentos', async () => {
+  sender.failNext = 10;
+  const id = await outboundQueue.enqueue('test', 'a@s.whatsapp.net', { type: 'text', text: 'uno' });
+
+  for (let i = 0; i < 3; i++) {
+    await db.run('UPDATE outbound_messages SET next_attempt_at = 0 WHERE id = ?', [id]);
+    await outboundQueue.processDue();
+  }
+
+  const message = await outboundQueue.getMessage(id);
+  assert.strictEqual(message.status, 'failed');
+  assert.strictEqual(message.attempts, 3);
+  assert.strictEqual(message.last_error, 'Fallo simulado');
+});
+
+test('límite global de envíos por minuto', async () => {
+  outboundQueue.configure({ ratePerMinute: 2 });
+  for (const to of ['a', 'b', 'c']) {
+    await outboundQueue.enqueue('test', `${to}@s.whatsapp.net`, { type: 'text', text: to });
+  }
+
+  assert.strictEqual(await outboundQueue.processDue(), 2);
+  assert.strictEqual((await outboundQueue.getStats()).pending, 1);
+  assert.ok(outboundQueue._rateLimitWait() > 59 * 1000);
+});
+
+test('acuses de entrega y lectura sin retroceder el estado', async () => {
+  const id = await outboundQueue.enqueue('test', 'a@s.whatsapp.net', { type: 'text', text: 'uno' });
+  await outboundQueue.processDue();
+
+  let message = await outboundQueue.getMessage(id);
+  assert.strictEqual(message.status, 'sent');
+  assert.strictEqual(message.wa_message_id, 'WA-1');
+
+  assert.strictEqual(await outboundQueue.recordReceipt('WA-1', 'read'), true);
+  assert.strictEqual(await outboundQueue.recordReceipt('WA-1', 'delivered'), true);
+  assert.strictEqual(await outboundQueue.recordReceipt('desconocido', 'read'), false);
+
+  message = await outboundQueue.getMessage(id);
+  assert.strictEqual(message.status, 'read');
+  assert.ok(message.delivered_at);
+  assert.ok(message.read_at);
+});
@@ -0,0 +1,164 @@
+const { test, before, beforeEach, after, mock } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+const config = require('../config/config');
+const productEmbeddings = require('../src/utils/productEmbeddings');
+const queryExecutor = require('../src/core/ai/queryExecutor');
+
+// Modelo falso: una dimensión por concepto, el texto suma los conceptos que menciona
+const CONCEPTS = [
+  ['limpi', 'piso', 'lejia'],
+  ['bebida', 'gaseosa', 'agua', 'kola', 'cola'],
+  ['sin azucar', 'zero', 'light'],
+  ['leche', 'yogurt', 'lacteo'],
+  ['arroz', 'aceite', 'azucar']
+];
+const embedded = [];
+
+function fakeVector(text) {
+  const folded = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const vector = CONCEPTS.map(words => words.filter(word => folded.includes(word)).length);
+  vector.push(vector.every(value => value === 0) ? 1 : 0);
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return vector.map(value => value / norm);
+}
+
+const LIMPIADOR = { id: 11, nombre: 'Poett Lavanda 900ml', descripcion: 'Limpiador de pisos', precio_venta: 6.5, stock_actual: 20, activo: 1, categoria_id: 5 };
+const COCA_ZERO = { id: 12, nombre: 'Coca Cola Zero 500ml', descripcion: 'Gaseosa sin azúcar', precio_venta: 2.8, stock_actual: 30, activo: 1, categoria_id: 1 };
+
+let tempDir;
+const enabled = config.semanticSearch.enabled;
+
+before(async () => {
+  await simulator.start();
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'embeddings-'));
+  productEmbeddings.indexPath = path.join(tempDir, 'product-embeddings.json');
+  config.semanticSearch.enabled = true;
+  mock.method(productEmbeddings, '_createExtractor', async () => async (texts) => {
+    embedded.push(...texts);
+    return { tolist: () => texts.map(fakeVector) };
+  });
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+  simulator.store.productos.push({ ...LIMPIADOR }, { ...COCA_ZERO });
+  productEmbeddings.reset();
+  fs.rmSync(productEmbeddings.indexPath, { force: true });
+  embedded.length = 0;
+});
+
+after(async () => {
+  config.semanticSearch.enabled = enabled;
+  mock.restoreAll();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  await simulator.stop();
+});
+
+test('encuentra por significado lo que no comparte palabras con el nombre', async () => {
+  const [hit] = await productEmbeddings.search('algo para limpiar el piso');
+  assert.strictEqual(hit.producto.nombre, 'Poett Lavanda 900ml');
+  assert.ok(hit.similarity > 0.9);
+
+  const productos = await queryExecutor._buscarProductos({ term: 'una bebida sin azúcar', limit: 3 });
+  assert.strictEqual(productos[0].nombre, 'Coca Cola Zero 500ml');
+  assert.ok(productos[0]._semanticScore > 0.8);
+  assert.match(productos[0]._explanation, /semántica 0\.\d\d/);
+  assert.ok(productos.every((p, i) => i === 0 || p._score <= productos[i - 1]._score));
+});
+
+test('el índice se guarda en disco y solo recalcula lo que cambió', async () => {
+  await productEmbeddings.refresh({ force: true });
+  assert.strictEqual(embedded.length, 11, 'los 11 productos activos');
+  const saved = JSON.parse(fs.readFileSync(productEmbeddings.indexPath, 'utf8'));
+  assert.deepStrictEqual(Object.keys(saved.items).sort((a, b) => a - b), ['1', '2', '3', '4', '5', '6', '7', '8', '9', '11', '12']);
+
+  // Reinicio: se lee de disco, cambia un producto y desaparece otro
+  productEmbeddings.reset();
+  embedded.length = 0;
+  simulator.store.productos.find(p => p.id === 11).descripcion = 'Limpiador de pisos con lejía';
+  simulator.store.productos = simulator.store.productos.filter(p => p.id !== 12);
+  await productEmbeddings.refresh({ force: true });
+
+  assert.deepStrictEqual(embedded, ['Poett Lavanda 900ml. Limpiador de pisos con lejía']);
+  assert.strictEqual(productEmbeddings.getStats().products, 10);
+  assert.ok(!JSON.parse(fs.readFileSync(productEmbeddings.indexPath, 'utf8')).items['12']);
+});
+
+test('la búsqueda usa el índice ya construido y no espera a que se actualice', async () => {
+  await productEmbeddings.refresh({ force: true });
+
+  // Cambia el catálogo y el modelo tarda: la búsqueda responde con el índice anterior
+  let release;
+  const slow = new Promise(resolve => {
+    release = resolve;
+  });
+  const extractor = productEmbeddings.extractor;
+  productEmbeddings.extractor = async (texts, options) => {
+    if (texts[0].startsWith('Poett')) {
+      await slow;
+    }
+    return extractor(texts, options);
+  };
+  simulator.store.productos = simulator.store.productos.map(p => (p.id === 11 ? { ...p, descripcion: 'Limpiador de pisos con lejía' } : p));
+  const syncing = productEmbeddings.refresh({ force: true });
+
+  const [hit] = await productEmbeddings.search('algo para limpiar el piso');
+  assert.strictEqual(hit.producto.descripcion, 'Limpiador de pisos');
+  assert.ok(productEmbeddings.syncing, 'la actualización sigue en curso');
+
+  release();
+  await syncing;
+  productEmbeddings.extractor = extractor;
+  const [updated] = await productEmbeddings.search('algo para limpiar el piso');
+  assert.strictEqual(updated.producto.descripcion, 'Limpiador de pisos con lejía');
+});
+
+test('si el índice no está listo a tiempo se responde solo con el ranking léxico', async (t) => {
+  const timeout = config.semanticSearch.searchTimeoutMs;
+  config.semanticSearch.searchTimeoutMs = 50;
+  t.after(() => {
+    config.semanticSearch.searchTimeoutMs = timeout;
+  });
+  let release;
+  const slow = new Promise(resolve => {
+    release = resolve;
+  });
+  productEmbeddings.extractor = null;
+  mock.method(productEmbeddings, '_createExtractor', async () => {
+    await slow;
+    return async texts => ({ tolist: () => texts.map(fakeVector) });
+  });
+
+  const started = Date.now();
+  const productos = await queryExecutor._buscarProductos({ term: 'inca kola', limit: 2 });
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(productos[0].nombre, 'Inca Kola 1.5L');
+  assert.strictEqual(productos[0]._semanticScore, 0);
+
+  // El índice se termina de construir y las búsquedas siguientes ya lo usan
+  release();
+  await productEmbeddings.refresh();
+  const [hit] = await productEmbeddings.search('algo para limpiar el piso');
+  assert.strictEqual(hit.producto.nombre, 'Poett Lavanda 900ml');
+});
+
+test('si el modelo no carga queda solo el ranking léxico', async () => {
+  productEmbeddings.extractor = null;
+  mock.method(productEmbeddings, '_createExtractor', async () => {
+    throw new Error('Cannot find module @xenova/transformers');
+  });
+
+  assert.deepStrictEqual(await productEmbeddings.search('bebida sin azúcar'), []);
+  assert.match(productEmbeddings.getStats().lastError, /@xenova\/transformers/);
+
+  const productos = await queryExecutor._buscarProductos({ term: 'inca kola', limit: 2 });
+  assert.strictEqual(productos[0].nombre, 'Inca Kola 1.5L');
+  assert.strictEqual(productos[0]._score, 1);
+  assert.strictEqual(productos[0]._semanticScore, 0);
+});
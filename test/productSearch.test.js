@@ -0,0 +1,66 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('assert');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+const productSearch = require('../src/utils/productSearch');
+
+before(async () => {
+  await simulator.start();
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+async function top(query, options) {
+  const [hit] = await productSearch.find(query, options);
+  return hit ? hit.producto.nombre : null;
+}
+
+test('encuentra sin importar tildes, plurales ni errores de tipeo', async () => {
+  assert.strictEqual(await top('AZUCAR'), 'Azúcar Rubia 1kg');
+  assert.strictEqual(await top('arroces costeños'), 'Arroz Costeño 1kg');
+  assert.strictEqual(await top('aseite primor'), 'Aceite Primor 1L');
+  assert.strictEqual(await top('arro'), 'Arroz Costeño 1kg');
+
+  const [hit] = await productSearch.find('inka kola');
+  assert.strictEqual(hit.producto.nombre, 'Inca Kola 1.5L');
+  assert.strictEqual(productSearch.explain(hit), 'inka→inca (difusa, nombre 0.70); kola (exacta, nombre 1.00)');
+
+  assert.deepStrictEqual(await productSearch.find('keke'), [], 'los productos inactivos no están en el índice');
+});
+
+test('busca por código y por sinónimo, y ordena por relevancia', async () => {
+  const [byCode] = await productSearch.find('aba-002');
+  assert.strictEqual(byCode.producto.nombre, 'Aceite Primor 1L');
+  assert.deepStrictEqual(byCode.matches.map(m => [m.field, m.kind]), [['codigo', 'exacta']]);
+
+  const [bySynonym] = await productSearch.find('yogur de fresa');
+  assert.strictEqual(bySynonym.producto.nombre, 'Yogurt Gloria Fresa 1L');
+  assert.ok(bySynonym.matches.some(m => m.kind === 'sinonimo' && m.term === 'yogurt'));
+
+  const gloria = await productSearch.find('gloria');
+  assert.deepStrictEqual(gloria.map(hit => hit.producto.id).sort(), [7, 8]);
+  assert.ok(gloria.every((hit, i) => i === 0 || hit.score <= gloria[i - 1].score));
+
+  assert.deepStrictEqual(await productSearch.find('xyzw'), []);
+});
+
+test('rank ordena un listado externo y el índice se rehace cuando cambia el catálogo', async () => {
+  const ranked = productSearch.rank('leche gloria', [
+    { id: 1, nombre: 'Yogurt de leche' },
+    { id: 2, nombre: 'Leche Gloria Tarro 400g' },
+    { id: 3, nombre: 'Pan Integral' }
+  ]);
+  assert.deepStrictEqual(ranked.map(hit => hit.producto.id), [2, 1]);
+
+  assert.strictEqual(await top('chocolate'), null);
+  simulator.store.productos.push({ id: 11, nombre: 'Chocolate Sublime 30g', precio_venta: 1.5, stock_actual: 50, activo: 1, categoria_id: 4 });
+  await require('../src/utils/productCache').loadCatalog({ force: true });
+  assert.strictEqual(await top('chocolates sublime'), 'Chocolate Sublime 30g');
+});
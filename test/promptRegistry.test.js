@@ -0,0 +1,157 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_SILENT = 'true';
+process.env.OLLAMA_BASE_URL = 'http://127.0.0.1:9';
+process.env.LLM_QUERIES_PROVIDER = 'stub';
+process.env.LLM_ORDERS_PROVIDER = 'stub';
+process.env.LLM_FAILOVER = 'stub';
+
+const multiModelAI = require('../src/core/ai/multiModelAI');
+const promptRegistry = require('../src/core/ai/promptRegistry');
+const promptEvaluation = require('../src/core/ai/promptEvaluation');
+const aiProcessor = require('../src/aiProcessor');
+
+const stub = multiModelAI.getProvider('stub');
+const originalGenerate = stub.generate;
+const originalDir = promptRegistry.dir;
+let dir;
+
+function writePrompts(manifest, versions) {
+  fs.writeFileSync(path.join(dir, 'prompts.json'), JSON.stringify(manifest));
+  for (const [file, text] of Object.entries(versions)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  promptRegistry.load(originalDir);
+});
+
+beforeEach(() => {
+  stub.reset();
+  stub.generate = originalGenerate;
+  writePrompts({
+    saludo: { active: 'v1', variables: { tienda: 'Chatdex' } },
+    intent: { active: 'v1', split: { v1: 50, v2: 50 } }
+  }, {
+    'saludo/v1.txt': 'Hola, soy {{tienda}}. {{extra}}\n',
+    'intent/v1.txt': 'Prompt A',
+    'intent/v2.txt': 'Prompt B'
+  });
+  promptRegistry.load(dir);
+});
+
+test('reemplaza variables sobre los valores por defecto y falla si falta una', () => {
+  const rendered = promptRegistry.render('saludo', { extra: '¿Qué buscas?' });
+  assert.deepStrictEqual(rendered, { name: 'saludo', version: 'v1', text: 'Hola, soy Chatdex. ¿Qué buscas?' });
+
+  assert.throws(() => promptRegistry.render('saludo'), /saludo@v1 usa \{\{extra\}\} sin valor/);
+  assert.throws(() => promptRegistry.render('despedida'), /desconocida: despedida/);
+});
+
+test('el reparto A/B es estable por sesión y se acerca a los pesos', () => {
+  const counts = { v1: 0, v2: 0 };
+  for (let i = 0; i < 1000; i++) {
+    const phone = `5191000${String(i).padStart(4, '0')}`;
+    const version = promptRegistry.selectVersion('intent', phone);
+    assert.strictEqual(promptRegistry.selectVersion('intent', phone), version);
+    counts[version]++;
+  }
+  assert.ok(counts.v1 > 400 && counts.v2 > 400, JSON.stringify(counts));
+
+  // Sin sesión: la versión activa
+  assert.strictEqual(promptRegistry.selectVersion('intent'), 'v1');
+  assert.strictEqual(promptRegistry.render('intent', {}, { version: 'v2' }).text, 'Prompt B');
+});
+
+test('reload relee los archivos y conserva lo anterior si son inválidos', () => {
+  writePrompts({ saludo: { active: 'v2' }, intent: { active: 'v1' } }, { 'saludo/v2.txt': 'Buenas' });
+  promptRegistry.reload();
+  assert.strictEqual(promptRegistry.render('saludo').text, 'Buenas');
+  assert.deepStrictEqual(promptRegistry.list().find(item => item.name === 'saludo').versions, ['v1', 'v2']);
+
+  writePrompts({ saludo: { active: 'v3' }, intent: { active: 'v1' } }, {});
+  assert.throws(() => promptRegistry.reload(), /no tiene la versión activa v3/);
+  assert.strictEqual(promptRegistry.render('saludo').text, 'Buenas');
+});
+
+test('la evaluación offline compara exactitud de intención y de extracción por versión', async () => {
+  // La versión B entiende cantidades; la A confunde los pedidos con consultas de precio
+  stub.generate = async function (prompt, systemPrompt) {
+    this.calls.push({ prompt, systemPrompt });
+    if (prompt.includes('hola')) {
+      return JSON.stringify({ intencion: 'SALUDO', confianza: 0.9 });
+    }
+    return JSON.stringify(systemPrompt === 'Prompt B'
+      ? { intencion: 'HACER_PEDIDO', confianza: 0.9, parametros: { productos: [{ nombre: 'arroces', cantidad: 2 }] } }
+      : { intencion: 'CONSULTAR_PRECIO', confianza: 0.9, parametros: { producto: 'arroz' } });
+  };
+
+  const examples = [
+    { text: 'hola', intent: 'SALUDO' },
+    { text: 'quiero 2 arroz', intent: 'HACER_PEDIDO', productos: [{ nombre: 'arroz', cantidad: 2 }] }
+  ];
+  const [v1, v2] = await promptEvaluation.compareVersions('intent', ['v1', 'v2'], examples);
+
+  assert.deepStrictEqual(
+    { intent: v1.intentAccuracy, extraction: v1.extraction, mistakes: v1.mistakes.length },
+    { intent: 0.5, extraction: { total: 1, accuracy: 0 }, mistakes: 1 }
+  );
+  assert.deepStrictEqual(
+    { intent: v2.intentAccuracy, extraction: v2.extraction, errors: v2.errors },
+    { intent: 1, extraction: { total: 1, accuracy: 1 }, errors: 0 }
+  );
+
+  const report = promptEvaluation.formatComparison('intent', [v1, v2]);
+  assert.match(report, /v2 vs v1: intención \+50\.0 pts, extracción \+100\.0 pts/);
+  assert.ok(promptRegistry.getStats()['intent@v2'] >= 2);
+});
+
+test('la plantilla order se reparte por sesión y se evalúa por exactitud de extracción', async () => {
+  writePrompts({ order: { active: 'v1', split: { v1: 50, v2: 50 } } }, {
+    'order/v1.txt': 'Pedido A',
+    'order/v2.txt': 'Pedido B'
+  });
+  promptRegistry.load(dir);
+  // La versión B suma bien las cantidades; la A deja todo en 1
+  stub.generate = async function (prompt, systemPrompt) {
+    this.calls.push({ prompt, systemPrompt });
+    if (prompt.includes('hola')) {
+      return JSON.stringify({ intencion: 'SALUDO' });
+    }
+    const cantidad = systemPrompt === 'Pedido B' ? 2 : 1;
+    return JSON.stringify({ intencion: 'HACER_PEDIDO', productos: [{ nombre: 'arroces', cantidad }] });
+  };
+
+  // processOrder usa la versión de la sesión
+  const phones = Array.from({ length: 100 }, (_, i) => `5191${String(i).padStart(7, '0')}`);
+  for (const [version, expected] of [['v1', 'Pedido A'], ['v2', 'Pedido B']]) {
+    const phone = phones.find(candidate => promptRegistry.selectVersion('order', candidate) === version);
+    await aiProcessor.processOrder('hola', [], { sessionKey: phone });
+    assert.strictEqual(stub.calls[stub.calls.length - 1].systemPrompt, expected);
+  }
+
+  const examples = [
+    { text: 'hola', intent: 'SALUDO' },
+    { text: 'quiero 2 arroz', intent: 'HACER_PEDIDO', productos: [{ nombre: 'arroz', cantidad: 2 }] }
+  ];
+  const [v1, v2] = await promptEvaluation.compareVersions('order', ['v1', 'v2'], examples);
+  assert.deepStrictEqual(
+    { intent: v1.intentAccuracy, extraction: v1.extraction },
+    { intent: 1, extraction: { total: 1, accuracy: 0 } }
+  );
+  assert.deepStrictEqual(
+    { intent: v2.intentAccuracy, extraction: v2.extraction, errors: v2.errors },
+    { intent: 1, extraction: { total: 1, accuracy: 1 }, errors: 0 }
+  );
+});
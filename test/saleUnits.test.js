@@ -0,0 +1,105 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('assert');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+const textParser = require('../src/utils/textParser');
+const saleUnits = require('../src/utils/saleUnits');
+
+const USER = '51987654321';
+const AZUCAR_GRANEL = { id: 11, nombre: 'Azúcar Blanca a Granel', unidad_medida: 'KG', precio_venta: 4.2, stock_actual: 50, activo: 1, categoria_id: 2 };
+const CERVEZA = { id: 12, nombre: 'Cerveza Pilsen Lata 355ml', unidades_por_paquete: 6, precio_venta: 4, stock_actual: 48, activo: 1, categoria_id: 1 };
+
+function producto(id) {
+  return simulator.store.productos.find(p => p.id === id);
+}
+
+before(async () => {
+  await simulator.start();
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+  simulator.store.productos.push({ ...AZUCAR_GRANEL }, { ...CERVEZA });
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+test('el pre-parser lee cantidad, unidad y tamaño de pack como se dijeron', () => {
+  const items = text => textParser.parseOrder(text).items.map(({ cantidad, unidad, packSize, producto }) => [cantidad, unidad, packSize, producto]);
+
+  assert.deepStrictEqual(items('Medio kilo de azúcar'), [[0.5, 'kg', null, 'azucar']]);
+  assert.deepStrictEqual(items('un six pack de cerveza y 2 cajas de leche'), [[1, 'pack', 6, 'cerveza'], [2, 'caja', null, 'leche']]);
+  assert.deepStrictEqual(items('kilo y medio de arroz, una docena de panes'), [[1.5, 'kg', null, 'arroz'], [12, 'un', null, 'pan']]);
+  assert.deepStrictEqual(items('1/2 kg de azucar y un pack de 12 cervezas para mañana'), [[0.5, 'kg', null, 'azucar'], [1, 'pack', 12, 'cerveza']]);
+  assert.deepStrictEqual(items('quiero 2 coca cola'), [[2, 'un', null, 'coca cola']]);
+});
+
+test('convert lleva lo pedido a la unidad de venta o explica por qué no se puede', () => {
+  assert.deepStrictEqual(saleUnits.convert({ cantidad: 0.5, unidad: 'kg' }, AZUCAR_GRANEL), { valid: true, cantidad: 0.5, unidad: 'kg', detalle: null });
+  assert.strictEqual(saleUnits.convert({ cantidad: 250, unidad: 'g' }, AZUCAR_GRANEL).cantidad, 0.25);
+  assert.strictEqual(saleUnits.convert({ cantidad: 2, unidad: 'kg' }, producto(4)).cantidad, 2, 'Arroz Costeño 1kg: 2 bolsas');
+  assert.strictEqual(saleUnits.convert({ cantidad: 1, unidad: 'lt' }, producto(1)).detalle, '1 litro = 2 unidades', 'Coca Cola 500ml');
+  assert.deepStrictEqual(saleUnits.convert({ cantidad: 1, unidad: 'pack', packSize: 6 }, CERVEZA).cantidad, 6);
+  assert.strictEqual(saleUnits.convert({ cantidad: 2, unidad: 'pack', packSize: 6 }, { nombre: 'Cerveza Pilsen Six Pack' }).cantidad, 2);
+
+  const medioKilo = saleUnits.convert({ cantidad: 0.5, unidad: 'kg' }, producto(6));
+  assert.strictEqual(medioKilo.valid, false);
+  assert.strictEqual(medioKilo.sugerencia, 1);
+  assert.match(medioKilo.error, /Azúcar Rubia 1kg se vende por unidad de 1 kg/);
+
+  assert.match(saleUnits.convert({ cantidad: 2, unidad: 'caja' }, producto(7)).error, /cuántas unidades trae una caja/);
+  assert.strictEqual(saleUnits.convert({ cantidad: 2, unidad: 'caja' }, { ...producto(7), unidades_por_caja: 24 }).cantidad, 48);
+  assert.match(saleUnits.convert({ cantidad: 1, unidad: 'lt' }, AZUCAR_GRANEL).error, /se vende por kilo, no por litro/);
+  assert.match(saleUnits.convert({ cantidad: 0.5, unidad: 'un' }, producto(9)).error, /unidades enteras/);
+});
+
+test('el pedido agrega la cantidad convertida y avisa lo que no se pudo convertir', async () => {
+  simulator.ollama.available = true;
+  simulator.ollama.responses = [{
+    match: /MENSAJE:\s*"[^"]*az[uú]car/,
+    response: {
+      intencion: 'HACER_PEDIDO',
+      productos: [{ nombre: 'azucar blanca', cantidad: 1 }, { nombre: 'cerveza', cantidad: 1 }, { nombre: 'leche gloria', cantidad: 2 }]
+    }
+  }];
+  await simulator.send(USER, 'hola');
+  await simulator.send(USER, 'clave123');
+
+  const replies = await simulator.send(USER, 'quiero medio kilo de azúcar blanca, un six pack de cerveza y 2 cajas de leche gloria');
+
+  const added = simulator.kardexApi.calls.filter(call => call.method === 'agregarProductoAPedido').map(call => call.args.slice(1));
+  assert.deepStrictEqual(added, [[11, 0.5], [12, 6]]);
+  assert.ok(replies.some(reply => /cuántas unidades trae una caja de Leche Gloria Tarro 400g/.test(reply.text)));
+
+  const session = await simulator.getSession(USER);
+  assert.deepStrictEqual(session.context.cart.productos.map(p => [p.producto_id, p.cantidad]), [[11, 0.5], [12, 6]]);
+});
+
+test('cambiar la cantidad acepta fracciones y unidades y las convierte con el producto del pedido', async () => {
+  simulator.ollama.available = true;
+  simulator.ollama.responses = [{
+    match: /MENSAJE:\s*"[^"]*az[uú]car/,
+    response: { intencion: 'HACER_PEDIDO', productos: [{ nombre: 'azucar blanca', cantidad: 2 }, { nombre: 'arroz costeño', cantidad: 1 }] }
+  }];
+  await simulator.send(USER, 'hola');
+  await simulator.send(USER, 'clave123');
+  await simulator.send(USER, 'quiero 2 kilos de azúcar blanca y 1 arroz costeño');
+
+  const updated = () => simulator.kardexApi.calls.filter(call => call.method === 'actualizarCantidadProducto').map(call => call.args[2]);
+
+  await simulator.send(USER, 'cambia el azúcar a medio kilo');
+  await simulator.send(USER, 'cambia el azucar a 0,75 y muéstrame mi pedido');
+  await simulator.send(USER, 'cambia el azucar a 1500 gramos');
+  assert.deepStrictEqual(updated(), [0.5, 0.75, 1.5]);
+
+  // Lo que no se puede convertir se explica y no toca el pedido
+  const replies = await simulator.send(USER, 'cambia el arroz a medio kilo');
+  assert.match(replies[0].text, /Arroz Costeño 1kg se vende por unidad de 1 kg/);
+  assert.deepStrictEqual(updated(), [0.5, 0.75, 1.5]);
+
+  const session = await simulator.getSession(USER);
+  assert.deepStrictEqual(session.context.cart.productos.map(p => [p.producto_id, p.cantidad]), [[11, 1.5], [4, 1]]);
+});
@@ -0,0 +1,112 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('assert');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+const orderHandler = require('../src/orderHandler');
+const actionRegistry = require('../src/core/conversation/actionRegistry');
+const sessionStateMachine = require('../src/core/session/sessionStateMachine');
+
+const USER = '51987654321';
+const GUEST = '51911122233';
+
+async function enterState(userId, state) {
+  const { sessionManager } = simulator;
+  await sessionManager.getSession(userId);
+  await sessionManager.updateSessionState(userId, sessionManager.STATES.IDLE, {});
+  assert.strictEqual(await sessionManager.updateSessionState(userId, state, {}), true);
+}
+
+before(async () => {
+  await simulator.start();
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+test('un comando que pide una transición no permitida no responde como si hubiera cambiado de estado', async () => {
+  const { STATES } = simulator.sessionManager;
+  const cases = [
+    [STATES.AWAITING_CANCEL_CONFIRMATION, 'pedido', /PEDIDO SIN REGISTRO/],
+    [STATES.AWAITING_UPDATE_DIRECCION, 'registrar', /REGISTRO DE NUEVO CLIENTE/]
+  ];
+
+  for (const [state, text, newStateReply] of cases) {
+    await enterState(GUEST, state);
+    const replies = await simulator.send(GUEST, text);
+
+    assert.strictEqual((await simulator.getSession(GUEST)).state, state);
+    assert.strictEqual(replies.length, 1);
+    assert.doesNotMatch(replies[0].text, newStateReply);
+    assert.match(replies[0].text, /CANCELAR/);
+  }
+
+  await simulator.send(GUEST, 'cancelar');
+  assert.strictEqual((await simulator.getSession(GUEST)).state, STATES.IDLE);
+});
+
+test('cancelar descarta el pedido sin registro y los datos de identificación a medio juntar', async () => {
+  for (const text of ['pedido', '999888777', 'pedido', 'Ana Díaz']) {
+    await simulator.send(GUEST, text);
+  }
+  assert.strictEqual((await simulator.getSession(GUEST)).context.registration._temp_nombre, 'Ana Díaz');
+
+  await simulator.send(GUEST, 'cancelar');
+  const { state, context } = await simulator.getSession(GUEST);
+  assert.strictEqual(state, 'idle');
+  assert.deepStrictEqual(context.registration, {});
+  assert.deepStrictEqual(context.auth, {});
+
+  // Sin el _temp_nombre viejo, un teléfono escrito vuelve a identificar al cliente (FLUJO 6)
+  await simulator.send(GUEST, '987654321');
+  assert.strictEqual((await simulator.getSession(GUEST)).state, 'awaiting_password');
+});
+
+test('al completar el registro el borrador se descarta y queda la sesión autenticada', async () => {
+  await enterState(GUEST, simulator.sessionManager.STATES.AWAITING_REG_NAME);
+  for (const text of ['Ana Díaz', '41234567', 'ana.diaz@correo.com']) {
+    await simulator.send(GUEST, text);
+  }
+  assert.strictEqual((await simulator.getSession(GUEST)).context.registration._reg_email, 'ana.diaz@correo.com');
+
+  await simulator.send(GUEST, 'secreta123');
+  const { state, context } = await simulator.getSession(GUEST);
+  assert.strictEqual(state, 'idle');
+  assert.deepStrictEqual(context.registration, {});
+  assert.strictEqual(context.auth._authenticated, true);
+});
+
+test('cancelar no cierra la sesión de un cliente autenticado', async () => {
+  await simulator.send(USER, 'hola');
+  await simulator.send(USER, 'clave123');
+  await enterState(USER, simulator.sessionManager.STATES.AWAITING_UPDATE_EMAIL);
+
+  await simulator.send(USER, 'salir');
+  const { state, context } = await simulator.getSession(USER);
+  assert.strictEqual(state, 'idle');
+  assert.strictEqual(context.auth._authenticated, true);
+  assert.strictEqual(context.auth._client_id, 1);
+});
+
+test('las acciones solo se ofrecen en estados desde los que la máquina permite su transición', async () => {
+  const { STATES } = simulator.sessionManager;
+  const cancelOrder = actionRegistry.get('cancel_order');
+  assert.strictEqual(actionRegistry.isAllowedInState(cancelOrder, STATES.PEDIDO_EN_PROCESO), true);
+  assert.strictEqual(actionRegistry.isAllowedInState(cancelOrder, STATES.AWAITING_CANCEL_CONFIRMATION), true);
+  assert.strictEqual(actionRegistry.isAllowedInState(cancelOrder, STATES.AWAITING_PAYMENT_METHOD), false);
+  assert.strictEqual(actionRegistry.isAllowedInState(actionRegistry.get('confirm_order'), STATES.AWAITING_PAYMENT_METHOD), true);
+
+  // Si igual se llega al handler, no pide el dato del estado al que no pudo pasar
+  await enterState(USER, STATES.AWAITING_PAYMENT_METHOD);
+  const sent = [];
+  const transport = { sendMessage: async (to, text) => { sent.push(text); } };
+  await orderHandler.updateProfileField(USER, 'email', transport, { _user_token: 'token', _client_id: 1 });
+
+  assert.deepStrictEqual(sent, [sessionStateMachine.REJECTED_TRANSITION_MESSAGE]);
+  assert.strictEqual((await simulator.getSession(USER)).state, STATES.AWAITING_PAYMENT_METHOD);
+});
@@ -0,0 +1,96 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('assert');
+
+process.env.LOG_SILENT = 'true';
+process.env.OLLAMA_BASE_URL = 'http://127.0.0.1:9';
+process.env.LLM_QUERIES_PROVIDER = 'stub';
+process.env.LLM_ORDERS_PROVIDER = 'stub';
+process.env.LLM_FAILOVER = 'stub';
+
+const multiModelAI = require('../src/core/ai/multiModelAI');
+const structuredOutput = require('../src/core/ai/structuredOutput');
+const SCHEMAS = require('../src/core/ai/outputSchemas');
+const { createProvider } = require('../src/core/ai/providers');
+
+const stub = multiModelAI.getProvider('stub');
+
+beforeEach(() => {
+  stub.reset();
+  structuredOutput.resetStats();
+});
+
+test('valida tipos, enums, rangos y obligatorios con la ruta del error', () => {
+  const errors = structuredOutput.validate(SCHEMAS.order.schema, {
+    intencion: 'COMPRAR',
+    productos: [{ nombre: '', cantidad: -1 }, { cantidad: 2 }],
+    direccion: 5
+  });
+
+  assert.deepStrictEqual(errors, [
+    '$.intencion debe ser uno de: HACER_PEDIDO, VER_CATALOGO, VER_PRODUCTO, CONSULTAR_PRECIO, CONSULTAR_STOCK, VER_PEDIDO, CANCELAR, SALIR, VOLVER, SALUDO, AYUDA, BUSCAR, OTRO',
+    '$.productos[0].nombre no puede estar vacío',
+    '$.productos[0].cantidad debe ser >= 0',
+    '$.productos[1].nombre es obligatorio',
+    '$.direccion debe ser string o null (es integer)'
+  ]);
+  assert.deepStrictEqual(structuredOutput.validate(SCHEMAS.order.schema, { productos: [{ nombre: 'arroz', cantidad: null }] }), []);
+});
+
+test('respuesta válida al primer intento, normalizada y con el esquema enviado al proveedor', async () => {
+  stub.responses = [{ match: 'arroz', response: 'Claro: {"intencion": "hacer_pedido", "productos": [{"nombre": "arroz", "cantidad": "2"}]}' }];
+
+  const result = await structuredOutput.generate('order', 'Quiero 2 arroz', 'sistema', 'orders');
+  assert.deepStrictEqual(result, { intencion: 'HACER_PEDIDO', productos: [{ nombre: 'arroz', cantidad: 2 }] });
+  assert.strictEqual(stub.calls[0].options.schema, SCHEMAS.order.schema);
+  assert.strictEqual(stub.calls[0].options.schemaName, 'order');
+
+  const stats = structuredOutput.getStats().schemas.order;
+  assert.strictEqual(stats.valid, 1);
+  assert.strictEqual(stats.fragility, 0);
+});
+
+test('una respuesta inválida se corrige pidiéndola de nuevo con los errores', async () => {
+  stub.responses = [
+    { match: 'Tu respuesta anterior', response: { intencion: 'SALUDO', confianza: 0.9 } },
+    { match: 'hola', response: { intencion: 'SALUDO', confianza: 9 } }
+  ];
+
+  const result = await structuredOutput.generate('intent', 'Usuario dice: "hola"', 'sistema');
+  assert.strictEqual(result.confianza, 0.9);
+  assert.strictEqual(stub.calls.length, 2);
+  assert.match(stub.calls[1].prompt, /\$\.confianza debe ser <= 1/);
+
+  const stats = structuredOutput.getStats().schemas.intent;
+  assert.deepStrictEqual(
+    { valid: stats.valid, repaired: stats.repaired, schemaErrors: stats.schemaErrors, fragility: stats.fragility },
+    { valid: 0, repaired: 1, schemaErrors: 1, fragility: 1 }
+  );
+  assert.strictEqual(stats.recentFailures[0].kind, 'schemaErrors');
+});
+
+test('si sigue inválida tras los reintentos falla y queda contada', async () => {
+  stub.responses = [{ match: 'leche', response: 'no entendí el pedido' }];
+
+  await assert.rejects(
+    () => structuredOutput.generate('productExtraction', 'precio de la leche', 'sistema'),
+    /no cumple el esquema productExtraction/
+  );
+
+  const stats = structuredOutput.getStats().schemas.productExtraction;
+  assert.strictEqual(stats.failed, 1);
+  assert.strictEqual(stats.invalidJson, structuredOutput.maxRepairs + 1);
+  assert.strictEqual(stub.calls.length, structuredOutput.maxRepairs + 1);
+});
+
+test('el esquema llega como format de Ollama y response_format de servidores compatibles', () => {
+  const schema = SCHEMAS.intent.schema;
+
+  const ollama = createProvider('ollama', { type: 'ollama' });
+  assert.strictEqual(ollama._clientOptions({ schema, schemaName: 'intent' }).format, schema);
+  assert.strictEqual(createProvider('ollama', { format: 'json' })._clientOptions({ schema }).format, 'json');
+  assert.strictEqual(ollama._clientOptions({}).format, undefined);
+
+  const openai = createProvider('openai', { responseFormat: 'json_schema' });
+  const body = openai._buildRequest('hola', null, { schema, schemaName: 'intent' }, false);
+  assert.deepStrictEqual(body.response_format, { type: 'json_schema', json_schema: { name: 'intent', schema } });
+});
@@ -0,0 +1,93 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('assert');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+const transcriptionConfidence = require('../src/utils/transcriptionConfidence');
+const voiceConfirmation = require('../src/core/conversation/voiceConfirmation');
+
+const USER = '51987654321';
+const COCA_COLA = { producto_id: 1, nombre: 'Coca Cola 500ml', cantidad: 2, precio_unitario: 2.5 };
+
+function segment(text, avgLogprob, words = []) {
+  return { start: 0, end: 2, text, avgLogprob, noSpeechProb: 0.02, words };
+}
+
+before(async () => {
+  await simulator.start();
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+  await simulator.send(USER, 'hola');
+  await simulator.send(USER, 'clave123');
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+test('assess marca el producto o la cantidad que se oyó con poca probabilidad', () => {
+  const clear = {
+    segments: [segment('dos coca colas', -0.1, [
+      { word: 'dos', probability: 0.95 }, { word: 'coca', probability: 0.9 }, { word: 'colas', probability: 0.88 }
+    ])]
+  };
+  assert.deepStrictEqual(transcriptionConfidence.assess(clear, [COCA_COLA]).needed, false);
+
+  const mumbled = {
+    segments: [segment('dos coca colas', -0.4, [
+      { word: ' dos,', probability: 0.3 }, { word: 'coca', probability: 0.92 }, { word: 'colas', probability: 0.41 }
+    ])]
+  };
+  const assessment = transcriptionConfidence.assess(mumbled, [COCA_COLA]);
+  assert.strictEqual(assessment.needed, true);
+  assert.deepStrictEqual(assessment.doubtful, [
+    { term: 'Coca Cola 500ml', kind: 'producto', probability: 0.41 },
+    { term: '2', kind: 'cantidad', probability: 0.3 }
+  ]);
+});
+
+test('sin probabilidades por palabra decide la confianza global; sin datos no se pregunta', () => {
+  assert.ok(Math.abs(transcriptionConfidence.overall([segment('a', Math.log(0.5))]) - 0.49) < 0.001);
+  assert.strictEqual(transcriptionConfidence.assess({ segments: [segment('dos coca colas', -1.5)] }, [COCA_COLA]).needed, true);
+  assert.strictEqual(transcriptionConfidence.assess({ segments: [segment('dos coca colas', -0.05)] }, [COCA_COLA]).needed, false);
+
+  const unknown = transcriptionConfidence.assess({ segments: [{ start: 0, end: 2, text: 'x', avgLogprob: null, words: [] }] }, [COCA_COLA]);
+  assert.deepStrictEqual(unknown, { needed: false, confidence: null, doubtful: [] });
+});
+
+test('con SÍ se agrega el pedido que se entendió del audio', async () => {
+  await voiceConfirmation.request(simulator.transport, USER, USER, {
+    action: 'add_products_to_order',
+    actionData: { productos: [COCA_COLA] },
+    doubtful: [{ term: 'Coca Cola 500ml', kind: 'producto', probability: 0.41 }]
+  });
+  const [question] = simulator.transport.drain(USER);
+  assert.match(question.text, /¿Quisiste decir\.\.\.\?/);
+  assert.match(question.text, /• 2 x Coca Cola 500ml/);
+  assert.ok((await simulator.getSession(USER)).context.cart._voice_confirmation);
+
+  const replies = await simulator.send(USER, 'Sí');
+  assert.ok(replies.some(reply => reply.text.includes('PEDIDO PROCESADO')));
+  const session = await simulator.getSession(USER);
+  assert.strictEqual(session.state, 'pedido_en_proceso');
+  assert.strictEqual(session.context.cart._voice_confirmation, undefined);
+  assert.deepStrictEqual(session.context.cart.productos.map(p => [p.producto_id, p.cantidad]), [[1, 2]]);
+});
+
+test('con NO se descarta y no se agrega nada', async () => {
+  await voiceConfirmation.request(simulator.transport, USER, USER, {
+    action: 'run_actions',
+    actionData: { actions: [{ action: 'add_products_to_order', actionData: { productos: [COCA_COLA] } }] }
+  });
+  simulator.transport.drain(USER);
+
+  const replies = await simulator.send(USER, 'no');
+  assert.strictEqual(replies.length, 1);
+  assert.match(replies[0].text, /no agregué nada/);
+  const session = await simulator.getSession(USER);
+  assert.strictEqual(session.state, 'idle');
+  assert.deepStrictEqual(session.context.cart, {});
+  assert.ok(!simulator.kardexApi.calls.some(call => call.method === 'agregarProductoAPedido'));
+});
@@ -0,0 +1,109 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('assert');
+const express = require('express');
+
+// El simulador fija el entorno (SQLite en memoria, logs silenciados) antes de cargar el bot
+const simulator = require('./harness/simulator');
+const conversationEngine = require('../src/core/conversation/conversationEngine');
+const webchatTransport = require('../src/core/conversation/webchatTransport');
+const createWebchatRouter = require('../src/core/conversation/webchatRouter');
+
+let server;
+let url;
+
+async function sessionKeys() {
+  const rows = await simulator.db.all('SELECT phone_number FROM sessions');
+  return rows.map(row => row.phone_number);
+}
+
+async function post(body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  await simulator.start();
+  conversationEngine.registerChannel('webchat', webchatTransport);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/webchat', createWebchatRouter());
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  url = `http://127.0.0.1:${server.address().port}/webchat/message`;
+});
+
+beforeEach(async () => {
+  await simulator.reset();
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await simulator.stop();
+});
+
+test('el sessionId lo genera el servidor y un teléfono no sirve como sesión', async () => {
+  const phone = await post({ sessionId: '51987654321', text: 'hola' });
+  assert.strictEqual(phone.status, 400);
+  assert.deepStrictEqual(await sessionKeys(), []);
+
+  const first = await post({ text: 'hola' });
+  assert.strictEqual(first.status, 200);
+  assert.match(first.body.sessionId, /^[0-9a-f-]{36}$/);
+  assert.ok(first.body.messages.length > 0);
+  assert.deepStrictEqual(await sessionKeys(), [`web:${first.body.sessionId}`]);
+});
+
+test('la respuesta trae los mensajes y el nombre del estado, no el contexto de la sesión', async () => {
+  let sessionId;
+  let reply;
+  for (const text of ['hola', 'si', '987654321']) {
+    reply = await post({ sessionId, text });
+    sessionId = reply.body.sessionId;
+  }
+
+  assert.deepStrictEqual(Object.keys(reply.body).sort(), ['messages', 'sessionId', 'state', 'success']);
+  assert.strictEqual(reply.body.state, 'awaiting_password');
+  assert.doesNotMatch(JSON.stringify(reply.body), /_client_id|_user_token|_sms_code/);
+  assert.strictEqual((await simulator.getSession(`web:${sessionId}`)).context.auth._client_id, 1);
+});
+
+test('si el motor falla, lo que quedó en la bandeja no se entrega en la siguiente petición', async () => {
+  const { body: { sessionId } } = await post({ text: 'hola' });
+
+  const handleInbound = conversationEngine.handleInbound;
+  conversationEngine.handleInbound = async (channelId, userId) => {
+    await webchatTransport.sendMessage(userId, 'respuesta a medias');
+    throw new Error('Fallo simulado');
+  };
+  try {
+    assert.strictEqual((await post({ sessionId, text: 'si' })).status, 500);
+  } finally {
+    conversationEngine.handleInbound = handleInbound;
+  }
+
+  const next = await post({ sessionId, text: 'si' });
+  assert.ok(next.body.messages.every(message => message.message !== 'respuesta a medias'));
+});
+
+test('dos peticiones simultáneas de la misma sesión reciben cada una sus respuestas', async () => {
+  const { body: { sessionId } } = await post({ text: 'hola' });
+
+  const handleInbound = conversationEngine.handleInbound;
+  conversationEngine.handleInbound = async (channelId, userId, { text }) => {
+    await webchatTransport.sendMessage(userId, `respuesta a ${text}`);
+    await new Promise(resolve => setTimeout(resolve, text === 'uno' ? 40 : 10));
+  };
+  try {
+    const [uno, dos] = await Promise.all([post({ sessionId, text: 'uno' }), post({ sessionId, text: 'dos' })]);
+    assert.deepStrictEqual(uno.body.messages.map(message => message.message), ['respuesta a uno']);
+    assert.deepStrictEqual(dos.body.messages.map(message => message.message), ['respuesta a dos']);
+  } finally {
+    conversationEngine.handleInbound = handleInbound;
+  }
+});
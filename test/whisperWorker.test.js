@@ -0,0 +1,218 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+process.env.LOG_SILENT = 'true';
+
+const config = require('../config/config');
+const whisperWorker = require('../src/utils/whisperWorker');
+const { TransformersASR, decodeWav } = require('../src/utils/transformersASR');
+
+const FAKE_WORKER = path.join(__dirname, 'harness', 'fakeWhisperWorker.js');
+
+// WAV PCM de 16 bits con los canales intercalados
+function wavBuffer(samples, { sampleRate = 16000, channels = 1 } = {}) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((value, index) => data.writeInt16LE(Math.round(value * 32767), index * 2));
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function useFakeWorker(options = {}) {
+  whisperWorker.configure({
+    backend: 'faster-whisper',
+    model: 'small',
+    pythonPath: process.execPath,
+    ...options,
+    worker: { ...config.whisper.worker, script: FAKE_WORKER, concurrency: 1, queueMax: 5, timeoutMs: 5000, startupTimeoutMs: 5000, ...options.worker }
+  });
+}
+
+beforeEach(() => useFakeWorker());
+
+after(() => whisperWorker.stop());
+
+test('el modelo se carga una vez y atiende varios audios, con segmentos a medida que llegan', async () => {
+  const health = await whisperWorker.ensureReady();
+  assert.deepStrictEqual(
+    { ready: health.ready, workers: health.workers, backend: health.backend },
+    { ready: true, workers: 1, backend: 'faster-whisper' }
+  );
+
+  const segments = [];
+  const first = await whisperWorker.transcribe('/tmp/a.wav', { onSegment: segment => segments.push(segment.text) });
+  const second = await whisperWorker.transcribe('/tmp/b.wav');
+
+  assert.strictEqual(first.text, '#1 a.wav');
+  assert.strictEqual(first.language, 'es');
+  assert.deepStrictEqual(segments, ['#1', 'a.wav']);
+  assert.deepStrictEqual(first.segments[1], {
+    start: 1, end: 2, text: 'a.wav', avgLogprob: -1.2, noSpeechProb: 0.05,
+    words: [{ word: 'a.wav', start: 1, end: 2, probability: 0.3 }]
+  });
+  assert.strictEqual(second.text, '#2 b.wav');
+  assert.strictEqual(whisperWorker.health().completed, 2);
+});
+
+test('la cola respeta la concurrencia y rechaza cuando está llena', async () => {
+  useFakeWorker({ worker: { concurrency: 2, queueMax: 1 } });
+  await whisperWorker.ensureReady();
+
+  const jobs = ['1.wav', '2.wav', '3.wav'].map(file => whisperWorker.transcribe(`/tmp/${file}`));
+  const health = whisperWorker.health();
+  assert.deepStrictEqual({ active: health.active, queued: health.queued }, { active: 2, queued: 1 });
+  await assert.rejects(() => whisperWorker.transcribe('/tmp/4.wav'), /Cola de transcripción llena/);
+
+  const texts = (await Promise.all(jobs)).map(result => result.text);
+  // Dos procesos: el tercer audio lo atiende el primero que quedó libre
+  assert.deepStrictEqual(texts.slice(0, 2), ['#1 1.wav', '#1 2.wav']);
+  assert.strictEqual(texts[2], '#2 3.wav');
+  assert.ok((await jobs[2]).waitMs > 0);
+  assert.strictEqual(whisperWorker.health().rejected, 1);
+});
+
+test('un proceso que muere o no responde se relanza en el siguiente audio', async () => {
+  useFakeWorker({ worker: { timeoutMs: 300 } });
+
+  await assert.rejects(() => whisperWorker.transcribe('/tmp/crash.wav'), /terminó durante la transcripción/);
+  assert.strictEqual((await whisperWorker.transcribe('/tmp/a.wav')).text, '#1 a.wav');
+  assert.strictEqual(whisperWorker.health().restarts, 1);
+
+  await assert.rejects(() => whisperWorker.transcribe('/tmp/slow.wav'), /no respondió en 300 ms/);
+  assert.strictEqual((await whisperWorker.transcribe('/tmp/b.wav')).text, '#1 b.wav');
+  assert.strictEqual(whisperWorker.health().failed, 2);
+});
+
+test('el worker verifica certificados salvo que se desactive explícitamente', async () => {
+  assert.strictEqual(config.whisper.worker.insecureDownloads, false);
+  assert.strictEqual((await whisperWorker.transcribe('/tmp/env.wav')).text, 'PYTHONHTTPSVERIFY=');
+
+  useFakeWorker({ worker: { insecureDownloads: true } });
+  assert.strictEqual((await whisperWorker.transcribe('/tmp/env.wav')).text, 'PYTHONHTTPSVERIFY=0');
+});
+
+test('ensureReady falla si el modelo no carga', async () => {
+  useFakeWorker({ model: 'fatal' });
+
+  await assert.rejects(() => whisperWorker.ensureReady(), /modelo no encontrado/);
+  const health = whisperWorker.health();
+  assert.strictEqual(health.ready, false);
+  assert.strictEqual(health.lastError, 'modelo no encontrado');
+});
+
+test('whisper.cpp: usa un whisper-server ya en ejecución', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, body });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(req.url === '/inference' ? JSON.stringify({
+        text: ' dos kilos de arroz\n',
+        segments: [{ start: 0, end: 1.5, text: ' dos kilos de arroz', avg_logprob: -0.3, no_speech_prob: 0.02 }]
+      }) : '{"status":"ok"}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const audio = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-')), 'nota.wav');
+  fs.writeFileSync(audio, 'RIFF');
+
+  try {
+    whisperWorker.configure({
+      backend: 'whisper.cpp',
+      cpp: { ...config.whisper.cpp, url: `http://127.0.0.1:${server.address().port}/` },
+      worker: { concurrency: 2 }
+    });
+
+    assert.strictEqual((await whisperWorker.ensureReady()).ready, true);
+    const result = await whisperWorker.transcribe(audio, { initialPrompt: 'pedidos de abarrotes' });
+    assert.strictEqual(result.text, 'dos kilos de arroz');
+    assert.deepStrictEqual(
+      { duration: result.duration, avgLogprob: result.segments[0].avgLogprob, words: result.segments[0].words },
+      { duration: 1.5, avgLogprob: -0.3, words: [] }
+    );
+
+    const inference = requests.find(request => request.url === '/inference');
+    assert.match(inference.body, /name="language"\r\n\r\nes/);
+    assert.match(inference.body, /name="prompt"\r\n\r\npedidos de abarrotes/);
+    assert.match(inference.body, /name="response_format"\r\n\r\nverbose_json/);
+    assert.strictEqual(whisperWorker.health().concurrency, 2);
+  } finally {
+    whisperWorker.stop();
+    server.close();
+    fs.rmSync(path.dirname(audio), { recursive: true, force: true });
+  }
+});
+
+test('decodeWav mezcla los canales en mono y remuestrea a 16 kHz', () => {
+  const stereo = decodeWav(wavBuffer([0.5, -0.5, 0.25, 0.25], { channels: 2 }));
+  assert.strictEqual(stereo.samples.length, 2);
+  assert.ok(Math.abs(stereo.samples[0]) < 0.001 && Math.abs(stereo.samples[1] - 0.25) < 0.001);
+
+  const resampled = decodeWav(wavBuffer(new Array(8000).fill(0.1), { sampleRate: 8000 }));
+  assert.strictEqual(resampled.samples.length, 16000);
+  assert.strictEqual(resampled.duration, 1);
+
+  assert.throws(() => decodeWav(Buffer.from('OggS')), /no es un WAV válido/);
+});
+
+test('transformers: transcribe dentro del proceso con el mismo resultado que los workers', async (t) => {
+  const calls = [];
+  t.mock.method(TransformersASR.prototype, '_createPipeline', async (model, options) => {
+    calls.push({ model, options });
+    return async (samples, generation) => {
+      calls.push({ samples: samples.length, generation });
+      return { text: ' medio kilo de azúcar ', chunks: [{ timestamp: [0, 1.2], text: ' medio kilo de azúcar' }] };
+    };
+  });
+  const audio = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-')), 'nota.wav');
+  fs.writeFileSync(audio, wavBuffer(new Array(8000).fill(0)));
+
+  try {
+    whisperWorker.configure({
+      backend: 'transformers',
+      transformers: { ...config.whisper.transformers, model: 'Xenova/whisper-small', modelDir: './models' }
+    });
+
+    const health = await whisperWorker.ensureReady();
+    assert.deepStrictEqual({ ready: health.ready, model: health.model }, { ready: true, model: 'Xenova/whisper-small' });
+
+    const segments = [];
+    const result = await whisperWorker.transcribe(audio, { onSegment: segment => segments.push(segment) });
+    assert.deepStrictEqual(
+      { text: result.text, language: result.language, duration: result.duration },
+      { text: 'medio kilo de azúcar', language: 'es', duration: 0.5 }
+    );
+    assert.deepStrictEqual(segments, [
+      { start: 0, end: 1.2, text: 'medio kilo de azúcar', avgLogprob: null, noSpeechProb: null, words: [] }
+    ]);
+    assert.deepStrictEqual(result.segments, segments);
+
+    assert.strictEqual(calls.length, 2); // Un solo pipeline cargado
+    assert.strictEqual(calls[0].options.modelDir, path.resolve('./models'));
+    assert.strictEqual(calls[0].options.allowRemote, false);
+    assert.deepStrictEqual(
+      { samples: calls[1].samples, language: calls[1].generation.language, task: calls[1].generation.task },
+      { samples: 8000, language: 'es', task: 'transcribe' }
+    );
+  } finally {
+    whisperWorker.stop();
+    fs.rmSync(path.dirname(audio), { recursive: true, force: true });
+  }
+});